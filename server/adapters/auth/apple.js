@@ -0,0 +1,9 @@
+const { createIdentityTokenAdapter } = require('./identity_token');
+
+/**
+ * Apple Auth Adapter
+ * Verifies Sign in with Apple identity tokens against APPLE_CLIENT_IDS (bundle and service IDs).
+ * Apple sends the user's name to the app only once, so the client may add
+ * `firstName`/`lastName` to the auth data on first sign-in.
+ */
+module.exports = createIdentityTokenAdapter('apple');
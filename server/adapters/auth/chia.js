@@ -0,0 +1,29 @@
+const { redeemChallenge } = require('../../cloud/services/wallet_challenges');
+
+/**
+ * Chia Auth Adapter
+ * Parse Server `authData` adapter for Sign-In With Chia.
+ *
+ * Client flow:
+ *   1. Parse.Cloud.run('requestWalletChallenge', { address })
+ *   2. Sign the returned message with `chia_signMessageByAddress`
+ *   3. Parse.User.logInWith('chia', { authData: { id: address, publicKey, signature, nonce } })
+ *
+ * Only the address and public key are stored on the user; signatures and nonces are single-use.
+ */
+module.exports = {
+  validateAppId() {
+    return Promise.resolve();
+  },
+
+  async validateAuthData(authData) {
+    const { address, publicKey } = await redeemChallenge(authData);
+
+    return {
+      save: {
+        id: address,
+        publicKey
+      }
+    };
+  }
+};
@@ -0,0 +1,7 @@
+const { createIdentityTokenAdapter } = require('./identity_token');
+
+/**
+ * Google Auth Adapter
+ * Verifies Google ID tokens against GOOGLE_CLIENT_IDS (web, iOS and Android client IDs).
+ */
+module.exports = createIdentityTokenAdapter('google');
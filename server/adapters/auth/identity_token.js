@@ -0,0 +1,35 @@
+const { verifyIdentityToken } = require('../../cloud/services/identity_providers');
+
+/**
+ * Identity Token Auth Adapter
+ * Shared Parse Server `authData` adapter for providers that issue OpenID Connect ID tokens.
+ *
+ * Client flow:
+ *   1. Parse.Cloud.run('requestSignInNonce')
+ *   2. Sign in with the provider's SDK, passing the nonce
+ *   3. Parse.User.logInWith(provider, { authData: { id: sub, id_token, nonce } })
+ *
+ * The verified identity (email and name) is stored with the auth data so the user
+ * beforeSave hook can fill in the profile; the token and nonce are not kept.
+ */
+const createIdentityTokenAdapter = (provider) => ({
+  validateAppId() {
+    return Promise.resolve();
+  },
+
+  async validateAuthData(authData) {
+    const identity = await verifyIdentityToken(provider, authData);
+
+    return {
+      save: {
+        id: identity.id,
+        email: identity.email,
+        emailVerified: identity.emailVerified,
+        firstName: identity.firstName,
+        lastName: identity.lastName
+      }
+    };
+  }
+});
+
+module.exports = { createIdentityTokenAdapter };
@@ -0,0 +1,34 @@
+const logger = require('../../utils/logger');
+const { sendMail, sendTemplate, recipientFor } = require('../../cloud/services/mailer');
+
+/**
+ * Templated Email Adapter
+ * Parse Server mail adapter backed by the mailer service. Parse calls the dedicated
+ * verification and password reset hooks with the user, so each message is rendered from
+ * its own template in the user's locale.
+ * Parse does not await these hooks, so failures are logged here instead of rejecting.
+ */
+
+const sendUserTemplate = async (type, { link, user }) => {
+  try {
+    const { to, locale, displayName } = recipientFor(user);
+    await sendTemplate(type, { to, locale, data: { link, displayName } });
+  } catch (error) {
+    logger.error('Email sending failed', { template: type, userId: user?.id, error: error.message });
+  }
+};
+
+module.exports = {
+  sendVerificationEmail(options) {
+    return sendUserTemplate('verification', options);
+  },
+
+  sendPasswordResetEmail(options) {
+    return sendUserTemplate('password_reset', options);
+  },
+
+  // Plain messages (e.g. from other Parse features) are sent as they are
+  sendMail({ to, subject, text, html }) {
+    return sendMail({ to, subject, text, html });
+  }
+};
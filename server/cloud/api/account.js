@@ -0,0 +1,119 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const { defineJob } = require('../services/scheduler');
+const {
+  admitLogin,
+  verifyAccountOwner,
+  scheduleAccountDeletion,
+  purgeDeletedAccounts
+} = require('../services/accounts');
+const {
+  DATA_EXPORT_CLASS,
+  serializeExport,
+  createDataExport,
+  purgeExpiredDataExports
+} = require('../services/data_exports');
+
+Parse.Cloud.beforeSave(DATA_EXPORT_CLASS, rejectClientWrites(DATA_EXPORT_CLASS));
+Parse.Cloud.beforeDelete(DATA_EXPORT_CLASS, rejectClientWrites(DATA_EXPORT_CLASS));
+
+// Runs for every kind of login (password, wallet, Google, Apple)
+Parse.Cloud.beforeLogin(async (request) => {
+  await admitLogin(request.object);
+});
+
+/**
+ * Export My Data Cloud Function
+ * Builds an archive of the user's data and returns a download link that expires
+ */
+Parse.Cloud.define('exportMyData', async (request) => {
+  const { format = 'json' } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const { record, reused } = await createDataExport(request.user, format);
+
+    return {
+      success: true,
+      export: serializeExport(record),
+      reused
+    };
+
+  } catch (error) {
+    logger.error('Data export failed', {
+      userId: request.user?.id,
+      format,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to export your data. Please try again.');
+  }
+});
+
+/**
+ * Delete My Account Cloud Function
+ * Deactivates the account and signs out every device; the data is deleted after the
+ * grace period unless the user logs in again before then.
+ * Params: confirm (true), and password; accounts without a password sign in again instead
+ * with provider ('chia' | 'google' | 'apple') and the authData they would log in with
+ */
+Parse.Cloud.define('deleteMyAccount', async (request) => {
+  const { confirm, password, provider, authData } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    if (confirm !== true) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Pass confirm: true to delete your account');
+    }
+
+    // A stolen session must not be enough to delete the account
+    await verifyAccountOwner(request.user, { password, provider, authData }, { ip: request.ip });
+
+    const scheduledFor = await scheduleAccountDeletion(request.user);
+
+    return {
+      success: true,
+      message: 'Your account has been deactivated and will be deleted. Log in again before then to keep it.',
+      scheduledFor
+    };
+
+  } catch (error) {
+    logger.error('Account deletion failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to delete your account. Please try again.');
+  }
+});
+
+// Remove accounts past their grace period, hourly
+defineJob('purgeDeletedAccounts', async (request) => {
+  const stats = await purgeDeletedAccounts();
+  request.message(`Purged ${stats.purged} of ${stats.due} accounts`);
+  logger.info('Deleted accounts purged', stats);
+  return stats;
+}, { schedule: '0 * * * *' });
+
+// Delete export files past their expiry, hourly
+defineJob('purgeExpiredDataExports', async (request) => {
+  const removed = await purgeExpiredDataExports();
+  request.message(`Removed ${removed} expired exports`);
+  return { removed };
+}, { schedule: '5 * * * *' });
+
+logger.info('Account cloud functions loaded successfully');
@@ -0,0 +1,590 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const { ROLES, getUserRoles, hasRole, requireRole, setUserRole } = require('../services/roles');
+const { AUDIT_LOG_CLASS, requireReason, recordAudit, listAuditLog } = require('../services/audit');
+const {
+  isSuspended,
+  suspendAccount,
+  reinstateAccount,
+  searchUsers,
+  serializeAccount
+} = require('../services/accounts');
+const { ROAST_CLASS, isRoastHidden, hideRoast, restoreRoast, serializeRoast } = require('../services/roasts');
+const {
+  serializeModerationEvent,
+  listModerationEvents,
+  reviewModerationEvent
+} = require('../services/moderation');
+const { TRANSACTION_TYPES, appendTransaction, getBalance, serializeTransaction } = require('../services/credits');
+const {
+  JOB_RUN_CLASS,
+  JOB_LOCK_CLASS,
+  defineJob,
+  listScheduledJobs,
+  listJobRuns,
+  purgeJobRuns
+} = require('../services/scheduler');
+
+const MAX_CREDIT_ADJUSTMENT = 10000;
+
+[AUDIT_LOG_CLASS, JOB_RUN_CLASS, JOB_LOCK_CLASS].forEach((className) => {
+  Parse.Cloud.beforeSave(className, rejectClientWrites(className));
+  Parse.Cloud.beforeDelete(className, rejectClientWrites(className));
+});
+
+const getUserById = async (userId) => {
+  if (!userId || typeof userId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: userId');
+  }
+
+  const user = await new Parse.Query(Parse.User).get(userId, { useMasterKey: true }).catch(() => null);
+  if (!user) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'User not found');
+  }
+
+  return user;
+};
+
+const getRoastById = async (roastId) => {
+  if (!roastId || typeof roastId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: roastId');
+  }
+
+  const roast = await new Parse.Query(ROAST_CLASS).get(roastId, { useMasterKey: true }).catch(() => null);
+  if (!roast) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Roast not found');
+  }
+
+  return roast;
+};
+
+// Moderators may act on regular users only; staff accounts are handled by admins
+const assertCanActOn = async (actor, actorRoles, target) => {
+  if (target.id === actor.id) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'You cannot perform this action on your own account');
+  }
+
+  const targetRoles = await getUserRoles(target);
+  if (targetRoles.length > 0 && !hasRole(actorRoles, ROLES.ADMIN)) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Only admins can act on admin or moderator accounts');
+  }
+
+  return targetRoles;
+};
+
+/**
+ * Admin Search Users Cloud Function (moderator)
+ * Finds users by id or by email, username or display name prefix
+ */
+Parse.Cloud.define('adminSearchUsers', async (request) => {
+  const { query, limit, skip } = request.params;
+
+  try {
+    await requireRole(request.user, ROLES.MODERATOR);
+
+    const users = await searchUsers({ query, limit, skip });
+    const accounts = await Promise.all(users.map(async (user) => serializeAccount(user, await getUserRoles(user))));
+
+    return {
+      success: true,
+      users: accounts
+    };
+
+  } catch (error) {
+    logger.error('Admin user search failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'User search failed. Please try again.');
+  }
+});
+
+/**
+ * Admin Suspend User Cloud Function (moderator)
+ * Deactivates the account and signs it out everywhere until it is reinstated
+ */
+Parse.Cloud.define('adminSuspendUser', async (request) => {
+  const { userId } = request.params;
+
+  try {
+    const actorRoles = await requireRole(request.user, ROLES.MODERATOR);
+    const reason = requireReason(request.params.reason);
+
+    const target = await getUserById(userId);
+    const targetRoles = await assertCanActOn(request.user, actorRoles, target);
+
+    if (isSuspended(target)) {
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This account is already suspended');
+    }
+
+    const revokedSessions = await suspendAccount(target, { actor: request.user, reason });
+
+    await recordAudit({
+      actor: request.user,
+      roles: actorRoles,
+      action: 'user.suspend',
+      target,
+      reason,
+      details: { revokedSessions },
+      ip: request.ip
+    });
+
+    return {
+      success: true,
+      message: 'Account suspended',
+      user: serializeAccount(target, targetRoles)
+    };
+
+  } catch (error) {
+    logger.error('Admin suspend user failed', {
+      userId: request.user?.id,
+      targetUserId: userId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to suspend account. Please try again.');
+  }
+});
+
+/**
+ * Admin Reinstate User Cloud Function (moderator)
+ * Lifts a suspension
+ */
+Parse.Cloud.define('adminReinstateUser', async (request) => {
+  const { userId } = request.params;
+
+  try {
+    const actorRoles = await requireRole(request.user, ROLES.MODERATOR);
+    const reason = requireReason(request.params.reason);
+
+    const target = await getUserById(userId);
+    const targetRoles = await assertCanActOn(request.user, actorRoles, target);
+
+    if (!isSuspended(target)) {
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This account is not suspended');
+    }
+
+    const suspensionReason = target.get('suspensionReason');
+    await reinstateAccount(target);
+
+    await recordAudit({
+      actor: request.user,
+      roles: actorRoles,
+      action: 'user.reinstate',
+      target,
+      reason,
+      details: { suspensionReason },
+      ip: request.ip
+    });
+
+    return {
+      success: true,
+      message: 'Account reinstated',
+      user: serializeAccount(target, targetRoles)
+    };
+
+  } catch (error) {
+    logger.error('Admin reinstate user failed', {
+      userId: request.user?.id,
+      targetUserId: userId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to reinstate account. Please try again.');
+  }
+});
+
+/**
+ * Admin Hide Roast / Admin Restore Roast Cloud Functions (moderator)
+ * Hidden roasts stay in their owner's history, flagged, but cannot be certified
+ */
+Parse.Cloud.define('adminHideRoast', async (request) => {
+  const { roastId } = request.params;
+
+  try {
+    const actorRoles = await requireRole(request.user, ROLES.MODERATOR);
+    const reason = requireReason(request.params.reason);
+
+    const roast = await getRoastById(roastId);
+    if (isRoastHidden(roast)) {
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This roast is already hidden');
+    }
+
+    await hideRoast(roast, { actor: request.user, reason });
+
+    await recordAudit({
+      actor: request.user,
+      roles: actorRoles,
+      action: 'roast.hide',
+      target: roast,
+      reason,
+      details: { ownerId: roast.get('owner')?.id },
+      ip: request.ip
+    });
+
+    return {
+      success: true,
+      message: 'Roast hidden',
+      roast: serializeRoast(roast)
+    };
+
+  } catch (error) {
+    logger.error('Admin hide roast failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to hide roast. Please try again.');
+  }
+});
+
+Parse.Cloud.define('adminRestoreRoast', async (request) => {
+  const { roastId } = request.params;
+
+  try {
+    const actorRoles = await requireRole(request.user, ROLES.MODERATOR);
+    const reason = requireReason(request.params.reason);
+
+    const roast = await getRoastById(roastId);
+    if (!isRoastHidden(roast)) {
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This roast is not hidden');
+    }
+
+    const hiddenReason = roast.get('hiddenReason');
+    await restoreRoast(roast);
+
+    await recordAudit({
+      actor: request.user,
+      roles: actorRoles,
+      action: 'roast.restore',
+      target: roast,
+      reason,
+      details: { ownerId: roast.get('owner')?.id, hiddenReason },
+      ip: request.ip
+    });
+
+    return {
+      success: true,
+      message: 'Roast restored',
+      roast: serializeRoast(roast)
+    };
+
+  } catch (error) {
+    logger.error('Admin restore roast failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to restore roast. Please try again.');
+  }
+});
+
+/**
+ * Admin List Moderation Events Cloud Function (moderator)
+ * Returns the review queue (pending events by default), oldest first
+ */
+Parse.Cloud.define('adminListModerationEvents', async (request) => {
+  const { reviewStatus, userId, limit, skip } = request.params;
+
+  try {
+    await requireRole(request.user, ROLES.MODERATOR);
+
+    const events = await listModerationEvents({ reviewStatus, userId, limit, skip });
+
+    return {
+      success: true,
+      events: events.map(serializeModerationEvent)
+    };
+
+  } catch (error) {
+    logger.error('Admin list moderation events failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load moderation events. Please try again.');
+  }
+});
+
+/**
+ * Admin Review Moderation Event Cloud Function (moderator)
+ * Marks a flagged event as upheld or overturned
+ */
+Parse.Cloud.define('adminReviewModerationEvent', async (request) => {
+  const { eventId, decision } = request.params;
+
+  try {
+    const actorRoles = await requireRole(request.user, ROLES.MODERATOR);
+    const reason = requireReason(request.params.reason);
+
+    if (!eventId || typeof eventId !== 'string') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: eventId');
+    }
+
+    const event = await reviewModerationEvent(eventId, { decision, reviewer: request.user, note: reason });
+
+    await recordAudit({
+      actor: request.user,
+      roles: actorRoles,
+      action: 'moderation.review',
+      target: event,
+      reason,
+      details: { decision, userId: event.get('user')?.id },
+      ip: request.ip
+    });
+
+    return {
+      success: true,
+      event: serializeModerationEvent(event)
+    };
+
+  } catch (error) {
+    logger.error('Admin review moderation event failed', {
+      userId: request.user?.id,
+      eventId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to review moderation event. Please try again.');
+  }
+});
+
+/**
+ * Admin Adjust Credits Cloud Function (admin)
+ * Adds (positive amount) or removes (negative amount) credits through the ledger
+ */
+Parse.Cloud.define('adminAdjustCredits', async (request) => {
+  const { userId, amount } = request.params;
+
+  try {
+    const actorRoles = await requireRole(request.user, ROLES.ADMIN);
+    const reason = requireReason(request.params.reason);
+
+    if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_CREDIT_ADJUSTMENT) {
+      throw new Parse.Error(
+        Parse.Error.INVALID_QUERY,
+        `Amount must be a non-zero whole number between -${MAX_CREDIT_ADJUSTMENT} and ${MAX_CREDIT_ADJUSTMENT}`
+      );
+    }
+
+    const target = await getUserById(userId);
+
+    if (amount < 0 && (await getBalance(target)) + amount < 0) {
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'The adjustment would make the balance negative');
+    }
+
+    const transaction = await appendTransaction(target, {
+      amount,
+      type: TRANSACTION_TYPES.ADJUSTMENT,
+      reason,
+      data: { adjustedBy: request.user.id }
+    });
+
+    await recordAudit({
+      actor: request.user,
+      roles: actorRoles,
+      action: 'credits.adjust',
+      target,
+      reason,
+      details: { amount, transactionId: transaction.id, balanceAfter: transaction.get('balanceAfter') },
+      ip: request.ip
+    });
+
+    return {
+      success: true,
+      transaction: serializeTransaction(transaction)
+    };
+
+  } catch (error) {
+    logger.error('Admin credit adjustment failed', {
+      userId: request.user?.id,
+      targetUserId: userId,
+      amount,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to adjust credits. Please try again.');
+  }
+});
+
+/**
+ * Admin Set User Role Cloud Function (admin)
+ * Grants or revokes the admin or moderator role
+ */
+Parse.Cloud.define('adminSetUserRole', async (request) => {
+  const { userId, role, granted } = request.params;
+
+  try {
+    const actorRoles = await requireRole(request.user, ROLES.ADMIN);
+    const reason = requireReason(request.params.reason);
+
+    if (typeof granted !== 'boolean') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: granted (true or false)');
+    }
+
+    const target = await getUserById(userId);
+    if (target.id === request.user.id) {
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'You cannot change your own roles');
+    }
+
+    await setUserRole(target, role, granted);
+
+    await recordAudit({
+      actor: request.user,
+      roles: actorRoles,
+      action: granted ? 'role.grant' : 'role.revoke',
+      target,
+      reason,
+      details: { role },
+      ip: request.ip
+    });
+
+    return {
+      success: true,
+      user: serializeAccount(target, await getUserRoles(target))
+    };
+
+  } catch (error) {
+    logger.error('Admin set user role failed', {
+      userId: request.user?.id,
+      targetUserId: userId,
+      role,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to update roles. Please try again.');
+  }
+});
+
+/**
+ * Admin List Audit Log Cloud Function (admin)
+ * Newest entries first; filter by actorId, targetId or action
+ */
+Parse.Cloud.define('adminListAuditLog', async (request) => {
+  const { actorId, targetId, action, limit, skip } = request.params;
+
+  try {
+    await requireRole(request.user, ROLES.ADMIN);
+
+    return {
+      success: true,
+      entries: await listAuditLog({ actorId, targetId, action, limit, skip })
+    };
+
+  } catch (error) {
+    logger.error('Admin list audit log failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load the audit log. Please try again.');
+  }
+});
+
+/**
+ * Admin List Scheduled Jobs Cloud Function (admin)
+ * Every background job with its schedule, next run and latest run
+ */
+Parse.Cloud.define('adminListScheduledJobs', async (request) => {
+  try {
+    await requireRole(request.user, ROLES.ADMIN);
+
+    return {
+      success: true,
+      jobs: await listScheduledJobs()
+    };
+
+  } catch (error) {
+    logger.error('Admin list scheduled jobs failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load the scheduled jobs. Please try again.');
+  }
+});
+
+/**
+ * Admin List Job Runs Cloud Function (admin)
+ * Newest runs first; filter by job name or status (running, succeeded, failed)
+ */
+Parse.Cloud.define('adminListJobRuns', async (request) => {
+  const { job, status, limit, skip } = request.params;
+
+  try {
+    await requireRole(request.user, ROLES.ADMIN);
+
+    return {
+      success: true,
+      runs: await listJobRuns({ job, status, limit, skip })
+    };
+
+  } catch (error) {
+    logger.error('Admin list job runs failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load the job runs. Please try again.');
+  }
+});
+
+// Fail abandoned runs, drop old run records, Dashboard job statuses and abandoned locks, daily
+defineJob('purgeJobRuns', async (request) => {
+  const removed = await purgeJobRuns();
+  request.message(`Failed ${removed.abandoned} abandoned runs; removed ${removed.runs} runs, ${removed.statuses} job statuses and ${removed.locks} locks`);
+  return removed;
+}, { schedule: '15 4 * * *' });
+
+logger.info('Admin cloud functions loaded successfully');
@@ -0,0 +1,104 @@
+const logger = require('../../utils/logger');
+const { validateRoastInput, generateRoastText } = require('../services/roast_generator');
+const { resolveRoastStyle } = require('../services/roast_styles');
+const { createRoast, serializeRoast } = require('../services/roasts');
+const { chargeRoast, refundRoast } = require('../services/credits');
+const { MODERATION_EVENT_CLASS } = require('../services/moderation');
+const { rejectClientWrites } = require('../services/acl');
+const {
+  parseContact,
+  assertCanContact,
+  assertRoasteeNotOptedOut,
+  holdForConsent,
+  requestRoastConsent
+} = require('../services/roastee_consent');
+
+// Moderation decisions are recorded by cloud code only
+Parse.Cloud.beforeSave(MODERATION_EVENT_CLASS, rejectClientWrites(MODERATION_EVENT_CLASS));
+
+/**
+ * Generate Roast Cloud Function
+ * Builds a roast from the roastee name, profession and six roast points.
+ * With roasteeEmail or roasteePhone the roastee is also asked to approve the roast
+ * (./roastee_consent). Roasts of an address or name on the opt-out registry are refused;
+ * a registered name given with another address must be approved by that roastee.
+ */
+Parse.Cloud.define('generateRoast', async (request) => {
+  let charge = null;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const contact = parseContact({ email: request.params.roasteeEmail, phone: request.params.roasteePhone });
+    if (contact) assertCanContact(contact);
+
+    const { input, style } = await resolveRoastStyle(validateRoastInput(request.params));
+    const consentRequired = await assertRoasteeNotOptedOut(input.name, contact);
+    charge = await chargeRoast(request.user, 'generateRoast');
+
+    const result = await generateRoastText(input, { style, user: request.user });
+
+    // Keep the result as a draft until the user presses "Save Roast"
+    const roast = await createRoast(request.user, result.input, { ...result, charge });
+    charge = null;
+
+    // The roast is paid for and kept even if the invitation fails; it can be resent
+    let consentError = null;
+    if (contact) {
+      try {
+        await requestRoastConsent(request.user, roast, contact);
+      } catch (inviteError) {
+        logger.warn('Roast consent invitation failed', { userId: request.user.id, roastId: roast.id, error: inviteError.message });
+        consentError = inviteError instanceof Parse.Error ? inviteError.message : 'The invitation could not be sent. Try again from the roast.';
+
+        // It still waits for the roastee's approval; the invitation can be resent
+        if (consentRequired) await holdForConsent(roast);
+      }
+    }
+
+    logger.info('Roast generated', {
+      userId: request.user.id,
+      roastId: roast.id,
+      provider: result.provider,
+      model: result.model,
+      style: `${result.style.key}@${result.style.version}`,
+      totalTokens: result.usage.totalTokens
+    });
+
+    return {
+      success: true,
+      roast: serializeRoast(roast),
+      usage: result.usage,
+      consentError
+    };
+
+  } catch (error) {
+    logger.error('Roast generation failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    // A failed refund is logged; the caller still gets the error that stopped generation
+    if (charge) {
+      try {
+        await refundRoast(request.user, charge, 'Roast generation failed');
+      } catch (refundError) {
+        logger.error('Roast refund failed', {
+          userId: request.user.id,
+          charge,
+          error: refundError.message
+        });
+      }
+    }
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.SCRIPT_FAILED, 'Roast generation failed. Please try again.');
+  }
+});
+
+logger.info('AI generator cloud functions loaded successfully');
@@ -0,0 +1,129 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const {
+  API_KEY_CLASS,
+  API_KEY_USAGE_CLASS,
+  API_KEY_SCOPES,
+  MAX_REQUESTS_PER_MINUTE,
+  MAX_ROASTS_PER_DAY,
+  createApiKey,
+  listApiKeys,
+  getOwnedApiKey,
+  revokeApiKey,
+  serializeApiKey
+} = require('../services/api_keys');
+
+// Keys and their usage are written by cloud code only
+[API_KEY_CLASS, API_KEY_USAGE_CLASS].forEach((className) => {
+  Parse.Cloud.beforeSave(className, rejectClientWrites(className));
+  Parse.Cloud.beforeDelete(className, rejectClientWrites(className));
+});
+
+/**
+ * List API Keys Cloud Function
+ * Returns the current user's keys (never the secrets) and the scopes and limits available
+ */
+Parse.Cloud.define('listApiKeys', async (request) => {
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const apiKeys = await listApiKeys(request.user);
+
+    return {
+      success: true,
+      scopes: Object.values(API_KEY_SCOPES),
+      maxRequestsPerMinute: MAX_REQUESTS_PER_MINUTE,
+      maxRoastsPerDay: MAX_ROASTS_PER_DAY,
+      apiKeys: apiKeys.map(serializeApiKey)
+    };
+
+  } catch (error) {
+    logger.error('List API keys failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load your API keys. Please try again.');
+  }
+});
+
+/**
+ * Create API Key Cloud Function
+ * Params: name, scopes, and optionally requestsPerMinute, roastsPerDay (at most the
+ * server's limits) and expiresInDays.
+ * The key is returned once; only its prefix can be shown afterwards.
+ */
+Parse.Cloud.define('createApiKey', async (request) => {
+  const { name, scopes, requestsPerMinute, roastsPerDay, expiresInDays } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const { apiKey, key } = await createApiKey(request.user, { name, scopes, requestsPerMinute, roastsPerDay, expiresInDays });
+
+    return {
+      success: true,
+      apiKey: serializeApiKey(apiKey),
+      key
+    };
+
+  } catch (error) {
+    logger.error('Create API key failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to create the API key. Please try again.');
+  }
+});
+
+/**
+ * Revoke API Key Cloud Function
+ * The key stops working immediately and cannot be restored
+ */
+Parse.Cloud.define('revokeApiKey', async (request) => {
+  const { apiKeyId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const apiKey = await getOwnedApiKey(request.user, apiKeyId);
+    await revokeApiKey(apiKey);
+
+    logger.info('API key revoked', { userId: request.user.id, apiKeyId });
+
+    return {
+      success: true,
+      apiKey: serializeApiKey(apiKey)
+    };
+
+  } catch (error) {
+    logger.error('Revoke API key failed', {
+      userId: request.user?.id,
+      apiKeyId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to revoke the API key. Please try again.');
+  }
+});
+
+logger.info('API key cloud functions loaded successfully');
@@ -0,0 +1,153 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const { getOwnedRoast } = require('../services/roasts');
+const { COUNTER_CLASS } = require('../services/counters');
+const {
+  CERTIFICATE_CLASS,
+  serializeCertificate,
+  getOwnedCertificate,
+  createCertificate,
+  mintCertificate,
+  refreshMintStatus
+} = require('../services/certificates');
+const { WEBHOOK_EVENTS, emitEvent } = require('../services/webhooks');
+
+Parse.Cloud.beforeSave(CERTIFICATE_CLASS, rejectClientWrites(CERTIFICATE_CLASS));
+Parse.Cloud.beforeDelete(CERTIFICATE_CLASS, rejectClientWrites(CERTIFICATE_CLASS));
+Parse.Cloud.beforeSave(COUNTER_CLASS, rejectClientWrites(COUNTER_CLASS));
+
+// Webhook event: certificate.created
+Parse.Cloud.afterSave(CERTIFICATE_CLASS, async (request) => {
+  if (request.original) return;
+
+  const certificate = request.object;
+  await emitEvent(WEBHOOK_EVENTS.CERTIFICATE_CREATED, {
+    owner: certificate.get('owner'),
+    data: { certificate: serializeCertificate(certificate) }
+  });
+});
+
+/**
+ * Create Roast Certificate Cloud Function
+ * Renders the certificate artwork and CHIP-0007 metadata for a saved roast.
+ * Returns the file URIs and sha256 hashes needed to mint.
+ */
+Parse.Cloud.define('createRoastCertificate', async (request) => {
+  const { roastId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const roast = await getOwnedRoast(request.user, roastId);
+    const { certificate, created } = await createCertificate(request.user, roast);
+
+    if (created) {
+      logger.info('Roast certificate created', {
+        userId: request.user.id,
+        roastId,
+        certificateId: certificate.id,
+        number: certificate.get('number')
+      });
+    }
+
+    return {
+      success: true,
+      message: created ? 'Certificate created successfully' : 'Certificate already exists',
+      certificate: serializeCertificate(certificate)
+    };
+
+  } catch (error) {
+    logger.error('Create roast certificate failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to create certificate. Please try again.');
+  }
+});
+
+/**
+ * Mint Roast Certificate Cloud Function
+ * Submits a certificate to the chain adapter. Params: certificateId, targetAddress (optional)
+ */
+Parse.Cloud.define('mintRoastCertificate', async (request) => {
+  const { certificateId, targetAddress } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const certificate = await getOwnedCertificate(request.user, certificateId);
+    await mintCertificate(request.user, certificate, targetAddress);
+
+    logger.info('Roast certificate mint submitted', {
+      userId: request.user.id,
+      certificateId,
+      transactionId: certificate.get('transactionId')
+    });
+
+    return {
+      success: true,
+      message: 'Mint submitted',
+      certificate: serializeCertificate(certificate)
+    };
+
+  } catch (error) {
+    logger.error('Mint roast certificate failed', {
+      userId: request.user?.id,
+      certificateId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to mint certificate. Please try again.');
+  }
+});
+
+/**
+ * Get Roast Certificate Cloud Function
+ * Returns a certificate, refreshing its mint status from the chain adapter
+ */
+Parse.Cloud.define('getRoastCertificate', async (request) => {
+  const { certificateId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const certificate = await getOwnedCertificate(request.user, certificateId);
+    await refreshMintStatus(certificate);
+
+    return {
+      success: true,
+      certificate: serializeCertificate(certificate)
+    };
+
+  } catch (error) {
+    logger.error('Get roast certificate failed', {
+      userId: request.user?.id,
+      certificateId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to get certificate');
+  }
+});
+
+logger.info('Roast certificate cloud functions loaded successfully');
@@ -0,0 +1,171 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const {
+  CREDIT_TRANSACTION_CLASS,
+  CREDIT_ACCOUNT_CLASS,
+  CREDIT_USAGE_CLASS,
+  getCreditSummary
+} = require('../services/credits');
+const {
+  CREDIT_PURCHASE_CLASS,
+  PAYMENT_COIN_CLASS,
+  PURCHASE_STATUS,
+  listPackages,
+  serializePurchase,
+  createPurchase,
+  getOwnedPurchase,
+  confirmPurchase,
+  reconcilePurchases
+} = require('../services/credit_purchases');
+const { WEBHOOK_EVENTS, emitEvent } = require('../services/webhooks');
+const { defineJob } = require('../services/scheduler');
+
+// The ledger is append-only, even for cloud code
+Parse.Cloud.beforeSave(CREDIT_TRANSACTION_CLASS, async (request) => {
+  if (!request.master) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Credit transactions can only be created through cloud functions');
+  }
+  if (request.original) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Credit transactions cannot be modified');
+  }
+});
+Parse.Cloud.beforeDelete(CREDIT_TRANSACTION_CLASS, async () => {
+  throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Credit transactions cannot be deleted');
+});
+
+[CREDIT_ACCOUNT_CLASS, CREDIT_USAGE_CLASS, CREDIT_PURCHASE_CLASS, PAYMENT_COIN_CLASS].forEach((className) => {
+  Parse.Cloud.beforeSave(className, rejectClientWrites(className));
+  Parse.Cloud.beforeDelete(className, rejectClientWrites(className));
+});
+
+// Webhook event: credits.purchased once a purchase is credited
+Parse.Cloud.afterSave(CREDIT_PURCHASE_CLASS, async (request) => {
+  const purchase = request.object;
+  if (purchase.get('status') !== PURCHASE_STATUS.CREDITED) return;
+  if (request.original?.get('status') === PURCHASE_STATUS.CREDITED) return;
+
+  await emitEvent(WEBHOOK_EVENTS.CREDITS_PURCHASED, {
+    owner: purchase.get('user'),
+    data: { purchase: serializePurchase(purchase) }
+  });
+});
+
+/**
+ * Get My Credits Cloud Function
+ * Returns the current balance, today's free-roast quota and recent ledger entries
+ */
+Parse.Cloud.define('getMyCredits', async (request) => {
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const summary = await getCreditSummary(request.user);
+
+    return {
+      success: true,
+      credits: summary,
+      packages: listPackages()
+    };
+
+  } catch (error) {
+    logger.error('Get credits failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load credits');
+  }
+});
+
+/**
+ * Create Credit Purchase Cloud Function
+ * Starts an XCH purchase. Pay `amountMojos` to `paymentAddress` with `chia_send`,
+ * including `memo`, then call confirmCreditPurchase with the resulting coin ID. Payments
+ * without the memo are rejected.
+ */
+Parse.Cloud.define('createCreditPurchase', async (request) => {
+  const { packageId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const purchase = await createPurchase(request.user, packageId);
+
+    logger.info('Credit purchase created', { userId: request.user.id, purchaseId: purchase.id, packageId });
+
+    return {
+      success: true,
+      purchase: serializePurchase(purchase)
+    };
+
+  } catch (error) {
+    logger.error('Create credit purchase failed', {
+      userId: request.user?.id,
+      packageId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to start purchase. Please try again.');
+  }
+});
+
+/**
+ * Confirm Credit Purchase Cloud Function
+ * Checks the payment coin on chain; credits are granted once it has enough confirmations.
+ * Params: purchaseId, coinId (required on the first call)
+ */
+Parse.Cloud.define('confirmCreditPurchase', async (request) => {
+  const { purchaseId, coinId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const purchase = await getOwnedPurchase(request.user, purchaseId);
+    await confirmPurchase(purchase, coinId);
+
+    return {
+      success: true,
+      purchase: serializePurchase(purchase)
+    };
+
+  } catch (error) {
+    logger.error('Confirm credit purchase failed', {
+      userId: request.user?.id,
+      purchaseId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to confirm purchase. Please try again.');
+  }
+});
+
+/**
+ * Reconcile Credit Purchases Job
+ * Finishes confirming pending payments and reverses credits lost to chain reorgs. Not
+ * scheduled by default; set JOB_SCHEDULE_RECONCILE_CREDIT_PURCHASES to run it on a schedule.
+ */
+defineJob('reconcileCreditPurchases', async (request) => {
+  const stats = await reconcilePurchases();
+  request.message(`Confirmed ${stats.confirmed}, reversed ${stats.reversed}`);
+  logger.info('Credit purchases reconciled', stats);
+  return stats;
+});
+
+logger.info('Credit cloud functions loaded successfully');
@@ -0,0 +1,85 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const { SIGN_IN_NONCE_CLASS, PROVIDERS, issueSignInNonce } = require('../services/identity_providers');
+
+Parse.Cloud.beforeSave(SIGN_IN_NONCE_CLASS, rejectClientWrites(SIGN_IN_NONCE_CLASS));
+
+/**
+ * Request Sign-In Nonce Cloud Function
+ * Issues a single-use nonce for a Google or Apple sign-in request
+ */
+Parse.Cloud.define('requestSignInNonce', async (request) => {
+  try {
+    const { nonce, expiresAt } = await issueSignInNonce();
+
+    return {
+      success: true,
+      nonce,
+      expiresAt
+    };
+
+  } catch (error) {
+    logger.error('Sign-in nonce failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to start sign-in. Please try again.');
+  }
+});
+
+/**
+ * Link Sign-In Provider Cloud Function
+ * Links a Google or Apple identity to the current account. Being logged in is the proof
+ * of ownership when the provider's email matches an existing account.
+ * Params: provider ('google' | 'apple'), authData ({ id, id_token, nonce })
+ */
+Parse.Cloud.define('linkSignInProvider', async (request) => {
+  const { provider, authData } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    if (!PROVIDERS[provider]) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, `provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    if (!authData || typeof authData !== 'object') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: authData');
+    }
+
+    // The auth adapter verifies the token and redeems the nonce during save
+    const user = request.user;
+    user.set('authData', { [provider]: authData });
+    await user.save(null, { useMasterKey: true });
+
+    logger.info('Sign-in provider linked', { userId: user.id, provider });
+
+    return {
+      success: true,
+      message: `${PROVIDERS[provider].label} sign-in linked successfully`,
+      provider
+    };
+
+  } catch (error) {
+    logger.error('Link sign-in provider failed', {
+      userId: request.user?.id,
+      provider,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to link sign-in method. Please try again.');
+  }
+});
+
+logger.info('Identity provider cloud functions loaded successfully');
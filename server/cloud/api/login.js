@@ -1,11 +1,33 @@
 const logger = require('../../utils/logger');
+const { recordActivity } = require('../services/activity');
+const { rejectClientWrites } = require('../services/acl');
+const {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  assertRegistrationAllowed,
+  redeemUnlockToken,
+  purgeExpiredThrottles
+} = require('../services/throttle');
+const { THROTTLE_ENTRY_CLASS } = require('../providers/throttle_store/mongo');
+const { sendTemplate, clientLink } = require('../services/mailer');
+const { startSession, endSession } = require('../services/sessions');
+const { assertAccountActive, isDeletionPending } = require('../services/accounts');
+
+const THROTTLE_PURGE_INTERVAL_MS = 10 * 60 * 1000;
+
+// Email locale tags such as "en", "es" or "pt-BR"
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+Parse.Cloud.beforeSave(THROTTLE_ENTRY_CLASS, rejectClientWrites(THROTTLE_ENTRY_CLASS));
+Parse.Cloud.beforeDelete(THROTTLE_ENTRY_CLASS, rejectClientWrites(THROTTLE_ENTRY_CLASS));
 
 /**
  * User Registration Cloud Function
  * Creates a new user account with validation and error handling
  */
 Parse.Cloud.define('registerUser', async (request) => {
-  const { firstName, lastName, email, phone, password } = request.params;
+  const { firstName, lastName, email, phone, password, locale } = request.params;
   
   try {
     // Validate required fields
@@ -24,6 +46,13 @@ Parse.Cloud.define('registerUser', async (request) => {
       throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Password must be at least 6 characters long');
     }
 
+    if (locale !== undefined && !LOCALE_PATTERN.test(locale)) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Invalid locale');
+    }
+
+    // Counted before the existence check so the limit also slows down email probing
+    await assertRegistrationAllowed({ ip: request.ip });
+
     // Check if user already exists
     const existingUser = new Parse.Query(Parse.User);
     existingUser.equalTo('email', email.toLowerCase());
@@ -45,6 +74,10 @@ Parse.Cloud.define('registerUser', async (request) => {
     if (phone) {
       user.set('phone', phone.trim());
     }
+
+    if (locale) {
+      user.set('locale', locale);
+    }
     
     // Set additional user properties
     user.set('emailVerified', false);
@@ -54,6 +87,11 @@ Parse.Cloud.define('registerUser', async (request) => {
     
     // Save the user
     const savedUser = await user.signUp();
+
+    await startSession(savedUser.getSessionToken(), {
+      ip: request.ip,
+      userAgent: request.headers?.['user-agent']
+    });
     
     logger.info('User registered successfully', { 
       userId: savedUser.id, 
@@ -61,6 +99,25 @@ Parse.Cloud.define('registerUser', async (request) => {
       displayName: `${firstName} ${lastName}`
     });
 
+    await recordActivity({
+      user: savedUser,
+      type: 'profile.created',
+      title: 'Joined HaRaaS'
+    }).catch((activityError) => {
+      logger.warn('Failed to record registration activity', { userId: savedUser.id, error: activityError.message });
+    });
+
+    sendTemplate('welcome', {
+      to: savedUser.get('email'),
+      locale: savedUser.get('locale'),
+      data: {
+        displayName: savedUser.get('displayName'),
+        link: clientLink('/')
+      }
+    }).catch((mailError) => {
+      logger.warn('Failed to send welcome email', { userId: savedUser.id, error: mailError.message });
+    });
+
     // Return user data (excluding sensitive information)
     return {
       success: true,
@@ -73,6 +130,7 @@ Parse.Cloud.define('registerUser', async (request) => {
         lastName: savedUser.get('lastName'),
         displayName: savedUser.get('displayName'),
         phone: savedUser.get('phone'),
+        locale: savedUser.get('locale'),
         emailVerified: savedUser.get('emailVerified'),
         sessionToken: savedUser.getSessionToken()
       }
@@ -99,7 +157,7 @@ Parse.Cloud.define('registerUser', async (request) => {
  * Authenticates user and returns session information
  */
 Parse.Cloud.define('loginUser', async (request) => {
-  const { email, password, rememberMe } = request.params;
+  const { email, password, rememberMe, deviceName } = request.params;
   
   try {
     // Validate required fields
@@ -113,8 +171,32 @@ Parse.Cloud.define('loginUser', async (request) => {
       throw new Parse.Error(Parse.Error.INVALID_EMAIL_ADDRESS, 'Invalid email format');
     }
 
+    await assertLoginAllowed({ email: email.toLowerCase(), ip: request.ip });
+
     // Attempt to log in the user
-    const user = await Parse.User.logIn(email.toLowerCase(), password);
+    let user;
+    try {
+      user = await Parse.User.logIn(email.toLowerCase(), password);
+    } catch (loginError) {
+      if (loginError.code === Parse.Error.OBJECT_NOT_FOUND) {
+        await recordLoginFailure({ email: email.toLowerCase(), ip: request.ip });
+      }
+      throw loginError;
+    }
+
+    await recordLoginSuccess({ email: email.toLowerCase() });
+
+    // beforeLogin has already refused a deactivated account or cancelled its pending
+    // deletion; the user returned by logIn still shows the state from before the login
+    const accountRestored = isDeletionPending(user);
+
+    // "Remember me" picks the long server-side session lifetime
+    const session = await startSession(user.getSessionToken(), {
+      rememberMe: !!rememberMe,
+      ip: request.ip,
+      userAgent: request.headers?.['user-agent'],
+      deviceName
+    });
     
     // Update last login time
     user.set('lastLogin', new Date());
@@ -123,7 +205,8 @@ Parse.Cloud.define('loginUser', async (request) => {
     logger.info('User logged in successfully', { 
       userId: user.id, 
       email: email.toLowerCase(),
-      rememberMe: !!rememberMe
+      rememberMe: !!rememberMe,
+      accountRestored
     });
 
     // Return user data and session information
@@ -142,12 +225,15 @@ Parse.Cloud.define('loginUser', async (request) => {
         lastLogin: user.get('lastLogin'),
         sessionToken: user.getSessionToken()
       },
-      rememberMe: !!rememberMe
+      rememberMe: !!rememberMe,
+      sessionExpiresAt: session?.get('expiresAt'),
+      accountRestored
     };
 
   } catch (error) {
     logger.error('User login failed', { 
       email: email?.toLowerCase(), 
+      ip: request.ip,
       error: error.message 
     });
     
@@ -165,9 +251,44 @@ Parse.Cloud.define('loginUser', async (request) => {
   }
 });
 
+/**
+ * Unlock Account Cloud Function
+ * Lifts a brute-force lockout using the token from the unlock email
+ */
+Parse.Cloud.define('unlockAccount', async (request) => {
+  const { token } = request.params;
+
+  try {
+    if (!token || typeof token !== 'string') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: token');
+    }
+
+    const email = await redeemUnlockToken(token);
+    if (!email) {
+      throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'This unlock link is invalid or has expired');
+    }
+
+    logger.info('Account unlocked via email link', { email });
+
+    return {
+      success: true,
+      message: 'Your account is unlocked. You can log in again.'
+    };
+
+  } catch (error) {
+    logger.error('Account unlock failed', { error: error.message });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Account unlock failed. Please try again.');
+  }
+});
+
 /**
  * Logout User Cloud Function
- * Logs out the current user and invalidates session
+ * Logs out the current user and destroys the current session
  */
 Parse.Cloud.define('logoutUser', async (request) => {
   try {
@@ -178,11 +299,10 @@ Parse.Cloud.define('logoutUser', async (request) => {
     const userId = request.user.id;
     const email = request.user.get('email');
     
-    // Log the logout attempt
-    logger.info('User logout initiated', { userId, email });
-    
-    // Parse handles session invalidation automatically when using Parse.User.logOut()
-    // But since we're in a cloud function, we'll return success and let the client handle logout
+    // Destroy the session so the token stops working even if it was copied
+    await endSession(request.user.getSessionToken());
+
+    logger.info('User logged out', { userId, email });
     
     return {
       success: true,
@@ -217,6 +337,8 @@ Parse.Cloud.define('getCurrentUser', async (request) => {
     
     // Fetch fresh user data
     await user.fetch({ useMasterKey: true });
+
+    assertAccountActive(user);
     
     return {
       success: true,
@@ -228,10 +350,13 @@ Parse.Cloud.define('getCurrentUser', async (request) => {
         lastName: user.get('lastName'),
         displayName: user.get('displayName'),
         phone: user.get('phone'),
+        locale: user.get('locale'),
         emailVerified: user.get('emailVerified'),
         lastLogin: user.get('lastLogin'),
         registrationDate: user.get('registrationDate'),
-        isActive: user.get('isActive')
+        isActive: user.get('isActive'),
+        walletAddress: user.get('authData')?.chia?.id || null,
+        signInProviders: ['google', 'apple'].filter((provider) => !!user.get('authData')?.[provider])
       }
     };
 
@@ -254,7 +379,7 @@ Parse.Cloud.define('getCurrentUser', async (request) => {
  * Updates user profile information
  */
 Parse.Cloud.define('updateUserProfile', async (request) => {
-  const { firstName, lastName, phone } = request.params;
+  const { firstName, lastName, phone, locale } = request.params;
   
   try {
     if (!request.user) {
@@ -275,6 +400,13 @@ Parse.Cloud.define('updateUserProfile', async (request) => {
     if (phone !== undefined) {
       user.set('phone', phone.trim());
     }
+
+    if (locale !== undefined) {
+      if (!LOCALE_PATTERN.test(locale)) {
+        throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Invalid locale');
+      }
+      user.set('locale', locale);
+    }
     
     // Update display name if first or last name changed
     if (firstName !== undefined || lastName !== undefined) {
@@ -291,6 +423,17 @@ Parse.Cloud.define('updateUserProfile', async (request) => {
       email: user.get('email')
     });
 
+    await recordActivity({
+      user,
+      type: 'profile.updated',
+      title: 'Profile updated',
+      data: {
+        fields: ['firstName', 'lastName', 'phone', 'locale'].filter((field) => request.params[field] !== undefined)
+      }
+    }).catch((activityError) => {
+      logger.warn('Failed to record profile activity', { userId: user.id, error: activityError.message });
+    });
+
     return {
       success: true,
       message: 'Profile updated successfully',
@@ -302,6 +445,7 @@ Parse.Cloud.define('updateUserProfile', async (request) => {
         lastName: savedUser.get('lastName'),
         displayName: savedUser.get('displayName'),
         phone: savedUser.get('phone'),
+        locale: savedUser.get('locale'),
         emailVerified: savedUser.get('emailVerified')
       }
     };
@@ -320,4 +464,11 @@ Parse.Cloud.define('updateUserProfile', async (request) => {
   }
 });
 
+// Drop expired throttle counters and locks
+setInterval(() => {
+  purgeExpiredThrottles().catch((error) => {
+    logger.error('Throttle purge failed', { error: error.message });
+  });
+}, THROTTLE_PURGE_INTERVAL_MS).unref();
+
 logger.info('Login API cloud functions loaded successfully');
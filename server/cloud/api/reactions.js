@@ -0,0 +1,239 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const { ROAST_CLASS } = require('../services/roasts');
+const {
+  REACTION_CLASS,
+  REACTION_TYPES,
+  parseEmoji,
+  parseRating,
+  getReactableRoast,
+  getReactedRoast,
+  setReaction,
+  removeReaction,
+  afterSaveReaction,
+  afterDeleteReaction,
+  findUserReactions,
+  summarizeReactions,
+  recomputeTrendingScores
+} = require('../services/reactions');
+const { listTrendingRoasts, listTopRoasts, serializeFeedRoast } = require('../services/roast_feed');
+const { defineJob } = require('../services/scheduler');
+
+// Reactions are written by cloud code only; the triggers keep the roast's counters in step
+Parse.Cloud.beforeSave(REACTION_CLASS, rejectClientWrites(REACTION_CLASS));
+Parse.Cloud.beforeDelete(REACTION_CLASS, rejectClientWrites(REACTION_CLASS));
+Parse.Cloud.afterSave(REACTION_CLASS, afterSaveReaction);
+Parse.Cloud.afterDelete(REACTION_CLASS, afterDeleteReaction);
+
+// Live reaction counts: signed-in clients subscribe to the public roasts they show
+Parse.Cloud.beforeSubscribe(ROAST_CLASS, async (request) => {
+  if (!request.user) {
+    throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+  }
+});
+
+const reactionResult = async (user, roast) => {
+  await roast.fetch({ useMasterKey: true });
+  const mine = await findUserReactions(user, [roast]);
+  return {
+    success: true,
+    roastId: roast.id,
+    ...summarizeReactions(roast),
+    mine: mine[roast.id] || { emoji: null, rating: null }
+  };
+};
+
+/**
+ * React To Roast Cloud Function
+ * Sets the current user's emoji reaction on a public roast, replacing their previous one.
+ * Params: roastId, emoji (a key such as `fire` or the emoji itself)
+ */
+Parse.Cloud.define('reactToRoast', async (request) => {
+  const { roastId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const emoji = parseEmoji(request.params.emoji);
+    const roast = await getReactableRoast(roastId);
+
+    await setReaction(request.user, roast, REACTION_TYPES.EMOJI, emoji);
+
+    return reactionResult(request.user, roast);
+
+  } catch (error) {
+    logger.error('React to roast failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to save your reaction. Please try again.');
+  }
+});
+
+/**
+ * Rate Roast Cloud Function
+ * Sets the current user's 1-5 burn rating on a public roast, replacing their previous one.
+ * Owners cannot rate their own roasts.
+ */
+Parse.Cloud.define('rateRoast', async (request) => {
+  const { roastId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const rating = parseRating(request.params.rating);
+    const roast = await getReactableRoast(roastId);
+
+    if (roast.get('owner')?.id === request.user.id) {
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'You cannot rate your own roast');
+    }
+
+    await setReaction(request.user, roast, REACTION_TYPES.RATING, rating);
+
+    return reactionResult(request.user, roast);
+
+  } catch (error) {
+    logger.error('Rate roast failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to save your rating. Please try again.');
+  }
+});
+
+/**
+ * Remove Roast Reaction Cloud Function
+ * Takes back the current user's emoji (`type: 'emoji'`) or rating (`type: 'rating'`), also
+ * on a roast that has since been made private or hidden
+ */
+Parse.Cloud.define('removeRoastReaction', async (request) => {
+  const { roastId, type } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    if (!Object.values(REACTION_TYPES).includes(type)) {
+      throw new Parse.Error(
+        Parse.Error.INVALID_QUERY,
+        `Invalid type. Expected one of: ${Object.values(REACTION_TYPES).join(', ')}`
+      );
+    }
+
+    const roast = await getReactedRoast(request.user, roastId);
+    await removeReaction(request.user, roast, type);
+
+    return reactionResult(request.user, roast);
+
+  } catch (error) {
+    logger.error('Remove roast reaction failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to remove your reaction. Please try again.');
+  }
+});
+
+/**
+ * Get Trending Roasts Cloud Function
+ * Public roasts ranked by engagement with newer roasts favoured.
+ * Params: limit, cursor (from the previous page's nextCursor)
+ */
+Parse.Cloud.define('getTrendingRoasts', async (request) => {
+  const { limit, cursor } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const page = await listTrendingRoasts({ cursor, limit });
+    const mine = await findUserReactions(request.user, page.roasts);
+
+    return {
+      success: true,
+      roasts: page.roasts.map((roast) => serializeFeedRoast(roast, mine[roast.id])),
+      nextCursor: page.nextCursor
+    };
+
+  } catch (error) {
+    logger.error('Get trending roasts failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load trending roasts. Please try again.');
+  }
+});
+
+/**
+ * Get Top Roasts Cloud Function
+ * The most engaging public roasts published in the last `window`: day, week (default) or all
+ */
+Parse.Cloud.define('getTopRoasts', async (request) => {
+  const { window, limit } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const roasts = await listTopRoasts({ window, limit });
+    const mine = await findUserReactions(request.user, roasts);
+
+    return {
+      success: true,
+      window: window || 'week',
+      roasts: roasts.map((roast) => serializeFeedRoast(roast, mine[roast.id]))
+    };
+
+  } catch (error) {
+    logger.error('Get top roasts failed', {
+      userId: request.user?.id,
+      window,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load top roasts. Please try again.');
+  }
+});
+
+// Repair reaction counters and trending scores of recent roasts, hourly
+defineJob('recomputeTrendingScores', async (request) => {
+  const stats = await recomputeTrendingScores();
+  request.message(`Checked ${stats.checked} roasts, corrected ${stats.corrected}`);
+  return stats;
+}, { schedule: '45 * * * *' });
+
+logger.info('Reaction cloud functions loaded successfully');
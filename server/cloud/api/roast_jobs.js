@@ -0,0 +1,143 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const { defineJob } = require('../services/scheduler');
+const { validateRoastInput } = require('../services/roast_generator');
+const { resolveRoastStyle } = require('../services/roast_styles');
+const { assertRoasteeNotOptedOut } = require('../services/roastee_consent');
+const {
+  ROAST_JOB_CLASS,
+  startRoastJob,
+  getOwnedJob,
+  cancelJob,
+  reapStaleJobs,
+  serializeJob
+} = require('../services/roast_jobs');
+
+Parse.Cloud.beforeSave(ROAST_JOB_CLASS, rejectClientWrites(ROAST_JOB_CLASS));
+Parse.Cloud.beforeDelete(ROAST_JOB_CLASS, rejectClientWrites(ROAST_JOB_CLASS));
+
+/**
+ * Create Roast Job Cloud Function
+ * Queues roast generation in the background. Subscribe to the returned RoastJob
+ * over LiveQuery to follow its status and progress. Pass `notifyByEmail: true`
+ * to also get an email when the roast is ready.
+ */
+Parse.Cloud.define('createRoastJob', async (request) => {
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const { input, style } = await resolveRoastStyle(validateRoastInput(request.params));
+    await assertRoasteeNotOptedOut(input.name);
+    const job = await startRoastJob(request.user, input, {
+      style,
+      notifyByEmail: request.params.notifyByEmail === true
+    });
+
+    logger.info('Roast job queued', { userId: request.user.id, jobId: job.id });
+
+    return {
+      success: true,
+      job: serializeJob(job)
+    };
+
+  } catch (error) {
+    logger.error('Create roast job failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to start roast generation. Please try again.');
+  }
+});
+
+/**
+ * Get Roast Job Cloud Function
+ * Polling fallback for clients without a LiveQuery connection
+ */
+Parse.Cloud.define('getRoastJob', async (request) => {
+  const { jobId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    let job = await getOwnedJob(request.user, jobId);
+
+    // Resolve abandoned jobs on read so the client never waits on a dead dyno
+    if (job.get('expiresAt') < new Date() && await reapStaleJobs() > 0) {
+      job = await getOwnedJob(request.user, jobId);
+    }
+
+    return {
+      success: true,
+      job: serializeJob(job)
+    };
+
+  } catch (error) {
+    logger.error('Get roast job failed', {
+      userId: request.user?.id,
+      jobId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to get roast job');
+  }
+});
+
+/**
+ * Cancel Roast Job Cloud Function
+ * Stops a queued or running roast generation (backs the "Cancel Generation" button)
+ */
+Parse.Cloud.define('cancelRoastJob', async (request) => {
+  const { jobId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const job = await getOwnedJob(request.user, jobId);
+    const cancelled = await cancelJob(job);
+
+    logger.info('Roast job cancel requested', { userId: request.user.id, jobId, cancelled });
+
+    return {
+      success: true,
+      message: cancelled ? 'Roast generation cancelled' : 'Roast generation already finished',
+      job: serializeJob(job)
+    };
+
+  } catch (error) {
+    logger.error('Cancel roast job failed', {
+      userId: request.user?.id,
+      jobId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to cancel roast generation. Please try again.');
+  }
+});
+
+// Fail jobs left behind by crashed or restarted dynos, every minute
+defineJob('reapStaleRoastJobs', async (request) => {
+  const reaped = await reapStaleJobs();
+  request.message(`Reaped ${reaped} stale roast jobs`);
+  return { reaped };
+}, { schedule: '* * * * *', lockTtlMs: 5 * 60 * 1000 });
+
+logger.info('Roast job cloud functions loaded successfully');
@@ -0,0 +1,230 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const { ROLES, requireRole } = require('../services/roles');
+const { requireReason, recordAudit } = require('../services/audit');
+const {
+  ROAST_STYLE_CLASS,
+  ROAST_STYLE_TEMPLATE_CLASS,
+  TEMPLATE_PLACEHOLDERS,
+  beforeSaveRoastStyle,
+  afterSaveRoastStyle,
+  findStyle,
+  listRoastStyles,
+  listStyleTemplates,
+  serializeRoastStyle,
+  serializeRoastStyleForAdmin,
+  serializeStyleTemplate
+} = require('../services/roast_styles');
+
+// Settings an admin may change; `key` identifies the style and cannot change
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'system',
+  'prompt',
+  'minTemperature',
+  'maxTemperature',
+  'defaultTemperature',
+  'targetWords',
+  'languages',
+  'active',
+  'sortOrder'
+];
+
+// Styles are validated and versioned on every save, including edits made in Parse Dashboard
+Parse.Cloud.beforeSave(ROAST_STYLE_CLASS, beforeSaveRoastStyle);
+Parse.Cloud.afterSave(ROAST_STYLE_CLASS, afterSaveRoastStyle);
+Parse.Cloud.beforeDelete(ROAST_STYLE_CLASS, async () => {
+  throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Roast styles cannot be deleted; set active to false instead');
+});
+
+// Template versions are an append-only record
+Parse.Cloud.beforeSave(ROAST_STYLE_TEMPLATE_CLASS, async (request) => {
+  await rejectClientWrites(ROAST_STYLE_TEMPLATE_CLASS)(request);
+  if (request.original) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Roast style template versions cannot be changed');
+  }
+});
+Parse.Cloud.beforeDelete(ROAST_STYLE_TEMPLATE_CLASS, async () => {
+  throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Roast style template versions cannot be deleted');
+});
+
+/**
+ * List Roast Styles Cloud Function
+ * The styles offered by the generator, in display order, with their intensity range,
+ * target length and languages. Pass one as `style` (with `language`) to generateRoast
+ * or createRoastJob.
+ */
+Parse.Cloud.define('listRoastStyles', async (request) => {
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const styles = await listRoastStyles();
+
+    return {
+      success: true,
+      styles: styles.map(serializeRoastStyle)
+    };
+
+  } catch (error) {
+    logger.error('List roast styles failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load roast styles. Please try again.');
+  }
+});
+
+/**
+ * Admin List Roast Styles Cloud Function (admin)
+ * Every style, inactive ones included, with its current template and the placeholders
+ * templates may use
+ */
+Parse.Cloud.define('adminListRoastStyles', async (request) => {
+  try {
+    await requireRole(request.user, ROLES.ADMIN);
+
+    const styles = await listRoastStyles({ includeInactive: true });
+
+    return {
+      success: true,
+      styles: styles.map(serializeRoastStyleForAdmin),
+      placeholders: TEMPLATE_PLACEHOLDERS
+    };
+
+  } catch (error) {
+    logger.error('Admin list roast styles failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load roast styles. Please try again.');
+  }
+});
+
+/**
+ * Admin Get Roast Style Versions Cloud Function (admin)
+ * The stored template versions of one style, newest first
+ */
+Parse.Cloud.define('adminGetRoastStyleVersions', async (request) => {
+  const { key } = request.params;
+
+  try {
+    await requireRole(request.user, ROLES.ADMIN);
+
+    if (!key || typeof key !== 'string') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: key');
+    }
+
+    const templates = await listStyleTemplates(key);
+
+    return {
+      success: true,
+      key,
+      versions: templates.map(serializeStyleTemplate)
+    };
+
+  } catch (error) {
+    logger.error('Admin get roast style versions failed', {
+      userId: request.user?.id,
+      key,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load style versions. Please try again.');
+  }
+});
+
+/**
+ * Admin Save Roast Style Cloud Function (admin)
+ * Creates the style `key` or updates the given fields of an existing one. A change to
+ * `system` or `prompt` creates a new template version; roasts already written keep
+ * pointing at the version they used. Deactivate a style with `active: false`.
+ */
+Parse.Cloud.define('adminSaveRoastStyle', async (request) => {
+  const { key } = request.params;
+
+  try {
+    const actorRoles = await requireRole(request.user, ROLES.ADMIN);
+    const reason = requireReason(request.params.reason);
+
+    if (!key || typeof key !== 'string') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: key');
+    }
+
+    const existing = await findStyle(key);
+    const style = existing || new Parse.Object(ROAST_STYLE_CLASS);
+    const previousVersion = existing?.get('version') || 0;
+
+    if (!existing) {
+      style.set('key', key);
+      style.setACL(new Parse.ACL());
+    }
+
+    const changed = EDITABLE_FIELDS.filter((field) => request.params[field] !== undefined);
+    if (existing && changed.length === 0) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, `Nothing to change. Editable fields: ${EDITABLE_FIELDS.join(', ')}`);
+    }
+    changed.forEach((field) => style.set(field, request.params[field]));
+
+    // Validation errors from the beforeSave trigger reach the caller unchanged
+    await style.save(null, { useMasterKey: true, context: { editedBy: request.user.id } }).catch((error) => {
+      // Another admin created the key since it was looked up
+      if (error.code === Parse.Error.DUPLICATE_VALUE) {
+        throw new Parse.Error(Parse.Error.DUPLICATE_VALUE, `A style with key "${key}" already exists`);
+      }
+      throw error;
+    });
+
+    await recordAudit({
+      actor: request.user,
+      roles: actorRoles,
+      action: existing ? 'roast_style.update' : 'roast_style.create',
+      target: style,
+      reason,
+      details: {
+        key,
+        fields: changed,
+        version: style.get('version'),
+        previousVersion
+      },
+      ip: request.ip
+    });
+
+    return {
+      success: true,
+      message: existing ? 'Roast style updated' : 'Roast style created',
+      style: serializeRoastStyleForAdmin(style)
+    };
+
+  } catch (error) {
+    logger.error('Admin save roast style failed', {
+      userId: request.user?.id,
+      key,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to save the roast style. Please try again.');
+  }
+});
+
+logger.info('Roast style cloud functions loaded successfully');
@@ -0,0 +1,188 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const { getOwnedRoast, serializeRoast } = require('../services/roasts');
+const {
+  ROAST_CONSENT_CLASS,
+  ROAST_OPT_OUT_CLASS,
+  CONSENT_INVITE_DAYS,
+  parseContact,
+  requestRoastConsent,
+  getConsentInvite,
+  respondToConsentInvite,
+  requestOptOut,
+  confirmOptOut,
+  serializeConsentInvite
+} = require('../services/roastee_consent');
+
+// Invitations and the opt-out registry are written by cloud code only
+[ROAST_CONSENT_CLASS, ROAST_OPT_OUT_CLASS].forEach((className) => {
+  Parse.Cloud.beforeSave(className, rejectClientWrites(className));
+  Parse.Cloud.beforeDelete(className, rejectClientWrites(className));
+});
+
+/**
+ * Request Roast Consent Cloud Function
+ * Sends the roastee of one of the user's roasts a link to approve or decline it.
+ * Params: roastId, and the roastee's email or phone (international format).
+ * The roast is private until the roastee approves.
+ */
+Parse.Cloud.define('requestRoastConsent', async (request) => {
+  const { roastId, email, phone } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const contact = parseContact({ email, phone });
+    if (!contact) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: email or phone');
+    }
+
+    const roast = await getOwnedRoast(request.user, roastId);
+    const invite = await requestRoastConsent(request.user, roast, contact);
+
+    return {
+      success: true,
+      message: `Invitation sent. The roastee has ${CONSENT_INVITE_DAYS} days to answer.`,
+      expiresAt: invite.get('expiresAt'),
+      roast: serializeRoast(roast)
+    };
+
+  } catch (error) {
+    logger.error('Request roast consent failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to send the invitation. Please try again.');
+  }
+});
+
+/**
+ * Get Roast Consent Invite Cloud Function
+ * Backs the page the roastee's link opens; no account needed
+ */
+Parse.Cloud.define('getRoastConsentInvite', async (request) => {
+  const { token } = request.params;
+
+  try {
+    if (!token || typeof token !== 'string') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: token');
+    }
+
+    const invite = await getConsentInvite(token);
+
+    return {
+      success: true,
+      invite: serializeConsentInvite(invite)
+    };
+
+  } catch (error) {
+    logger.error('Get roast consent invite failed', { error: error.message });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load the invitation. Please try again.');
+  }
+});
+
+/**
+ * Respond To Roast Consent Cloud Function
+ * Params: token, decision ('approve' or 'decline'), and optOut to also never be roasted by
+ * name again. No account needed.
+ */
+Parse.Cloud.define('respondToRoastConsent', async (request) => {
+  const { token, decision, optOut } = request.params;
+
+  try {
+    if (!token || typeof token !== 'string') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: token');
+    }
+
+    const invite = await respondToConsentInvite(await getConsentInvite(token), { decision, optOut: optOut === true });
+
+    return {
+      success: true,
+      message: decision === 'approve'
+        ? 'Thanks! The roast can now be shared.'
+        : 'Got it. The roast will not be shared.',
+      invite: serializeConsentInvite(invite)
+    };
+
+  } catch (error) {
+    logger.error('Respond to roast consent failed', { decision, error: error.message });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to record your answer. Please try again.');
+  }
+});
+
+/**
+ * Request Roast Opt-Out Cloud Function
+ * Anyone may ask never to be roasted by name. Params: name, and an email or phone number
+ * that receives a confirmation link; nothing changes until it is opened.
+ */
+Parse.Cloud.define('requestRoastOptOut', async (request) => {
+  const { name, email, phone } = request.params;
+
+  try {
+    await requestOptOut({ name, contact: parseContact({ email, phone }), ip: request.ip });
+
+    return {
+      success: true,
+      message: 'Check your messages for a link to confirm.'
+    };
+
+  } catch (error) {
+    logger.error('Request roast opt-out failed', { error: error.message });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to send the confirmation link. Please try again.');
+  }
+});
+
+/**
+ * Confirm Roast Opt-Out Cloud Function
+ * Adds the name and address from the confirmation link to the opt-out registry
+ */
+Parse.Cloud.define('confirmRoastOptOut', async (request) => {
+  const { token } = request.params;
+
+  try {
+    if (!token || typeof token !== 'string') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: token');
+    }
+
+    await confirmOptOut(token);
+
+    return {
+      success: true,
+      message: 'Done. Nobody can roast you by this name any more.'
+    };
+
+  } catch (error) {
+    logger.error('Confirm roast opt-out failed', { error: error.message });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to confirm. Please try again.');
+  }
+});
+
+logger.info('Roastee consent cloud functions loaded successfully');
@@ -0,0 +1,213 @@
+const logger = require('../../utils/logger');
+const { recordActivity, listActivities, removeActivitiesFor } = require('../services/activity');
+const {
+  ROAST_CLASS,
+  ROAST_STATUS,
+  ROAST_VISIBILITY,
+  MAX_TITLE_LENGTH,
+  getOwnedRoast,
+  getRoastVisibility,
+  serializeRoast
+} = require('../services/roasts');
+const { removeShareLinksFor } = require('../services/share_links');
+const { removeReactionsFor } = require('../services/reactions');
+const { removeConsentInvitesFor } = require('../services/roastee_consent');
+const { rejectClientWrites } = require('../services/acl');
+const { WEBHOOK_EVENTS, emitEvent } = require('../services/webhooks');
+
+// Roast and activity classes are written by cloud code only
+Parse.Cloud.beforeSave(ROAST_CLASS, rejectClientWrites(ROAST_CLASS));
+Parse.Cloud.beforeDelete(ROAST_CLASS, rejectClientWrites(ROAST_CLASS));
+Parse.Cloud.beforeSave('Activity', rejectClientWrites('Activity'));
+
+// Webhook events: roast.created for new roasts, roast.shared when a roast is made public
+Parse.Cloud.afterSave(ROAST_CLASS, async (request) => {
+  const roast = request.object;
+
+  if (!request.original) {
+    await emitEvent(WEBHOOK_EVENTS.ROAST_CREATED, { owner: roast.get('owner'), data: { roast: serializeRoast(roast) } });
+    return;
+  }
+
+  const visibility = getRoastVisibility(roast);
+  if (visibility === ROAST_VISIBILITY.PUBLIC && getRoastVisibility(request.original) !== visibility) {
+    await emitEvent(WEBHOOK_EVENTS.ROAST_SHARED, {
+      owner: roast.get('owner'),
+      data: { roast: serializeRoast(roast), visibility, shareLink: null }
+    });
+  }
+});
+
+/**
+ * Save Roast Cloud Function
+ * Keeps a generated roast in the user's history (backs the "Save Roast" button)
+ */
+Parse.Cloud.define('saveRoast', async (request) => {
+  const { roastId, title } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length > MAX_TITLE_LENGTH)) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, `Title must be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+
+    const roast = await getOwnedRoast(request.user, roastId);
+    const firstSave = roast.get('status') !== ROAST_STATUS.SAVED;
+
+    roast.set('title', (title && title.trim()) || roast.get('title') || `Roast of ${roast.get('name')}`);
+
+    if (firstSave) {
+      roast.set('status', ROAST_STATUS.SAVED);
+      roast.set('savedAt', new Date());
+    }
+
+    await roast.save(null, { useMasterKey: true });
+
+    if (firstSave) {
+      await recordActivity({
+        user: request.user,
+        type: 'roast.created',
+        title: roast.get('title'),
+        subject: roast
+      });
+    }
+
+    logger.info('Roast saved', { userId: request.user.id, roastId: roast.id });
+
+    return {
+      success: true,
+      message: 'Roast saved successfully',
+      roast: serializeRoast(roast)
+    };
+
+  } catch (error) {
+    logger.error('Save roast failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to save roast. Please try again.');
+  }
+});
+
+/**
+ * Get Roast Cloud Function
+ * Returns a single roast owned by the current user
+ */
+Parse.Cloud.define('getRoast', async (request) => {
+  const { roastId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const roast = await getOwnedRoast(request.user, roastId);
+
+    return {
+      success: true,
+      roast: serializeRoast(roast)
+    };
+
+  } catch (error) {
+    logger.error('Get roast failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to get roast');
+  }
+});
+
+/**
+ * Delete Roast Cloud Function
+ * Deletes a roast owned by the current user along with its activity entries, share links,
+ * reactions and consent invitations
+ */
+Parse.Cloud.define('deleteRoast', async (request) => {
+  const { roastId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const roast = await getOwnedRoast(request.user, roastId);
+
+    await removeActivitiesFor(roast);
+    await removeShareLinksFor(roast);
+    await removeReactionsFor(roast);
+    await removeConsentInvitesFor(roast);
+    await roast.destroy({ useMasterKey: true });
+
+    logger.info('Roast deleted', { userId: request.user.id, roastId });
+
+    return {
+      success: true,
+      message: 'Roast deleted successfully'
+    };
+
+  } catch (error) {
+    logger.error('Delete roast failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to delete roast. Please try again.');
+  }
+});
+
+/**
+ * List My Activity Cloud Function
+ * Returns the current user's activity feed (roasts, certificates, profile events), newest first.
+ * Params: type ('all' | 'roasts' | 'nfts'), limit, cursor (from the previous page's nextCursor)
+ */
+Parse.Cloud.define('listMyActivity', async (request) => {
+  const { type, limit, cursor } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const page = await listActivities(request.user, { type, limit, cursor });
+
+    return {
+      success: true,
+      activities: page.activities,
+      nextCursor: page.nextCursor
+    };
+
+  } catch (error) {
+    logger.error('List activity failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load activity');
+  }
+});
+
+logger.info('Roast history cloud functions loaded successfully');
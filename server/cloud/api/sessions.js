@@ -0,0 +1,177 @@
+const logger = require('../../utils/logger');
+const {
+  listSessions,
+  serializeSession,
+  revokeSession,
+  revokeAllSessions,
+  purgeExpiredSessions
+} = require('../services/sessions');
+const { defineJob } = require('../services/scheduler');
+const { verifyCurrentPassword } = require('../services/accounts');
+
+/**
+ * List My Sessions Cloud Function
+ * Returns the user's active sessions with device, IP and last seen time
+ */
+Parse.Cloud.define('listMySessions', async (request) => {
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const currentToken = request.user.getSessionToken();
+    const sessions = await listSessions(request.user);
+
+    return {
+      success: true,
+      sessions: sessions.map((session) => serializeSession(session, currentToken))
+    };
+
+  } catch (error) {
+    logger.error('List sessions failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load sessions. Please try again.');
+  }
+});
+
+/**
+ * Revoke Session Cloud Function
+ * Signs one of the user's devices out
+ */
+Parse.Cloud.define('revokeSession', async (request) => {
+  const { sessionId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    if (!sessionId || typeof sessionId !== 'string') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: sessionId');
+    }
+
+    await revokeSession(request.user, sessionId);
+
+    logger.info('Session revoked', { userId: request.user.id, sessionId });
+
+    return {
+      success: true,
+      message: 'Session revoked'
+    };
+
+  } catch (error) {
+    logger.error('Revoke session failed', {
+      userId: request.user?.id,
+      sessionId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to revoke session. Please try again.');
+  }
+});
+
+/**
+ * Revoke Other Sessions Cloud Function
+ * Signs every other device out and keeps the current session
+ */
+Parse.Cloud.define('revokeOtherSessions', async (request) => {
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const revoked = await revokeAllSessions(request.user, {
+      exceptToken: request.user.getSessionToken()
+    });
+
+    logger.info('Other sessions revoked', { userId: request.user.id, revoked });
+
+    return {
+      success: true,
+      message: revoked === 1 ? '1 other session revoked' : `${revoked} other sessions revoked`,
+      revoked
+    };
+
+  } catch (error) {
+    logger.error('Revoke other sessions failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to revoke sessions. Please try again.');
+  }
+});
+
+/**
+ * Change Password Cloud Function
+ * Verifies the current password, sets the new one and revokes every session,
+ * including the current one; the client has to log in again
+ */
+Parse.Cloud.define('changePassword', async (request) => {
+  const { currentPassword, newPassword } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    if (!currentPassword || !newPassword) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required fields: currentPassword, newPassword');
+    }
+
+    if (newPassword.length < 6) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Password must be at least 6 characters long');
+    }
+
+    const user = request.user;
+    await verifyCurrentPassword(user, currentPassword, { ip: request.ip });
+
+    user.set('password', newPassword);
+    await user.save(null, { useMasterKey: true });
+
+    const revoked = await revokeAllSessions(user);
+
+    logger.info('Password changed', { userId: user.id, revokedSessions: revoked });
+
+    return {
+      success: true,
+      message: 'Password changed. Please log in again.'
+    };
+
+  } catch (error) {
+    logger.error('Change password failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Password change failed. Please try again.');
+  }
+});
+
+// Delete expired sessions, every 15 minutes
+defineJob('purgeExpiredSessions', async (request) => {
+  const removed = await purgeExpiredSessions();
+  request.message(`Removed ${removed} expired sessions`);
+  return { removed };
+}, { schedule: '*/15 * * * *' });
+
+logger.info('Session cloud functions loaded successfully');
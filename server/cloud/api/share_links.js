@@ -0,0 +1,199 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const {
+  ROAST_VISIBILITY,
+  getOwnedRoast,
+  getRoastVisibility,
+  isRoastHidden,
+  setRoastVisibility,
+  serializeRoast
+} = require('../services/roasts');
+const {
+  SHARE_LINK_CLASS,
+  createShareLink,
+  listShareLinks,
+  getOwnedShareLink,
+  revokeShareLink,
+  purgeExpiredShareLinks,
+  serializeShareLink
+} = require('../services/share_links');
+const { defineJob } = require('../services/scheduler');
+const { WEBHOOK_EVENTS, emitEvent } = require('../services/webhooks');
+
+// Share links are created, counted and revoked by cloud code only
+Parse.Cloud.beforeSave(SHARE_LINK_CLASS, rejectClientWrites(SHARE_LINK_CLASS));
+Parse.Cloud.beforeDelete(SHARE_LINK_CLASS, rejectClientWrites(SHARE_LINK_CLASS));
+
+// Webhook event: roast.shared for every new share link
+Parse.Cloud.afterSave(SHARE_LINK_CLASS, async (request) => {
+  if (request.original) return;
+
+  const link = request.object;
+  const roast = await link.get('roast').fetch({ useMasterKey: true }).catch(() => null);
+  if (!roast) return;
+
+  await emitEvent(WEBHOOK_EVENTS.ROAST_SHARED, {
+    owner: link.get('owner'),
+    data: { roast: serializeRoast(roast), visibility: getRoastVisibility(roast), shareLink: serializeShareLink(link) }
+  });
+});
+
+/**
+ * Set Roast Visibility Cloud Function
+ * `private` turns off every share link of the roast without revoking them; `unlisted`
+ * and `public` turn them back on.
+ */
+Parse.Cloud.define('setRoastVisibility', async (request) => {
+  const { roastId, visibility } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const roast = await getOwnedRoast(request.user, roastId);
+    if (visibility !== ROAST_VISIBILITY.PRIVATE && isRoastHidden(roast)) {
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This roast has been hidden by a moderator and cannot be shared');
+    }
+
+    await setRoastVisibility(roast, visibility);
+
+    logger.info('Roast visibility changed', { userId: request.user.id, roastId, visibility });
+
+    return {
+      success: true,
+      roast: serializeRoast(roast)
+    };
+
+  } catch (error) {
+    logger.error('Set roast visibility failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to change roast visibility. Please try again.');
+  }
+});
+
+/**
+ * Create Share Link Cloud Function
+ * Issues a new /r/:slug link for a saved roast, optionally expiring after `expiresInDays`.
+ * A private roast becomes unlisted so the link works.
+ */
+Parse.Cloud.define('createShareLink', async (request) => {
+  const { roastId, expiresInDays } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const roast = await getOwnedRoast(request.user, roastId);
+    const link = await createShareLink(request.user, roast, { expiresInDays });
+
+    return {
+      success: true,
+      link: serializeShareLink(link),
+      roast: serializeRoast(roast)
+    };
+
+  } catch (error) {
+    logger.error('Create share link failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to create the share link. Please try again.');
+  }
+});
+
+/**
+ * List Share Links Cloud Function
+ * Every link of one roast, newest first, with its view counts
+ */
+Parse.Cloud.define('listShareLinks', async (request) => {
+  const { roastId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const roast = await getOwnedRoast(request.user, roastId);
+    const links = await listShareLinks(roast);
+
+    return {
+      success: true,
+      visibility: getRoastVisibility(roast),
+      links: links.map(serializeShareLink)
+    };
+
+  } catch (error) {
+    logger.error('List share links failed', {
+      userId: request.user?.id,
+      roastId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load share links. Please try again.');
+  }
+});
+
+/**
+ * Revoke Share Link Cloud Function
+ * The link stops working at once; revoking is permanent
+ */
+Parse.Cloud.define('revokeShareLink', async (request) => {
+  const { linkId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const link = await revokeShareLink(await getOwnedShareLink(request.user, linkId));
+
+    logger.info('Share link revoked', { userId: request.user.id, linkId });
+
+    return {
+      success: true,
+      link: serializeShareLink(link)
+    };
+
+  } catch (error) {
+    logger.error('Revoke share link failed', {
+      userId: request.user?.id,
+      linkId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to revoke the share link. Please try again.');
+  }
+});
+
+// Delete links long past their expiry, daily
+defineJob('purgeExpiredShareLinks', async (request) => {
+  const removed = await purgeExpiredShareLinks();
+  request.message(`Removed ${removed} expired share links`);
+  return { removed };
+}, { schedule: '30 3 * * *' });
+
+logger.info('Share link cloud functions loaded successfully');
@@ -0,0 +1,137 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const { WALLET_CHALLENGE_CLASS, issueChallenge } = require('../services/wallet_challenges');
+
+Parse.Cloud.beforeSave(WALLET_CHALLENGE_CLASS, rejectClientWrites(WALLET_CHALLENGE_CLASS));
+
+/**
+ * Request Wallet Challenge Cloud Function
+ * Issues a one-time message for the wallet to sign. Used both to sign in with
+ * the `chia` auth provider and to link a wallet to an existing account.
+ */
+Parse.Cloud.define('requestWalletChallenge', async (request) => {
+  const { address } = request.params;
+
+  try {
+    if (!address) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: address');
+    }
+
+    const challenge = await issueChallenge(address);
+
+    logger.info('Wallet challenge issued', { userId: request.user?.id });
+
+    return {
+      success: true,
+      challenge
+    };
+
+  } catch (error) {
+    logger.error('Wallet challenge failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to create wallet challenge. Please try again.');
+  }
+});
+
+/**
+ * Link Wallet Address Cloud Function
+ * Links a Chia wallet to the current account using a signed challenge
+ * Params: address, publicKey, signature, nonce
+ */
+Parse.Cloud.define('linkWalletAddress', async (request) => {
+  const { address, publicKey, signature, nonce } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    if (!address || !publicKey || !signature || !nonce) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required fields: address, publicKey, signature, nonce');
+    }
+
+    // The chia auth adapter verifies the signature and redeems the nonce during save
+    const user = request.user;
+    user.set('authData', {
+      chia: { id: address.toLowerCase(), publicKey, signature, nonce }
+    });
+    await user.save(null, { useMasterKey: true });
+
+    logger.info('Wallet linked', { userId: user.id });
+
+    return {
+      success: true,
+      message: 'Wallet linked successfully',
+      walletAddress: address.toLowerCase()
+    };
+
+  } catch (error) {
+    logger.error('Link wallet failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      if (error.code === Parse.Error.ACCOUNT_ALREADY_LINKED) {
+        throw new Parse.Error(Parse.Error.ACCOUNT_ALREADY_LINKED, 'This wallet is already linked to another account');
+      }
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to link wallet. Please try again.');
+  }
+});
+
+/**
+ * Unlink Wallet Address Cloud Function
+ * Removes the linked Chia wallet. Only allowed when the account can still sign in by email.
+ */
+Parse.Cloud.define('unlinkWalletAddress', async (request) => {
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const user = request.user;
+    await user.fetch({ useMasterKey: true });
+
+    if (!user.get('authData')?.chia) {
+      throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'No wallet is linked to this account');
+    }
+
+    if (!user.get('email')) {
+      throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Add an email address before unlinking your wallet, or you will not be able to sign in');
+    }
+
+    user.set('authData', { chia: null });
+    await user.save(null, { useMasterKey: true });
+
+    logger.info('Wallet unlinked', { userId: user.id });
+
+    return {
+      success: true,
+      message: 'Wallet unlinked successfully'
+    };
+
+  } catch (error) {
+    logger.error('Unlink wallet failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to unlink wallet. Please try again.');
+  }
+});
+
+logger.info('Wallet cloud functions loaded successfully');
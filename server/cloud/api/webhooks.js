@@ -0,0 +1,365 @@
+const logger = require('../../utils/logger');
+const { rejectClientWrites } = require('../services/acl');
+const { ROLES, requireRole } = require('../services/roles');
+const { requireReason, recordAudit } = require('../services/audit');
+const { defineJob } = require('../services/scheduler');
+const {
+  WEBHOOK_ENDPOINT_CLASS,
+  WEBHOOK_DELIVERY_CLASS,
+  WEBHOOK_EVENTS,
+  createEndpoint,
+  getOwnedEndpoint,
+  listEndpoints,
+  updateEndpoint,
+  rotateEndpointSecret,
+  deleteEndpoint,
+  serializeEndpoint
+} = require('../services/webhooks');
+const {
+  processDueDeliveries,
+  redeliver,
+  getOwnedDelivery,
+  listDeliveries,
+  purgeOldDeliveries,
+  serializeDelivery
+} = require('../services/webhook_deliveries');
+
+// How often a delivery run checks the queue, and how long it keeps doing so
+const DELIVERY_INTERVAL_MS = 10 * 1000;
+const DELIVERY_RUN_MS = 50 * 1000;
+
+// Endpoints and the delivery queue are managed by cloud code only
+[WEBHOOK_ENDPOINT_CLASS, WEBHOOK_DELIVERY_CLASS].forEach((className) => {
+  Parse.Cloud.beforeSave(className, rejectClientWrites(className));
+  Parse.Cloud.beforeDelete(className, rejectClientWrites(className));
+});
+
+/**
+ * Fetch one of the caller's endpoints for a change
+ * Endpoints that receive every user's events stay under admin control, and changes to them
+ * need a `reason` and are audited. Resolves to `{ endpoint, audit }`; call
+ * `audit(action, details)` once the change is made.
+ */
+const getManagedEndpoint = async (request, endpointId) => {
+  const endpoint = await getOwnedEndpoint(request.user, endpointId);
+  if (!endpoint.get('allUsers')) {
+    return { endpoint, audit: async () => {} };
+  }
+
+  const roles = await requireRole(request.user, ROLES.ADMIN);
+  const reason = requireReason(request.params.reason);
+
+  const audit = (action, details = {}) => recordAudit({
+    actor: request.user,
+    roles,
+    action,
+    target: endpoint,
+    reason,
+    details,
+    ip: request.ip
+  });
+
+  return { endpoint, audit };
+};
+
+/**
+ * List Webhook Endpoints Cloud Function
+ * Returns the current user's endpoints and the event types they can subscribe to
+ */
+Parse.Cloud.define('listWebhookEndpoints', async (request) => {
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const endpoints = await listEndpoints(request.user);
+
+    return {
+      success: true,
+      events: Object.values(WEBHOOK_EVENTS),
+      endpoints: endpoints.map(serializeEndpoint)
+    };
+
+  } catch (error) {
+    logger.error('List webhook endpoints failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load your webhooks. Please try again.');
+  }
+});
+
+/**
+ * Create Webhook Endpoint Cloud Function
+ * Params: url, events, description. Admins may pass `allUsers: true` (with a `reason`) to
+ * receive every user's events, including user.registered.
+ * The signing secret is returned once; store it to verify X-HaRaaS-Signature.
+ */
+Parse.Cloud.define('createWebhookEndpoint', async (request) => {
+  const { url, events, description, allUsers } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    let actorRoles;
+    let reason;
+    if (allUsers) {
+      actorRoles = await requireRole(request.user, ROLES.ADMIN);
+      reason = requireReason(request.params.reason);
+    }
+
+    const { endpoint, secret } = await createEndpoint(request.user, { url, events, description, allUsers: !!allUsers });
+
+    if (allUsers) {
+      await recordAudit({
+        actor: request.user,
+        roles: actorRoles,
+        action: 'webhook.create',
+        target: endpoint,
+        reason,
+        details: { url: endpoint.get('url'), events: endpoint.get('events') },
+        ip: request.ip
+      });
+    }
+
+    return {
+      success: true,
+      endpoint: serializeEndpoint(endpoint),
+      secret
+    };
+
+  } catch (error) {
+    logger.error('Create webhook endpoint failed', {
+      userId: request.user?.id,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to create the webhook. Please try again.');
+  }
+});
+
+/**
+ * Update Webhook Endpoint Cloud Function
+ * Params: endpointId and any of url, events, description, active; `reason` for allUsers
+ * endpoints. `active: true` re-enables an endpoint that was disabled after repeated failures.
+ */
+Parse.Cloud.define('updateWebhookEndpoint', async (request) => {
+  const { endpointId, url, events, description, active } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const { endpoint, audit } = await getManagedEndpoint(request, endpointId);
+    await updateEndpoint(endpoint, { url, events, description, active });
+    await audit('webhook.update', { url, events, description, active });
+
+    return {
+      success: true,
+      endpoint: serializeEndpoint(endpoint)
+    };
+
+  } catch (error) {
+    logger.error('Update webhook endpoint failed', {
+      userId: request.user?.id,
+      endpointId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to update the webhook. Please try again.');
+  }
+});
+
+/**
+ * Rotate Webhook Secret Cloud Function
+ * Replaces the signing secret; deliveries from now on are signed with the new one.
+ * Params: endpointId; `reason` for allUsers endpoints.
+ */
+Parse.Cloud.define('rotateWebhookSecret', async (request) => {
+  const { endpointId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const { endpoint, audit } = await getManagedEndpoint(request, endpointId);
+    const secret = await rotateEndpointSecret(endpoint);
+    await audit('webhook.rotate_secret');
+
+    logger.info('Webhook secret rotated', { userId: request.user.id, endpointId });
+
+    return {
+      success: true,
+      endpoint: serializeEndpoint(endpoint),
+      secret
+    };
+
+  } catch (error) {
+    logger.error('Rotate webhook secret failed', {
+      userId: request.user?.id,
+      endpointId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to rotate the webhook secret. Please try again.');
+  }
+});
+
+/**
+ * Delete Webhook Endpoint Cloud Function
+ * Removes the endpoint, its queued deliveries and its delivery log.
+ * Params: endpointId; `reason` for allUsers endpoints.
+ */
+Parse.Cloud.define('deleteWebhookEndpoint', async (request) => {
+  const { endpointId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const { endpoint, audit } = await getManagedEndpoint(request, endpointId);
+    await deleteEndpoint(endpoint);
+    await audit('webhook.delete', { url: endpoint.get('url'), events: endpoint.get('events') });
+
+    logger.info('Webhook endpoint deleted', { userId: request.user.id, endpointId });
+
+    return {
+      success: true,
+      message: 'Webhook deleted'
+    };
+
+  } catch (error) {
+    logger.error('Delete webhook endpoint failed', {
+      userId: request.user?.id,
+      endpointId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to delete the webhook. Please try again.');
+  }
+});
+
+/**
+ * List Webhook Deliveries Cloud Function
+ * The delivery log of an endpoint, newest first, with every attempt's status code and error.
+ * Params: endpointId, status (pending, delivered or dead), limit, skip
+ */
+Parse.Cloud.define('listWebhookDeliveries', async (request) => {
+  const { endpointId, status, limit, skip } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const endpoint = await getOwnedEndpoint(request.user, endpointId);
+    const deliveries = await listDeliveries(endpoint, { status, limit, skip });
+
+    return {
+      success: true,
+      deliveries: deliveries.map(serializeDelivery)
+    };
+
+  } catch (error) {
+    logger.error('List webhook deliveries failed', {
+      userId: request.user?.id,
+      endpointId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to load webhook deliveries. Please try again.');
+  }
+});
+
+/**
+ * Redeliver Webhook Cloud Function
+ * Queues a delivered or dead delivery again, for example after fixing the receiving end
+ */
+Parse.Cloud.define('redeliverWebhook', async (request) => {
+  const { deliveryId } = request.params;
+
+  try {
+    if (!request.user) {
+      throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+    }
+
+    const delivery = await getOwnedDelivery(request.user, deliveryId);
+    await redeliver(delivery);
+
+    return {
+      success: true,
+      delivery: serializeDelivery(delivery)
+    };
+
+  } catch (error) {
+    logger.error('Redeliver webhook failed', {
+      userId: request.user?.id,
+      deliveryId,
+      error: error.message
+    });
+
+    if (error instanceof Parse.Error) {
+      throw error;
+    }
+
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Failed to redeliver the webhook. Please try again.');
+  }
+});
+
+// Work through the delivery queue, every minute on one dyno at a time. A run keeps checking
+// the queue every DELIVERY_INTERVAL_MS until the next one is due, so deliveries go out
+// within seconds.
+defineJob('deliverWebhooks', async (request) => {
+  const totals = { due: 0, delivered: 0, retrying: 0, dead: 0 };
+  const stopAt = Date.now() + DELIVERY_RUN_MS;
+
+  for (;;) {
+    const stats = await processDueDeliveries({ limit: 1000 });
+    Object.keys(totals).forEach((key) => { totals[key] += stats[key]; });
+
+    if (Date.now() + DELIVERY_INTERVAL_MS >= stopAt) break;
+    await new Promise((resolve) => setTimeout(resolve, DELIVERY_INTERVAL_MS));
+  }
+
+  request.message(`Sent ${totals.delivered} of ${totals.due} due deliveries`);
+  return totals;
+}, { schedule: '* * * * *', lockTtlMs: 5 * 60 * 1000 });
+
+// Drop old delivery logs, hourly
+defineJob('purgeWebhookDeliveries', async (request) => {
+  const removed = await purgeOldDeliveries();
+  request.message(`Removed ${removed} old deliveries`);
+  return { removed };
+}, { schedule: '40 * * * *' });
+
+logger.info('Webhook cloud functions loaded successfully');
@@ -1,5 +1,12 @@
 // Cloud Code main entry point
 const logger = require('../utils/logger');
+const { instrumentCloudFunctions } = require('../utils/metrics');
+const { profileFromIdentity } = require('./services/identity_providers');
+const { WEBHOOK_EVENTS, emitEvent } = require('./services/webhooks');
+const { startSession } = require('./services/sessions');
+
+// Latency of every cloud function below and in ./api, exported on /metrics
+instrumentCloudFunctions(Parse.Cloud);
 
 // Example cloud function
 Parse.Cloud.define('hello', async (request) => {
@@ -10,7 +17,19 @@ Parse.Cloud.define('hello', async (request) => {
 // User registration hook
 Parse.Cloud.beforeSave(Parse.User, async (request) => {
   const user = request.object;
-  
+
+  // Emails are stored lowercase (cloud/schema.js)
+  if (user.dirty('email') && typeof user.get('email') === 'string') {
+    user.set('email', user.get('email').trim().toLowerCase());
+  }
+
+  // Whether the account can confirm changes with a password (services/accounts.js hasPassword)
+  if (user.dirty('password')) {
+    user.set('hasPassword', true);
+  } else if (!user.existed()) {
+    user.set('hasPassword', false);
+  }
+
   if (!user.existed()) {
     logger.info('New user registration', { username: user.get('username') });
     
@@ -18,9 +37,63 @@ Parse.Cloud.beforeSave(Parse.User, async (request) => {
     if (!user.get('emailVerified')) {
       user.set('emailVerified', false);
     }
+
+    // Users created through Sign-In With Chia have no registerUser profile
+    const walletAddress = user.get('authData')?.chia?.id;
+    if (walletAddress && !user.get('displayName')) {
+      user.set('displayName', `${walletAddress.slice(0, 10)}…${walletAddress.slice(-4)}`);
+      user.set('isActive', true);
+      user.set('registrationDate', new Date());
+    }
+
+    // Users created through Google or Apple sign-in get the profile registerUser would fill in
+    const identity = user.get('authData')?.google || user.get('authData')?.apple;
+    if (identity && !user.get('displayName')) {
+      // An unverified email is not the user's to claim, so it is neither checked nor kept
+      if (identity.email && identity.emailVerified) {
+        const email = identity.email.toLowerCase();
+        const existingUser = new Parse.Query(Parse.User);
+        existingUser.equalTo('email', email);
+        if (await existingUser.first({ useMasterKey: true })) {
+          // Never create a duplicate; the owner links the provider after logging in with their password
+          throw new Parse.Error(
+            Parse.Error.EMAIL_TAKEN,
+            'An account with this email already exists. Log in with your password, then link this sign-in method from your profile.'
+          );
+        }
+
+        user.set('email', email);
+        user.set('emailVerified', true);
+      }
+
+      const { firstName, lastName, displayName } = profileFromIdentity(identity);
+      user.set('firstName', firstName);
+      user.set('lastName', lastName);
+      user.set('displayName', displayName);
+      user.set('isActive', true);
+      user.set('registrationDate', new Date());
+    }
   }
 });
 
+// Webhook event: user.registered, delivered to admin (allUsers) endpoints only
+Parse.Cloud.afterSave(Parse.User, async (request) => {
+  if (request.original) return;
+
+  const user = request.object;
+  await emitEvent(WEBHOOK_EVENTS.USER_REGISTERED, {
+    owner: user,
+    data: {
+      user: {
+        id: user.id,
+        email: user.get('email'),
+        displayName: user.get('displayName'),
+        createdAt: user.createdAt
+      }
+    }
+  });
+});
+
 // User login hook
 Parse.Cloud.afterLogin(async (request) => {
   const user = request.user;
@@ -32,6 +105,13 @@ Parse.Cloud.afterLogin(async (request) => {
   // Update last login time
   user.set('lastLogin', new Date());
   await user.save(null, { useMasterKey: true });
+
+  // Sessions of REST logins get their lifetime and device here; loginUser then applies
+  // "remember me"
+  await startSession(user.getSessionToken(), {
+    ip: request.ip,
+    userAgent: request.headers?.['user-agent']
+  });
 });
 
 // Example beforeSave hook for a custom class
@@ -49,5 +129,21 @@ Parse.Cloud.beforeSave('TestObject', async (request) => {
 
 // Load API modules
 require('./api/login');
+require('./api/sessions');
+require('./api/account');
+require('./api/api_keys');
+require('./api/ai_generators');
+require('./api/roasts');
+require('./api/roast_styles');
+require('./api/roast_jobs');
+require('./api/share_links');
+require('./api/roastee_consent');
+require('./api/reactions');
+require('./api/wallet');
+require('./api/identity');
+require('./api/certificates');
+require('./api/credits');
+require('./api/admin');
+require('./api/webhooks');
 
 logger.info('Cloud code loaded successfully');
@@ -0,0 +1,50 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Store user emails in lowercase
+ * registerUser always lowercased emails, but Google and Apple sign-in copied them as given.
+ * An address that would collide with another account is left alone and reported.
+ */
+
+const lowercaseEmail = async (user) => {
+  const email = user.get('email').trim().toLowerCase();
+
+  const taken = new Parse.Query(Parse.User);
+  taken.equalTo('email', email);
+  taken.notEqualTo('objectId', user.id);
+  if (await taken.first({ useMasterKey: true })) {
+    return false;
+  }
+
+  // Password accounts use their email as username
+  if (user.get('username')?.toLowerCase() === email) {
+    user.set('username', email);
+  }
+  user.set('email', email);
+  await user.save(null, { useMasterKey: true });
+  return true;
+};
+
+module.exports = {
+  description: 'Store user emails in lowercase',
+
+  async up() {
+    const query = new Parse.Query(Parse.User);
+    query.matches('email', /[A-Z]|^\s|\s$/);
+    const users = await query.findAll({ useMasterKey: true });
+
+    let updated = 0;
+    const conflicts = [];
+
+    for (const user of users) {
+      if (await lowercaseEmail(user)) {
+        updated += 1;
+      } else {
+        conflicts.push(user.id);
+        logger.warn('Email already used by another account in lowercase', { userId: user.id });
+      }
+    }
+
+    return { updated, conflicts };
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Give older accounts the isActive flag and registrationDate that newer ones get at sign-up
+ * Accounts without isActive were treated as active, so they become active.
+ */
+
+const BATCH_SIZE = 500;
+
+const backfill = async (fieldName, valueFor) => {
+  let updated = 0;
+
+  for (;;) {
+    const query = new Parse.Query(Parse.User);
+    query.doesNotExist(fieldName);
+    query.limit(BATCH_SIZE);
+    const users = await query.find({ useMasterKey: true });
+    if (users.length === 0) return updated;
+
+    users.forEach((user) => user.set(fieldName, valueFor(user)));
+    await Parse.Object.saveAll(users, { useMasterKey: true });
+    updated += users.length;
+  }
+};
+
+module.exports = {
+  description: 'Backfill isActive and registrationDate on older user accounts',
+
+  async up() {
+    return {
+      isActive: await backfill('isActive', () => true),
+      registrationDate: await backfill('registrationDate', (user) => user.createdAt)
+    };
+  }
+};
@@ -0,0 +1,15 @@
+const { reapplyPublicRoastACLs } = require('../services/roasts');
+
+/**
+ * Give public roasts the ACL that setRoastVisibility now applies
+ * Roasts made public before then were readable by their owner only, and roasts of
+ * suspended or deleted accounts must not be readable by everyone.
+ */
+
+module.exports = {
+  description: 'Reapply the ACL of public roasts',
+
+  async up() {
+    return { updated: await reapplyPublicRoastACLs() };
+  }
+};
@@ -0,0 +1,100 @@
+const { createOpenAIProvider } = require('./openai');
+const { createTemplateProvider } = require('./template');
+const { createProviderRouter } = require('./router');
+
+/**
+ * AI Provider Registry
+ * Every provider exposes `generate({ system, prompt, input, temperature, maxTokens, signal })`
+ * and resolves to `{ text, model, usage: { promptTokens, completionTokens, totalTokens } }`.
+ * AI_PROVIDER lists the providers to use in order of preference (defaults to `template`);
+ * they are wrapped in the router (./router.js), which fails over between them and adds
+ * `provider`, `cost` and `source` to each result.
+ *
+ * Per provider, AI_<NAME>_TIMEOUT_MS and AI_<NAME>_RETRIES override AI_TIMEOUT_MS and
+ * AI_RETRIES, and AI_<NAME>_PROMPT_COST_PER_1K / AI_<NAME>_COMPLETION_COST_PER_1K price its
+ * tokens in USD.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_RETRIES = 1;
+
+const factories = {
+  openai: ({ timeoutMs }) => createOpenAIProvider({
+    apiKey: process.env.AI_API_KEY,
+    baseUrl: process.env.AI_BASE_URL,
+    model: process.env.AI_MODEL,
+    timeoutMs
+  }),
+  // A second OpenAI-compatible endpoint, e.g. another vendor to fail over to
+  openai_secondary: ({ timeoutMs }) => createOpenAIProvider({
+    name: 'openai_secondary',
+    apiKey: process.env.AI_SECONDARY_API_KEY,
+    apiKeyVariable: 'AI_SECONDARY_API_KEY',
+    baseUrl: process.env.AI_SECONDARY_BASE_URL,
+    model: process.env.AI_SECONDARY_MODEL,
+    timeoutMs
+  }),
+  template: () => createTemplateProvider()
+};
+
+// Integer setting where 0 is a valid value
+const intSetting = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const providerSettings = (name) => {
+  const prefix = `AI_${name.toUpperCase()}`;
+
+  return {
+    timeoutMs: intSetting(process.env[`${prefix}_TIMEOUT_MS`], 0)
+      || intSetting(process.env.AI_TIMEOUT_MS, 0)
+      || DEFAULT_TIMEOUT_MS,
+    retries: Math.max(
+      intSetting(process.env[`${prefix}_RETRIES`], intSetting(process.env.AI_RETRIES, DEFAULT_RETRIES)),
+      0
+    ),
+    promptCostPer1k: parseFloat(process.env[`${prefix}_PROMPT_COST_PER_1K`]) || 0,
+    completionCostPer1k: parseFloat(process.env[`${prefix}_COMPLETION_COST_PER_1K`]) || 0
+  };
+};
+
+let activeProvider = null;
+
+const getProvider = () => {
+  if (!activeProvider) {
+    const names = (process.env.AI_PROVIDER || 'template')
+      .split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    names.forEach((name, index) => {
+      if (!factories[name]) {
+        throw new Error(`Unknown AI_PROVIDER "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+      }
+      if (names.indexOf(name) !== index) {
+        throw new Error(`AI_PROVIDER lists "${name}" twice`);
+      }
+    });
+
+    activeProvider = createProviderRouter({
+      providers: names.map((name) => {
+        const settings = providerSettings(name);
+        return { provider: factories[name](settings), ...settings };
+      }),
+      failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURES, 10) || 5,
+      cooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS, 10) || 30 * 1000,
+      cacheTtlMs: parseInt(process.env.AI_CACHE_TTL_MS, 10) || 0,
+      maxCacheEntries: parseInt(process.env.AI_CACHE_MAX_ENTRIES, 10) || 500
+    });
+  }
+
+  return activeProvider;
+};
+
+// Allows tests and scripts to swap in a custom provider (used as is, without the router)
+const setProvider = (provider) => {
+  activeProvider = provider;
+};
+
+module.exports = { getProvider, setProvider };
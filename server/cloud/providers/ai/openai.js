@@ -0,0 +1,87 @@
+/**
+ * OpenAI-Compatible AI Provider
+ * Talks to any HTTP API that implements the OpenAI chat completions endpoint
+ * (OpenAI, Azure OpenAI proxies, OpenRouter, local llama.cpp / vLLM servers, ...).
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+const createOpenAIProvider = (options = {}) => {
+  const name = options.name || 'openai';
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const model = options.model || DEFAULT_MODEL;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  if (!options.apiKey) {
+    throw new Error(`${options.apiKeyVariable || 'AI_API_KEY'} is required for the ${name} provider`);
+  }
+
+  return {
+    name,
+
+    async generate({ system, prompt, temperature, maxTokens, signal }) {
+      // Abort on timeout or when the caller cancels
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(new Error(`AI provider timed out after ${timeoutMs}ms`)), timeoutMs);
+      const onAbort = () => controller.abort(signal.reason);
+      if (signal) {
+        if (signal.aborted) onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      // The timeout also covers reading the body, which can stall after the headers arrive
+      let data;
+      try {
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${options.apiKey}`
+          },
+          body: JSON.stringify({
+            model,
+            temperature,
+            max_tokens: maxTokens,
+            messages: [
+              { role: 'system', content: system },
+              { role: 'user', content: prompt }
+            ]
+          }),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          const body = await response.text().catch(() => '');
+          const error = new Error(`AI provider responded with ${response.status}: ${body.slice(0, 200)}`);
+          error.status = response.status;
+          throw error;
+        }
+
+        data = await response.json();
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+      }
+
+      const text = data.choices?.[0]?.message?.content?.trim();
+
+      if (!text) {
+        throw new Error('AI provider returned an empty completion');
+      }
+
+      return {
+        text,
+        model: data.model || model,
+        usage: {
+          promptTokens: data.usage?.prompt_tokens || 0,
+          completionTokens: data.usage?.completion_tokens || 0,
+          totalTokens: data.usage?.total_tokens || 0
+        }
+      };
+    }
+  };
+};
+
+module.exports = { createOpenAIProvider };
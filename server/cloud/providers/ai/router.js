@@ -0,0 +1,290 @@
+const logger = require('../../../utils/logger');
+const { createCounter } = require('../../../utils/metrics');
+
+/**
+ * AI Provider Router
+ * Looks like a single provider to the roast generator but sends each request down an
+ * ordered list of providers: every provider gets its own timeout and a number of retries
+ * with jittered exponential backoff, and the request fails over to the next provider when
+ * one gives up. A circuit breaker per provider skips a provider after `failureThreshold`
+ * failures in a row and lets a single trial request through once `cooldownMs` has passed.
+ *
+ * Requests that carry a `key` (see roast_generator's request key) are deduplicated: an
+ * identical request made while one is in flight waits for the same provider call. With a
+ * `cacheTtlMs`, a call whose callers all gave up (a timeout, a cancelled job) still runs to
+ * the end, and its answer is kept that long for a retry. Cached answers are handed out once;
+ * an answer a caller already got is never served again.
+ * Results add `provider` (the one that answered), `cost` (USD, from the provider's token
+ * prices), `source` (provider, shared or cache; only `provider` results used tokens) and
+ * the failed `attempts` before the answer.
+ */
+
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 5000;
+
+const attemptsTotal = createCounter({
+  name: 'ai_provider_attempts_total',
+  help: 'AI provider calls made by the router, by outcome (ok, error, timeout, skipped while the circuit is open)',
+  labelNames: ['provider', 'outcome']
+});
+
+const reuseTotal = createCounter({
+  name: 'ai_provider_reused_total',
+  help: 'AI requests answered without a provider call, by source (shared in-flight call or cache)',
+  labelNames: ['source']
+});
+
+class ProviderTimeoutError extends Error {}
+
+const EMPTY_USAGE = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+// Rejects once `signal` aborts, with its reason
+const whenAborted = (signal) => new Promise((resolve, reject) => {
+  if (signal.aborted) reject(signal.reason);
+  else signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal.addEventListener('abort', onAbort, { once: true });
+});
+
+// Exponential backoff between half and all of the full delay
+const retryDelay = (retry) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** retry, RETRY_MAX_MS);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+};
+
+// Client errors other than timeouts and rate limits will not go away on a retry
+const isRetryable = (error) =>
+  !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+
+const priceOf = (entry, usage = EMPTY_USAGE) =>
+  Math.round(((usage.promptTokens || 0) * entry.promptCostPer1k
+    + (usage.completionTokens || 0) * entry.completionCostPer1k) / 1000 * 1e6) / 1e6;
+
+const createCircuit = (name, { failureThreshold, cooldownMs }) => {
+  let failures = 0;
+  let openUntil = 0;
+  let trialRunning = false;
+
+  return {
+    // Whether a request may go to the provider now; after the cooldown, one trial at a time
+    allow: () => {
+      if (!openUntil) return true;
+      if (Date.now() < openUntil || trialRunning) return false;
+      trialRunning = true;
+      return true;
+    },
+    succeeded: () => {
+      if (openUntil) logger.info('AI provider circuit closed', { provider: name });
+      failures = 0;
+      openUntil = 0;
+      trialRunning = false;
+    },
+    failed: () => {
+      failures += 1;
+      if (trialRunning || failures >= failureThreshold) {
+        if (!openUntil || trialRunning) {
+          logger.warn('AI provider circuit opened', { provider: name, failures, cooldownMs });
+        }
+        openUntil = Date.now() + cooldownMs;
+      }
+      trialRunning = false;
+    },
+    // A trial that ended without an answer either way (cancelled by the caller)
+    released: () => {
+      trialRunning = false;
+    },
+    isOpen: () => !!openUntil && Date.now() < openUntil
+  };
+};
+
+/**
+ * Create a router over `providers`, tried in order
+ * Each entry: `{ provider, timeoutMs, retries, promptCostPer1k, completionCostPer1k }`.
+ */
+const createProviderRouter = ({
+  providers,
+  failureThreshold = 5,
+  cooldownMs = 30 * 1000,
+  cacheTtlMs = 0,
+  maxCacheEntries = 500
+}) => {
+  if (!providers || providers.length === 0) {
+    throw new Error('The AI provider router needs at least one provider');
+  }
+
+  const entries = providers.map((entry) => ({
+    retries: 0,
+    promptCostPer1k: 0,
+    completionCostPer1k: 0,
+    ...entry,
+    name: entry.provider.name,
+    circuit: createCircuit(entry.provider.name, { failureThreshold, cooldownMs })
+  }));
+
+  const inFlight = new Map();
+  const cache = new Map();
+
+  // One provider call, bounded by the provider's timeout and the caller's signal
+  const callProvider = async (entry, request, signal) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(
+      new ProviderTimeoutError(`AI provider ${entry.name} timed out after ${entry.timeoutMs}ms`)
+    ), entry.timeoutMs);
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal.aborted) onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await Promise.race([
+        entry.provider.generate({ ...request, signal: controller.signal }),
+        whenAborted(controller.signal)
+      ]);
+    } finally {
+      clearTimeout(timer);
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  const route = async (request, signal) => {
+    const attempts = [];
+
+    for (const entry of entries) {
+      if (!entry.circuit.allow()) {
+        attemptsTotal.inc({ provider: entry.name, outcome: 'skipped' });
+        attempts.push({ provider: entry.name, error: 'circuit open' });
+        continue;
+      }
+
+      for (let retry = 0; retry <= entry.retries; retry += 1) {
+        if (retry > 0) await sleep(retryDelay(retry - 1), signal);
+
+        try {
+          const result = await callProvider(entry, request, signal);
+          attemptsTotal.inc({ provider: entry.name, outcome: 'ok' });
+          entry.circuit.succeeded();
+
+          return {
+            ...result,
+            usage: result.usage || EMPTY_USAGE,
+            provider: entry.name,
+            cost: priceOf(entry, result.usage),
+            source: 'provider',
+            attempts
+          };
+        } catch (error) {
+          if (signal.aborted) {
+            entry.circuit.released();
+            throw signal.reason;
+          }
+
+          const timedOut = error instanceof ProviderTimeoutError;
+          attemptsTotal.inc({ provider: entry.name, outcome: timedOut ? 'timeout' : 'error' });
+          attempts.push({ provider: entry.name, error: error.message });
+          logger.warn('AI provider call failed', {
+            provider: entry.name,
+            attempt: retry + 1,
+            status: error.status,
+            error: error.message
+          });
+
+          entry.circuit.failed();
+          if (!isRetryable(error) || entry.circuit.isOpen()) break;
+        }
+      }
+    }
+
+    const error = new Error(`All AI providers failed: ${attempts.map((attempt) => `${attempt.provider}: ${attempt.error}`).join('; ')}`);
+    error.attempts = attempts;
+    throw error;
+  };
+
+  const remember = (key, result) => {
+    if (!cacheTtlMs) return;
+    if (cache.size >= maxCacheEntries) {
+      cache.delete(cache.keys().next().value);
+    }
+    cache.set(key, { result, expiresAt: Date.now() + cacheTtlMs });
+  };
+
+  const cached = (key) => {
+    const hit = cache.get(key);
+    if (hit) cache.delete(key);
+    return hit && hit.expiresAt > Date.now() ? hit.result : null;
+  };
+
+  // A result handed to a caller whose request did not reach a provider
+  const reused = (result, source) => {
+    reuseTotal.inc({ source });
+    return { ...result, usage: EMPTY_USAGE, cost: 0, source, attempts: [] };
+  };
+
+  /**
+   * Join the in-flight call for `key`, or start it
+   * Once every caller waiting on the shared call has given up it is aborted, or with the
+   * cache on, left to finish for a retry. Its tokens are accounted to the first caller to get
+   * the answer; the others get it as `shared`.
+   */
+  const shared = async (key, request, signal) => {
+    let flight = inFlight.get(key);
+
+    if (!flight) {
+      const controller = new AbortController();
+      flight = { controller, waiting: 0, claimed: false };
+      flight.promise = route(request, controller.signal)
+        .then((result) => {
+          // Nobody is left to receive it
+          if (flight.waiting === 0) remember(key, result);
+          return result;
+        })
+        .finally(() => {
+          if (inFlight.get(key) === flight) inFlight.delete(key);
+        });
+      inFlight.set(key, flight);
+    }
+
+    flight.waiting += 1;
+    const onAbort = () => {
+      flight.waiting -= 1;
+      if (flight.waiting === 0 && !cacheTtlMs) {
+        inFlight.delete(key);
+        flight.controller.abort(signal.reason);
+      }
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const result = await Promise.race([flight.promise, whenAborted(signal)]);
+      if (flight.claimed) return reused(result, 'shared');
+      flight.claimed = true;
+      return result;
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  return {
+    name: entries.map((entry) => entry.name).join(','),
+
+    async generate({ key, signal = new AbortController().signal, ...request }) {
+      if (signal.aborted) throw signal.reason;
+      if (!key) return route(request, signal);
+
+      const hit = cached(key);
+      if (hit) return reused(hit, 'cache');
+
+      return shared(key, request, signal);
+    }
+  };
+};
+
+module.exports = { createProviderRouter };
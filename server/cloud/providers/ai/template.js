@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+/**
+ * Local Template AI Provider
+ * Deterministic, offline roast generator used for development and tests.
+ * The same input always produces the same roast.
+ */
+
+const OPENERS = [
+  'Ladies and gentlemen, please welcome {name}, {profession}.',
+  'Let\'s hear it for {name}, {profession}.',
+  'We\'re gathered here tonight to honor {name}, {profession}.',
+  'Tonight we roast {name}, {profession}.'
+];
+
+const LINES = [
+  'They told us {point}, and honestly that explains a lot.',
+  'Apparently {point}. We\'re not surprised, just disappointed.',
+  'Word on the street is {point}. The street is worried.',
+  'I heard {point}, which is impressive in the worst possible way.',
+  'Rumor has it {point}. Rumor also asked us not to mention it.',
+  'Fun fact: {point}. Not fun for anyone involved, but a fact.'
+];
+
+const CLOSERS = [
+  'But seriously, we love you {name}. Mostly.',
+  'Give it up for {name}, everybody. Someone has to.',
+  '{name}, never change. Actually, maybe change a little.',
+  'That\'s our {name}: a legend in their own mind.'
+];
+
+const fill = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+const pick = (list, seed, offset) => list[(seed + offset) % list.length];
+
+const createTemplateProvider = () => ({
+  name: 'template',
+
+  async generate({ input, prompt, signal }) {
+    if (signal && signal.aborted) {
+      throw signal.reason || new Error('Generation aborted');
+    }
+
+    const digest = crypto.createHash('sha256').update(prompt).digest();
+    const seed = digest.readUInt32BE(0);
+    const name = input.name;
+    const profession = input.profession ? `our favorite ${input.profession}` : 'our guest of honor';
+
+    const lines = [fill(pick(OPENERS, seed, 0), { name, profession })];
+    input.roastPoints.forEach((point, index) => {
+      lines.push(fill(pick(LINES, seed, index), { point: point.replace(/[.!?]+$/, '') }));
+    });
+    lines.push(fill(pick(CLOSERS, seed, 0), { name }));
+
+    const text = lines.join('\n');
+
+    return {
+      text,
+      model: 'local-template-v1',
+      usage: {
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0
+      }
+    };
+  }
+});
+
+module.exports = { createTemplateProvider };
@@ -0,0 +1,44 @@
+const { createMockChain } = require('./mock');
+
+/**
+ * Chain Adapter Registry
+ * Every adapter exposes:
+ *   mintNft({ dataUris, dataHash, metadataUris, metadataHash, licenseUris, licenseHash,
+ *             targetAddress, royaltyAddress, royaltyPercentage, editionNumber, editionTotal })
+ *     -> { launcherId, transactionId }
+ *   getTransactionStatus(transactionId)
+ *     -> { status: 'pending' | 'confirmed' | 'failed' | 'unknown', confirmations }
+ * The active adapter is chosen with the CHAIN_ADAPTER env var (defaults to `mock`).
+ */
+
+const factories = {
+  mock: () => createMockChain({
+    confirmAfterMs: process.env.MOCK_CHAIN_CONFIRM_AFTER_MS !== undefined
+      ? parseInt(process.env.MOCK_CHAIN_CONFIRM_AFTER_MS, 10)
+      : undefined
+  })
+};
+
+let activeChain = null;
+
+const getChain = () => {
+  if (!activeChain) {
+    const name = (process.env.CHAIN_ADAPTER || 'mock').toLowerCase();
+    const factory = factories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown CHAIN_ADAPTER "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    activeChain = factory();
+  }
+
+  return activeChain;
+};
+
+// Allows tests and scripts to swap in a custom adapter
+const setChain = (chain) => {
+  activeChain = chain;
+};
+
+module.exports = { getChain, setChain };
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+/**
+ * Mock Chain Adapter
+ * In-memory stand-in for a Chia wallet. Mints confirm after a configurable delay so the
+ * pending -> confirmed flow can be exercised without a Chia node.
+ */
+
+const createMockChain = (options = {}) => {
+  const confirmAfterMs = options.confirmAfterMs !== undefined ? options.confirmAfterMs : 5000;
+  const transactions = new Map();
+  let sequence = 0;
+
+  return {
+    name: 'mock',
+
+    async mintNft(request) {
+      if (!request.targetAddress) {
+        throw new Error('targetAddress is required');
+      }
+      if (!request.dataHash || !request.metadataHash) {
+        throw new Error('dataHash and metadataHash are required');
+      }
+
+      sequence += 1;
+      const launcherId = crypto.createHash('sha256')
+        .update(`${request.dataHash}:${request.metadataHash}:${sequence}`)
+        .digest('hex');
+      const transactionId = crypto.createHash('sha256').update(`tx:${launcherId}`).digest('hex');
+
+      transactions.set(transactionId, {
+        launcherId,
+        request,
+        submittedAt: Date.now()
+      });
+
+      return { launcherId, transactionId };
+    },
+
+    async getTransactionStatus(transactionId) {
+      const transaction = transactions.get(transactionId);
+
+      if (!transaction) {
+        return { status: 'unknown' };
+      }
+
+      const confirmed = Date.now() - transaction.submittedAt >= confirmAfterMs;
+      return {
+        status: confirmed ? 'confirmed' : 'pending',
+        confirmations: confirmed ? 1 : 0
+      };
+    }
+  };
+};
+
+module.exports = { createMockChain };
@@ -0,0 +1,61 @@
+/**
+ * Fake Chia RPC Adapter
+ * In-memory chain for development and tests. Payments are added with `addCoin`,
+ * blocks are produced with `advance` and `reorg` drops recent blocks with their coins.
+ */
+
+const createFakeRpc = (options = {}) => {
+  let height = options.startHeight || 1000;
+  const coins = new Map();
+
+  return {
+    name: 'fake',
+
+    async getPeakHeight() {
+      return height;
+    },
+
+    async getCoinRecord(coinId) {
+      const coin = coins.get(coinId.replace(/^0x/i, '').toLowerCase());
+      return coin ? { ...coin } : null;
+    },
+
+    async getCoinMemos(record) {
+      return coins.get(record.coinId)?.memos || null;
+    },
+
+    // Test helpers
+
+    addCoin({ coinId, puzzleHash, amount, memos }) {
+      height += 1;
+      const record = {
+        coinId: coinId.replace(/^0x/i, '').toLowerCase(),
+        puzzleHash: puzzleHash.replace(/^0x/i, '').toLowerCase(),
+        amount,
+        memos,
+        confirmedBlockIndex: height,
+        spent: false,
+        timestamp: Math.floor(Date.now() / 1000)
+      };
+      coins.set(record.coinId, record);
+      return record;
+    },
+
+    advance(blocks = 1) {
+      height += blocks;
+      return height;
+    },
+
+    reorg(depth = 1) {
+      height -= depth;
+      coins.forEach((coin, coinId) => {
+        if (coin.confirmedBlockIndex > height) {
+          coins.delete(coinId);
+        }
+      });
+      return height;
+    }
+  };
+};
+
+module.exports = { createFakeRpc };
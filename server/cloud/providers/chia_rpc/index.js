@@ -0,0 +1,46 @@
+const { createFakeRpc } = require('./fake');
+const { createFullNodeRpc } = require('./full_node');
+
+/**
+ * Chia RPC Adapter Registry
+ * Every adapter exposes:
+ *   getPeakHeight() -> number
+ *   getCoinRecord(coinId) -> { coinId, puzzleHash, amount, confirmedBlockIndex, spent } | null
+ *   getCoinMemos(record) -> hex or text memos the coin was created with | null when unknown
+ * The active adapter is chosen with the CHIA_RPC_ADAPTER env var (defaults to `fake`).
+ */
+
+const factories = {
+  full_node: () => createFullNodeRpc({
+    url: process.env.CHIA_RPC_URL,
+    certPath: process.env.CHIA_RPC_CERT_PATH,
+    keyPath: process.env.CHIA_RPC_KEY_PATH,
+    caPath: process.env.CHIA_RPC_CA_PATH,
+    timeoutMs: parseInt(process.env.CHIA_RPC_TIMEOUT_MS, 10) || undefined
+  }),
+  fake: () => createFakeRpc()
+};
+
+let activeRpc = null;
+
+const getChiaRpc = () => {
+  if (!activeRpc) {
+    const name = (process.env.CHIA_RPC_ADAPTER || 'fake').toLowerCase();
+    const factory = factories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown CHIA_RPC_ADAPTER "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    activeRpc = factory();
+  }
+
+  return activeRpc;
+};
+
+// Allows tests and scripts to swap in a custom adapter
+const setChiaRpc = (rpc) => {
+  activeRpc = rpc;
+};
+
+module.exports = { getChiaRpc, setChiaRpc };
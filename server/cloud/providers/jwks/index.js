@@ -0,0 +1,46 @@
+const fs = require('fs');
+const { createRemoteJwks } = require('./remote');
+const { createStaticJwks } = require('./static');
+
+/**
+ * JWKS Registry
+ * One key source per identity provider. Every source exposes:
+ *   getKey(kid) -> JWK | null
+ * Providers use their published JWKS unless `<PROVIDER>_JWKS_PATH` points at a local
+ * JWKS file; tests can also swap a source in with setJwks.
+ */
+
+const JWKS_URLS = {
+  google: 'https://www.googleapis.com/oauth2/v3/certs',
+  apple: 'https://appleid.apple.com/auth/keys'
+};
+
+const sources = {};
+
+const createSource = (provider) => {
+  const localPath = process.env[`${provider.toUpperCase()}_JWKS_PATH`];
+  if (localPath) {
+    return createStaticJwks(JSON.parse(fs.readFileSync(localPath, 'utf8')));
+  }
+
+  const url = JWKS_URLS[provider];
+  if (!url) {
+    throw new Error(`No JWKS configured for provider "${provider}"`);
+  }
+
+  return createRemoteJwks({ url });
+};
+
+const getJwks = (provider) => {
+  if (!sources[provider]) {
+    sources[provider] = createSource(provider);
+  }
+  return sources[provider];
+};
+
+// Allows tests and scripts to swap in a custom key source
+const setJwks = (provider, source) => {
+  sources[provider] = source;
+};
+
+module.exports = { getJwks, setJwks };
@@ -0,0 +1,65 @@
+/**
+ * Remote JWKS
+ * Fetches a provider's published signing keys and caches them for the max-age the provider
+ * sends (or `cacheMs`). An unknown `kid` triggers one refetch, at most every `refetchMs`,
+ * so rotated keys are picked up without letting bad tokens hammer the endpoint.
+ */
+
+const createRemoteJwks = ({ url, cacheMs = 60 * 60 * 1000, refetchMs = 60 * 1000, timeoutMs = 5000, fetchImpl = fetch }) => {
+  let keys = [];
+  let expiresAt = 0;
+  let lastFetchAt = 0;
+  let inflight = null;
+
+  const refresh = async () => {
+    lastFetchAt = Date.now();
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+      const response = await fetchImpl(url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`JWKS request to ${url} failed with status ${response.status}`);
+      }
+
+      const body = await response.json();
+      const maxAge = /max-age=(\d+)/.exec(response.headers?.get?.('cache-control') || '');
+
+      keys = Array.isArray(body.keys) ? body.keys : [];
+      expiresAt = Date.now() + (maxAge ? parseInt(maxAge[1], 10) * 1000 : cacheMs);
+    } finally {
+      clearTimeout(timeout);
+    }
+  };
+
+  const load = () => {
+    if (!inflight) {
+      inflight = refresh().finally(() => {
+        inflight = null;
+      });
+    }
+    return inflight;
+  };
+
+  return {
+    name: 'remote',
+
+    async getKey(kid) {
+      if (Date.now() >= expiresAt) {
+        await load();
+      }
+
+      let key = keys.find((candidate) => candidate.kid === kid);
+
+      if (!key && Date.now() - lastFetchAt >= refetchMs) {
+        await load();
+        key = keys.find((candidate) => candidate.kid === kid);
+      }
+
+      return key || null;
+    }
+  };
+};
+
+module.exports = { createRemoteJwks };
@@ -0,0 +1,14 @@
+/**
+ * Static JWKS
+ * Serves keys from a local JWKS document, for tests and offline development.
+ */
+
+const createStaticJwks = (jwks) => ({
+  name: 'static',
+
+  async getKey(kid) {
+    return (jwks.keys || []).find((key) => key.kid === kid) || null;
+  }
+});
+
+module.exports = { createStaticJwks };
@@ -0,0 +1,25 @@
+/**
+ * Capture Mail Transport
+ * Keeps sent messages in memory for tests: inspect `messages`, empty it with `clear()`.
+ */
+
+const createCaptureTransport = () => {
+  const messages = [];
+
+  return {
+    name: 'capture',
+    messages,
+
+    async send(message) {
+      const messageId = `capture-${messages.length + 1}`;
+      messages.push({ messageId, ...message });
+      return { messageId };
+    },
+
+    clear() {
+      messages.length = 0;
+    }
+  };
+};
+
+module.exports = { createCaptureTransport };
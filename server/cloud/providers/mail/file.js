@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File Mail Transport
+ * Development transport: every message is written as a JSON file (and its HTML body next
+ * to it) so templates can be checked in a browser without sending anything.
+ */
+
+const createFileTransport = ({ directory }) => ({
+  name: 'file',
+
+  async send(message) {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const base = path.join(directory, messageId);
+
+    await fs.promises.writeFile(`${base}.json`, JSON.stringify({ messageId, ...message }, null, 2));
+    if (message.html) {
+      await fs.promises.writeFile(`${base}.html`, message.html);
+    }
+
+    return { messageId, path: `${base}.json` };
+  }
+});
+
+module.exports = { createFileTransport };
@@ -0,0 +1,78 @@
+const os = require('os');
+const path = require('path');
+const { createSmtpTransport } = require('./smtp');
+const { createFileTransport } = require('./file');
+const { createCaptureTransport } = require('./capture');
+
+/**
+ * Mail Transport Registry
+ * Every transport exposes:
+ *   send({ from, to, subject, text, html }) -> { messageId }
+ * The transport is chosen with MAIL_TRANSPORT (`smtp`, `file` or `capture`). Without it,
+ * `smtp` is used when SMTP_HOST or the legacy GMAIL_ADDRESS/GMAIL_PASSWORD are set and
+ * email is disabled otherwise.
+ */
+
+const smtpOptions = () => {
+  if (process.env.SMTP_HOST) {
+    return {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD
+    };
+  }
+
+  return {
+    host: 'smtp.gmail.com',
+    port: 587,
+    secure: false,
+    user: process.env.GMAIL_ADDRESS,
+    pass: process.env.GMAIL_PASSWORD
+  };
+};
+
+const factories = {
+  smtp: () => createSmtpTransport(smtpOptions()),
+  file: () => createFileTransport({
+    directory: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'haraas-mail')
+  }),
+  capture: () => createCaptureTransport()
+};
+
+const configuredTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT.toLowerCase();
+  if (process.env.SMTP_HOST || (process.env.GMAIL_ADDRESS && process.env.GMAIL_PASSWORD)) return 'smtp';
+  return null;
+};
+
+let activeTransport;
+
+/**
+ * The active transport, or null when email is not configured
+ */
+const getMailTransport = () => {
+  if (activeTransport === undefined) {
+    const name = configuredTransportName();
+
+    if (!name) {
+      activeTransport = null;
+    } else {
+      const factory = factories[name];
+      if (!factory) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+      }
+      activeTransport = factory();
+    }
+  }
+
+  return activeTransport;
+};
+
+// Allows tests and scripts to swap in a custom transport
+const setMailTransport = (transport) => {
+  activeTransport = transport;
+};
+
+module.exports = { getMailTransport, setMailTransport };
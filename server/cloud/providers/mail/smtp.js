@@ -0,0 +1,29 @@
+/**
+ * SMTP Mail Transport
+ * Any SMTP server through nodemailer. Gmail works with smtp.gmail.com:587 and an app password.
+ */
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required for the smtp mail transport');
+  }
+
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port: port || 587,
+    secure: !!secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,43 @@
+const { createLexiconEngine } = require('./lexicon');
+const { createOpenAIClassifier } = require('./openai');
+
+/**
+ * Moderation Engine Registry
+ * Every engine exposes `classify(text)` and resolves to a list of findings:
+ * `{ category, severity, rule, match?, start?, end?, score? }`.
+ * The local lexicon engine always runs; MODERATION_CLASSIFIER adds an external one.
+ */
+
+const classifiers = {
+  openai: () => createOpenAIClassifier({
+    apiKey: process.env.MODERATION_API_KEY || process.env.AI_API_KEY,
+    baseUrl: process.env.MODERATION_BASE_URL || process.env.AI_BASE_URL,
+    model: process.env.MODERATION_MODEL,
+    timeoutMs: parseInt(process.env.MODERATION_TIMEOUT_MS, 10) || undefined
+  })
+};
+
+let engines = null;
+
+const getEngines = () => {
+  if (!engines) {
+    engines = [createLexiconEngine({ lexiconPath: process.env.MODERATION_LEXICON_PATH })];
+
+    const name = (process.env.MODERATION_CLASSIFIER || '').toLowerCase();
+    if (name && name !== 'none') {
+      if (!classifiers[name]) {
+        throw new Error(`Unknown MODERATION_CLASSIFIER "${name}". Expected one of: none, ${Object.keys(classifiers).join(', ')}`);
+      }
+      engines.push(classifiers[name]());
+    }
+  }
+
+  return engines;
+};
+
+// Allows tests and scripts to swap in custom engines
+const setEngines = (customEngines) => {
+  engines = customEngines;
+};
+
+module.exports = { getEngines, setEngines };
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const defaultLexicon = require('./lexicon.json');
+
+/**
+ * Local Lexicon Moderation Engine
+ * Regex rules plus hashed term lists (so the repository does not carry slurs in plain text).
+ * Every finding carries the span it matched so the pipeline can rewrite it.
+ */
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', '@': 'a', $: 's' };
+
+const normalizeToken = (token) =>
+  token
+    .toLowerCase()
+    .split('')
+    .map((char) => LEET[char] || char)
+    .join('')
+    .replace(/[^\p{L}\p{N}]/gu, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Merge an extra lexicon (e.g. from MODERATION_LEXICON_PATH) into the default one
+ */
+const mergeLexicons = (base, extra) => {
+  if (!extra) return base;
+
+  const hashedTerms = { ...base.hashedTerms };
+  Object.entries(extra.hashedTerms || {}).forEach(([category, entry]) => {
+    const current = hashedTerms[category];
+    hashedTerms[category] = {
+      severity: entry.severity || current?.severity || 'high',
+      hashes: [...(current?.hashes || []), ...(entry.hashes || [])]
+    };
+  });
+
+  return {
+    version: Math.max(base.version || 1, extra.version || 1),
+    hashedTerms,
+    groups: [...new Set([...(base.groups || []), ...(extra.groups || [])])],
+    rules: [...(base.rules || []), ...(extra.rules || [])]
+  };
+};
+
+const compileRules = (lexicon) => {
+  const groups = `(${lexicon.groups.map((group) => escapeRegex(group).replace(/\s+/g, '\\s+')).join('|')})`;
+
+  return lexicon.rules.map((rule) => ({
+    ...rule,
+    regex: new RegExp(rule.pattern.replace(/\{groups\}/g, groups), 'giu')
+  }));
+};
+
+const createLexiconEngine = (options = {}) => {
+  const extra = options.lexiconPath ? JSON.parse(fs.readFileSync(options.lexiconPath, 'utf8')) : null;
+  const lexicon = mergeLexicons(defaultLexicon, extra);
+  const rules = compileRules(lexicon);
+
+  const hashedTerms = Object.entries(lexicon.hashedTerms || {}).map(([category, entry]) => ({
+    category,
+    severity: entry.severity,
+    hashes: new Set(entry.hashes)
+  }));
+
+  return {
+    name: 'lexicon',
+
+    async classify(text) {
+      const findings = [];
+
+      rules.forEach((rule) => {
+        rule.regex.lastIndex = 0;
+        let match;
+        while ((match = rule.regex.exec(text)) !== null) {
+          findings.push({
+            category: rule.category,
+            severity: rule.severity,
+            rule: rule.id,
+            match: match[0],
+            start: match.index,
+            end: match.index + match[0].length
+          });
+          if (match[0].length === 0) rule.regex.lastIndex++;
+        }
+      });
+
+      const tokenRegex = /[\p{L}\p{N}@$]+/gu;
+      let token;
+      while ((token = tokenRegex.exec(text)) !== null) {
+        const normalized = normalizeToken(token[0]);
+        if (!normalized) continue;
+
+        const candidates = [normalized, normalized.replace(/e?s$/, '')].map(hashToken);
+        hashedTerms.forEach((entry) => {
+          if (candidates.some((hash) => entry.hashes.has(hash))) {
+            findings.push({
+              category: entry.category,
+              severity: entry.severity,
+              rule: `term:${entry.category}`,
+              match: token[0],
+              start: token.index,
+              end: token.index + token[0].length
+            });
+          }
+        });
+      }
+
+      return findings;
+    }
+  };
+};
+
+module.exports = { createLexiconEngine, normalizeToken, hashToken };
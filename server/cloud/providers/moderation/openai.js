@@ -0,0 +1,81 @@
+/**
+ * OpenAI-Compatible Moderation Classifier
+ * Optional second opinion from a `/moderations` endpoint. Findings carry no spans,
+ * so the pipeline can only block or soften on them, never mask.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'omni-moderation-latest';
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+// Provider category -> HaRaaS moderation category
+const CATEGORY_MAP = {
+  hate: 'protected_attack',
+  'hate/threatening': 'threat',
+  'harassment/threatening': 'threat',
+  violence: 'threat',
+  'self-harm': 'self_harm',
+  'self-harm/intent': 'self_harm',
+  'self-harm/instructions': 'self_harm'
+};
+
+const severityFor = (score) => {
+  if (score >= 0.8) return 'high';
+  if (score >= 0.5) return 'medium';
+  return 'low';
+};
+
+const createOpenAIClassifier = (options = {}) => {
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const model = options.model || DEFAULT_MODEL;
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const threshold = options.threshold || 0.3;
+
+  if (!options.apiKey) {
+    throw new Error('MODERATION_API_KEY is required for the openai moderation classifier');
+  }
+
+  return {
+    name: 'openai-moderation',
+
+    async classify(text) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(new Error(`Moderation classifier timed out after ${timeoutMs}ms`)), timeoutMs);
+
+      // The timeout also covers reading the body, which can stall after the headers arrive
+      let data;
+      try {
+        const response = await fetch(`${baseUrl}/moderations`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${options.apiKey}`
+          },
+          body: JSON.stringify({ model, input: text }),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          throw new Error(`Moderation classifier responded with ${response.status}`);
+        }
+
+        data = await response.json();
+      } finally {
+        clearTimeout(timer);
+      }
+
+      const scores = data.results?.[0]?.category_scores || {};
+
+      return Object.entries(scores)
+        .filter(([category, score]) => CATEGORY_MAP[category] && score >= threshold)
+        .map(([category, score]) => ({
+          category: CATEGORY_MAP[category],
+          severity: severityFor(score),
+          rule: `classifier:${category}`,
+          score
+        }));
+    }
+  };
+};
+
+module.exports = { createOpenAIClassifier };
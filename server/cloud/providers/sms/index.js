@@ -0,0 +1,56 @@
+const { createTwilioTransport } = require('./twilio');
+const { createCaptureSmsTransport } = require('./capture');
+
+/**
+ * SMS Transport Registry
+ * Every transport exposes:
+ *   send({ to, text }) -> { messageId }
+ * `to` is an E.164 phone number. The transport is chosen with SMS_TRANSPORT (`twilio` or
+ * `capture`); without it, `twilio` is used when TWILIO_ACCOUNT_SID is set and SMS is
+ * disabled otherwise.
+ */
+
+const factories = {
+  twilio: () => createTwilioTransport({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_FROM
+  }),
+  capture: () => createCaptureSmsTransport()
+};
+
+const configuredTransportName = () => {
+  if (process.env.SMS_TRANSPORT) return process.env.SMS_TRANSPORT.toLowerCase();
+  if (process.env.TWILIO_ACCOUNT_SID) return 'twilio';
+  return null;
+};
+
+let activeTransport;
+
+/**
+ * The active transport, or null when SMS is not configured
+ */
+const getSmsTransport = () => {
+  if (activeTransport === undefined) {
+    const name = configuredTransportName();
+
+    if (!name) {
+      activeTransport = null;
+    } else {
+      const factory = factories[name];
+      if (!factory) {
+        throw new Error(`Unknown SMS_TRANSPORT "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+      }
+      activeTransport = factory();
+    }
+  }
+
+  return activeTransport;
+};
+
+// Allows tests and scripts to swap in a custom transport
+const setSmsTransport = (transport) => {
+  activeTransport = transport;
+};
+
+module.exports = { getSmsTransport, setSmsTransport };
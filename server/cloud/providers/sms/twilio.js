@@ -0,0 +1,47 @@
+/**
+ * Twilio SMS Transport
+ * Sends text messages through Twilio's Messages API; `from` is a Twilio number or a
+ * messaging service SID (MG...).
+ */
+
+const API_BASE_URL = 'https://api.twilio.com/2010-04-01';
+const TIMEOUT_MS = 10 * 1000;
+
+const createTwilioTransport = ({ accountSid, authToken, from }) => {
+  if (!accountSid || !authToken || !from) {
+    throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM are required for the twilio SMS transport');
+  }
+
+  const authorization = `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`;
+
+  return {
+    name: 'twilio',
+
+    async send({ to, text }) {
+      const body = new URLSearchParams({ To: to, Body: text });
+      body.set(from.startsWith('MG') ? 'MessagingServiceSid' : 'From', from);
+
+      const response = await fetch(`${API_BASE_URL}/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Authorization: authorization
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        const detail = await response.text().catch(() => '');
+        const error = new Error(`Twilio responded with ${response.status}: ${detail.slice(0, 200)}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      return { messageId: data.sid };
+    }
+  };
+};
+
+module.exports = { createTwilioTransport };
@@ -0,0 +1,42 @@
+const { createMemoryStore } = require('./memory');
+const { createMongoStore } = require('./mongo');
+
+/**
+ * Throttle Store Registry
+ * Every store keeps expiring values by key and exposes:
+ *   get(key) -> { value, expiresAt } | null
+ *   set(key, value, ttlMs)
+ *   increment(key, ttlMs) -> { value, expiresAt }   (the TTL starts with the first increment)
+ *   delete(key)
+ *   purgeExpired() -> number of entries removed
+ * The active store is chosen with the THROTTLE_STORE env var (defaults to `memory`).
+ */
+
+const factories = {
+  memory: () => createMemoryStore(),
+  mongo: () => createMongoStore()
+};
+
+let activeStore = null;
+
+const getThrottleStore = () => {
+  if (!activeStore) {
+    const name = (process.env.THROTTLE_STORE || 'memory').toLowerCase();
+    const factory = factories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown THROTTLE_STORE "${name}". Expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    activeStore = factory();
+  }
+
+  return activeStore;
+};
+
+// Allows tests and scripts to swap in a custom store
+const setThrottleStore = (store) => {
+  activeStore = store;
+};
+
+module.exports = { getThrottleStore, setThrottleStore };
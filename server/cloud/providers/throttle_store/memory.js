@@ -0,0 +1,60 @@
+/**
+ * In-Memory Throttle Store
+ * Counters live in this process only, so limits are per dyno. Fine for development and
+ * single-dyno deployments; use the `mongo` store when running more than one dyno.
+ */
+
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { value: entry.value, expiresAt: new Date(entry.expiresAt) } : null;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async increment(key, ttlMs) {
+      let entry = live(key);
+      if (!entry) {
+        entry = { value: 0, expiresAt: Date.now() + ttlMs };
+        entries.set(key, entry);
+      }
+      entry.value += 1;
+      return { value: entry.value, expiresAt: new Date(entry.expiresAt) };
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async purgeExpired() {
+      const now = Date.now();
+      let purged = 0;
+      entries.forEach((entry, key) => {
+        if (entry.expiresAt <= now) {
+          entries.delete(key);
+          purged += 1;
+        }
+      });
+      return purged;
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,78 @@
+/**
+ * MongoDB Throttle Store
+ * Keeps counters in the `ThrottleEntry` class of the Parse database so every dyno shares
+ * the same limits. Counters move with Parse's atomic increment; entries carry an
+ * `expiresAt` and are ignored once it has passed, then removed by `purgeExpired`.
+ * Numbers are stored in `value` and strings in `text`, so each column keeps one type.
+ */
+
+const THROTTLE_ENTRY_CLASS = 'ThrottleEntry';
+
+const liveQuery = (key) => {
+  const query = new Parse.Query(THROTTLE_ENTRY_CLASS);
+  query.equalTo('key', key);
+  query.greaterThan('expiresAt', new Date());
+  query.ascending('createdAt');
+  return query;
+};
+
+const createEntry = async (key, value, ttlMs) => {
+  const entry = new Parse.Object(THROTTLE_ENTRY_CLASS);
+  entry.set('key', key);
+  entry.set(typeof value === 'number' ? 'value' : 'text', value);
+  entry.set('expiresAt', new Date(Date.now() + ttlMs));
+  entry.setACL(new Parse.ACL());
+  return entry.save(null, { useMasterKey: true });
+};
+
+const removeAll = async (query) => {
+  const stale = await query.limit(1000).find({ useMasterKey: true });
+  if (stale.length > 0) {
+    await Parse.Object.destroyAll(stale, { useMasterKey: true });
+  }
+  return stale.length;
+};
+
+const createMongoStore = () => ({
+  name: 'mongo',
+
+  async get(key) {
+    const entry = await liveQuery(key).first({ useMasterKey: true });
+    return entry ? { value: entry.get('value') ?? entry.get('text'), expiresAt: entry.get('expiresAt') } : null;
+  },
+
+  async set(key, value, ttlMs) {
+    const existing = new Parse.Query(THROTTLE_ENTRY_CLASS);
+    existing.equalTo('key', key);
+    await removeAll(existing);
+    await createEntry(key, value, ttlMs);
+  },
+
+  async increment(key, ttlMs) {
+    let entry = await liveQuery(key).first({ useMasterKey: true });
+
+    if (!entry) {
+      await createEntry(key, 0, ttlMs);
+      // Concurrent first hits may each insert a row; all of them count against the oldest
+      entry = await liveQuery(key).first({ useMasterKey: true });
+    }
+
+    entry.increment('value');
+    await entry.save(null, { useMasterKey: true });
+    return { value: entry.get('value'), expiresAt: entry.get('expiresAt') };
+  },
+
+  async delete(key) {
+    const query = new Parse.Query(THROTTLE_ENTRY_CLASS);
+    query.equalTo('key', key);
+    await removeAll(query);
+  },
+
+  async purgeExpired() {
+    const query = new Parse.Query(THROTTLE_ENTRY_CLASS);
+    query.lessThanOrEqualTo('expiresAt', new Date());
+    return removeAll(query);
+  }
+});
+
+module.exports = { THROTTLE_ENTRY_CLASS, createMongoStore };
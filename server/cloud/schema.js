@@ -0,0 +1,740 @@
+const logger = require('../utils/logger');
+
+/**
+ * Database Schema
+ * Field types, required fields, class-level permissions and indexes for `_User`, `_Session`
+ * and every app class. Parse Server applies the fields and permissions at startup
+ * (`schema` option in server.js); `ensureIndexes` creates the indexes.
+ *
+ * Every app class is written by cloud code only, so create/update/delete are master-key
+ * operations; classes a user may read carry owner-only ACLs and allow authenticated reads.
+ * Classes that are not listed here cannot be created by clients.
+ *
+ * Indexes are listed by Parse field name and translated to Mongo column names when they are
+ * created, because Parse's own schema indexes cannot reference `createdAt` on MongoDB.
+ * Parse Server keeps `username` and `email` on `_User` unique as typed and indexes them
+ * case-insensitively; `email_lowercase_unique` also rejects addresses that differ only in
+ * case (emails are stored lowercase: cloud/main.js, migration 001).
+ */
+
+const field = (type, options = {}) => ({ type, ...options });
+const pointer = (targetClass, options = {}) => ({ type: 'Pointer', targetClass, ...options });
+
+// An index that rejects a second row with the same values; `options` go to MongoDB as is
+const unique = (fields, options = {}) => ({ fields, options: { ...options, unique: true } });
+
+// Nobody but the master key
+const masterOnly = () => ({
+  find: {},
+  count: {},
+  get: {},
+  create: {},
+  update: {},
+  delete: {},
+  addField: {},
+  protectedFields: {}
+});
+
+// Signed-in users read the rows their ACL grants them; only cloud code writes
+const ownerReadable = (hiddenFields = []) => ({
+  ...masterOnly(),
+  find: { requiresAuthentication: true },
+  count: { requiresAuthentication: true },
+  get: { requiresAuthentication: true },
+  protectedFields: { '*': hiddenFields }
+});
+
+const SCHEMA_DEFINITIONS = [
+  {
+    className: '_User',
+    fields: {
+      firstName: field('String'),
+      lastName: field('String'),
+      displayName: field('String'),
+      phone: field('String'),
+      locale: field('String'),
+      isActive: field('Boolean', { defaultValue: true }),
+      hasPassword: field('Boolean'),
+      registrationDate: field('Date'),
+      lastLogin: field('Date'),
+      deletionRequestedAt: field('Date'),
+      deletionScheduledAt: field('Date'),
+      suspendedAt: field('Date'),
+      suspendedBy: pointer('_User'),
+      suspensionReason: field('String')
+    },
+    indexes: {
+      deletionScheduledAt: { deletionScheduledAt: 1 },
+      email_lowercase_unique: unique({ email: 1 }, {
+        collation: { locale: 'en_US', strength: 2 },
+        partialFilterExpression: { email: { $type: 'string' } }
+      })
+    },
+    // Sign-up (including Google, Apple and wallet sign-in) is public; profile changes go
+    // through cloud functions. Protected fields are hidden from everyone but the user.
+    classLevelPermissions: {
+      ...masterOnly(),
+      get: { requiresAuthentication: true },
+      create: { '*': true },
+      protectedFields: {
+        '*': [
+          'email',
+          'phone',
+          'firstName',
+          'lastName',
+          'locale',
+          'isActive',
+          'registrationDate',
+          'lastLogin',
+          'deletionRequestedAt',
+          'deletionScheduledAt',
+          'suspendedAt',
+          'suspendedBy',
+          'suspensionReason'
+        ]
+      }
+    }
+  },
+  {
+    className: '_Session',
+    fields: {
+      device: field('String'),
+      ip: field('String'),
+      userAgent: field('String'),
+      lastSeenAt: field('Date'),
+      rememberMe: field('Boolean')
+    },
+    indexes: {
+      user_expiresAt: { user: 1, expiresAt: 1 },
+      expiresAt: { expiresAt: 1 }
+    },
+    // Parse Server already limits clients to their own sessions
+    classLevelPermissions: {
+      find: { '*': true },
+      count: { '*': true },
+      get: { '*': true },
+      create: { '*': true },
+      update: { '*': true },
+      delete: { '*': true },
+      addField: {},
+      protectedFields: {}
+    }
+  },
+  {
+    className: 'Roast',
+    fields: {
+      owner: pointer('_User', { required: true }),
+      name: field('String'),
+      profession: field('String'),
+      roastPoints: field('Array'),
+      temperature: field('Number'),
+      style: field('String'),
+      styleVersion: field('Number'),
+      language: field('String'),
+      parameters: field('Object'),
+      text: field('String'),
+      provider: field('String'),
+      model: field('String'),
+      usage: field('Object'),
+      providerUsage: field('Object'),
+      cost: field('Number'),
+      moderation: field('Object'),
+      charge: field('Object'),
+      status: field('String', { required: true }),
+      title: field('String'),
+      savedAt: field('Date'),
+      hiddenAt: field('Date'),
+      hiddenBy: pointer('_User'),
+      hiddenReason: field('String'),
+      visibility: field('String', { defaultValue: 'private' }),
+      viewCount: field('Number'),
+      publishedAt: field('Date'),
+      reactions: field('Object'),
+      reactionCount: field('Number'),
+      ratingCount: field('Number'),
+      ratingSum: field('Number'),
+      engagement: field('Number'),
+      trendingScore: field('Number'),
+      consentStatus: field('String')
+    },
+    indexes: {
+      owner_createdAt: { owner: 1, createdAt: -1 },
+      visibility_trendingScore: { visibility: 1, trendingScore: -1 },
+      visibility_engagement: { visibility: 1, engagement: -1 },
+      publishedAt: { publishedAt: 1 }
+    },
+    classLevelPermissions: ownerReadable(['usage', 'providerUsage', 'cost', 'moderation', 'charge', 'hiddenBy'])
+  },
+  {
+    className: 'RoastJob',
+    fields: {
+      owner: pointer('_User', { required: true }),
+      status: field('String', { required: true }),
+      progress: field('Number'),
+      input: field('Object'),
+      notifyByEmail: field('Boolean'),
+      expiresAt: field('Date'),
+      charge: field('Object'),
+      refunds: field('Number'),
+      settles: field('Number'),
+      finalStatus: field('String'),
+      roast: pointer('Roast'),
+      error: field('String')
+    },
+    indexes: {
+      owner_createdAt: { owner: 1, createdAt: -1 },
+      status_expiresAt: { status: 1, expiresAt: 1 }
+    },
+    classLevelPermissions: ownerReadable(['charge', 'refunds', 'settles', 'finalStatus'])
+  },
+  {
+    className: 'RoastStyle',
+    fields: {
+      key: field('String', { required: true }),
+      name: field('String', { required: true }),
+      description: field('String'),
+      system: field('String'),
+      prompt: field('String', { required: true }),
+      version: field('Number'),
+      minTemperature: field('Number'),
+      maxTemperature: field('Number'),
+      defaultTemperature: field('Number'),
+      targetWords: field('Number'),
+      languages: field('Array'),
+      active: field('Boolean'),
+      sortOrder: field('Number')
+    },
+    indexes: {
+      key: unique({ key: 1 }),
+      active_sortOrder: { active: 1, sortOrder: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'RoastStyleTemplate',
+    fields: {
+      style: pointer('RoastStyle', { required: true }),
+      styleKey: field('String', { required: true }),
+      version: field('Number', { required: true }),
+      system: field('String'),
+      prompt: field('String'),
+      editedBy: pointer('_User')
+    },
+    indexes: {
+      styleKey_version: { styleKey: 1, version: -1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'RoastReaction',
+    fields: {
+      roast: pointer('Roast', { required: true }),
+      user: pointer('_User', { required: true }),
+      type: field('String', { required: true }),
+      emoji: field('String'),
+      rating: field('Number')
+    },
+    indexes: {
+      roast_user_type: unique({ roast: 1, user: 1, type: 1 }),
+      user: { user: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'ApiKey',
+    fields: {
+      owner: pointer('_User', { required: true }),
+      name: field('String', { required: true }),
+      prefix: field('String', { required: true }),
+      keyHash: field('String', { required: true }),
+      scopes: field('Array', { required: true }),
+      requestsPerMinute: field('Number', { required: true }),
+      roastsPerDay: field('Number', { required: true }),
+      expiresAt: field('Date'),
+      revokedAt: field('Date'),
+      lastUsedAt: field('Date')
+    },
+    indexes: {
+      keyHash: { keyHash: 1 },
+      owner: { owner: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'ApiKeyUsage',
+    fields: {
+      apiKey: pointer('ApiKey', { required: true }),
+      user: pointer('_User', { required: true }),
+      day: field('String', { required: true }),
+      roasts: field('Number', { defaultValue: 0 })
+    },
+    indexes: {
+      apiKey_day: { apiKey: 1, day: 1 },
+      user: { user: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'WebhookEndpoint',
+    fields: {
+      owner: pointer('_User', { required: true }),
+      url: field('String', { required: true }),
+      events: field('Array', { required: true }),
+      description: field('String'),
+      allUsers: field('Boolean', { defaultValue: false }),
+      secret: field('String', { required: true }),
+      active: field('Boolean', { defaultValue: true }),
+      consecutiveFailures: field('Number', { defaultValue: 0 }),
+      lastSuccessAt: field('Date'),
+      lastFailureAt: field('Date'),
+      disabledAt: field('Date'),
+      disabledReason: field('String')
+    },
+    indexes: {
+      owner: { owner: 1 },
+      active_events: { active: 1, events: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'WebhookDelivery',
+    fields: {
+      endpoint: pointer('WebhookEndpoint', { required: true }),
+      owner: pointer('_User', { required: true }),
+      eventId: field('String', { required: true }),
+      eventType: field('String', { required: true }),
+      payload: field('Object', { required: true }),
+      status: field('String', { required: true }),
+      attempts: field('Number', { defaultValue: 0 }),
+      claims: field('Number', { defaultValue: 0 }),
+      nextAttemptAt: field('Date'),
+      log: field('Array'),
+      lastStatusCode: field('Number'),
+      lastError: field('String'),
+      deliveredAt: field('Date'),
+      deadAt: field('Date')
+    },
+    indexes: {
+      status_nextAttemptAt: { status: 1, nextAttemptAt: 1 },
+      endpoint_createdAt: { endpoint: 1, createdAt: -1 },
+      owner: { owner: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'ShareLink',
+    fields: {
+      slug: field('String', { required: true }),
+      roast: pointer('Roast', { required: true }),
+      owner: pointer('_User', { required: true }),
+      expiresAt: field('Date'),
+      revokedAt: field('Date'),
+      viewCount: field('Number'),
+      previewCount: field('Number'),
+      lastViewedAt: field('Date')
+    },
+    indexes: {
+      slug: unique({ slug: 1 }),
+      roast_createdAt: { roast: 1, createdAt: -1 },
+      owner: { owner: 1 },
+      expiresAt: { expiresAt: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'RoastConsent',
+    fields: {
+      roast: pointer('Roast', { required: true }),
+      owner: pointer('_User', { required: true }),
+      channel: field('String', { required: true }),
+      contactHash: field('String', { required: true }),
+      status: field('String', { required: true }),
+      expiresAt: field('Date', { required: true }),
+      respondedAt: field('Date')
+    },
+    indexes: {
+      roast_status: { roast: 1, status: 1 },
+      owner: { owner: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'RoastOptOut',
+    fields: {
+      nameHash: field('String', { required: true }),
+      contactHash: field('String', { required: true }),
+      channel: field('String', { required: true }),
+      source: field('String', { required: true })
+    },
+    indexes: {
+      nameHash: { nameHash: 1 },
+      contactHash: { contactHash: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'Activity',
+    fields: {
+      owner: pointer('_User', { required: true }),
+      type: field('String', { required: true }),
+      category: field('String'),
+      title: field('String'),
+      subjectClass: field('String'),
+      subjectId: field('String'),
+      data: field('Object')
+    },
+    indexes: {
+      owner_createdAt: { owner: 1, createdAt: -1 },
+      subject: { subjectClass: 1, subjectId: 1 }
+    },
+    classLevelPermissions: ownerReadable()
+  },
+  {
+    className: 'RoastCertificate',
+    // owner and roast are removed from minted certificates when their owner is purged
+    fields: {
+      owner: pointer('_User'),
+      roast: pointer('Roast'),
+      number: field('Number'),
+      issuedAt: field('Date'),
+      imageFile: field('File'),
+      imageHash: field('String'),
+      metadataFile: field('File'),
+      metadataHash: field('String'),
+      status: field('String', { required: true }),
+      targetAddress: field('String'),
+      launcherId: field('String'),
+      transactionId: field('String'),
+      mintedAt: field('Date'),
+      mintError: field('String'),
+      mintClaims: field('Number')
+    },
+    indexes: {
+      owner_createdAt: { owner: 1, createdAt: -1 },
+      // Purged owners' certificates lose their roast, so only set pointers are unique
+      roast: unique({ roast: 1 }, { partialFilterExpression: { _p_roast: { $type: 'string' } } }),
+      number: { number: 1 }
+    },
+    classLevelPermissions: ownerReadable(['mintClaims'])
+  },
+  {
+    className: 'Counter',
+    fields: {
+      name: field('String', { required: true }),
+      value: field('Number')
+    },
+    indexes: {
+      name: unique({ name: 1 })
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'CreditAccount',
+    fields: {
+      user: pointer('_User', { required: true }),
+      balance: field('Number')
+    },
+    indexes: {
+      user: { user: 1 }
+    },
+    classLevelPermissions: ownerReadable()
+  },
+  {
+    className: 'CreditUsage',
+    fields: {
+      user: pointer('_User', { required: true }),
+      day: field('String', { required: true }),
+      freeRoasts: field('Number')
+    },
+    indexes: {
+      user_day: { user: 1, day: 1 }
+    },
+    classLevelPermissions: ownerReadable()
+  },
+  {
+    className: 'CreditTransaction',
+    fields: {
+      user: pointer('_User', { required: true }),
+      amount: field('Number', { required: true }),
+      type: field('String', { required: true }),
+      reason: field('String'),
+      reference: field('String'),
+      balanceAfter: field('Number'),
+      data: field('Object')
+    },
+    indexes: {
+      user_createdAt: { user: 1, createdAt: -1 }
+    },
+    classLevelPermissions: ownerReadable(['data'])
+  },
+  {
+    className: 'CreditPurchase',
+    fields: {
+      user: pointer('_User', { required: true }),
+      packageId: field('String', { required: true }),
+      credits: field('Number', { required: true }),
+      amountMojos: field('Number', { required: true }),
+      paymentAddress: field('String'),
+      status: field('String', { required: true }),
+      expiresAt: field('Date'),
+      memo: field('String'),
+      coinId: field('String'),
+      confirmations: field('Number'),
+      confirmedBlockIndex: field('Number'),
+      creditedAt: field('Date'),
+      creditGrants: field('Number')
+    },
+    indexes: {
+      user_createdAt: { user: 1, createdAt: -1 },
+      status_amountMojos: { status: 1, amountMojos: 1 }
+    },
+    classLevelPermissions: ownerReadable(['creditGrants'])
+  },
+  {
+    className: 'PaymentCoin',
+    fields: {
+      coinId: field('String', { required: true }),
+      purchase: pointer('CreditPurchase', { required: true })
+    },
+    indexes: {
+      coinId: unique({ coinId: 1 })
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'ModerationEvent',
+    fields: {
+      user: pointer('_User'),
+      stage: field('String'),
+      action: field('String'),
+      findings: field('Array'),
+      categories: field('Array'),
+      content: field('Object'),
+      reviewStatus: field('String'),
+      reviewedBy: pointer('_User'),
+      reviewedAt: field('Date'),
+      reviewNote: field('String')
+    },
+    indexes: {
+      reviewStatus_createdAt: { reviewStatus: 1, createdAt: -1 },
+      user_createdAt: { user: 1, createdAt: -1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'WalletChallenge',
+    fields: {
+      address: field('String'),
+      nonce: field('String', { required: true }),
+      message: field('String'),
+      expiresAt: field('Date'),
+      uses: field('Number'),
+      usedAt: field('Date')
+    },
+    indexes: {
+      nonce: unique({ nonce: 1 }),
+      expiresAt: { expiresAt: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'SignInNonce',
+    fields: {
+      nonce: field('String', { required: true }),
+      expiresAt: field('Date'),
+      uses: field('Number'),
+      usedAt: field('Date')
+    },
+    indexes: {
+      nonce: unique({ nonce: 1 }),
+      expiresAt: { expiresAt: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'ThrottleEntry',
+    // Counters and lock deadlines are stored in `value`, unlock-token emails in `text`
+    fields: {
+      key: field('String', { required: true }),
+      value: field('Number'),
+      text: field('String'),
+      expiresAt: field('Date', { required: true })
+    },
+    indexes: {
+      key_expiresAt: { key: 1, expiresAt: 1 },
+      expiresAt: { expiresAt: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'DataExport',
+    fields: {
+      user: pointer('_User', { required: true }),
+      format: field('String', { required: true }),
+      file: field('File'),
+      size: field('Number'),
+      expiresAt: field('Date')
+    },
+    indexes: {
+      user_format_createdAt: { user: 1, format: 1, createdAt: -1 },
+      expiresAt: { expiresAt: 1 }
+    },
+    classLevelPermissions: ownerReadable()
+  },
+  {
+    className: 'AuditLog',
+    fields: {
+      actor: pointer('_User'),
+      actorRoles: field('Array'),
+      action: field('String', { required: true }),
+      targetClass: field('String'),
+      targetId: field('String'),
+      reason: field('String'),
+      details: field('Object'),
+      ip: field('String')
+    },
+    indexes: {
+      createdAt: { createdAt: -1 },
+      actor_createdAt: { actor: 1, createdAt: -1 },
+      targetId_createdAt: { targetId: 1, createdAt: -1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'SchemaMigration',
+    fields: {
+      version: field('Number', { required: true }),
+      name: field('String', { required: true }),
+      description: field('String'),
+      appliedAt: field('Date'),
+      durationMs: field('Number'),
+      result: field('Object')
+    },
+    indexes: {
+      version: { version: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'JobRun',
+    fields: {
+      job: field('String', { required: true }),
+      trigger: field('String', { required: true }),
+      status: field('String', { required: true }),
+      scheduledFor: field('Date'),
+      startedAt: field('Date', { required: true }),
+      finishedAt: field('Date'),
+      durationMs: field('Number'),
+      message: field('String'),
+      result: field('Object'),
+      error: field('String'),
+      holder: field('String'),
+      lockExpiresAt: field('Date'),
+      jobStatusId: field('String')
+    },
+    indexes: {
+      job_startedAt: { job: 1, startedAt: -1 },
+      job_scheduledFor: { job: 1, scheduledFor: 1 },
+      status_job: { status: 1, job: 1 },
+      startedAt: { startedAt: -1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'JobLock',
+    fields: {
+      job: field('String', { required: true }),
+      holder: field('String', { required: true }),
+      expiresAt: field('Date', { required: true })
+    },
+    indexes: {
+      job_expiresAt: { job: 1, expiresAt: 1 }
+    },
+    classLevelPermissions: masterOnly()
+  },
+  {
+    className: 'MigrationLock',
+    fields: {
+      holder: field('String', { required: true }),
+      expiresAt: field('Date', { required: true })
+    },
+    classLevelPermissions: masterOnly()
+  }
+];
+
+/**
+ * Options for Parse Server's `schema` setting
+ * Indexes are left out: they are created by `ensureIndexes`. Extra or retyped fields in the
+ * database are reported, never dropped.
+ */
+const schemaOptions = () => ({
+  definitions: SCHEMA_DEFINITIONS.map(({ indexes, ...definition }) => definition),
+  strict: true,
+  lockSchemas: true,
+  deleteExtraFields: false,
+  recreateModifiedFields: false
+});
+
+// Pointers Parse Server declares itself, which the definitions above leave out
+const BUILT_IN_POINTERS = { _Session: ['user'] };
+
+const storageKey = (definition, name) => {
+  if (name === 'createdAt') return '_created_at';
+  if (name === 'updatedAt') return '_updated_at';
+
+  const isPointer = definition.fields[name]?.type === 'Pointer'
+    || (BUILT_IN_POINTERS[definition.className] || []).includes(name);
+  return isPointer ? `_p_${name}` : name;
+};
+
+// Mongo key and options of a declared index
+const indexDefinition = (definition, spec) => {
+  const { fields, options = {} } = spec.fields ? spec : { fields: spec };
+  const key = Object.fromEntries(
+    Object.entries(fields).map(([fieldName, order]) => [storageKey(definition, fieldName), order])
+  );
+  return { key, options };
+};
+
+/**
+ * Create the declared indexes that do not exist yet
+ * Takes Parse Server's MongoDB storage adapter; an index whose name is taken by a different
+ * definition is logged and skipped, since changing it means dropping the old one by hand.
+ * The exception is a plain index declared unique since: it is rebuilt as unique, or kept
+ * as it was (and logged) while duplicate rows prevent that.
+ * Resolves to the number of indexes in place.
+ */
+const ensureIndexes = async (adapter) => {
+  let ensured = 0;
+
+  for (const definition of SCHEMA_DEFINITIONS) {
+    const existing = await adapter.getIndexes(definition.className).catch(() => []);
+
+    for (const [name, spec] of Object.entries(definition.indexes || {})) {
+      const { key, options } = indexDefinition(definition, spec);
+      const current = existing.find((index) => index.name === name);
+
+      try {
+        if (options.unique && current && !current.unique) {
+          await adapter.dropIndex(definition.className, name);
+          try {
+            await adapter.createIndexes(definition.className, [{ key, name, ...options }]);
+          } catch (error) {
+            await adapter.createIndexes(definition.className, [{ key: current.key, name }]);
+            throw error;
+          }
+          logger.info('Index made unique', { className: definition.className, index: name });
+        } else {
+          await adapter.createIndexes(definition.className, [{ key, name, ...options }]);
+        }
+        ensured += 1;
+      } catch (error) {
+        logger.warn('Failed to create index', { className: definition.className, index: name, error: error.message });
+      }
+    }
+  }
+
+  return ensured;
+};
+
+module.exports = { SCHEMA_DEFINITIONS, schemaOptions, ensureIndexes };
@@ -0,0 +1,384 @@
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { revokeAllSessions } = require('./sessions');
+const { assertLoginAllowed, recordLoginFailure } = require('./throttle');
+const { verifyIdentityToken } = require('./identity_providers');
+const { redeemChallenge } = require('./wallet_challenges');
+const { ROAST_CLASS, reapplyOwnerRoastACLs } = require('./roasts');
+const { ROAST_JOB_CLASS } = require('./roast_jobs');
+const { SHARE_LINK_CLASS } = require('./share_links');
+const { ROAST_CONSENT_CLASS } = require('./roastee_consent');
+const { REACTION_CLASS, removeReactionsOnOwnedRoasts } = require('./reactions');
+const { WEBHOOK_ENDPOINT_CLASS, WEBHOOK_DELIVERY_CLASS } = require('./webhooks');
+const { API_KEY_CLASS, API_KEY_USAGE_CLASS } = require('./api_keys');
+const { ACTIVITY_CLASS } = require('./activity');
+const { CERTIFICATE_CLASS, CERTIFICATE_STATUS } = require('./certificates');
+const { CREDIT_TRANSACTION_CLASS, CREDIT_ACCOUNT_CLASS, CREDIT_USAGE_CLASS } = require('./credits');
+const { CREDIT_PURCHASE_CLASS } = require('./credit_purchases');
+const { MODERATION_EVENT_CLASS } = require('./moderation');
+const { DATA_EXPORT_CLASS, destroyExport } = require('./data_exports');
+
+/**
+ * Account Service
+ * Deactivation and deletion of user accounts. Deleting an account deactivates it at once
+ * and signs every device out; the data is removed by `purgeDeletedAccounts` once the grace
+ * period has passed. Logging in again during the grace period cancels the deletion.
+ * Moderators can also suspend an account; a suspended account stays inactive until it is
+ * reinstated, whatever its deletion state. The public roasts of an inactive account are
+ * not readable by others.
+ */
+
+const ACCOUNT_DELETION_GRACE_DAYS = getConfig().accountDeletionGraceDays;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_BATCH_SIZE = 500;
+
+// Accounts created before isActive existed have no flag and count as active
+const isAccountActive = (user) => user.get('isActive') !== false;
+
+const isDeletionPending = (user) => !!user.get('deletionScheduledAt');
+
+const isSuspended = (user) => !!user.get('suspendedAt');
+
+/**
+ * Throw unless the user may sign in or use their session
+ */
+const assertAccountActive = (user) => {
+  if (isSuspended(user)) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This account has been suspended');
+  }
+  if (!isAccountActive(user)) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This account has been deactivated');
+  }
+};
+
+// Sign-in methods an account can have instead of a password
+const SIGN_IN_PROVIDERS = ['chia', 'google', 'apple'];
+
+const signInProvidersOf = (user) => SIGN_IN_PROVIDERS.filter((provider) => !!user.get('authData')?.[provider]);
+
+/**
+ * Whether the account can sign in with a password
+ * `hasPassword` is recorded when the account is created or a password is set (cloud/main.js);
+ * older accounts have one unless they signed up with a provider or wallet.
+ */
+const hasPassword = (user) => {
+  if (typeof user.get('hasPassword') === 'boolean') return user.get('hasPassword');
+  return signInProvidersOf(user).length === 0;
+};
+
+/**
+ * Check the user's current password before a password change or account deletion
+ * Wrong passwords count towards the login lockout, so a stolen session does not become a
+ * way to guess the password. Accounts without a password are refused before any check.
+ */
+const verifyCurrentPassword = async (user, password, { ip } = {}) => {
+  if (!hasPassword(user)) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This account signs in with Google, Apple or a wallet and has no password');
+  }
+  if (!password || typeof password !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: password');
+  }
+
+  const email = user.get('email');
+  await assertLoginAllowed({ email, ip });
+
+  try {
+    await Parse.User.verifyPassword(user.get('username'), password);
+  } catch (error) {
+    if (error.code === Parse.Error.OBJECT_NOT_FOUND) {
+      await recordLoginFailure({ email, ip });
+      throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Current password is incorrect');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Check a fresh sign-in with one of the user's linked providers or their wallet
+ * `authData` is what the client would pass to `Parse.User.logInWith(provider, ...)`. The
+ * proof is single-use and signed by the provider or wallet, so failures are not counted
+ * towards the login lockout.
+ */
+const verifyProviderSignIn = async (user, { provider, authData } = {}) => {
+  const linked = user.get('authData')?.[provider];
+  if (!linked) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `Sign in again with one of: ${signInProvidersOf(user).join(', ')}`
+    );
+  }
+  if (!authData || typeof authData !== 'object') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: authData');
+  }
+
+  const id = provider === 'chia'
+    ? (await redeemChallenge(authData)).address
+    : (await verifyIdentityToken(provider, authData)).id;
+
+  if (id !== linked.id) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'This sign-in belongs to a different account');
+  }
+};
+
+/**
+ * Confirm that the account owner is present before a sensitive change
+ * Accounts with a password give it (`password`); the others sign in again with a linked
+ * provider or their wallet (`provider`, `authData`).
+ */
+const verifyAccountOwner = (user, { password, provider, authData } = {}, { ip } = {}) => (
+  hasPassword(user)
+    ? verifyCurrentPassword(user, password, { ip })
+    : verifyProviderSignIn(user, { provider, authData })
+);
+
+/**
+ * Deactivate an account, sign it out everywhere and schedule its deletion
+ * Resolves to the date the data will be removed.
+ */
+const scheduleAccountDeletion = async (user) => {
+  const now = new Date();
+  const scheduledFor = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS);
+
+  user.set('isActive', false);
+  user.set('deletionRequestedAt', now);
+  user.set('deletionScheduledAt', scheduledFor);
+  await user.save(null, { useMasterKey: true });
+  await reapplyOwnerRoastACLs(user);
+
+  const revokedSessions = await revokeAllSessions(user);
+
+  logger.info('Account deletion scheduled', { userId: user.id, scheduledFor, revokedSessions });
+
+  return scheduledFor;
+};
+
+/**
+ * Reactivate an account whose deletion is still pending
+ */
+const cancelAccountDeletion = async (user) => {
+  user.set('isActive', true);
+  user.unset('deletionRequestedAt');
+  user.unset('deletionScheduledAt');
+  await user.save(null, { useMasterKey: true });
+  await reapplyOwnerRoastACLs(user);
+
+  logger.info('Account deletion cancelled', { userId: user.id });
+};
+
+/**
+ * beforeLogin check: a login during the grace period restores the account,
+ * any other deactivated account is refused
+ */
+const admitLogin = async (user) => {
+  if (isDeletionPending(user) && !isSuspended(user)) {
+    await cancelAccountDeletion(user);
+    return;
+  }
+
+  assertAccountActive(user);
+};
+
+/**
+ * Suspend an account and sign it out everywhere
+ */
+const suspendAccount = async (user, { actor, reason }) => {
+  user.set('isActive', false);
+  user.set('suspendedAt', new Date());
+  user.set('suspendedBy', actor);
+  user.set('suspensionReason', reason);
+  await user.save(null, { useMasterKey: true });
+  await reapplyOwnerRoastACLs(user);
+
+  return revokeAllSessions(user);
+};
+
+/**
+ * Lift a suspension; an account with a pending deletion stays inactive until its owner logs in
+ */
+const reinstateAccount = async (user) => {
+  user.set('isActive', !isDeletionPending(user));
+  user.unset('suspendedAt');
+  user.unset('suspendedBy');
+  user.unset('suspensionReason');
+  await user.save(null, { useMasterKey: true });
+  await reapplyOwnerRoastACLs(user);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find users by id, or by email, username or display name prefix (case-insensitive)
+ */
+const searchUsers = async ({ query: term, limit = 20, skip = 0 } = {}) => {
+  const text = typeof term === 'string' ? term.trim() : '';
+  if (text.length < 2) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Search query must be at least 2 characters');
+  }
+
+  const prefix = new RegExp(`^${escapeRegex(text)}`, 'i');
+  const matching = (field) => new Parse.Query(Parse.User).matches(field, prefix);
+  const byId = new Parse.Query(Parse.User).equalTo('objectId', text);
+
+  const query = Parse.Query.or(byId, matching('email'), matching('username'), matching('displayName'));
+  query.descending('createdAt');
+  query.limit(Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100));
+  query.skip(Math.max(parseInt(skip, 10) || 0, 0));
+
+  return query.find({ useMasterKey: true });
+};
+
+/**
+ * Account state as shown to admins and moderators
+ */
+const serializeAccount = (user, roles = []) => ({
+  id: user.id,
+  username: user.get('username'),
+  email: user.get('email'),
+  displayName: user.get('displayName'),
+  emailVerified: user.get('emailVerified'),
+  isActive: isAccountActive(user),
+  suspended: isSuspended(user),
+  suspendedAt: user.get('suspendedAt') || null,
+  suspensionReason: user.get('suspensionReason') || null,
+  deletionScheduledAt: user.get('deletionScheduledAt') || null,
+  walletAddress: user.get('authData')?.chia?.id || null,
+  roles,
+  lastLogin: user.get('lastLogin'),
+  createdAt: user.createdAt
+});
+
+const destroyMatching = async (className, field, user) => {
+  let removed = 0;
+
+  for (;;) {
+    const query = new Parse.Query(className);
+    query.equalTo(field, user);
+    query.limit(PURGE_BATCH_SIZE);
+    const rows = await query.find({ useMasterKey: true });
+    if (rows.length === 0) return removed;
+
+    await Parse.Object.destroyAll(rows, { useMasterKey: true });
+    removed += rows.length;
+  }
+};
+
+const destroyFile = (file) => file?.destroy({ useMasterKey: true }).catch((error) => {
+  logger.warn('Failed to delete file', { name: file.name(), error: error.message });
+});
+
+/**
+ * Remove or detach the user's certificates
+ * Minted certificates stay, unowned, because the NFT on chain points at their files.
+ */
+const purgeCertificates = async (user) => {
+  const query = new Parse.Query(CERTIFICATE_CLASS);
+  query.equalTo('owner', user);
+  query.limit(10000);
+  const certificates = await query.find({ useMasterKey: true });
+
+  for (const certificate of certificates) {
+    if (certificate.get('status') === CERTIFICATE_STATUS.MINTED) {
+      certificate.unset('owner');
+      certificate.unset('roast');
+      certificate.setACL(new Parse.ACL());
+      await certificate.save(null, { useMasterKey: true });
+    } else {
+      await destroyFile(certificate.get('imageFile'));
+      await destroyFile(certificate.get('metadataFile'));
+      await certificate.destroy({ useMasterKey: true });
+    }
+  }
+};
+
+const purgeDataExports = async (user) => {
+  const query = new Parse.Query(DATA_EXPORT_CLASS);
+  query.equalTo('user', user);
+  query.limit(10000);
+  const exports = await query.find({ useMasterKey: true });
+
+  for (const record of exports) {
+    await destroyExport(record);
+  }
+};
+
+/**
+ * Permanently remove a user and everything that belongs to them
+ */
+const purgeAccount = async (user) => {
+  await purgeCertificates(user);
+  await purgeDataExports(user);
+  await removeReactionsOnOwnedRoasts(user);
+
+  for (const className of [
+    WEBHOOK_DELIVERY_CLASS,
+    WEBHOOK_ENDPOINT_CLASS,
+    API_KEY_CLASS,
+    SHARE_LINK_CLASS,
+    ROAST_CONSENT_CLASS,
+    ROAST_JOB_CLASS,
+    ROAST_CLASS,
+    ACTIVITY_CLASS
+  ]) {
+    await destroyMatching(className, 'owner', user);
+  }
+  for (const className of [
+    REACTION_CLASS,
+    API_KEY_USAGE_CLASS,
+    CREDIT_TRANSACTION_CLASS,
+    CREDIT_ACCOUNT_CLASS,
+    CREDIT_USAGE_CLASS,
+    CREDIT_PURCHASE_CLASS,
+    MODERATION_EVENT_CLASS
+  ]) {
+    await destroyMatching(className, 'user', user);
+  }
+
+  await revokeAllSessions(user);
+  await user.destroy({ useMasterKey: true });
+};
+
+/**
+ * Hard-delete every account whose grace period has ended
+ * One failing account is logged and retried on the next run.
+ */
+const purgeDeletedAccounts = async ({ limit = 100 } = {}) => {
+  const query = new Parse.Query(Parse.User);
+  query.lessThanOrEqualTo('deletionScheduledAt', new Date());
+  query.equalTo('isActive', false);
+  query.ascending('deletionScheduledAt');
+  query.limit(limit);
+  const users = await query.find({ useMasterKey: true });
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      purged += 1;
+      logger.info('Account purged', { userId: user.id });
+    } catch (error) {
+      logger.error('Account purge failed', { userId: user.id, error: error.message });
+    }
+  }
+
+  return { due: users.length, purged };
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  isAccountActive,
+  isDeletionPending,
+  isSuspended,
+  assertAccountActive,
+  hasPassword,
+  verifyCurrentPassword,
+  verifyAccountOwner,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  admitLogin,
+  suspendAccount,
+  reinstateAccount,
+  searchUsers,
+  serializeAccount,
+  purgeDeletedAccounts
+};
@@ -0,0 +1,21 @@
+/**
+ * ACL Helpers
+ */
+
+// Readable by the owner only; writes are reserved for cloud code (master key)
+const ownerOnlyACL = (user) => {
+  const acl = new Parse.ACL();
+  acl.setReadAccess(user.id, true);
+  return acl;
+};
+
+/**
+ * beforeSave/beforeDelete handler for classes that only cloud code may write
+ */
+const rejectClientWrites = (className) => async (request) => {
+  if (!request.master) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `${className} objects can only be modified through cloud functions`);
+  }
+};
+
+module.exports = { ownerOnlyACL, rejectClientWrites };
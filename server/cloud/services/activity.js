@@ -0,0 +1,147 @@
+const { ownerOnlyACL } = require('./acl');
+
+/**
+ * Activity Feed Service
+ * Records user-facing events (roasts, certificates, profile changes) in the `Activity` class
+ * and pages through them for the History tab.
+ */
+
+const ACTIVITY_CLASS = 'Activity';
+
+// Activity type -> feed category (matches the All / Roasts / NFTs segments)
+const ACTIVITY_TYPES = {
+  'roast.created': 'roast',
+  'certificate.created': 'nft',
+  'certificate.minted': 'nft',
+  'profile.created': 'profile',
+  'profile.updated': 'profile'
+};
+
+const FEED_FILTERS = {
+  all: null,
+  roasts: 'roast',
+  nfts: 'nft'
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Record an activity for a user
+ * `subject` is an optional Parse.Object the activity refers to (a Roast, a certificate, ...)
+ */
+const recordActivity = async ({ user, type, title, subject, data }) => {
+  if (!ACTIVITY_TYPES[type]) {
+    throw new Error(`Unknown activity type "${type}"`);
+  }
+
+  const activity = new Parse.Object(ACTIVITY_CLASS);
+  activity.set('owner', user);
+  activity.set('type', type);
+  activity.set('category', ACTIVITY_TYPES[type]);
+  activity.set('title', title);
+
+  if (subject) {
+    activity.set('subjectClass', subject.className);
+    activity.set('subjectId', subject.id);
+  }
+
+  if (data) {
+    activity.set('data', data);
+  }
+
+  activity.setACL(ownerOnlyACL(user));
+  return activity.save(null, { useMasterKey: true });
+};
+
+const encodeCursor = (activity) =>
+  Buffer.from(JSON.stringify({ t: activity.createdAt.toISOString(), id: activity.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const createdAt = new Date(t);
+    if (!id || isNaN(createdAt.getTime())) {
+      throw new Error('Malformed cursor');
+    }
+    return { createdAt, id };
+  } catch (error) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Invalid cursor');
+  }
+};
+
+/**
+ * List a page of activities for a user, newest first
+ * Resolves to `{ activities, nextCursor }`; `nextCursor` is null on the last page
+ */
+const listActivities = async (user, { type = 'all', cursor, limit } = {}) => {
+  if (!Object.prototype.hasOwnProperty.call(FEED_FILTERS, type)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid type filter. Expected one of: ${Object.keys(FEED_FILTERS).join(', ')}`);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  const scoped = () => {
+    const query = new Parse.Query(ACTIVITY_CLASS);
+    query.equalTo('owner', user);
+    if (FEED_FILTERS[type]) {
+      query.equalTo('category', FEED_FILTERS[type]);
+    }
+    return query;
+  };
+
+  let query = scoped();
+
+  // Keyset pagination on (createdAt, objectId) so ties never skip or repeat rows
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    const older = scoped();
+    older.lessThan('createdAt', position.createdAt);
+    const sameInstant = scoped();
+    sameInstant.equalTo('createdAt', position.createdAt);
+    sameInstant.lessThan('objectId', position.id);
+    query = Parse.Query.or(older, sameInstant);
+  }
+
+  query.descending('createdAt');
+  query.addDescending('objectId');
+  query.limit(pageSize + 1);
+
+  const results = await query.find({ useMasterKey: true });
+  const page = results.slice(0, pageSize);
+
+  return {
+    activities: page.map((activity) => ({
+      id: activity.id,
+      type: activity.get('type'),
+      category: activity.get('category'),
+      title: activity.get('title'),
+      subjectClass: activity.get('subjectClass'),
+      subjectId: activity.get('subjectId'),
+      data: activity.get('data') || {},
+      createdAt: activity.createdAt
+    })),
+    nextCursor: results.length > pageSize ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+/**
+ * Remove every activity that refers to a given object
+ */
+const removeActivitiesFor = async (subject) => {
+  const query = new Parse.Query(ACTIVITY_CLASS);
+  query.equalTo('subjectClass', subject.className);
+  query.equalTo('subjectId', subject.id);
+  const activities = await query.find({ useMasterKey: true });
+  if (activities.length > 0) {
+    await Parse.Object.destroyAll(activities, { useMasterKey: true });
+  }
+};
+
+module.exports = {
+  ACTIVITY_CLASS,
+  ACTIVITY_TYPES,
+  recordActivity,
+  listActivities,
+  removeActivitiesFor
+};
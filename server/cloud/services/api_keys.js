@@ -0,0 +1,330 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { formatRetryAfter } = require('../../utils/retry_after');
+const { getThrottleStore } = require('../providers/throttle_store');
+const { isOwnerActive } = require('./roasts');
+
+/**
+ * API Key Service
+ * Keys for the /api/v2 REST API (./rest_api). A key is shown once when it is created;
+ * `ApiKey` stores only its SHA-256 hash and a short prefix to recognise it by. Every key
+ * has scopes, a per-minute request limit (counted in the throttle store) and a daily roast
+ * quota (counted in `ApiKeyUsage`, one row per key and UTC day). Revoked and expired keys
+ * are refused, as are keys of suspended or deleting accounts.
+ */
+
+const API_KEY_CLASS = 'ApiKey';
+const API_KEY_USAGE_CLASS = 'ApiKeyUsage';
+
+const API_KEY_SCOPES = {
+  ROASTS_READ: 'roasts:read',
+  ROASTS_WRITE: 'roasts:write',
+  STYLES_READ: 'styles:read',
+  USAGE_READ: 'usage:read'
+};
+
+const KEY_PREFIX = 'hrk_';
+const DISPLAY_PREFIX_LENGTH = 12;
+const MAX_NAME_LENGTH = 60;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_KEYS_PER_USER = getConfig().apiKeyMaxPerUser;
+
+// Ceilings for each key; users may choose lower limits when creating a key
+const MAX_REQUESTS_PER_MINUTE = getConfig().apiKeyRequestsPerMinute;
+const MAX_ROASTS_PER_DAY = getConfig().apiKeyRoastsPerDay;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const startOfNextDay = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) + DAY_MS);
+
+const validateScopes = (scopes) => {
+  const allowed = Object.values(API_KEY_SCOPES);
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `scopes must list one or more of: ${allowed.join(', ')}`);
+  }
+
+  const invalid = scopes.filter((scope) => !allowed.includes(scope));
+  if (invalid.length > 0) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Unknown scopes: ${invalid.join(', ')}. Expected any of: ${allowed.join(', ')}`);
+  }
+
+  return [...new Set(scopes)];
+};
+
+const validateLimit = (value, max, field) => {
+  if (value === undefined || value === null) return max;
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `${field} must be a whole number from 1 to ${max}`);
+  }
+  return value;
+};
+
+/**
+ * Create a key for `user`
+ * Resolves to `{ apiKey, key }`; `key` is the only copy of the secret and is never stored.
+ */
+const createApiKey = async (user, { name, scopes, requestsPerMinute, roastsPerDay, expiresInDays }) => {
+  if (!name || typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `name must be between 1 and ${MAX_NAME_LENGTH} characters`);
+  }
+  const keyScopes = validateScopes(scopes);
+  const rateLimit = validateLimit(requestsPerMinute, MAX_REQUESTS_PER_MINUTE, 'requestsPerMinute');
+  const roastQuota = validateLimit(roastsPerDay, MAX_ROASTS_PER_DAY, 'roastsPerDay');
+
+  let expiresAt;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`);
+    }
+    expiresAt = new Date(Date.now() + expiresInDays * DAY_MS);
+  }
+
+  const active = new Parse.Query(API_KEY_CLASS);
+  active.equalTo('owner', user);
+  active.doesNotExist('revokedAt');
+  if (await active.count({ useMasterKey: true }) >= MAX_KEYS_PER_USER) {
+    throw new Parse.Error(
+      Parse.Error.OPERATION_FORBIDDEN,
+      `You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`
+    );
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = new Parse.Object(API_KEY_CLASS);
+  apiKey.set('owner', user);
+  apiKey.set('name', name.trim());
+  apiKey.set('prefix', key.slice(0, DISPLAY_PREFIX_LENGTH));
+  apiKey.set('keyHash', hashKey(key));
+  apiKey.set('scopes', keyScopes);
+  apiKey.set('requestsPerMinute', rateLimit);
+  apiKey.set('roastsPerDay', roastQuota);
+  if (expiresAt) apiKey.set('expiresAt', expiresAt);
+  apiKey.setACL(new Parse.ACL());
+  await apiKey.save(null, { useMasterKey: true });
+
+  logger.info('API key created', { userId: user.id, apiKeyId: apiKey.id, scopes: keyScopes });
+
+  return { apiKey, key };
+};
+
+const listApiKeys = (user) => {
+  const query = new Parse.Query(API_KEY_CLASS);
+  query.equalTo('owner', user);
+  query.descending('createdAt');
+  return query.find({ useMasterKey: true });
+};
+
+/**
+ * Fetch a key owned by the given user
+ * Throws OBJECT_NOT_FOUND for missing keys and for keys owned by someone else
+ */
+const getOwnedApiKey = async (user, apiKeyId) => {
+  if (!apiKeyId || typeof apiKeyId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: apiKeyId');
+  }
+
+  const query = new Parse.Query(API_KEY_CLASS);
+  query.equalTo('owner', user);
+  const apiKey = await query.get(apiKeyId, { useMasterKey: true }).catch(() => null);
+
+  if (!apiKey) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'API key not found');
+  }
+
+  return apiKey;
+};
+
+const revokeApiKey = async (apiKey) => {
+  if (!apiKey.get('revokedAt')) {
+    apiKey.set('revokedAt', new Date());
+    await apiKey.save(null, { useMasterKey: true });
+  }
+  return apiKey;
+};
+
+const isApiKeyActive = (apiKey, now = new Date()) =>
+  !apiKey.get('revokedAt') && !(apiKey.get('expiresAt') && apiKey.get('expiresAt') <= now);
+
+/**
+ * Look up the key a request presents
+ * Resolves to the `ApiKey` with its owner included; throws INVALID_SESSION_TOKEN for
+ * unknown, revoked and expired keys and for keys of inactive accounts.
+ */
+const authenticateApiKey = async (key) => {
+  if (!key || typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+    throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'A valid API key is required');
+  }
+
+  const query = new Parse.Query(API_KEY_CLASS);
+  query.equalTo('keyHash', hashKey(key));
+  query.include('owner');
+  const apiKey = await query.first({ useMasterKey: true });
+
+  if (!apiKey || !isApiKeyActive(apiKey) || !isOwnerActive(apiKey.get('owner'))) {
+    throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'This API key is invalid, revoked or expired');
+  }
+
+  const lastUsedAt = apiKey.get('lastUsedAt');
+  if (!lastUsedAt || Date.now() - lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    apiKey.set('lastUsedAt', new Date());
+    apiKey.save(null, { useMasterKey: true }).catch((error) => {
+      logger.warn('Failed to record API key use', { apiKeyId: apiKey.id, error: error.message });
+    });
+  }
+
+  return apiKey;
+};
+
+const requireScope = (apiKey, scope) => {
+  if (!(apiKey.get('scopes') || []).includes(scope)) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `This API key lacks the ${scope} scope`);
+  }
+};
+
+/**
+ * Count a request against the key's per-minute limit
+ * Resolves to `{ limit, remaining, resetAt }` for the rate limit headers; throws
+ * REQUEST_LIMIT_EXCEEDED (with a retry-after) once the limit is used up.
+ */
+const consumeRequest = async (apiKey) => {
+  const limit = apiKey.get('requestsPerMinute') || MAX_REQUESTS_PER_MINUTE;
+  const { value, expiresAt } = await getThrottleStore().increment(`apikey:minute:${apiKey.id}`, MINUTE_MS);
+  const rate = { limit, remaining: Math.max(limit - value, 0), resetAt: expiresAt };
+
+  if (value > limit) {
+    const error = new Parse.Error(
+      Parse.Error.REQUEST_LIMIT_EXCEEDED,
+      formatRetryAfter(`This API key is limited to ${limit} requests per minute.`, expiresAt.getTime() - Date.now())
+    );
+    error.rate = rate;
+    throw error;
+  }
+
+  return rate;
+};
+
+/**
+ * Today's usage row of a key
+ * Concurrent creators may both insert; the oldest row always wins.
+ */
+const findOrCreateUsage = async (apiKey) => {
+  const today = () => {
+    const query = new Parse.Query(API_KEY_USAGE_CLASS);
+    query.equalTo('apiKey', apiKey);
+    query.equalTo('day', usageDay());
+    query.ascending('createdAt');
+    return query;
+  };
+
+  const existing = await today().first({ useMasterKey: true });
+  if (existing) return existing;
+
+  const usage = new Parse.Object(API_KEY_USAGE_CLASS);
+  usage.set('apiKey', apiKey);
+  usage.set('user', apiKey.get('owner'));
+  usage.set('day', usageDay());
+  usage.set('roasts', 0);
+  usage.setACL(new Parse.ACL());
+  await usage.save(null, { useMasterKey: true });
+
+  return today().first({ useMasterKey: true });
+};
+
+/**
+ * Take one roast from the key's daily quota, atomically
+ * Resolves to the usage row to pass to releaseRoast if generation fails.
+ */
+const takeRoastQuota = async (apiKey) => {
+  const quota = apiKey.get('roastsPerDay') || MAX_ROASTS_PER_DAY;
+  const usage = await findOrCreateUsage(apiKey);
+  usage.increment('roasts');
+  await usage.save(null, { useMasterKey: true });
+
+  if (usage.get('roasts') > quota) {
+    usage.increment('roasts', -1);
+    await usage.save(null, { useMasterKey: true });
+    throw new Parse.Error(
+      Parse.Error.REQUEST_LIMIT_EXCEEDED,
+      formatRetryAfter(`This API key's quota of ${quota} roasts per day is used up.`, startOfNextDay().getTime() - Date.now())
+    );
+  }
+
+  return usage;
+};
+
+const releaseRoast = async (usage) => {
+  try {
+    usage.increment('roasts', -1);
+    await usage.save(null, { useMasterKey: true });
+  } catch (error) {
+    logger.error('API key quota release failed', { usageId: usage.id, error: error.message });
+  }
+};
+
+/**
+ * The key's limits and what is left of them
+ */
+const getApiKeyUsage = async (apiKey) => {
+  const query = new Parse.Query(API_KEY_USAGE_CLASS);
+  query.equalTo('apiKey', apiKey);
+  query.equalTo('day', usageDay());
+  const usage = await query.first({ useMasterKey: true });
+  const minute = await getThrottleStore().get(`apikey:minute:${apiKey.id}`);
+
+  const roastsPerDay = apiKey.get('roastsPerDay') || MAX_ROASTS_PER_DAY;
+  const requestsPerMinute = apiKey.get('requestsPerMinute') || MAX_REQUESTS_PER_MINUTE;
+  const roasts = usage ? usage.get('roasts') : 0;
+
+  return {
+    requestsPerMinute,
+    requestsRemaining: Math.max(requestsPerMinute - (minute ? minute.value : 0), 0),
+    roastsPerDay,
+    roastsToday: roasts,
+    roastsRemaining: Math.max(roastsPerDay - roasts, 0),
+    resetsAt: startOfNextDay()
+  };
+};
+
+const serializeApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.get('name'),
+  prefix: apiKey.get('prefix'),
+  scopes: apiKey.get('scopes'),
+  requestsPerMinute: apiKey.get('requestsPerMinute'),
+  roastsPerDay: apiKey.get('roastsPerDay'),
+  active: isApiKeyActive(apiKey),
+  expiresAt: apiKey.get('expiresAt'),
+  revokedAt: apiKey.get('revokedAt'),
+  lastUsedAt: apiKey.get('lastUsedAt'),
+  createdAt: apiKey.createdAt
+});
+
+module.exports = {
+  API_KEY_CLASS,
+  API_KEY_USAGE_CLASS,
+  API_KEY_SCOPES,
+  MAX_REQUESTS_PER_MINUTE,
+  MAX_ROASTS_PER_DAY,
+  createApiKey,
+  listApiKeys,
+  getOwnedApiKey,
+  revokeApiKey,
+  authenticateApiKey,
+  requireScope,
+  consumeRequest,
+  takeRoastQuota,
+  releaseRoast,
+  getApiKeyUsage,
+  serializeApiKey
+};
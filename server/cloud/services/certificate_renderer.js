@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { getConfig } = require('../../utils/config');
+
+/**
+ * Roast Certificate Renderer
+ * Renders certificate artwork as SVG and builds CHIP-0007 metadata for it.
+ * Output is deterministic so the sha256 hashes can be reproduced from the roast.
+ */
+
+const WIDTH = 1200;
+const HEIGHT = 1200;
+const EXCERPT_LENGTH = 320;
+const LINE_LENGTH = 46;
+const MAX_LINES = 8;
+
+// CHIP-0007 collection identifier (UUID) for HaRaaS certificates
+const COLLECTION_ID = getConfig().certificateCollectionId;
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const sha256Hex = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Cut roast text down to a whole-word excerpt
+ */
+const excerpt = (text, length = EXCERPT_LENGTH) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= length) return flat;
+  return `${flat.slice(0, flat.lastIndexOf(' ', length - 1)).replace(/[,;:.!?-]+$/, '')}…`;
+};
+
+/**
+ * Greedy word wrap for SVG <text> lines (and the share card in ./share_preview)
+ */
+const wrap = (text, lineLength = LINE_LENGTH, maxLines = MAX_LINES) => {
+  const lines = [];
+  let current = '';
+
+  text.split(' ').forEach((word) => {
+    if (current && `${current} ${word}`.length > lineLength) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current) lines.push(current);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].replace(/[,;:.!?-]+$/, '')}…`;
+    return kept;
+  }
+  return lines;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Render certificate artwork
+ * Resolves to a Buffer holding an SVG document.
+ */
+const renderCertificateSvg = ({ number, name, profession, text, temperature, issuedAt }) => {
+  const lines = wrap(excerpt(text));
+  const lineHeight = 44;
+  const firstLineY = 620 - ((lines.length - 1) * lineHeight) / 2;
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="#2b0a00"/>
+      <stop offset="1" stop-color="#7a1f00"/>
+    </linearGradient>
+  </defs>
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="url(#bg)"/>
+  <rect x="40" y="40" width="${WIDTH - 80}" height="${HEIGHT - 80}" fill="none" stroke="#ffb347" stroke-width="6" rx="24"/>
+  <rect x="60" y="60" width="${WIDTH - 120}" height="${HEIGHT - 120}" fill="none" stroke="#ffb347" stroke-width="2" rx="16"/>
+  <text x="600" y="170" text-anchor="middle" font-family="Georgia, serif" font-size="64" fill="#ffd27f" font-weight="bold">HaRaaS Roast Certificate</text>
+  <text x="600" y="240" text-anchor="middle" font-family="Georgia, serif" font-size="40" fill="#ffb347">#${number}</text>
+  <text x="600" y="340" text-anchor="middle" font-family="Georgia, serif" font-size="30" fill="#fff3e0">This certifies that</text>
+  <text x="600" y="400" text-anchor="middle" font-family="Georgia, serif" font-size="52" fill="#ffffff" font-weight="bold">${escapeXml(name)}</text>
+  ${profession ? `<text x="600" y="450" text-anchor="middle" font-family="Georgia, serif" font-size="28" fill="#fff3e0" font-style="italic">${escapeXml(profession)}</text>` : ''}
+  <text x="600" y="500" text-anchor="middle" font-family="Georgia, serif" font-size="30" fill="#fff3e0">has been officially roasted at ${temperature}/11</text>
+${lines.map((line, index) => `  <text x="600" y="${firstLineY + index * lineHeight}" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="30" fill="#ffe0b2">${escapeXml(line)}</text>`).join('\n')}
+  <text x="600" y="1040" text-anchor="middle" font-family="Georgia, serif" font-size="28" fill="#ffb347">Issued ${formatDate(issuedAt)}</text>
+  <text x="600" y="1090" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="22" fill="#ffb347">🔥 Roasted by HaRaaS 🔥</text>
+</svg>
+`;
+
+  return Buffer.from(svg, 'utf8');
+};
+
+/**
+ * Build CHIP-0007 metadata for a certificate
+ * Resolves to a Buffer holding the JSON document.
+ */
+const buildCertificateMetadata = ({ number, name, profession, text, temperature, issuedAt }) => {
+  const metadata = {
+    format: 'CHIP-0007',
+    name: `HaRaaS Roast Certificate #${number}`,
+    description: excerpt(text, 500),
+    minting_tool: 'HaRaaS',
+    sensitive_content: false,
+    series_number: number,
+    attributes: [
+      { trait_type: 'Roastee', value: name },
+      ...(profession ? [{ trait_type: 'Profession', value: profession }] : []),
+      { trait_type: 'Roast Temperature', value: temperature, min_value: 1, max_value: 11 },
+      { trait_type: 'Issued', value: formatDate(issuedAt) }
+    ],
+    collection: {
+      name: 'HaRaaS Roast Certificates',
+      id: COLLECTION_ID,
+      attributes: [
+        { type: 'description', value: 'Certificates for roasts generated with HaRaaS.' }
+      ]
+    }
+  };
+
+  return Buffer.from(`${JSON.stringify(metadata, null, 2)}\n`, 'utf8');
+};
+
+module.exports = {
+  renderCertificateSvg,
+  buildCertificateMetadata,
+  sha256Hex,
+  excerpt,
+  wrap
+};
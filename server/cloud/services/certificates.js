@@ -0,0 +1,266 @@
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { ownerOnlyACL } = require('./acl');
+const { recordActivity } = require('./activity');
+const { nextSequence } = require('./counters');
+const { ROAST_STATUS, isRoastHidden, assertSharingAllowed } = require('./roasts');
+const { normalizeAddress } = require('./wallet_challenges');
+const { renderCertificateSvg, buildCertificateMetadata, sha256Hex } = require('./certificate_renderer');
+const { getChain } = require('../providers/chain');
+
+/**
+ * Roast Certificate Service
+ * Turns a saved roast into certificate artwork plus CHIP-0007 metadata stored as
+ * Parse Files, and mints it as an NFT through the configured chain adapter.
+ */
+
+const CERTIFICATE_CLASS = 'RoastCertificate';
+
+const CERTIFICATE_STATUS = {
+  READY: 'ready',
+  MINTING: 'minting',
+  MINTED: 'minted',
+  FAILED: 'failed'
+};
+
+const serializeCertificate = (certificate) => ({
+  id: certificate.id,
+  number: certificate.get('number'),
+  roastId: certificate.get('roast')?.id,
+  status: certificate.get('status'),
+  image: {
+    uri: certificate.get('imageFile')?.url(),
+    hash: certificate.get('imageHash')
+  },
+  metadata: {
+    uri: certificate.get('metadataFile')?.url(),
+    hash: certificate.get('metadataHash')
+  },
+  launcherId: certificate.get('launcherId'),
+  transactionId: certificate.get('transactionId'),
+  targetAddress: certificate.get('targetAddress'),
+  mintedAt: certificate.get('mintedAt'),
+  createdAt: certificate.createdAt
+});
+
+const findCertificateForRoast = (roast) => {
+  const query = new Parse.Query(CERTIFICATE_CLASS);
+  query.equalTo('roast', roast);
+  return query.first({ useMasterKey: true });
+};
+
+/**
+ * Fetch a certificate owned by the given user
+ */
+const getOwnedCertificate = async (user, certificateId) => {
+  if (!certificateId || typeof certificateId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: certificateId');
+  }
+
+  const query = new Parse.Query(CERTIFICATE_CLASS);
+  query.equalTo('owner', user);
+  const certificate = await query.get(certificateId, { useMasterKey: true }).catch(() => null);
+
+  if (!certificate) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Certificate not found');
+  }
+
+  return certificate;
+};
+
+/**
+ * Create the certificate for a saved roast, or return the existing one
+ * Resolves to `{ certificate, created }`. The unique `roast` index settles concurrent calls:
+ * the first certificate saved is kept and the others' files are deleted (their numbers are
+ * skipped).
+ */
+const createCertificate = async (user, roast) => {
+  if (roast.get('status') !== ROAST_STATUS.SAVED) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Save the roast before creating a certificate');
+  }
+
+  if (isRoastHidden(roast)) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This roast was hidden by a moderator and cannot be certified');
+  }
+
+  // A minted certificate is public for good
+  assertSharingAllowed(roast);
+
+  const existing = await findCertificateForRoast(roast);
+  if (existing) {
+    return { certificate: existing, created: false };
+  }
+
+  const number = await nextSequence('roastCertificate');
+  const details = {
+    number,
+    name: roast.get('name'),
+    profession: roast.get('profession'),
+    text: roast.get('text'),
+    temperature: roast.get('temperature'),
+    issuedAt: new Date()
+  };
+
+  const image = renderCertificateSvg(details);
+  const metadata = buildCertificateMetadata(details);
+
+  const imageFile = new Parse.File(`roast-certificate-${number}.svg`, { base64: image.toString('base64') }, 'image/svg+xml');
+  const metadataFile = new Parse.File(`roast-certificate-${number}.json`, { base64: metadata.toString('base64') }, 'application/json');
+  await Promise.all([
+    imageFile.save({ useMasterKey: true }),
+    metadataFile.save({ useMasterKey: true })
+  ]);
+
+  const certificate = new Parse.Object(CERTIFICATE_CLASS);
+  certificate.set('owner', user);
+  certificate.set('roast', roast);
+  certificate.set('number', number);
+  certificate.set('issuedAt', details.issuedAt);
+  certificate.set('imageFile', imageFile);
+  certificate.set('imageHash', sha256Hex(image));
+  certificate.set('metadataFile', metadataFile);
+  certificate.set('metadataHash', sha256Hex(metadata));
+  certificate.set('status', CERTIFICATE_STATUS.READY);
+  certificate.setACL(ownerOnlyACL(user));
+  try {
+    await certificate.save(null, { useMasterKey: true });
+  } catch (error) {
+    if (error.code !== Parse.Error.DUPLICATE_VALUE) throw error;
+
+    await Promise.all([imageFile, metadataFile].map((file) => file.destroy({ useMasterKey: true }).catch(() => {})));
+    return { certificate: await findCertificateForRoast(roast), created: false };
+  }
+
+  await recordActivity({
+    user,
+    type: 'certificate.created',
+    title: `HaRaaS Roast Certificate #${number}`,
+    subject: certificate,
+    data: { roastId: roast.id, number }
+  });
+
+  return { certificate, created: true };
+};
+
+// A repeated request gets the mint under way, unless it asks for another address
+const existingMint = (certificate, targetAddress) => {
+  if (targetAddress && normalizeAddress(targetAddress) !== certificate.get('targetAddress')) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `Certificate is already ${certificate.get('status')}`);
+  }
+  return certificate;
+};
+
+// Give up the mint claim so a failed mint can be retried
+const releaseMintClaim = (certificate) => {
+  if (certificate.get('mintClaims') > 0) {
+    certificate.increment('mintClaims', -1);
+  }
+};
+
+/**
+ * Submit a certificate for minting
+ * `targetAddress` defaults to the wallet linked to the user's account. The certificate moves
+ * to `minting` before the wallet is called, and only the request that moves the atomic
+ * `mintClaims` counter to 1 gets that far, so a certificate is never minted twice; repeated
+ * requests resolve to the certificate as it is.
+ */
+const mintCertificate = async (user, certificate, targetAddress) => {
+  const status = certificate.get('status');
+  if (status !== CERTIFICATE_STATUS.READY && status !== CERTIFICATE_STATUS.FAILED) {
+    return existingMint(certificate, targetAddress);
+  }
+
+  await user.fetch({ useMasterKey: true });
+  const address = targetAddress || user.get('authData')?.chia?.id;
+  if (!address) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Link a Chia wallet or provide targetAddress to mint');
+  }
+  const normalizedAddress = normalizeAddress(address);
+
+  certificate.increment('mintClaims');
+  await certificate.save(null, { useMasterKey: true });
+  if (certificate.get('mintClaims') !== 1) {
+    certificate.increment('mintClaims', -1);
+    await certificate.save(null, { useMasterKey: true });
+    await certificate.fetch({ useMasterKey: true });
+    return existingMint(certificate, targetAddress);
+  }
+
+  certificate.set('status', CERTIFICATE_STATUS.MINTING);
+  certificate.set('targetAddress', normalizedAddress);
+  certificate.unset('mintError');
+  await certificate.save(null, { useMasterKey: true });
+
+  const { certificateRoyaltyAddress: royaltyAddress, certificateRoyaltyBasisPoints } = getConfig();
+
+  let minted;
+  try {
+    minted = await getChain().mintNft({
+      dataUris: [certificate.get('imageFile').url()],
+      dataHash: certificate.get('imageHash'),
+      metadataUris: [certificate.get('metadataFile').url()],
+      metadataHash: certificate.get('metadataHash'),
+      targetAddress: normalizedAddress,
+      royaltyAddress: royaltyAddress ? normalizeAddress(royaltyAddress) : undefined,
+      royaltyPercentage: certificateRoyaltyBasisPoints,
+      editionNumber: 1,
+      editionTotal: 1
+    });
+  } catch (error) {
+    certificate.set('status', CERTIFICATE_STATUS.FAILED);
+    certificate.set('mintError', error.message);
+    releaseMintClaim(certificate);
+    await certificate.save(null, { useMasterKey: true });
+    throw error;
+  }
+
+  certificate.set('launcherId', minted.launcherId);
+  certificate.set('transactionId', minted.transactionId);
+  await certificate.save(null, { useMasterKey: true });
+
+  return certificate;
+};
+
+/**
+ * Poll the chain adapter for a certificate that is being minted
+ */
+const refreshMintStatus = async (certificate) => {
+  if (certificate.get('status') !== CERTIFICATE_STATUS.MINTING) {
+    return certificate;
+  }
+
+  const { status } = await getChain().getTransactionStatus(certificate.get('transactionId'));
+
+  if (status === 'confirmed') {
+    certificate.set('status', CERTIFICATE_STATUS.MINTED);
+    certificate.set('mintedAt', new Date());
+    await certificate.save(null, { useMasterKey: true });
+
+    await recordActivity({
+      user: certificate.get('owner'),
+      type: 'certificate.minted',
+      title: `HaRaaS Roast Certificate #${certificate.get('number')} — NFT Minted`,
+      subject: certificate,
+      data: { launcherId: certificate.get('launcherId') }
+    });
+
+    logger.info('Roast certificate minted', { certificateId: certificate.id, launcherId: certificate.get('launcherId') });
+  } else if (status === 'failed') {
+    certificate.set('status', CERTIFICATE_STATUS.FAILED);
+    certificate.set('mintError', 'Mint transaction failed');
+    releaseMintClaim(certificate);
+    await certificate.save(null, { useMasterKey: true });
+  }
+
+  return certificate;
+};
+
+module.exports = {
+  CERTIFICATE_CLASS,
+  CERTIFICATE_STATUS,
+  serializeCertificate,
+  getOwnedCertificate,
+  createCertificate,
+  mintCertificate,
+  refreshMintStatus
+};
@@ -0,0 +1,39 @@
+/**
+ * Counter Service
+ * Monotonic sequences backed by the `Counter` class and Parse's atomic increment.
+ */
+
+const COUNTER_CLASS = 'Counter';
+
+const findCounter = (name) => {
+  const query = new Parse.Query(COUNTER_CLASS);
+  query.equalTo('name', name);
+  return query.first({ useMasterKey: true });
+};
+
+/**
+ * Return the next value of a named sequence (starting at 1)
+ */
+const nextSequence = async (name) => {
+  let counter = await findCounter(name);
+
+  if (!counter) {
+    counter = new Parse.Object(COUNTER_CLASS);
+    counter.set('name', name);
+    counter.set('value', 0);
+    counter.setACL(new Parse.ACL());
+    try {
+      await counter.save(null, { useMasterKey: true });
+    } catch (error) {
+      // Another request created it first; the unique name index keeps it the only one
+      if (error.code !== Parse.Error.DUPLICATE_VALUE) throw error;
+      counter = await findCounter(name);
+    }
+  }
+
+  counter.increment('value');
+  await counter.save(null, { useMasterKey: true });
+  return counter.get('value');
+};
+
+module.exports = { COUNTER_CLASS, nextSequence };
@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { ownerOnlyACL } = require('./acl');
+const { appendTransaction, TRANSACTION_TYPES } = require('./credits');
+const { normalizeAddress } = require('./wallet_challenges');
+const { decodeAddress } = require('../../utils/chia');
+const { getChiaRpc } = require('../providers/chia_rpc');
+
+/**
+ * Credit Purchase Service
+ * XCH payments for credit packages. The client pays with the wallet's `chia_send`
+ * to the configured payment address; the server checks the resulting coin through the
+ * Chia RPC adapter and credits the account exactly once per coin ID.
+ */
+
+const CREDIT_PURCHASE_CLASS = 'CreditPurchase';
+const PAYMENT_COIN_CLASS = 'PaymentCoin';
+
+const PURCHASE_STATUS = {
+  AWAITING_PAYMENT: 'awaiting_payment',
+  CONFIRMING: 'confirming',
+  CREDITED: 'credited',
+  REVERSED: 'reversed',
+  EXPIRED: 'expired'
+};
+
+const MOJOS_PER_XCH = 1e12;
+
+const DEFAULT_PACKAGES = [
+  { id: 'starter', name: 'Starter', credits: 10, priceMojos: 10000000000 },
+  { id: 'standard', name: 'Standard', credits: 50, priceMojos: 40000000000 },
+  { id: 'roast-party', name: 'Roast Party', credits: 150, priceMojos: 100000000000 }
+];
+
+// A malformed CREDIT_PACKAGES must not keep the server from starting
+const loadPackages = () => {
+  const { creditPackages } = getConfig();
+  if (!creditPackages) return DEFAULT_PACKAGES;
+
+  try {
+    const packages = JSON.parse(creditPackages);
+    const valid = Array.isArray(packages) && packages.length > 0 && packages.every((pack) =>
+      pack && typeof pack.id === 'string' && Number.isInteger(pack.credits) && Number.isInteger(pack.priceMojos));
+    if (!valid) {
+      throw new Error('expected a non-empty array of { id, name, credits, priceMojos }');
+    }
+    return packages;
+  } catch (error) {
+    logger.error('Invalid CREDIT_PACKAGES, using the default packages', { error: error.message });
+    return DEFAULT_PACKAGES;
+  }
+};
+
+const PACKAGES = loadPackages();
+
+// Payments need this many blocks on top of them before credits are granted
+const REQUIRED_CONFIRMATIONS = getConfig().creditPaymentConfirmations;
+
+const PURCHASE_TTL_MS = 30 * 60 * 1000;
+
+// Purchases can still be confirmed this long after they expire (late payments)
+const LATE_PAYMENT_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Credited purchases are re-checked against the chain for this long to catch reorgs
+const RECONCILE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const formatXch = (mojos) => (mojos / MOJOS_PER_XCH).toFixed(12).replace(/\.?0+$/, '');
+
+const paymentAddress = () => {
+  const { creditsPaymentAddress } = getConfig();
+  if (!creditsPaymentAddress) {
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Credit purchases are not configured');
+  }
+  return normalizeAddress(creditsPaymentAddress);
+};
+
+const listPackages = () => PACKAGES.map((pack) => ({
+  ...pack,
+  priceXch: formatXch(pack.priceMojos)
+}));
+
+const serializePurchase = (purchase) => ({
+  id: purchase.id,
+  packageId: purchase.get('packageId'),
+  credits: purchase.get('credits'),
+  status: purchase.get('status'),
+  paymentAddress: purchase.get('paymentAddress'),
+  amountMojos: purchase.get('amountMojos'),
+  amountXch: formatXch(purchase.get('amountMojos')),
+  memo: purchase.get('memo'),
+  coinId: purchase.get('coinId'),
+  confirmations: purchase.get('confirmations') || 0,
+  requiredConfirmations: REQUIRED_CONFIRMATIONS,
+  expiresAt: purchase.get('expiresAt'),
+  creditedAt: purchase.get('creditedAt'),
+  createdAt: purchase.createdAt
+});
+
+/**
+ * Start a purchase for a package
+ * Each open purchase gets a unique mojo amount so a payment can only match one purchase.
+ */
+const createPurchase = async (user, packageId) => {
+  const pack = PACKAGES.find((candidate) => candidate.id === packageId);
+  if (!pack) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Unknown credit package "${packageId}"`);
+  }
+
+  const address = paymentAddress();
+
+  let amountMojos;
+  for (let attempt = 0; attempt < 5 && !amountMojos; attempt++) {
+    const candidate = pack.priceMojos + crypto.randomInt(1, 100000);
+    const clash = new Parse.Query(CREDIT_PURCHASE_CLASS);
+    clash.equalTo('amountMojos', candidate);
+    clash.containedIn('status', [PURCHASE_STATUS.AWAITING_PAYMENT, PURCHASE_STATUS.CONFIRMING]);
+    if (!(await clash.first({ useMasterKey: true }))) {
+      amountMojos = candidate;
+    }
+  }
+
+  if (!amountMojos) {
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Could not allocate a payment amount. Please try again.');
+  }
+
+  const purchase = new Parse.Object(CREDIT_PURCHASE_CLASS);
+  purchase.set('user', user);
+  purchase.set('packageId', pack.id);
+  purchase.set('credits', pack.credits);
+  purchase.set('amountMojos', amountMojos);
+  purchase.set('paymentAddress', address);
+  purchase.set('status', PURCHASE_STATUS.AWAITING_PAYMENT);
+  purchase.set('expiresAt', new Date(Date.now() + PURCHASE_TTL_MS));
+  purchase.setACL(ownerOnlyACL(user));
+  await purchase.save(null, { useMasterKey: true });
+
+  purchase.set('memo', `haraas:${purchase.id}`);
+  await purchase.save(null, { useMasterKey: true });
+
+  return purchase;
+};
+
+const getOwnedPurchase = async (user, purchaseId) => {
+  if (!purchaseId || typeof purchaseId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: purchaseId');
+  }
+
+  const query = new Parse.Query(CREDIT_PURCHASE_CLASS);
+  query.equalTo('user', user);
+  const purchase = await query.get(purchaseId, { useMasterKey: true }).catch(() => null);
+
+  if (!purchase) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Purchase not found');
+  }
+
+  return purchase;
+};
+
+/**
+ * Bind a coin to a purchase. The first purchase to claim a coin keeps it; the unique
+ * `coinId` index turns away the others.
+ */
+const claimCoin = async (coinId, purchase) => {
+  const findClaim = () => {
+    const query = new Parse.Query(PAYMENT_COIN_CLASS);
+    query.equalTo('coinId', coinId);
+    return query.first({ useMasterKey: true });
+  };
+
+  let claim = await findClaim();
+
+  if (!claim) {
+    claim = new Parse.Object(PAYMENT_COIN_CLASS);
+    claim.set('coinId', coinId);
+    claim.set('purchase', purchase);
+    claim.setACL(new Parse.ACL());
+    try {
+      await claim.save(null, { useMasterKey: true });
+    } catch (error) {
+      if (error.code !== Parse.Error.DUPLICATE_VALUE) throw error;
+      claim = await findClaim();
+    }
+  }
+
+  if (claim.get('purchase').id !== purchase.id) {
+    throw new Parse.Error(Parse.Error.DUPLICATE_VALUE, 'This payment has already been used for another purchase');
+  }
+};
+
+// Memos come back hex encoded from the chain, or as text from the fake adapter
+const memoMatches = (memos, expected) => {
+  if (!memos || memos.length === 0) return false;
+  const expectedHex = Buffer.from(expected, 'utf8').toString('hex');
+  return memos.some((memo) => {
+    const value = String(memo).replace(/^0x/i, '').toLowerCase();
+    return value === expectedHex || memo === expected;
+  });
+};
+
+/**
+ * Check a purchase's payment coin on chain and credit it once it is deep enough
+ * Safe to call repeatedly: the credit is granted exactly once per purchase and per coin.
+ */
+const confirmPurchase = async (purchase, coinId) => {
+  const status = purchase.get('status');
+
+  if (status === PURCHASE_STATUS.CREDITED || status === PURCHASE_STATUS.REVERSED) {
+    return purchase;
+  }
+
+  if (purchase.get('expiresAt').getTime() + LATE_PAYMENT_WINDOW_MS < Date.now()) {
+    purchase.set('status', PURCHASE_STATUS.EXPIRED);
+    await purchase.save(null, { useMasterKey: true });
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This purchase has expired');
+  }
+
+  const boundCoinId = purchase.get('coinId');
+  const normalizedCoinId = String(coinId || boundCoinId || '').replace(/^0x/i, '').toLowerCase();
+
+  if (!/^[0-9a-f]{64}$/.test(normalizedCoinId)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'coinId must be a 32-byte hex coin ID');
+  }
+
+  if (boundCoinId && boundCoinId !== normalizedCoinId) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'A different payment is already attached to this purchase');
+  }
+
+  const rpc = getChiaRpc();
+  const record = await rpc.getCoinRecord(normalizedCoinId);
+
+  if (!record) {
+    // Not on chain (yet), or dropped by a reorg before it was credited
+    purchase.set('confirmations', 0);
+    await purchase.save(null, { useMasterKey: true });
+    return purchase;
+  }
+
+  const expectedPuzzleHash = decodeAddress(purchase.get('paymentAddress')).puzzleHash.toString('hex');
+  if (record.puzzleHash !== expectedPuzzleHash) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'This coin was not sent to the HaRaaS payment address');
+  }
+
+  if (record.amount !== purchase.get('amountMojos')) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Payment must be exactly ${formatXch(purchase.get('amountMojos'))} XCH`);
+  }
+
+  if (record.timestamp && record.timestamp * 1000 < purchase.createdAt.getTime() - 10 * 60 * 1000) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'This payment was made before the purchase was created');
+  }
+
+  if (!boundCoinId) {
+    // The memo ties the coin to this purchase; a payment without it could be anyone's
+    if (!memoMatches(await rpc.getCoinMemos(record), purchase.get('memo'))) {
+      throw new Parse.Error(
+        Parse.Error.INVALID_QUERY,
+        `Payment memo does not match this purchase. Pay from a standard wallet with the memo "${purchase.get('memo')}".`
+      );
+    }
+
+    await claimCoin(normalizedCoinId, purchase);
+    purchase.set('coinId', normalizedCoinId);
+  }
+
+  const confirmations = (await rpc.getPeakHeight()) - record.confirmedBlockIndex + 1;
+  purchase.set('confirmations', confirmations);
+  purchase.set('confirmedBlockIndex', record.confirmedBlockIndex);
+
+  if (confirmations < REQUIRED_CONFIRMATIONS) {
+    purchase.set('status', PURCHASE_STATUS.CONFIRMING);
+    await purchase.save(null, { useMasterKey: true });
+    return purchase;
+  }
+
+  // Atomic guard: only the request that moves `creditGrants` to 1 grants credits
+  purchase.increment('creditGrants');
+  await purchase.save(null, { useMasterKey: true });
+
+  if (purchase.get('creditGrants') === 1) {
+    await appendTransaction(purchase.get('user'), {
+      amount: purchase.get('credits'),
+      type: TRANSACTION_TYPES.PURCHASE,
+      reason: `Purchased ${purchase.get('credits')} credits`,
+      reference: `coin:${normalizedCoinId}`,
+      data: { purchaseId: purchase.id, amountMojos: purchase.get('amountMojos') }
+    });
+
+    purchase.set('status', PURCHASE_STATUS.CREDITED);
+    purchase.set('creditedAt', new Date());
+    await purchase.save(null, { useMasterKey: true });
+
+    logger.info('Credit purchase credited', {
+      userId: purchase.get('user').id,
+      purchaseId: purchase.id,
+      credits: purchase.get('credits')
+    });
+  }
+
+  return purchase;
+};
+
+/**
+ * Re-check recent purchases against the chain
+ * Finishes confirming payments nobody polled for and reverses credits whose coin
+ * disappeared in a reorg. Resolves to `{ confirmed, reversed }`.
+ */
+const reconcilePurchases = async () => {
+  const stats = { confirmed: 0, reversed: 0 };
+  const rpc = getChiaRpc();
+
+  const confirming = new Parse.Query(CREDIT_PURCHASE_CLASS);
+  confirming.equalTo('status', PURCHASE_STATUS.CONFIRMING);
+  confirming.limit(100);
+  for (const purchase of await confirming.find({ useMasterKey: true })) {
+    try {
+      await confirmPurchase(purchase);
+      if (purchase.get('status') === PURCHASE_STATUS.CREDITED) stats.confirmed++;
+    } catch (error) {
+      logger.warn('Purchase confirmation failed during reconcile', { purchaseId: purchase.id, error: error.message });
+    }
+  }
+
+  const credited = new Parse.Query(CREDIT_PURCHASE_CLASS);
+  credited.equalTo('status', PURCHASE_STATUS.CREDITED);
+  credited.greaterThan('creditedAt', new Date(Date.now() - RECONCILE_WINDOW_MS));
+  credited.limit(100);
+  for (const purchase of await credited.find({ useMasterKey: true })) {
+    const record = await rpc.getCoinRecord(purchase.get('coinId'));
+    if (record) {
+      // Re-included at another height after a shallow reorg: still paid
+      if (record.confirmedBlockIndex !== purchase.get('confirmedBlockIndex')) {
+        purchase.set('confirmedBlockIndex', record.confirmedBlockIndex);
+        await purchase.save(null, { useMasterKey: true });
+      }
+      continue;
+    }
+
+    await appendTransaction(purchase.get('user'), {
+      amount: -purchase.get('credits'),
+      type: TRANSACTION_TYPES.REVERSAL,
+      reason: 'Payment reversed by a chain reorganization',
+      reference: `coin:${purchase.get('coinId')}`,
+      data: { purchaseId: purchase.id }
+    });
+
+    purchase.set('status', PURCHASE_STATUS.REVERSED);
+    await purchase.save(null, { useMasterKey: true });
+    stats.reversed++;
+
+    logger.warn('Credit purchase reversed after reorg', { purchaseId: purchase.id, coinId: purchase.get('coinId') });
+  }
+
+  return stats;
+};
+
+module.exports = {
+  CREDIT_PURCHASE_CLASS,
+  PAYMENT_COIN_CLASS,
+  PURCHASE_STATUS,
+  listPackages,
+  serializePurchase,
+  createPurchase,
+  getOwnedPurchase,
+  confirmPurchase,
+  reconcilePurchases
+};
@@ -0,0 +1,257 @@
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { ownerOnlyACL } = require('./acl');
+
+/**
+ * Credit Ledger Service
+ * `CreditTransaction` is an append-only ledger; a user's balance is the sum of their entries.
+ * `CreditAccount` caches that sum and is only ever moved with atomic increments, which is
+ * what makes debits safe under concurrency: decrement first, and undo if it went negative.
+ * Free-tier roasts are tracked per user per UTC day in `CreditUsage`.
+ */
+
+const CREDIT_TRANSACTION_CLASS = 'CreditTransaction';
+const CREDIT_ACCOUNT_CLASS = 'CreditAccount';
+const CREDIT_USAGE_CLASS = 'CreditUsage';
+
+const TRANSACTION_TYPES = {
+  GRANT: 'grant',
+  PURCHASE: 'purchase',
+  DEBIT: 'debit',
+  FREE: 'free',
+  REFUND: 'refund',
+  REVERSAL: 'reversal',
+  ADJUSTMENT: 'adjustment'
+};
+
+const ROAST_CREDIT_COST = getConfig().roastCreditCost;
+const FREE_ROASTS_PER_DAY = getConfig().freeRoastsPerDay;
+
+const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Find or create a per-user singleton row (account or daily usage)
+ * Concurrent creators may both insert; the oldest row always wins.
+ */
+const findOrCreate = async (className, user, fields) => {
+  const scoped = () => {
+    const query = new Parse.Query(className);
+    query.equalTo('user', user);
+    Object.entries(fields).forEach(([key, value]) => query.equalTo(key, value));
+    query.ascending('createdAt');
+    return query;
+  };
+
+  const existing = await scoped().first({ useMasterKey: true });
+  if (existing) return existing;
+
+  const row = new Parse.Object(className);
+  row.set('user', user);
+  Object.entries(fields).forEach(([key, value]) => row.set(key, value));
+  row.setACL(ownerOnlyACL(user));
+  await row.save(null, { useMasterKey: true });
+
+  return scoped().first({ useMasterKey: true });
+};
+
+const getAccount = (user) => findOrCreate(CREDIT_ACCOUNT_CLASS, user, {});
+
+const moveBalance = async (user, amount) => {
+  const account = await getAccount(user);
+  account.increment('balance', amount);
+  await account.save(null, { useMasterKey: true });
+  return account.get('balance');
+};
+
+/**
+ * Append a ledger entry and move the cached balance by the same amount
+ */
+const appendTransaction = async (user, { amount, type, reason, reference, data }) => {
+  const transaction = new Parse.Object(CREDIT_TRANSACTION_CLASS);
+  transaction.set('user', user);
+  transaction.set('amount', amount);
+  transaction.set('type', type);
+  transaction.set('reason', reason);
+  if (reference) transaction.set('reference', reference);
+  if (data) transaction.set('data', data);
+  transaction.setACL(ownerOnlyACL(user));
+  await transaction.save(null, { useMasterKey: true });
+
+  if (amount !== 0) {
+    transaction.set('balanceAfter', await moveBalance(user, amount));
+  }
+
+  return transaction;
+};
+
+/**
+ * Sum the ledger for a user and repair the cached balance if it drifted
+ */
+const recomputeBalance = async (user) => {
+  let total = 0;
+  const query = new Parse.Query(CREDIT_TRANSACTION_CLASS);
+  query.equalTo('user', user);
+  await query.each((transaction) => {
+    total += transaction.get('amount');
+  }, { useMasterKey: true });
+
+  const account = await getAccount(user);
+  const cached = account.get('balance') || 0;
+  if (cached !== total) {
+    logger.warn('Credit balance drift corrected', { userId: user.id, cached, ledger: total });
+    account.increment('balance', total - cached);
+    await account.save(null, { useMasterKey: true });
+  }
+
+  return total;
+};
+
+const getBalance = async (user) => (await getAccount(user)).get('balance') || 0;
+
+/**
+ * Take one free roast from today's quota, atomically
+ */
+const takeFreeRoast = async (user) => {
+  if (FREE_ROASTS_PER_DAY <= 0) return false;
+
+  const usage = await findOrCreate(CREDIT_USAGE_CLASS, user, { day: usageDay() });
+  usage.increment('freeRoasts');
+  await usage.save(null, { useMasterKey: true });
+
+  if (usage.get('freeRoasts') > FREE_ROASTS_PER_DAY) {
+    usage.increment('freeRoasts', -1);
+    await usage.save(null, { useMasterKey: true });
+    return false;
+  }
+
+  return usage;
+};
+
+/**
+ * Charge the user for one roast: free quota first, then paid credits
+ * Resolves to a charge `{ kind: 'free' | 'paid', transactionId, day }` to pass to refundRoast.
+ * Throws OPERATION_FORBIDDEN when the user is out of free roasts and credits.
+ */
+const chargeRoast = async (user, reference) => {
+  const usage = await takeFreeRoast(user);
+
+  if (usage) {
+    const transaction = await appendTransaction(user, {
+      amount: 0,
+      type: TRANSACTION_TYPES.FREE,
+      reason: 'Free daily roast',
+      reference
+    });
+    return { kind: 'free', transactionId: transaction.id, day: usage.get('day') };
+  }
+
+  // Decrement first; if that overdrew the account, put it back and refuse
+  const balance = await moveBalance(user, -ROAST_CREDIT_COST);
+  if (balance < 0) {
+    await moveBalance(user, ROAST_CREDIT_COST);
+    throw new Parse.Error(
+      Parse.Error.OPERATION_FORBIDDEN,
+      `You've used your ${FREE_ROASTS_PER_DAY} free roasts for today and have no credits left. Buy credits to keep roasting.`
+    );
+  }
+
+  const transaction = new Parse.Object(CREDIT_TRANSACTION_CLASS);
+  transaction.set('user', user);
+  transaction.set('amount', -ROAST_CREDIT_COST);
+  transaction.set('type', TRANSACTION_TYPES.DEBIT);
+  transaction.set('reason', 'Roast generation');
+  transaction.set('reference', reference);
+  transaction.set('balanceAfter', balance);
+  transaction.setACL(ownerOnlyACL(user));
+
+  try {
+    await transaction.save(null, { useMasterKey: true });
+  } catch (error) {
+    await moveBalance(user, ROAST_CREDIT_COST);
+    throw error;
+  }
+
+  return { kind: 'paid', transactionId: transaction.id };
+};
+
+/**
+ * Give back a charge after a failed or cancelled generation
+ * Never throws: a failed refund is logged and left for balance reconciliation.
+ */
+const refundRoast = async (user, charge, reason) => {
+  if (!charge) return;
+
+  try {
+    if (charge.kind === 'free') {
+      const usage = await findOrCreate(CREDIT_USAGE_CLASS, user, { day: charge.day });
+      usage.increment('freeRoasts', -1);
+      await usage.save(null, { useMasterKey: true });
+      await appendTransaction(user, {
+        amount: 0,
+        type: TRANSACTION_TYPES.REFUND,
+        reason,
+        reference: charge.transactionId
+      });
+    } else {
+      await appendTransaction(user, {
+        amount: ROAST_CREDIT_COST,
+        type: TRANSACTION_TYPES.REFUND,
+        reason,
+        reference: charge.transactionId
+      });
+    }
+  } catch (error) {
+    logger.error('Roast credit refund failed', { userId: user.id, charge, error: error.message });
+  }
+};
+
+const serializeTransaction = (transaction) => ({
+  id: transaction.id,
+  amount: transaction.get('amount'),
+  type: transaction.get('type'),
+  reason: transaction.get('reason'),
+  reference: transaction.get('reference'),
+  balanceAfter: transaction.get('balanceAfter'),
+  createdAt: transaction.createdAt
+});
+
+/**
+ * Balance, today's free quota and recent ledger entries for a user
+ */
+const getCreditSummary = async (user, { limit = 20 } = {}) => {
+  const usageQuery = new Parse.Query(CREDIT_USAGE_CLASS);
+  usageQuery.equalTo('user', user);
+  usageQuery.equalTo('day', usageDay());
+  const usage = await usageQuery.first({ useMasterKey: true });
+
+  const transactionsQuery = new Parse.Query(CREDIT_TRANSACTION_CLASS);
+  transactionsQuery.equalTo('user', user);
+  transactionsQuery.descending('createdAt');
+  transactionsQuery.limit(limit);
+  const transactions = await transactionsQuery.find({ useMasterKey: true });
+
+  const freeUsed = usage ? usage.get('freeRoasts') : 0;
+
+  return {
+    balance: await getBalance(user),
+    roastCost: ROAST_CREDIT_COST,
+    freeRoastsPerDay: FREE_ROASTS_PER_DAY,
+    freeRoastsRemaining: Math.max(FREE_ROASTS_PER_DAY - freeUsed, 0),
+    transactions: transactions.map(serializeTransaction)
+  };
+};
+
+module.exports = {
+  CREDIT_TRANSACTION_CLASS,
+  CREDIT_ACCOUNT_CLASS,
+  CREDIT_USAGE_CLASS,
+  TRANSACTION_TYPES,
+  ROAST_CREDIT_COST,
+  appendTransaction,
+  recomputeBalance,
+  getBalance,
+  chargeRoast,
+  refundRoast,
+  getCreditSummary,
+  serializeTransaction
+};
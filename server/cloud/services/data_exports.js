@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { createZip } = require('../../utils/zip');
+const { ownerOnlyACL } = require('./acl');
+const { ROAST_CLASS, serializeRoast } = require('./roasts');
+const { ACTIVITY_CLASS } = require('./activity');
+const { CERTIFICATE_CLASS, serializeCertificate } = require('./certificates');
+const { CREDIT_TRANSACTION_CLASS, serializeTransaction } = require('./credits');
+const { CREDIT_PURCHASE_CLASS, serializePurchase } = require('./credit_purchases');
+const { listSessions, serializeSession } = require('./sessions');
+const { SHARE_LINK_CLASS, serializeShareLink } = require('./share_links');
+const { REACTION_CLASS, serializeReaction } = require('./reactions');
+const { WEBHOOK_ENDPOINT_CLASS, serializeEndpoint } = require('./webhooks');
+const { API_KEY_CLASS, serializeApiKey } = require('./api_keys');
+
+/**
+ * Data Export Service
+ * Builds a copy of everything the app stores about a user as a JSON document or a zip of
+ * JSON files. The archive is saved as a Parse File behind a `DataExport` record and is
+ * deleted by `purgeExpiredDataExports` after DATA_EXPORT_TTL_HOURS.
+ */
+
+const DATA_EXPORT_CLASS = 'DataExport';
+
+const EXPORT_FORMATS = ['json', 'zip'];
+
+const DATA_EXPORT_TTL_HOURS = getConfig().dataExportTtlHours;
+
+// A fresh export is handed out again instead of rebuilding it on every call
+const REUSE_WINDOW_MS = 60 * 60 * 1000;
+
+const EXPORT_VERSION = 1;
+
+const serializeExport = (record) => ({
+  id: record.id,
+  format: record.get('format'),
+  url: record.get('file')?.url(),
+  size: record.get('size'),
+  expiresAt: record.get('expiresAt'),
+  createdAt: record.createdAt
+});
+
+// findAll pages by objectId and cannot sort, so order the rows afterwards
+const findAllOwned = async (className, field, user) => {
+  const query = new Parse.Query(className);
+  query.equalTo(field, user);
+  const rows = await query.findAll({ useMasterKey: true });
+  return rows.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+const serializeProfile = (user) => ({
+  id: user.id,
+  username: user.get('username'),
+  email: user.get('email'),
+  emailVerified: user.get('emailVerified'),
+  firstName: user.get('firstName'),
+  lastName: user.get('lastName'),
+  displayName: user.get('displayName'),
+  phone: user.get('phone'),
+  locale: user.get('locale'),
+  registrationDate: user.get('registrationDate'),
+  lastLogin: user.get('lastLogin'),
+  isActive: user.get('isActive'),
+  signInProviders: ['google', 'apple']
+    .filter((provider) => !!user.get('authData')?.[provider])
+    .map((provider) => ({
+      provider,
+      id: user.get('authData')[provider].id,
+      email: user.get('authData')[provider].email
+    })),
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
+
+const serializeWallets = (user) => {
+  const chia = user.get('authData')?.chia;
+  return chia ? [{ chain: 'chia', address: chia.id, publicKey: chia.publicKey }] : [];
+};
+
+const serializeActivity = (activity) => ({
+  id: activity.id,
+  type: activity.get('type'),
+  category: activity.get('category'),
+  title: activity.get('title'),
+  subjectClass: activity.get('subjectClass'),
+  subjectId: activity.get('subjectId'),
+  data: activity.get('data') || {},
+  createdAt: activity.createdAt
+});
+
+/**
+ * Collect the user's data, one section per archive file
+ */
+const collectUserData = async (user) => {
+  const [
+    roasts,
+    shareLinks,
+    reactions,
+    webhookEndpoints,
+    apiKeys,
+    certificates,
+    transactions,
+    purchases,
+    activities,
+    sessions
+  ] = await Promise.all([
+    findAllOwned(ROAST_CLASS, 'owner', user),
+    findAllOwned(SHARE_LINK_CLASS, 'owner', user),
+    findAllOwned(REACTION_CLASS, 'user', user),
+    findAllOwned(WEBHOOK_ENDPOINT_CLASS, 'owner', user),
+    findAllOwned(API_KEY_CLASS, 'owner', user),
+    findAllOwned(CERTIFICATE_CLASS, 'owner', user),
+    findAllOwned(CREDIT_TRANSACTION_CLASS, 'user', user),
+    findAllOwned(CREDIT_PURCHASE_CLASS, 'user', user),
+    findAllOwned(ACTIVITY_CLASS, 'owner', user),
+    listSessions(user)
+  ]);
+
+  return {
+    profile: serializeProfile(user),
+    roasts: roasts.map(serializeRoast),
+    share_links: shareLinks.map(serializeShareLink),
+    reactions: reactions.map(serializeReaction),
+    webhook_endpoints: webhookEndpoints.map(serializeEndpoint),
+    api_keys: apiKeys.map(serializeApiKey),
+    certificates: certificates.map(serializeCertificate),
+    credit_transactions: transactions.map(serializeTransaction),
+    credit_purchases: purchases.map(serializePurchase),
+    wallets: serializeWallets(user),
+    sessions: sessions.map((session) => serializeSession(session)),
+    activity: activities.map(serializeActivity)
+  };
+};
+
+const buildArchive = (data, format, exportedAt) => {
+  const manifest = { version: EXPORT_VERSION, userId: data.profile.id, exportedAt };
+
+  if (format === 'zip') {
+    const entries = [{ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) }]
+      .concat(Object.entries(data).map(([section, value]) => ({
+        name: `${section}.json`,
+        data: JSON.stringify(value, null, 2)
+      })));
+    return { buffer: createZip(entries, { date: exportedAt }), contentType: 'application/zip' };
+  }
+
+  return {
+    buffer: Buffer.from(JSON.stringify({ ...manifest, ...data }, null, 2), 'utf8'),
+    contentType: 'application/json'
+  };
+};
+
+const findRecentExport = (user, format) => {
+  const query = new Parse.Query(DATA_EXPORT_CLASS);
+  query.equalTo('user', user);
+  query.equalTo('format', format);
+  query.greaterThan('createdAt', new Date(Date.now() - REUSE_WINDOW_MS));
+  query.greaterThan('expiresAt', new Date());
+  query.descending('createdAt');
+  return query.first({ useMasterKey: true });
+};
+
+/**
+ * Export the user's data in the given format
+ * Resolves to `{ record, reused }`; an export made within the last hour is reused.
+ */
+const createDataExport = async (user, format = 'json') => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid format. Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const recent = await findRecentExport(user, format);
+  if (recent) {
+    return { record: recent, reused: true };
+  }
+
+  const exportedAt = new Date();
+  const data = await collectUserData(user);
+  const { buffer, contentType } = buildArchive(data, format, exportedAt);
+
+  // The file URL is the only credential needed to download it, so its name is unguessable
+  const name = `data-export-${crypto.randomBytes(16).toString('hex')}.${format}`;
+  const file = new Parse.File(name, { base64: buffer.toString('base64') }, contentType);
+  await file.save({ useMasterKey: true });
+
+  const record = new Parse.Object(DATA_EXPORT_CLASS);
+  record.set('user', user);
+  record.set('format', format);
+  record.set('file', file);
+  record.set('size', buffer.length);
+  record.set('expiresAt', new Date(exportedAt.getTime() + DATA_EXPORT_TTL_HOURS * 60 * 60 * 1000));
+  record.setACL(ownerOnlyACL(user));
+  await record.save(null, { useMasterKey: true });
+
+  logger.info('Data export created', { userId: user.id, exportId: record.id, format, size: buffer.length });
+
+  return { record, reused: false };
+};
+
+/**
+ * Delete an export's file and record
+ */
+const destroyExport = async (record) => {
+  const file = record.get('file');
+  if (file) {
+    await file.destroy({ useMasterKey: true }).catch((error) => {
+      logger.warn('Failed to delete data export file', { exportId: record.id, error: error.message });
+    });
+  }
+  await record.destroy({ useMasterKey: true });
+};
+
+/**
+ * Delete every export past its expiry
+ */
+const purgeExpiredDataExports = async () => {
+  const query = new Parse.Query(DATA_EXPORT_CLASS);
+  query.lessThanOrEqualTo('expiresAt', new Date());
+  query.limit(1000);
+  const expired = await query.find({ useMasterKey: true });
+
+  for (const record of expired) {
+    await destroyExport(record);
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  DATA_EXPORT_CLASS,
+  EXPORT_FORMATS,
+  DATA_EXPORT_TTL_HOURS,
+  serializeExport,
+  collectUserData,
+  createDataExport,
+  destroyExport,
+  purgeExpiredDataExports
+};
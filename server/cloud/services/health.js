@@ -0,0 +1,83 @@
+const logger = require('../../utils/logger');
+const { getProvider } = require('../providers/ai');
+const { getChain } = require('../providers/chain');
+const { getChiaRpc } = require('../providers/chia_rpc');
+const { getMailTransport } = require('../providers/mail');
+const { getSmsTransport } = require('../providers/sms');
+const { getEngines } = require('../providers/moderation');
+const { getThrottleStore } = require('../providers/throttle_store');
+
+/**
+ * Health Service
+ * Readiness for GET /health/ready: MongoDB is pinged, since nothing works without it, and
+ * every optional dependency is reported with the adapter in use. Optional dependencies are
+ * not contacted; one that is misconfigured is reported as `error` without failing readiness,
+ * because only the features that use it are affected.
+ */
+
+const PING_TIMEOUT_MS = 2000;
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Round trip to MongoDB through Parse Server's storage adapter
+ */
+const pingDatabase = async (adapter) => {
+  const started = Date.now();
+  try {
+    await withTimeout(
+      adapter.connect().then(() => adapter.database.command({ ping: 1 })),
+      PING_TIMEOUT_MS,
+      `No reply within ${PING_TIMEOUT_MS} ms`
+    );
+    return { status: 'ok', latencyMs: Date.now() - started };
+  } catch (error) {
+    logger.warn('Readiness check: database ping failed', { error: error.message });
+    return { status: 'error' };
+  }
+};
+
+// `adapter` names the configured implementation, or is null when the dependency is off
+const OPTIONAL_DEPENDENCIES = {
+  ai: () => getProvider().name,
+  moderation: () => getEngines().map((engine) => engine.name).join(', '),
+  mail: () => getMailTransport()?.name || null,
+  sms: () => getSmsTransport()?.name || null,
+  chain: () => getChain().name,
+  chiaRpc: () => getChiaRpc().name,
+  throttleStore: () => getThrottleStore().name
+};
+
+const describeDependency = (name, adapterName) => {
+  try {
+    const adapter = adapterName();
+    return adapter ? { status: 'configured', adapter } : { status: 'disabled' };
+  } catch (error) {
+    logger.warn(`Readiness check: ${name} is misconfigured`, { error: error.message });
+    return { status: 'error' };
+  }
+};
+
+/**
+ * Readiness report; `ready` is false when the database cannot be reached
+ */
+const checkReadiness = async (databaseAdapter) => {
+  const database = await pingDatabase(databaseAdapter);
+
+  const dependencies = Object.fromEntries(
+    Object.entries(OPTIONAL_DEPENDENCIES).map(([name, adapterName]) => [name, describeDependency(name, adapterName)])
+  );
+
+  return {
+    ready: database.status === 'ok',
+    checks: { database, ...dependencies }
+  };
+};
+
+module.exports = { checkReadiness };
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { verifyJwt } = require('../../utils/jwt');
+const { getJwks } = require('../providers/jwks');
+
+/**
+ * Identity Provider Service
+ * Verifies Google and Apple ID tokens for the `google` and `apple` auth adapters.
+ * A token is accepted only if its signature matches the provider's JWKS and its issuer,
+ * audience, expiry and nonce check out. Nonces are issued here, expire after a few
+ * minutes and can be redeemed exactly once.
+ */
+
+const SIGN_IN_NONCE_CLASS = 'SignInNonce';
+
+const NONCE_TTL_MS = getConfig().signInNonceTtlMs;
+
+const PROVIDERS = {
+  google: {
+    label: 'Google',
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    audiences: () => getConfig().googleClientIds
+  },
+  apple: {
+    label: 'Apple',
+    issuers: ['https://appleid.apple.com'],
+    audiences: () => getConfig().appleClientIds
+  }
+};
+
+const sha256Hex = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const invalid = (message) => new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, message);
+
+/**
+ * Issue a single-use nonce to put in the provider's sign-in request
+ * Google takes it as is; for Apple pass its SHA-256 hex digest, as Apple recommends.
+ */
+const issueSignInNonce = async () => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + NONCE_TTL_MS);
+
+  const record = new Parse.Object(SIGN_IN_NONCE_CLASS);
+  record.set('nonce', nonce);
+  record.set('expiresAt', expiresAt);
+  record.set('uses', 0);
+  record.setACL(new Parse.ACL());
+  await record.save(null, { useMasterKey: true });
+
+  return { nonce, expiresAt };
+};
+
+const redeemNonce = async (nonce) => {
+  const query = new Parse.Query(SIGN_IN_NONCE_CLASS);
+  query.equalTo('nonce', String(nonce));
+  const record = await query.first({ useMasterKey: true });
+
+  if (!record || record.get('uses') > 0 || record.get('expiresAt') < new Date()) {
+    throw invalid('Sign-in nonce is invalid, expired or already used');
+  }
+
+  record.increment('uses');
+  record.set('usedAt', new Date());
+  await record.save(null, { useMasterKey: true });
+
+  if (record.get('uses') !== 1) {
+    throw invalid('Sign-in nonce has already been used');
+  }
+};
+
+const truthy = (value) => value === true || value === 'true';
+
+/**
+ * Verify `{ id, id_token, nonce }` auth data for a provider and burn its nonce
+ * Resolves to the identity `{ id, email, emailVerified, firstName, lastName }`.
+ * Apple only shares the user's name with the app on first sign-in, so its adapter may
+ * pass `firstName`/`lastName` along in the auth data.
+ */
+const verifyIdentityToken = async (provider, authData = {}) => {
+  const config = PROVIDERS[provider];
+  if (!config) {
+    throw new Parse.Error(Parse.Error.UNSUPPORTED_SERVICE, `Unsupported sign-in provider "${provider}"`);
+  }
+
+  const idToken = authData.id_token || authData.token;
+  if (!authData.id || !idToken || !authData.nonce) {
+    throw invalid(`${config.label} auth data must include id, id_token and nonce`);
+  }
+
+  const audiences = config.audiences();
+  if (audiences.length === 0) {
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, `${config.label} sign-in is not configured`);
+  }
+
+  let claims;
+  try {
+    claims = await verifyJwt(idToken, {
+      getKey: (kid) => getJwks(provider).getKey(kid),
+      issuers: config.issuers,
+      audiences
+    });
+  } catch (error) {
+    logger.warn('Identity token rejected', { provider, error: error.message });
+    throw invalid(`Invalid ${config.label} token`);
+  }
+
+  if (claims.sub !== String(authData.id)) {
+    throw invalid(`${config.label} token does not match the user id`);
+  }
+
+  if (claims.nonce !== authData.nonce && claims.nonce !== sha256Hex(authData.nonce)) {
+    throw invalid(`${config.label} token nonce does not match`);
+  }
+
+  await redeemNonce(authData.nonce);
+
+  return {
+    id: claims.sub,
+    email: claims.email ? String(claims.email).toLowerCase() : undefined,
+    emailVerified: truthy(claims.email_verified),
+    firstName: claims.given_name || authData.firstName,
+    lastName: claims.family_name || authData.lastName
+  };
+};
+
+/**
+ * Profile fields for a user signing up with a provider, in registerUser's shape
+ */
+const profileFromIdentity = (identity = {}) => {
+  const firstName = (identity.firstName || '').trim();
+  const lastName = (identity.lastName || '').trim();
+  const displayName = `${firstName} ${lastName}`.trim()
+    || (identity.email ? identity.email.split('@')[0] : '');
+
+  return { firstName, lastName, displayName };
+};
+
+module.exports = {
+  SIGN_IN_NONCE_CLASS,
+  PROVIDERS,
+  issueSignInNonce,
+  verifyIdentityToken,
+  profileFromIdentity
+};
@@ -0,0 +1,16 @@
+const { html } = require('../../../utils/html');
+
+/**
+ * Shared HTML shell for every email
+ */
+const layout = ({ appName, body }) => html`<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f6f6f6;font-family:Helvetica,Arial,sans-serif;color:#222;">
+    <div style="max-width:560px;margin:0 auto;padding:24px;background:#ffffff;border-radius:8px;">
+      ${body}
+    </div>
+    <p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#888;text-align:center;">${appName}</p>
+  </body>
+</html>`;
+
+module.exports = { layout };
@@ -0,0 +1,26 @@
+const { html } = require('../../../utils/html');
+
+/**
+ * Lockout Notice Email
+ * Variables: appName, minutes (until the lock lifts by itself), link (unlock)
+ */
+module.exports = {
+  en: {
+    subject: ({ appName }) => `Your ${appName} account was locked`,
+    text: ({ appName, minutes, link }) => `Hi,\n\nWe locked your ${appName} account after several failed login attempts. It unlocks by itself in ${minutes} minutes, or you can unlock it now:\n${link}\n\nIf these attempts were not you, consider resetting your password.\n\nThanks,\nThe ${appName} Team`,
+    html: ({ appName, minutes, link }) => html`<p>Hi,</p>
+<p>We locked your <strong>${appName}</strong> account after several failed login attempts. It unlocks by itself in ${minutes} minutes, or you can unlock it now:</p>
+<p><a href="${link}">Unlock my account</a></p>
+<p>If these attempts were not you, consider resetting your password.</p>
+<p>Thanks,<br>The ${appName} Team</p>`
+  },
+  es: {
+    subject: ({ appName }) => `Tu cuenta de ${appName} fue bloqueada`,
+    text: ({ appName, minutes, link }) => `Hola,\n\nBloqueamos tu cuenta de ${appName} tras varios intentos fallidos de inicio de sesión. Se desbloqueará sola en ${minutes} minutos, o puedes desbloquearla ahora:\n${link}\n\nSi no fuiste tú, te recomendamos restablecer tu contraseña.\n\nGracias,\nEl equipo de ${appName}`,
+    html: ({ appName, minutes, link }) => html`<p>Hola,</p>
+<p>Bloqueamos tu cuenta de <strong>${appName}</strong> tras varios intentos fallidos de inicio de sesión. Se desbloqueará sola en ${minutes} minutos, o puedes desbloquearla ahora:</p>
+<p><a href="${link}">Desbloquear mi cuenta</a></p>
+<p>Si no fuiste tú, te recomendamos restablecer tu contraseña.</p>
+<p>Gracias,<br>El equipo de ${appName}</p>`
+  }
+};
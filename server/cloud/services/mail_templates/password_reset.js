@@ -0,0 +1,26 @@
+const { html } = require('../../../utils/html');
+
+/**
+ * Password Reset Email
+ * Variables: appName, displayName, link
+ */
+module.exports = {
+  en: {
+    subject: () => 'Reset your password',
+    text: ({ appName, link }) => `Hi,\n\nYou requested to reset your password for ${appName}.\n\nPlease click here to reset it:\n${link}\n\nIf you did not request a password reset, please ignore this email.\n\nThanks,\nThe ${appName} Team`,
+    html: ({ appName, link }) => html`<p>Hi,</p>
+<p>You requested to reset your password for <strong>${appName}</strong>.</p>
+<p><a href="${link}">Click here to reset your password</a></p>
+<p>If you did not request a password reset, please ignore this email.</p>
+<p>Thanks,<br>The ${appName} Team</p>`
+  },
+  es: {
+    subject: () => 'Restablece tu contraseña',
+    text: ({ appName, link }) => `Hola,\n\nSolicitaste restablecer tu contraseña de ${appName}.\n\nHaz clic aquí para restablecerla:\n${link}\n\nSi no lo solicitaste, ignora este correo.\n\nGracias,\nEl equipo de ${appName}`,
+    html: ({ appName, link }) => html`<p>Hola,</p>
+<p>Solicitaste restablecer tu contraseña de <strong>${appName}</strong>.</p>
+<p><a href="${link}">Haz clic aquí para restablecer tu contraseña</a></p>
+<p>Si no lo solicitaste, ignora este correo.</p>
+<p>Gracias,<br>El equipo de ${appName}</p>`
+  }
+};
@@ -0,0 +1,26 @@
+const { html } = require('../../../utils/html');
+
+/**
+ * Roast Consent Invitation Email
+ * Variables: appName, requesterName, roasteeName, days (until the link expires), link (approve or decline)
+ */
+module.exports = {
+  en: {
+    subject: ({ requesterName }) => `${requesterName} wants to roast you`,
+    text: ({ appName, requesterName, roasteeName, days, link }) => `Hi ${roasteeName},\n\n${requesterName} wrote a good-natured roast about you on ${appName} and would like your OK before sharing it. Read it and approve or decline here:\n${link}\n\nThe link works for ${days} days. Nothing is shared publicly unless you approve, and you can also ask never to be roasted on ${appName} again.\n\nThe ${appName} Team`,
+    html: ({ appName, requesterName, roasteeName, days, link }) => html`<p>Hi ${roasteeName},</p>
+<p><strong>${requesterName}</strong> wrote a good-natured roast about you on ${appName} and would like your OK before sharing it.</p>
+<p><a href="${link}">Read it and approve or decline</a></p>
+<p>The link works for ${days} days. Nothing is shared publicly unless you approve, and you can also ask never to be roasted on ${appName} again.</p>
+<p>The ${appName} Team</p>`
+  },
+  es: {
+    subject: ({ requesterName }) => `${requesterName} quiere hacerte un roast`,
+    text: ({ appName, requesterName, roasteeName, days, link }) => `Hola ${roasteeName},\n\n${requesterName} escribió un roast amistoso sobre ti en ${appName} y quiere tu visto bueno antes de compartirlo. Léelo y apruébalo o recházalo aquí:\n${link}\n\nEl enlace funciona durante ${days} días. No se comparte públicamente nada sin tu aprobación, y también puedes pedir que nunca más te hagan un roast en ${appName}.\n\nEl equipo de ${appName}`,
+    html: ({ appName, requesterName, roasteeName, days, link }) => html`<p>Hola ${roasteeName},</p>
+<p><strong>${requesterName}</strong> escribió un roast amistoso sobre ti en ${appName} y quiere tu visto bueno antes de compartirlo.</p>
+<p><a href="${link}">Léelo y apruébalo o recházalo</a></p>
+<p>El enlace funciona durante ${days} días. No se comparte públicamente nada sin tu aprobación, y también puedes pedir que nunca más te hagan un roast en ${appName}.</p>
+<p>El equipo de ${appName}</p>`
+  }
+};
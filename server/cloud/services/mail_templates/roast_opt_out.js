@@ -0,0 +1,26 @@
+const { html } = require('../../../utils/html');
+
+/**
+ * Roast Opt-Out Confirmation Email
+ * Variables: appName, days (until the link expires), link (confirm)
+ */
+module.exports = {
+  en: {
+    subject: ({ appName }) => `Confirm you don't want to be roasted on ${appName}`,
+    text: ({ appName, days, link }) => `Hi,\n\nSomeone asked that this address never be roasted by name on ${appName}. If that was you, confirm it here:\n${link}\n\nThe link works for ${days} days. If you did not ask for this, ignore this email and nothing changes.\n\nThe ${appName} Team`,
+    html: ({ appName, days, link }) => html`<p>Hi,</p>
+<p>Someone asked that this address never be roasted by name on ${appName}. If that was you, confirm it here:</p>
+<p><a href="${link}">Don't roast me</a></p>
+<p>The link works for ${days} days. If you did not ask for this, ignore this email and nothing changes.</p>
+<p>The ${appName} Team</p>`
+  },
+  es: {
+    subject: ({ appName }) => `Confirma que no quieres roasts en ${appName}`,
+    text: ({ appName, days, link }) => `Hola,\n\nAlguien pidió que nunca se haga un roast con el nombre asociado a esta dirección en ${appName}. Si fuiste tú, confírmalo aquí:\n${link}\n\nEl enlace funciona durante ${days} días. Si no lo pediste, ignora este correo y nada cambiará.\n\nEl equipo de ${appName}`,
+    html: ({ appName, days, link }) => html`<p>Hola,</p>
+<p>Alguien pidió que nunca se haga un roast con el nombre asociado a esta dirección en ${appName}. Si fuiste tú, confírmalo aquí:</p>
+<p><a href="${link}">No quiero roasts</a></p>
+<p>El enlace funciona durante ${days} días. Si no lo pediste, ignora este correo y nada cambiará.</p>
+<p>El equipo de ${appName}</p>`
+  }
+};
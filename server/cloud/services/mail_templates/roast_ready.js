@@ -0,0 +1,24 @@
+const { html } = require('../../../utils/html');
+
+/**
+ * Roast Ready Email
+ * Variables: appName, displayName, roasteeName, link (the roast)
+ */
+module.exports = {
+  en: {
+    subject: ({ roasteeName }) => `Your roast of ${roasteeName} is ready`,
+    text: ({ appName, displayName, roasteeName, link }) => `Hi ${displayName},\n\nYour roast of ${roasteeName} is done. Read it here:\n${link}\n\nThe ${appName} Team`,
+    html: ({ appName, displayName, roasteeName, link }) => html`<p>Hi ${displayName},</p>
+<p>Your roast of <strong>${roasteeName}</strong> is done.</p>
+<p><a href="${link}">Read the roast</a></p>
+<p>The ${appName} Team</p>`
+  },
+  es: {
+    subject: ({ roasteeName }) => `Tu roast de ${roasteeName} está listo`,
+    text: ({ appName, displayName, roasteeName, link }) => `Hola ${displayName},\n\nTu roast de ${roasteeName} está listo. Léelo aquí:\n${link}\n\nEl equipo de ${appName}`,
+    html: ({ appName, displayName, roasteeName, link }) => html`<p>Hola ${displayName},</p>
+<p>Tu roast de <strong>${roasteeName}</strong> está listo.</p>
+<p><a href="${link}">Leer el roast</a></p>
+<p>El equipo de ${appName}</p>`
+  }
+};
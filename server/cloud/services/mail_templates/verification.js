@@ -0,0 +1,24 @@
+const { html } = require('../../../utils/html');
+
+/**
+ * Verification Email
+ * Variables: appName, displayName, link
+ */
+module.exports = {
+  en: {
+    subject: () => 'Please verify your email',
+    text: ({ appName, displayName, link }) => `Hi ${displayName || 'there'},\n\nWelcome to ${appName}!\n\nPlease click here to verify your email:\n${link}\n\nThanks,\nThe ${appName} Team`,
+    html: ({ appName, displayName, link }) => html`<p>Hi ${displayName || 'there'},</p>
+<p>Welcome to <strong>${appName}</strong>!</p>
+<p><a href="${link}">Click here to verify your email</a></p>
+<p>Thanks,<br>The ${appName} Team</p>`
+  },
+  es: {
+    subject: () => 'Verifica tu correo electrónico',
+    text: ({ appName, displayName, link }) => `Hola ${displayName || ''},\n\n¡Bienvenido a ${appName}!\n\nHaz clic aquí para verificar tu correo:\n${link}\n\nGracias,\nEl equipo de ${appName}`,
+    html: ({ appName, displayName, link }) => html`<p>Hola ${displayName || ''},</p>
+<p>¡Bienvenido a <strong>${appName}</strong>!</p>
+<p><a href="${link}">Haz clic aquí para verificar tu correo</a></p>
+<p>Gracias,<br>El equipo de ${appName}</p>`
+  }
+};
@@ -0,0 +1,24 @@
+const { html } = require('../../../utils/html');
+
+/**
+ * Welcome Email
+ * Variables: appName, displayName, link (the app)
+ */
+module.exports = {
+  en: {
+    subject: ({ appName }) => `Welcome to ${appName}`,
+    text: ({ appName, displayName, link }) => `Hi ${displayName},\n\nThanks for joining ${appName}. Your first roasts of the day are on us.\n\nStart roasting: ${link}\n\nThe ${appName} Team`,
+    html: ({ appName, displayName, link }) => html`<p>Hi ${displayName},</p>
+<p>Thanks for joining <strong>${appName}</strong>. Your first roasts of the day are on us.</p>
+<p><a href="${link}">Start roasting</a></p>
+<p>The ${appName} Team</p>`
+  },
+  es: {
+    subject: ({ appName }) => `Bienvenido a ${appName}`,
+    text: ({ appName, displayName, link }) => `Hola ${displayName},\n\nGracias por unirte a ${appName}. Tus primeros roasts del día corren por nuestra cuenta.\n\nEmpieza aquí: ${link}\n\nEl equipo de ${appName}`,
+    html: ({ appName, displayName, link }) => html`<p>Hola ${displayName},</p>
+<p>Gracias por unirte a <strong>${appName}</strong>. Tus primeros roasts del día corren por nuestra cuenta.</p>
+<p><a href="${link}">Empieza aquí</a></p>
+<p>El equipo de ${appName}</p>`
+  }
+};
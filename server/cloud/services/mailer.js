@@ -0,0 +1,132 @@
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { createCounter } = require('../../utils/metrics');
+const { getMailTransport } = require('../providers/mail');
+const { layout } = require('./mail_templates/layout');
+
+/**
+ * Mailer Service
+ * Renders transactional email from the templates in ./mail_templates (one file per
+ * message type, one entry per locale) and hands it to the configured mail transport.
+ * Template HTML is built with the escaping `html` tag, so links and names are safe to
+ * interpolate. Without a transport, mail is logged and skipped.
+ */
+
+const APP_NAME = 'HaRaaS';
+const DEFAULT_LOCALE = 'en';
+
+const emailsSent = createCounter({
+  name: 'emails_sent_total',
+  help: 'Email send attempts by template, transport and result (sent, failed or skipped)',
+  labelNames: ['template', 'transport', 'result']
+});
+
+const TEMPLATES = {
+  verification: require('./mail_templates/verification'),
+  password_reset: require('./mail_templates/password_reset'),
+  welcome: require('./mail_templates/welcome'),
+  roast_ready: require('./mail_templates/roast_ready'),
+  lockout_notice: require('./mail_templates/lockout_notice'),
+  roast_consent: require('./mail_templates/roast_consent'),
+  roast_opt_out: require('./mail_templates/roast_opt_out')
+};
+
+const isMailConfigured = () => !!getMailTransport();
+
+const mailFrom = () => getConfig().mailFrom || `${APP_NAME} <no-reply@localhost>`;
+
+/**
+ * Absolute link into the client app, e.g. clientLink('/unlock-account', { token })
+ */
+const clientLink = (path, params = {}) => {
+  const base = getConfig().clientURL.replace(/\/$/, '');
+  const query = new URLSearchParams(params).toString();
+  return `${base}${path}${query ? `?${query}` : ''}`;
+};
+
+// Exact locale first ("es-MX"), then its language ("es"), then English
+const resolveLocale = (variants, locale) => {
+  const requested = String(locale || DEFAULT_LOCALE).replace('_', '-');
+  const language = requested.split('-')[0].toLowerCase();
+
+  if (variants[requested]) return requested;
+  if (variants[language]) return language;
+  return DEFAULT_LOCALE;
+};
+
+/**
+ * Render a template to `{ subject, text, html, locale }`
+ */
+const renderTemplate = (type, { locale, data = {} } = {}) => {
+  const variants = TEMPLATES[type];
+  if (!variants) {
+    throw new Error(`Unknown email template "${type}"`);
+  }
+
+  const resolved = resolveLocale(variants, locale);
+  const template = variants[resolved];
+  const vars = { appName: APP_NAME, ...data };
+
+  return {
+    locale: resolved,
+    subject: template.subject(vars),
+    text: template.text(vars),
+    html: layout({ appName: APP_NAME, body: template.html(vars) }).toString()
+  };
+};
+
+/**
+ * Send a rendered message; resolves to false when email is not configured
+ */
+const sendMail = async ({ to, subject, text, html, template }) => {
+  const transport = getMailTransport();
+  // Parse Server's own sendMail calls (adapters/email/mailer.js) have no template
+  const kind = template || 'other';
+
+  if (!transport) {
+    emailsSent.inc({ template: kind, transport: 'none', result: 'skipped' });
+    logger.warn('Email not configured, skipping message', { template, subject });
+    return false;
+  }
+
+  let result;
+  try {
+    result = await transport.send({ from: mailFrom(), to, subject, text, html });
+  } catch (error) {
+    emailsSent.inc({ template: kind, transport: transport.name, result: 'failed' });
+    throw error;
+  }
+
+  emailsSent.inc({ template: kind, transport: transport.name, result: 'sent' });
+
+  logger.info('Email sent', { template, transport: transport.name, messageId: result.messageId });
+  return true;
+};
+
+/**
+ * Render a template and send it to one recipient
+ */
+const sendTemplate = async (type, { to, locale, data }) => {
+  const message = renderTemplate(type, { locale, data });
+  return sendMail({ to, template: type, ...message });
+};
+
+/**
+ * Locale and greeting name for emailing a user
+ */
+const recipientFor = (user) => ({
+  to: user.get('email'),
+  locale: user.get('locale'),
+  displayName: user.get('displayName') || user.get('firstName') || ''
+});
+
+module.exports = {
+  APP_NAME,
+  TEMPLATES,
+  isMailConfigured,
+  clientLink,
+  renderTemplate,
+  sendMail,
+  sendTemplate,
+  recipientFor
+};
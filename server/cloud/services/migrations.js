@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Migration Runner
+ * Data backfills live in cloud/migrations as `NNN_name.js` files exporting
+ * `{ description, up }`. Each migration runs once, in version order, and is recorded in the
+ * `SchemaMigration` class; a failing migration stops the run and is retried on the next one,
+ * so `up` must be safe to run again. Run with `npm run migrate` (scripts/migrate.js).
+ */
+
+const SCHEMA_MIGRATION_CLASS = 'SchemaMigration';
+const MIGRATION_LOCK_CLASS = 'MigrationLock';
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// A run that dies without releasing its lock blocks others for this long
+const LOCK_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Migrations on disk, sorted by version
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${file} does not export an up() function`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        description: migration.description || '',
+        up: migration.up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Migration version ${migration.version} is used twice`);
+    }
+  });
+
+  return migrations;
+};
+
+const appliedMigrations = async () => {
+  const rows = await new Parse.Query(SCHEMA_MIGRATION_CLASS).findAll({ useMasterKey: true });
+  return new Map(rows.map((row) => [row.get('version'), row]));
+};
+
+/**
+ * Every migration on disk with the date it was applied, or null while pending
+ */
+const migrationStatus = async () => {
+  const applied = await appliedMigrations();
+
+  return loadMigrations().map(({ version, name, description }) => ({
+    version,
+    name,
+    description,
+    appliedAt: applied.get(version)?.get('appliedAt') || null
+  }));
+};
+
+const pendingMigrations = async () => (await migrationStatus()).filter((migration) => !migration.appliedAt);
+
+/**
+ * Take the run lock: every runner inserts a row and the oldest live row wins
+ */
+const acquireLock = async () => {
+  const lock = new Parse.Object(MIGRATION_LOCK_CLASS);
+  lock.set('holder', crypto.randomBytes(8).toString('hex'));
+  lock.set('expiresAt', new Date(Date.now() + LOCK_TTL_MS));
+  lock.setACL(new Parse.ACL());
+  await lock.save(null, { useMasterKey: true });
+
+  const query = new Parse.Query(MIGRATION_LOCK_CLASS);
+  query.greaterThan('expiresAt', new Date());
+  query.ascending('createdAt');
+  const oldest = await query.first({ useMasterKey: true });
+
+  if (oldest.id !== lock.id) {
+    await lock.destroy({ useMasterKey: true });
+    throw new Error('Another migration run is in progress');
+  }
+
+  return lock;
+};
+
+const recordMigration = async (migration, { durationMs, result }) => {
+  const record = new Parse.Object(SCHEMA_MIGRATION_CLASS);
+  record.set('version', migration.version);
+  record.set('name', migration.name);
+  record.set('description', migration.description);
+  record.set('appliedAt', new Date());
+  record.set('durationMs', durationMs);
+  record.set('result', result && typeof result === 'object' ? result : {});
+  record.setACL(new Parse.ACL());
+  await record.save(null, { useMasterKey: true });
+};
+
+/**
+ * Apply every pending migration in order
+ * Resolves to the migrations that ran; throws on the first failure.
+ */
+const runMigrations = async () => {
+  const lock = await acquireLock();
+  const ran = [];
+
+  try {
+    const applied = await appliedMigrations();
+
+    for (const migration of loadMigrations()) {
+      if (applied.has(migration.version)) continue;
+
+      const { version, name } = migration;
+      const startedAt = Date.now();
+      logger.info('Running migration', { version, name });
+
+      let result;
+      try {
+        result = await migration.up();
+      } catch (error) {
+        logger.error('Migration failed', { version, name, error: error.message });
+        throw new Error(`Migration ${version} (${name}) failed: ${error.message}`);
+      }
+
+      const durationMs = Date.now() - startedAt;
+      await recordMigration(migration, { durationMs, result });
+      ran.push({ version, name, durationMs, result });
+
+      logger.info('Migration applied', { version, name, durationMs, result });
+    }
+  } finally {
+    await lock.destroy({ useMasterKey: true }).catch((error) => {
+      logger.warn('Failed to release migration lock', { error: error.message });
+    });
+  }
+
+  return ran;
+};
+
+module.exports = {
+  SCHEMA_MIGRATION_CLASS,
+  MIGRATION_LOCK_CLASS,
+  loadMigrations,
+  migrationStatus,
+  pendingMigrations,
+  runMigrations
+};
@@ -0,0 +1,308 @@
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { getEngines } = require('../providers/moderation');
+
+/**
+ * Content Moderation Service
+ * Runs roast inputs and outputs through every moderation engine, applies the
+ * configured policy and records each decision as a `ModerationEvent`.
+ */
+
+const MODERATION_EVENT_CLASS = 'ModerationEvent';
+
+const ACTIONS = {
+  ALLOW: 'allow',
+  REWRITE: 'rewrite',
+  BLOCK: 'block'
+};
+
+const ACTION_RANK = { allow: 0, rewrite: 1, block: 2 };
+
+// Flagged events wait as `pending` until a moderator upholds or overturns the decision
+const REVIEW_STATUS = {
+  NONE: 'none',
+  PENDING: 'pending',
+  UPHELD: 'upheld',
+  OVERTURNED: 'overturned'
+};
+
+const CATEGORIES = ['slur', 'protected_attack', 'threat', 'self_harm', 'doxxing'];
+
+// Category -> action per finding severity
+const DEFAULT_POLICY = {
+  slur: { high: 'block', medium: 'block', low: 'rewrite' },
+  protected_attack: { high: 'block', medium: 'rewrite', low: 'allow' },
+  threat: { high: 'block', medium: 'rewrite', low: 'allow' },
+  self_harm: { high: 'block', medium: 'rewrite', low: 'allow' },
+  doxxing: { high: 'rewrite', medium: 'rewrite', low: 'allow' }
+};
+
+const MASKS = {
+  doxxing: '[redacted]'
+};
+
+/**
+ * Load the moderation policy
+ * MODERATION_POLICY may override categories with a JSON object, either per severity
+ * (`{"doxxing":{"high":"block"}}`) or for every severity at once (`{"threat":"block"}`).
+ * An invalid value is logged and the default policy applies.
+ */
+const loadPolicy = () => {
+  const { moderationPolicy } = getConfig();
+  if (!moderationPolicy) {
+    return DEFAULT_POLICY;
+  }
+
+  try {
+    const overrides = JSON.parse(moderationPolicy);
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('expected an object of category overrides');
+    }
+
+    const policy = { ...DEFAULT_POLICY };
+    Object.entries(overrides).forEach(([category, value]) => {
+      if (!CATEGORIES.includes(category)) {
+        throw new Error(`unknown category "${category}"`);
+      }
+
+      const levels = typeof value === 'string' ? { high: value, medium: value, low: value } : value;
+      Object.values(levels).forEach((action) => {
+        if (ACTION_RANK[action] === undefined) {
+          throw new Error(`unknown action "${action}" for "${category}"`);
+        }
+      });
+
+      policy[category] = { ...policy[category], ...levels };
+    });
+
+    return policy;
+  } catch (error) {
+    logger.error('Invalid MODERATION_POLICY, using the default policy', { error: error.message });
+    return DEFAULT_POLICY;
+  }
+};
+
+const policy = loadPolicy();
+
+const actionFor = (finding) => policy[finding.category]?.[finding.severity] || ACTIONS.ALLOW;
+
+const strictest = (actions) =>
+  actions.reduce((current, action) => (ACTION_RANK[action] > ACTION_RANK[current] ? action : current), ACTIONS.ALLOW);
+
+/**
+ * Mask the spans of every finding that should be rewritten
+ */
+const rewriteText = (text, findings) => {
+  const spans = findings
+    .filter((finding) => finding.start !== undefined && actionFor(finding) === ACTIONS.REWRITE)
+    .sort((a, b) => b.start - a.start);
+
+  let rewritten = text;
+  let lastStart = Infinity;
+  spans.forEach((finding) => {
+    // Skip spans overlapping one that was already masked
+    if (finding.end > lastStart) return;
+    rewritten = rewritten.slice(0, finding.start) + (MASKS[finding.category] || '[removed]') + rewritten.slice(finding.end);
+    lastStart = finding.start;
+  });
+
+  return rewritten;
+};
+
+/**
+ * Classify one piece of text with every engine
+ * Classifier outages are logged and do not block generation unless MODERATION_FAIL_CLOSED is set.
+ */
+const classifyText = async (text) => {
+  const results = await Promise.all(getEngines().map(async (engine) => {
+    try {
+      const findings = await engine.classify(text);
+      return findings.map((finding) => ({ ...finding, engine: engine.name }));
+    } catch (error) {
+      logger.error('Moderation engine failed', { engine: engine.name, error: error.message });
+
+      if (getConfig().moderationFailClosed) {
+        return [{ category: 'threat', severity: 'high', rule: 'engine-unavailable', engine: engine.name }];
+      }
+      return [];
+    }
+  }));
+
+  return results.flat();
+};
+
+const recordModerationEvent = async ({ user, stage, action, findings, content }) => {
+  const event = new Parse.Object(MODERATION_EVENT_CLASS);
+  if (user) event.set('user', user);
+  event.set('stage', stage);
+  event.set('action', action);
+  event.set('findings', findings);
+  event.set('categories', [...new Set(findings.map((finding) => finding.category))]);
+  event.set('content', content);
+  event.set('reviewStatus', action === ACTIONS.ALLOW ? REVIEW_STATUS.NONE : REVIEW_STATUS.PENDING);
+
+  // Master key only: events hold raw user content
+  event.setACL(new Parse.ACL());
+
+  try {
+    await event.save(null, { useMasterKey: true });
+  } catch (error) {
+    logger.error('Failed to record moderation event', { stage, action, error: error.message });
+  }
+};
+
+/**
+ * Moderate a set of named text fields
+ * Resolves to `{ action, findings, fields }` where `fields` holds the rewritten texts.
+ */
+const moderateFields = async (fields, { user, stage }) => {
+  const entries = await Promise.all(Object.entries(fields).map(async ([field, text]) => {
+    const findings = (await classifyText(text)).map((finding) => ({ ...finding, field }));
+    return [field, text, findings];
+  }));
+
+  const findings = entries.flatMap(([, , fieldFindings]) => fieldFindings);
+  const action = strictest(findings.map(actionFor));
+  const rewritten = {};
+  entries.forEach(([field, text, fieldFindings]) => {
+    rewritten[field] = action === ACTIONS.REWRITE ? rewriteText(text, fieldFindings) : text;
+  });
+
+  await recordModerationEvent({ user, stage, action, findings, content: fields });
+
+  if (action !== ACTIONS.ALLOW) {
+    logger.warn('Moderation flagged content', {
+      userId: user?.id,
+      stage,
+      action,
+      categories: [...new Set(findings.map((finding) => finding.category))]
+    });
+  }
+
+  return { action, findings, fields: rewritten };
+};
+
+const blockedCategories = (findings) =>
+  [...new Set(findings.filter((finding) => actionFor(finding) === ACTIONS.BLOCK).map((finding) => finding.category))];
+
+/**
+ * Moderate validated roast input: the roastee's name, profession and roast points
+ * Throws VALIDATION_ERROR when blocked. Resolves to `{ action, input, soften }`;
+ * `soften` asks the generator for a gentler roast when findings could not be masked.
+ */
+const moderateRoastInput = async (input, { user } = {}) => {
+  const fields = { name: input.name, profession: input.profession };
+  input.roastPoints.forEach((point, index) => {
+    fields[`roastPoint${index + 1}`] = point;
+  });
+
+  const result = await moderateFields(fields, { user, stage: 'input' });
+
+  if (result.action === ACTIONS.BLOCK) {
+    throw new Parse.Error(
+      Parse.Error.VALIDATION_ERROR,
+      `Your roast details break our content policy (${blockedCategories(result.findings).join(', ')}). Please edit them and try again.`
+    );
+  }
+
+  return {
+    action: result.action,
+    input: {
+      ...input,
+      name: result.fields.name,
+      profession: result.fields.profession,
+      roastPoints: input.roastPoints.map((point, index) => result.fields[`roastPoint${index + 1}`])
+    },
+    soften: result.action === ACTIONS.REWRITE
+  };
+};
+
+/**
+ * Moderate generated roast text
+ * Resolves to `{ action, text, findings }` without throwing; the generator decides how to react.
+ */
+const moderateRoastOutput = async (text, { user, attempt = 1 } = {}) => {
+  const result = await moderateFields({ text }, { user, stage: attempt > 1 ? `output-retry-${attempt - 1}` : 'output' });
+
+  return {
+    action: result.action,
+    text: result.fields.text,
+    findings: result.findings
+  };
+};
+
+const serializeModerationEvent = (event) => ({
+  id: event.id,
+  userId: event.get('user')?.id || null,
+  stage: event.get('stage'),
+  action: event.get('action'),
+  categories: event.get('categories') || [],
+  findings: event.get('findings') || [],
+  content: event.get('content') || {},
+  reviewStatus: event.get('reviewStatus'),
+  reviewedBy: event.get('reviewedBy')?.id || null,
+  reviewedAt: event.get('reviewedAt') || null,
+  reviewNote: event.get('reviewNote') || null,
+  createdAt: event.createdAt
+});
+
+/**
+ * Moderation events for review, oldest first so the queue is worked in order
+ */
+const listModerationEvents = async ({ reviewStatus = REVIEW_STATUS.PENDING, userId, limit, skip } = {}) => {
+  if (!Object.values(REVIEW_STATUS).includes(reviewStatus)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid reviewStatus. Expected one of: ${Object.values(REVIEW_STATUS).join(', ')}`);
+  }
+
+  const query = new Parse.Query(MODERATION_EVENT_CLASS);
+  query.equalTo('reviewStatus', reviewStatus);
+  if (userId) {
+    query.equalTo('user', Parse.User.createWithoutData(userId));
+  }
+  query.ascending('createdAt');
+  query.limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+  query.skip(Math.max(parseInt(skip, 10) || 0, 0));
+
+  return query.find({ useMasterKey: true });
+};
+
+/**
+ * Record a moderator's verdict on a flagged event
+ */
+const reviewModerationEvent = async (eventId, { decision, reviewer, note }) => {
+  if (![REVIEW_STATUS.UPHELD, REVIEW_STATUS.OVERTURNED].includes(decision)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid decision. Expected one of: ${REVIEW_STATUS.UPHELD}, ${REVIEW_STATUS.OVERTURNED}`);
+  }
+
+  const query = new Parse.Query(MODERATION_EVENT_CLASS);
+  const event = await query.get(eventId, { useMasterKey: true }).catch(() => null);
+  if (!event) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Moderation event not found');
+  }
+
+  if (event.get('reviewStatus') === REVIEW_STATUS.NONE) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Only flagged events can be reviewed');
+  }
+
+  event.set('reviewStatus', decision);
+  event.set('reviewedBy', reviewer);
+  event.set('reviewedAt', new Date());
+  event.set('reviewNote', note);
+  await event.save(null, { useMasterKey: true });
+
+  return event;
+};
+
+module.exports = {
+  MODERATION_EVENT_CLASS,
+  ACTIONS,
+  REVIEW_STATUS,
+  CATEGORIES,
+  classifyText,
+  moderateRoastInput,
+  moderateRoastOutput,
+  blockedCategories,
+  serializeModerationEvent,
+  listModerationEvents,
+  reviewModerationEvent
+};
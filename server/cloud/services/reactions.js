@@ -0,0 +1,413 @@
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { ROAST_CLASS, ROAST_VISIBILITY, getRoastVisibility, isRoastHidden, trendingScore } = require('./roasts');
+
+/**
+ * Reaction Service
+ * Emoji reactions and 1-5 "burn ratings" on public roasts, stored in `RoastReaction`: at
+ * most one row of each type per user and roast (a unique index), changed in place when the user picks
+ * another emoji or rating. Triggers keep the totals on `Roast` (`reactions`,
+ * `reactionCount`, `ratingCount`, `ratingSum`, `engagement`, `trendingScore`) so feeds
+ * never count rows, and LiveQuery pushes the updated roast to anyone watching it.
+ */
+
+const REACTION_CLASS = 'RoastReaction';
+
+const REACTION_TYPES = {
+  EMOJI: 'emoji',
+  RATING: 'rating'
+};
+
+// Stored by key; clients may send the key or the emoji itself
+const REACTION_EMOJI = {
+  fire: '🔥',
+  laugh: '😂',
+  skull: '💀',
+  clap: '👏',
+  ice: '🧊',
+  flex: '💪'
+};
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+// recomputeTrendingScores recounts roasts published within this many days, this many at a time
+const TRENDING_RECOUNT_DAYS = getConfig().trendingRecountDays;
+const RECOUNT_BATCH_SIZE = 200;
+
+// Trending score rewrites per reaction while other reactions keep landing; the hourly
+// recount catches whatever is left
+const SCORE_ATTEMPTS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseEmoji = (value) => {
+  const key = Object.keys(REACTION_EMOJI).find((name) => name === value || REACTION_EMOJI[name] === value);
+  if (!key) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `Invalid emoji. Expected one of: ${Object.keys(REACTION_EMOJI).join(', ')}`
+    );
+  }
+  return key;
+};
+
+const parseRating = (value) => {
+  if (!Number.isInteger(value) || value < MIN_RATING || value > MAX_RATING) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}`);
+  }
+  return value;
+};
+
+const requireRoastId = (roastId) => {
+  if (!roastId || typeof roastId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: roastId');
+  }
+  return roastId;
+};
+
+/**
+ * Fetch a roast that may receive reactions: public and not hidden
+ * Throws OBJECT_NOT_FOUND otherwise, so private roasts cannot be probed by id
+ */
+const getReactableRoast = async (roastId) => {
+  const roast = await new Parse.Query(ROAST_CLASS).get(requireRoastId(roastId), { useMasterKey: true }).catch(() => null);
+  if (!roast || getRoastVisibility(roast) !== ROAST_VISIBILITY.PUBLIC || isRoastHidden(roast)) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Roast not found');
+  }
+
+  return roast;
+};
+
+/**
+ * A roast the user reacted to, whatever its state now
+ * Users can take back their reactions after a roast was made private or hidden. Throws
+ * OBJECT_NOT_FOUND when the user has no reactions on it.
+ */
+const getReactedRoast = async (user, roastId) => {
+  const query = new Parse.Query(REACTION_CLASS);
+  query.equalTo('roast', Parse.Object.extend(ROAST_CLASS).createWithoutData(requireRoastId(roastId)));
+  query.equalTo('user', user);
+  query.include('roast');
+  const reaction = await query.first({ useMasterKey: true });
+  if (!reaction?.get('roast')) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Roast not found');
+  }
+
+  return reaction.get('roast');
+};
+
+// The user's reaction of one type on a roast; the unique (roast, user, type) index allows one
+const findReaction = (user, roast, type) => {
+  const query = new Parse.Query(REACTION_CLASS);
+  query.equalTo('roast', roast);
+  query.equalTo('user', user);
+  query.equalTo('type', type);
+  return query.first({ useMasterKey: true });
+};
+
+const valueField = (type) => (type === REACTION_TYPES.EMOJI ? 'emoji' : 'rating');
+
+/**
+ * Set the user's emoji or rating on a roast, replacing the previous one
+ * When two first reactions race, the unique index rejects the second insert and that
+ * request changes the row the first one created instead.
+ */
+const setReaction = async (user, roast, type, value) => {
+  const field = valueField(type);
+  const existing = await findReaction(user, roast, type);
+
+  if (existing) {
+    if (existing.get(field) !== value) {
+      existing.set(field, value);
+      await existing.save(null, { useMasterKey: true });
+    }
+    return existing;
+  }
+
+  const reaction = new Parse.Object(REACTION_CLASS);
+  reaction.set('roast', roast);
+  reaction.set('user', user);
+  reaction.set('type', type);
+  reaction.set(field, value);
+  reaction.setACL(new Parse.ACL());
+
+  try {
+    await reaction.save(null, { useMasterKey: true });
+  } catch (error) {
+    if (error.code !== Parse.Error.DUPLICATE_VALUE) throw error;
+    return setReaction(user, roast, type, value);
+  }
+
+  return reaction;
+};
+
+/**
+ * Remove the user's emoji or rating from a roast
+ * Resolves to whether there was one to remove
+ */
+const removeReaction = async (user, roast, type) => {
+  const reaction = await findReaction(user, roast, type);
+  if (reaction) {
+    await reaction.destroy({ useMasterKey: true });
+  }
+  return !!reaction;
+};
+
+// Counter changes for adding (sign 1) or removing (sign -1) a reaction's value
+const counterChanges = (type, value, sign) => {
+  if (type === REACTION_TYPES.EMOJI) {
+    return { [`reactions.${value}`]: sign, reactionCount: sign, engagement: sign };
+  }
+  // A 1 adds nothing to engagement, a 5 counts as two emoji reactions
+  return { ratingCount: sign, ratingSum: sign * value, engagement: sign * (value - 1) / 2 };
+};
+
+const mergeChanges = (target, changes) => {
+  Object.entries(changes).forEach(([key, amount]) => {
+    target[key] = (target[key] || 0) + amount;
+  });
+  return target;
+};
+
+/**
+ * Apply counter changes to a roast atomically, then refresh its trending score
+ * The score cannot be incremented, so it is written from the engagement read back and
+ * rewritten while concurrent reactions keep changing that engagement; the last writer sees
+ * the final value. Counting never fails the reaction itself; a failure is logged.
+ */
+const updateRoastCounters = async (roastPointer, changes) => {
+  const deltas = Object.entries(changes).filter(([, amount]) => amount !== 0);
+  if (deltas.length === 0) return;
+
+  try {
+    const roast = new Parse.Object(ROAST_CLASS);
+    roast.id = roastPointer.id;
+    deltas.forEach(([key, amount]) => roast.increment(key, amount));
+    await roast.save(null, { useMasterKey: true });
+
+    await roast.fetch({ useMasterKey: true });
+    for (let attempt = 0; attempt < SCORE_ATTEMPTS && roast.get('publishedAt'); attempt++) {
+      const engagement = roast.get('engagement') || 0;
+      roast.set('trendingScore', trendingScore(engagement, roast.get('publishedAt')));
+      await roast.save(null, { useMasterKey: true });
+
+      await roast.fetch({ useMasterKey: true });
+      if ((roast.get('engagement') || 0) === engagement) return;
+    }
+  } catch (error) {
+    logger.warn('Failed to update roast reaction counters', { roastId: roastPointer.id, error: error.message });
+  }
+};
+
+/**
+ * afterSave trigger for RoastReaction: move the counters from the old value to the new one
+ */
+const afterSaveReaction = async (request) => {
+  const reaction = request.object;
+  const type = reaction.get('type');
+  const field = valueField(type);
+  const changes = counterChanges(type, reaction.get(field), 1);
+
+  if (request.original) {
+    if (request.original.get(field) === reaction.get(field)) return;
+    mergeChanges(changes, counterChanges(type, request.original.get(field), -1));
+  }
+
+  await updateRoastCounters(reaction.get('roast'), changes);
+};
+
+/**
+ * afterDelete trigger for RoastReaction
+ */
+const afterDeleteReaction = async (request) => {
+  const reaction = request.object;
+  const type = reaction.get('type');
+  await updateRoastCounters(reaction.get('roast'), counterChanges(type, reaction.get(valueField(type)), -1));
+};
+
+/**
+ * The user's emoji and rating on each of the given roasts, keyed by roast id
+ */
+const findUserReactions = async (user, roasts) => {
+  if (!user || roasts.length === 0) return {};
+
+  const query = new Parse.Query(REACTION_CLASS);
+  query.equalTo('user', user);
+  query.containedIn('roast', roasts);
+  query.limit(roasts.length * 2);
+  const reactions = await query.find({ useMasterKey: true });
+
+  return reactions.reduce((byRoast, reaction) => {
+    const mine = byRoast[reaction.get('roast').id] || { emoji: null, rating: null };
+    if (reaction.get('type') === REACTION_TYPES.EMOJI) {
+      mine.emoji = REACTION_EMOJI[reaction.get('emoji')];
+    } else {
+      mine.rating = reaction.get('rating');
+    }
+    byRoast[reaction.get('roast').id] = mine;
+    return byRoast;
+  }, {});
+};
+
+/**
+ * Reaction totals of a roast, emoji keyed by the emoji itself
+ */
+const summarizeReactions = (roast) => {
+  const counts = roast.get('reactions') || {};
+  const ratingCount = roast.get('ratingCount') || 0;
+
+  return {
+    reactions: Object.fromEntries(
+      Object.entries(REACTION_EMOJI)
+        .filter(([key]) => counts[key] > 0)
+        .map(([key, emoji]) => [emoji, counts[key]])
+    ),
+    reactionCount: roast.get('reactionCount') || 0,
+    ratingCount,
+    averageRating: ratingCount > 0 ? Math.round((roast.get('ratingSum') / ratingCount) * 10) / 10 : null
+  };
+};
+
+/**
+ * Delete the reactions on every roast the user owns (account purge)
+ */
+const removeReactionsOnOwnedRoasts = async (user) => {
+  const owned = new Parse.Query(ROAST_CLASS);
+  owned.equalTo('owner', user);
+  const query = new Parse.Query(REACTION_CLASS);
+  query.matchesQuery('roast', owned);
+  const reactions = await query.findAll({ useMasterKey: true });
+  await Parse.Object.destroyAll(reactions, { useMasterKey: true });
+  return reactions.length;
+};
+
+/**
+ * Delete every reaction on a roast, when the roast itself is deleted
+ */
+const removeReactionsFor = async (roast) => {
+  const query = new Parse.Query(REACTION_CLASS);
+  query.equalTo('roast', roast);
+  const reactions = await query.findAll({ useMasterKey: true });
+  await Parse.Object.destroyAll(reactions, { useMasterKey: true });
+  return reactions.length;
+};
+
+// The counters a roast should carry for its reaction rows, keyed like counterChanges
+const countersFor = (reactions) => {
+  const totals = reactions.reduce((sum, reaction) => {
+    const type = reaction.get('type');
+    return mergeChanges(sum, counterChanges(type, reaction.get(valueField(type)), 1));
+  }, {});
+
+  return {
+    ...Object.fromEntries(Object.keys(REACTION_EMOJI).map((key) => [`reactions.${key}`, 0])),
+    reactionCount: 0,
+    ratingCount: 0,
+    ratingSum: 0,
+    engagement: 0,
+    ...totals
+  };
+};
+
+const storedCounter = (roast, key) => {
+  const [field, emoji] = key.split('.');
+  return (emoji ? roast.get(field)?.[emoji] : roast.get(field)) || 0;
+};
+
+/**
+ * Recount the reaction totals of recently published roasts and refresh their trending scores
+ * Repairs counters left behind by a failed trigger (updateRoastCounters only logs) by
+ * incrementing them by the difference, so reactions counted by the triggers meanwhile are
+ * kept; only the trending score is overwritten. Works through the roasts in batches. A
+ * reaction landing while its roast is recounted can be miscounted; the next run corrects it.
+ * Resolves to `{ checked, corrected }`.
+ */
+const recomputeTrendingScores = async ({ days = TRENDING_RECOUNT_DAYS } = {}) => {
+  const since = new Date(Date.now() - days * DAY_MS);
+  let checked = 0;
+  let corrected = 0;
+  let lastId;
+
+  for (;;) {
+    const query = new Parse.Query(ROAST_CLASS);
+    query.greaterThanOrEqualTo('publishedAt', since);
+    if (lastId) query.greaterThan('objectId', lastId);
+    query.ascending('objectId');
+    query.select(['publishedAt', 'trendingScore', 'reactions', 'reactionCount', 'ratingCount', 'ratingSum', 'engagement']);
+    query.limit(RECOUNT_BATCH_SIZE);
+    const roasts = await query.find({ useMasterKey: true });
+    if (roasts.length === 0) break;
+    lastId = roasts[roasts.length - 1].id;
+
+    const reactions = new Parse.Query(REACTION_CLASS);
+    reactions.containedIn('roast', roasts);
+    const rows = await reactions.findAll({ useMasterKey: true });
+
+    const byRoast = new Map();
+    rows.forEach((reaction) => {
+      const roastId = reaction.get('roast').id;
+      byRoast.set(roastId, [...(byRoast.get(roastId) || []), reaction]);
+    });
+
+    const updates = [];
+    roasts.forEach((roast) => {
+      const counters = countersFor(byRoast.get(roast.id) || []);
+      const deltas = Object.entries(counters)
+        .map(([key, value]) => [key, value - storedCounter(roast, key)])
+        .filter(([, amount]) => amount !== 0);
+      const score = trendingScore(counters.engagement, roast.get('publishedAt'));
+      if (deltas.length === 0 && roast.get('trendingScore') === score) return;
+
+      const update = new Parse.Object(ROAST_CLASS);
+      update.id = roast.id;
+      deltas.forEach(([key, amount]) => update.increment(key, amount));
+      update.set('trendingScore', score);
+      updates.push(update);
+    });
+
+    if (updates.length > 0) {
+      await Parse.Object.saveAll(updates, { useMasterKey: true });
+    }
+    checked += roasts.length;
+    corrected += updates.length;
+  }
+
+  if (corrected > 0) {
+    logger.warn('Corrected roast reaction counters', { count: corrected });
+  }
+
+  return { checked, corrected };
+};
+
+const serializeReaction = (reaction) => ({
+  id: reaction.id,
+  roastId: reaction.get('roast')?.id,
+  type: reaction.get('type'),
+  emoji: REACTION_EMOJI[reaction.get('emoji')] || null,
+  rating: reaction.get('rating') ?? null,
+  createdAt: reaction.createdAt,
+  updatedAt: reaction.updatedAt
+});
+
+module.exports = {
+  REACTION_CLASS,
+  REACTION_TYPES,
+  REACTION_EMOJI,
+  MIN_RATING,
+  MAX_RATING,
+  parseEmoji,
+  parseRating,
+  getReactableRoast,
+  getReactedRoast,
+  setReaction,
+  removeReaction,
+  afterSaveReaction,
+  afterDeleteReaction,
+  findUserReactions,
+  summarizeReactions,
+  removeReactionsOnOwnedRoasts,
+  removeReactionsFor,
+  recomputeTrendingScores,
+  serializeReaction
+};
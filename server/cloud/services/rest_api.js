@@ -0,0 +1,256 @@
+const express = require('express');
+const logger = require('../../utils/logger');
+const { parseRetryAfter } = require('../../utils/retry_after');
+const { validateRoastInput, generateRoastText } = require('./roast_generator');
+const { listRoastStyles, resolveRoastStyle, serializeRoastStyle } = require('./roast_styles');
+const { createRoast, getOwnedRoast, serializeRoast } = require('./roasts');
+const { assertRoasteeNotOptedOut } = require('./roastee_consent');
+const { chargeRoast, refundRoast, getCreditSummary } = require('./credits');
+const {
+  API_KEY_SCOPES,
+  authenticateApiKey,
+  requireScope,
+  consumeRequest,
+  takeRoastQuota,
+  releaseRoast,
+  getApiKeyUsage,
+  serializeApiKey
+} = require('./api_keys');
+const { assertIpAllowed, recordIpFailure } = require('./throttle');
+const { buildOpenApiDocument } = require('./rest_api_openapi');
+
+/**
+ * REST API v2
+ * A versioned JSON API for third-party integrations, mounted at /api/v2 by server.js.
+ * Requests authenticate with `Authorization: Bearer <API key>` (./api_keys) instead of Parse
+ * headers and sessions. Each key is rate limited per minute and reports its limit in the
+ * `X-RateLimit-*` headers. Every error is answered as
+ *   { "error": { "status": 429, "code": "rate_limited", "message": "...", "requestId": "..." } }
+ * The OpenAPI 3 document is served at GET /api/v2/openapi.json.
+ */
+
+const API_VERSION = '2.0.0';
+
+const INTERNAL_ERROR = { status: 500, code: 'internal_error' };
+
+// Parse error codes raised by the services, as HTTP statuses and error codes
+const errorFor = (error) => {
+  if (!(error instanceof Parse.Error)) return INTERNAL_ERROR;
+
+  switch (error.code) {
+    case Parse.Error.INVALID_QUERY:
+    case Parse.Error.INVALID_JSON:
+      return { status: 400, code: 'invalid_request' };
+    case Parse.Error.INVALID_SESSION_TOKEN:
+      return { status: 401, code: 'unauthorized' };
+    case Parse.Error.OPERATION_FORBIDDEN:
+      return { status: 403, code: 'forbidden' };
+    case Parse.Error.OBJECT_NOT_FOUND:
+      return { status: 404, code: 'not_found' };
+    case Parse.Error.VALIDATION_ERROR:
+      return { status: 422, code: 'content_rejected' };
+    case Parse.Error.REQUEST_LIMIT_EXCEEDED:
+      return { status: 429, code: 'rate_limited' };
+    default:
+      return INTERNAL_ERROR;
+  }
+};
+
+const sendError = (req, res, { status, code }, message, extra = {}) => {
+  res.status(status).json({
+    error: { status, code, message, requestId: req.requestId, ...extra }
+  });
+};
+
+const setRateHeaders = (res, rate) => {
+  res.set({
+    'X-RateLimit-Limit': String(rate.limit),
+    'X-RateLimit-Remaining': String(rate.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(rate.resetAt.getTime() / 1000))
+  });
+};
+
+// Async route handler whose errors reach the router's error handler
+const route = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res)).catch(next);
+};
+
+/**
+ * Authenticate the API key and count the request against its rate limit
+ * Invalid keys count as failures of the caller's IP, the same as failed logins, so keys
+ * cannot be guessed faster than passwords.
+ */
+const authenticate = (req, res, next) => route(async () => {
+  const [scheme, key] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !key) {
+    res.set('WWW-Authenticate', 'Bearer');
+    throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'Send your API key as Authorization: Bearer <key>');
+  }
+
+  await assertIpAllowed(req.ip);
+
+  let apiKey;
+  try {
+    apiKey = await authenticateApiKey(key);
+  } catch (error) {
+    if (error.code === Parse.Error.INVALID_SESSION_TOKEN) await recordIpFailure(req.ip);
+    throw error;
+  }
+  req.apiKey = apiKey;
+  req.user = apiKey.get('owner');
+
+  try {
+    setRateHeaders(res, await consumeRequest(apiKey));
+  } catch (error) {
+    if (error.rate) setRateHeaders(res, error.rate);
+    throw error;
+  }
+
+  next();
+})(req, res, next);
+
+// Continue only with keys holding `scope`
+const scoped = (scope) => (req, res, next) => {
+  try {
+    requireScope(req.apiKey, scope);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const createRoastHandler = route(async (req, res) => {
+  const { apiKey, user } = req;
+  let quota = null;
+  let charge = null;
+
+  try {
+    const { input, style } = await resolveRoastStyle(validateRoastInput(req.body || {}));
+    await assertRoasteeNotOptedOut(input.name);
+    quota = await takeRoastQuota(apiKey);
+    charge = await chargeRoast(user, 'apiCreateRoast');
+
+    const result = await generateRoastText(input, { style, user });
+    const roast = await createRoast(user, result.input, { ...result, charge });
+    quota = null;
+    charge = null;
+
+    logger.info('Roast generated through the API', {
+      userId: user.id,
+      apiKeyId: apiKey.id,
+      roastId: roast.id,
+      provider: result.provider,
+      style: `${result.style.key}@${result.style.version}`,
+      totalTokens: result.usage.totalTokens
+    });
+
+    res.status(201)
+      .location(`${req.baseUrl}/roasts/${roast.id}`)
+      .json({ roast: serializeRoast(roast), usage: result.usage });
+  } finally {
+    // Both always run, and a failure is logged instead of hiding the generation error
+    if (charge) {
+      try {
+        await refundRoast(user, charge, 'Roast generation failed');
+      } catch (error) {
+        logger.error('API roast refund failed', { userId: user.id, apiKeyId: apiKey.id, charge, error: error.message });
+      }
+    }
+    if (quota) {
+      try {
+        await releaseRoast(quota);
+      } catch (error) {
+        logger.error('API roast quota release failed', { apiKeyId: apiKey.id, usageId: quota.id, error: error.message });
+      }
+    }
+  }
+});
+
+const getRoastHandler = route(async (req, res) => {
+  const roast = await getOwnedRoast(req.user, req.params.id);
+  res.json({ roast: serializeRoast(roast) });
+});
+
+const listStylesHandler = route(async (req, res) => {
+  const styles = await listRoastStyles();
+  res.json({ styles: styles.map(serializeRoastStyle) });
+});
+
+const usageHandler = route(async (req, res) => {
+  const [limits, credits] = await Promise.all([
+    getApiKeyUsage(req.apiKey),
+    getCreditSummary(req.user, { limit: 0 })
+  ]);
+
+  res.json({
+    apiKey: serializeApiKey(req.apiKey),
+    limits,
+    credits: {
+      balance: credits.balance,
+      roastCost: credits.roastCost,
+      freeRoastsPerDay: credits.freeRoastsPerDay,
+      freeRoastsRemaining: credits.freeRoastsRemaining
+    }
+  });
+});
+
+/**
+ * Error handler for the router
+ * Also mounted after it by server.js, since errors raised before the router (a malformed
+ * JSON body) skip it.
+ */
+const handleRestApiError = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  if (error.type === 'entity.parse.failed') {
+    return sendError(req, res, { status: 400, code: 'invalid_request' }, 'The request body is not valid JSON');
+  }
+
+  const mapped = errorFor(error);
+  if (mapped === INTERNAL_ERROR) {
+    logger.error('REST API request failed', {
+      method: req.method,
+      path: req.originalUrl,
+      apiKeyId: req.apiKey?.id,
+      error: error.message
+    });
+    return sendError(req, res, mapped, 'Something went wrong. Please try again.');
+  }
+
+  const retryAfter = mapped.status === 429 ? parseRetryAfter(error.message) : null;
+  if (retryAfter !== null) {
+    res.set('Retry-After', String(retryAfter));
+    return sendError(req, res, mapped, error.message, { retryAfter });
+  }
+
+  sendError(req, res, mapped, error.message);
+};
+
+/**
+ * The /api/v2 router
+ */
+const createRestApi = () => {
+  const router = express.Router();
+
+  router.get('/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument({ version: API_VERSION }));
+  });
+
+  router.post('/roasts', authenticate, scoped(API_KEY_SCOPES.ROASTS_WRITE), createRoastHandler);
+  router.get('/roasts/:id', authenticate, scoped(API_KEY_SCOPES.ROASTS_READ), getRoastHandler);
+  router.get('/styles', authenticate, scoped(API_KEY_SCOPES.STYLES_READ), listStylesHandler);
+  router.get('/me/usage', authenticate, scoped(API_KEY_SCOPES.USAGE_READ), usageHandler);
+
+  router.use((req, res) => {
+    sendError(req, res, { status: 404, code: 'not_found' }, `No such endpoint: ${req.method} ${req.originalUrl}`);
+  });
+  router.use(handleRestApiError);
+
+  return router;
+};
+
+module.exports = {
+  API_VERSION,
+  createRestApi,
+  handleRestApiError
+};
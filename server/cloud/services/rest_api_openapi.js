@@ -0,0 +1,256 @@
+const { getConfig } = require('../../utils/config');
+const {
+  ROAST_POINT_COUNT,
+  MAX_NAME_LENGTH,
+  MAX_PROFESSION_LENGTH,
+  MAX_POINT_LENGTH,
+  MIN_TEMPERATURE,
+  MAX_TEMPERATURE
+} = require('./roast_generator');
+const { LANGUAGES } = require('./roast_styles');
+const { ROAST_STATUS, ROAST_VISIBILITY, CONSENT_STATUS } = require('./roasts');
+const { API_KEY_SCOPES } = require('./api_keys');
+
+/**
+ * OpenAPI 3 document for the REST API v2 (./rest_api)
+ * Input limits are read from the services that enforce them, so the document cannot drift
+ * from the validation.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+const jsonResponse = (description, schema, headers) => ({
+  description,
+  ...(headers ? { headers } : {}),
+  content: { 'application/json': { schema } }
+});
+
+const RATE_LIMIT_HEADERS = {
+  'X-RateLimit-Limit': { description: 'Requests allowed per minute for this key', schema: { type: 'integer' } },
+  'X-RateLimit-Remaining': { description: 'Requests left in the current minute', schema: { type: 'integer' } },
+  'X-RateLimit-Reset': { description: 'Unix time (seconds) at which the minute window resets', schema: { type: 'integer' } }
+};
+
+const COMMON_ERRORS = {
+  401: errorResponse('Missing, unknown, revoked or expired API key'),
+  403: errorResponse('The key lacks the scope this endpoint needs'),
+  429: errorResponse('Rate limit or daily quota used up; see Retry-After')
+};
+
+const buildOpenApiDocument = ({ version }) => ({
+  openapi: '3.0.3',
+  info: {
+    title: 'HaRaaS API',
+    version,
+    description: 'Generate and read roasts from your own applications. Create an API key in your '
+      + 'HaRaaS account (createApiKey) and send it as `Authorization: Bearer <key>`.'
+  },
+  servers: [{ url: `${new URL(getConfig().serverURL).origin}/api/v2` }],
+  security: [{ apiKey: [] }],
+  paths: {
+    '/roasts': {
+      post: {
+        operationId: 'createRoast',
+        summary: 'Generate a roast',
+        description: `Needs the \`${API_KEY_SCOPES.ROASTS_WRITE}\` scope. Uses one roast of the key's daily quota `
+          + 'and one of the account\'s free daily roasts or credits; both are given back when generation fails.',
+        requestBody: { required: true, content: { 'application/json': { schema: ref('RoastInput') } } },
+        responses: {
+          201: jsonResponse('The generated roast, kept as a draft', {
+            type: 'object',
+            properties: { roast: ref('Roast'), usage: ref('TokenUsage') }
+          }, { ...RATE_LIMIT_HEADERS, Location: { description: 'URL of the new roast', schema: { type: 'string' } } }),
+          400: errorResponse('Invalid input'),
+          422: errorResponse('The roast points or the generated roast break the content policy'),
+          ...COMMON_ERRORS,
+          403: errorResponse('Missing scope, no free roasts or credits left, or the roastee asked not to be roasted')
+        }
+      }
+    },
+    '/roasts/{id}': {
+      get: {
+        operationId: 'getRoast',
+        summary: 'Get one of your roasts',
+        description: `Needs the \`${API_KEY_SCOPES.ROASTS_READ}\` scope. Only roasts of the key's owner are found.`,
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: jsonResponse('The roast', { type: 'object', properties: { roast: ref('Roast') } }, RATE_LIMIT_HEADERS),
+          ...COMMON_ERRORS,
+          404: errorResponse('No such roast')
+        }
+      }
+    },
+    '/styles': {
+      get: {
+        operationId: 'listStyles',
+        summary: 'List roast styles',
+        description: `Needs the \`${API_KEY_SCOPES.STYLES_READ}\` scope.`,
+        responses: {
+          200: jsonResponse('Active roast styles', {
+            type: 'object',
+            properties: { styles: { type: 'array', items: ref('RoastStyle') } }
+          }, RATE_LIMIT_HEADERS),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+    '/me/usage': {
+      get: {
+        operationId: 'getUsage',
+        summary: 'Limits and usage of this key and the account\'s credits',
+        description: `Needs the \`${API_KEY_SCOPES.USAGE_READ}\` scope.`,
+        responses: {
+          200: jsonResponse('Key limits, usage today and credit balance', ref('Usage'), RATE_LIMIT_HEADERS),
+          ...COMMON_ERRORS
+        }
+      }
+    },
+    '/openapi.json': {
+      get: {
+        operationId: 'getOpenApiDocument',
+        summary: 'This document',
+        security: [],
+        responses: { 200: { description: 'OpenAPI 3 document', content: { 'application/json': {} } } }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      apiKey: { type: 'http', scheme: 'bearer', description: 'An API key starting with hrk_' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['status', 'code', 'message'],
+            properties: {
+              status: { type: 'integer', example: 429 },
+              code: { type: 'string', enum: ['invalid_request', 'unauthorized', 'forbidden', 'not_found', 'content_rejected', 'rate_limited', 'internal_error'] },
+              message: { type: 'string' },
+              requestId: { type: 'string', description: 'Also in the X-Request-Id header; quote it when reporting a problem' },
+              retryAfter: { type: 'integer', description: 'Seconds to wait, on 429 responses' }
+            }
+          }
+        }
+      },
+      RoastInput: {
+        type: 'object',
+        required: ['name', 'roastPoints'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH, description: 'Who is being roasted' },
+          profession: { type: 'string', maxLength: MAX_PROFESSION_LENGTH },
+          roastPoints: {
+            type: 'array',
+            minItems: ROAST_POINT_COUNT,
+            maxItems: ROAST_POINT_COUNT,
+            items: { type: 'string', minLength: 1, maxLength: MAX_POINT_LENGTH }
+          },
+          temperature: {
+            type: 'integer',
+            minimum: MIN_TEMPERATURE,
+            maximum: MAX_TEMPERATURE,
+            description: 'How hard to roast; each style allows part of this range'
+          },
+          style: { type: 'string', description: 'A style key from GET /styles; the default style when left out' },
+          language: { type: 'string', enum: Object.keys(LANGUAGES), default: 'en' }
+        }
+      },
+      Roast: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string', nullable: true },
+          name: { type: 'string' },
+          profession: { type: 'string', nullable: true },
+          roastPoints: { type: 'array', items: { type: 'string' } },
+          temperature: { type: 'integer' },
+          style: { type: 'string' },
+          styleVersion: { type: 'integer' },
+          language: { type: 'string' },
+          text: { type: 'string' },
+          status: { type: 'string', enum: Object.values(ROAST_STATUS) },
+          provider: { type: 'string' },
+          model: { type: 'string' },
+          savedAt: { type: 'string', format: 'date-time', nullable: true },
+          visibility: { type: 'string', enum: Object.values(ROAST_VISIBILITY) },
+          publishedAt: { type: 'string', format: 'date-time', nullable: true },
+          viewCount: { type: 'integer' },
+          hidden: { type: 'boolean' },
+          consentStatus: { type: 'string', enum: Object.values(CONSENT_STATUS), nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      TokenUsage: {
+        type: 'object',
+        properties: {
+          promptTokens: { type: 'integer' },
+          completionTokens: { type: 'integer' },
+          totalTokens: { type: 'integer' }
+        }
+      },
+      RoastStyle: {
+        type: 'object',
+        properties: {
+          key: { type: 'string' },
+          name: { type: 'string' },
+          description: { type: 'string' },
+          minTemperature: { type: 'integer' },
+          maxTemperature: { type: 'integer' },
+          defaultTemperature: { type: 'integer' },
+          targetWords: { type: 'integer' },
+          languages: {
+            type: 'array',
+            items: { type: 'object', properties: { code: { type: 'string' }, name: { type: 'string' } } }
+          },
+          isDefault: { type: 'boolean' }
+        }
+      },
+      Usage: {
+        type: 'object',
+        properties: {
+          apiKey: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              prefix: { type: 'string' },
+              scopes: { type: 'array', items: { type: 'string', enum: Object.values(API_KEY_SCOPES) } },
+              requestsPerMinute: { type: 'integer' },
+              roastsPerDay: { type: 'integer' },
+              active: { type: 'boolean' },
+              expiresAt: { type: 'string', format: 'date-time', nullable: true },
+              lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+              createdAt: { type: 'string', format: 'date-time' }
+            }
+          },
+          limits: {
+            type: 'object',
+            properties: {
+              requestsPerMinute: { type: 'integer' },
+              requestsRemaining: { type: 'integer' },
+              roastsPerDay: { type: 'integer' },
+              roastsToday: { type: 'integer' },
+              roastsRemaining: { type: 'integer' },
+              resetsAt: { type: 'string', format: 'date-time', description: 'Midnight UTC, when the daily quota resets' }
+            }
+          },
+          credits: {
+            type: 'object',
+            properties: {
+              balance: { type: 'integer' },
+              roastCost: { type: 'integer' },
+              freeRoastsPerDay: { type: 'integer' },
+              freeRoastsRemaining: { type: 'integer' }
+            }
+          }
+        }
+      }
+    }
+  }
+});
+
+module.exports = { buildOpenApiDocument };
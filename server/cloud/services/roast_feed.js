@@ -0,0 +1,130 @@
+const { ROAST_CLASS, ROAST_VISIBILITY, isOwnerActive } = require('./roasts');
+const { summarizeReactions } = require('./reactions');
+
+/**
+ * Roast Feed Service
+ * The community feeds over public roasts: trending (ranked by the time-decayed
+ * `trendingScore`, paged with a cursor) and top (most engagement in a time window).
+ * Hidden roasts and roasts of suspended or deleted accounts are left out.
+ */
+
+const TOP_WINDOWS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const pageSizeOf = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+const publicRoasts = () => {
+  const query = new Parse.Query(ROAST_CLASS);
+  query.equalTo('visibility', ROAST_VISIBILITY.PUBLIC);
+  query.doesNotExist('hiddenAt');
+  query.exists('publishedAt');
+  return query;
+};
+
+const hasActiveOwner = (roast) => isOwnerActive(roast.get('owner'));
+
+const findFeedRoasts = (query) => {
+  query.include('owner');
+  return query.find({ useMasterKey: true });
+};
+
+const encodeCursor = (roast) =>
+  Buffer.from(JSON.stringify({ s: roast.get('trendingScore'), id: roast.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { s, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!id || typeof s !== 'number' || !Number.isFinite(s)) {
+      throw new Error('Malformed cursor');
+    }
+    return { score: s, id };
+  } catch (error) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Invalid cursor');
+  }
+};
+
+/**
+ * A page of trending roasts, highest score first
+ * Resolves to `{ roasts, nextCursor }`; `nextCursor` is null on the last page. A page can
+ * hold fewer roasts than asked for when some belong to inactive accounts.
+ */
+const listTrendingRoasts = async ({ cursor, limit } = {}) => {
+  const pageSize = pageSizeOf(limit);
+
+  let query = publicRoasts();
+
+  // Keyset pagination on (trendingScore, objectId) so ties never skip or repeat rows
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    const lower = publicRoasts();
+    lower.lessThan('trendingScore', position.score);
+    const sameScore = publicRoasts();
+    sameScore.equalTo('trendingScore', position.score);
+    sameScore.lessThan('objectId', position.id);
+    query = Parse.Query.or(lower, sameScore);
+  }
+
+  query.descending('trendingScore');
+  query.addDescending('objectId');
+  query.limit(pageSize + 1);
+
+  const results = await findFeedRoasts(query);
+  const page = results.slice(0, pageSize);
+
+  return {
+    roasts: page.filter(hasActiveOwner),
+    nextCursor: results.length > pageSize ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+/**
+ * The most engaging public roasts published within `window` (day, week or all)
+ */
+const listTopRoasts = async ({ window = 'week', limit } = {}) => {
+  if (!Object.prototype.hasOwnProperty.call(TOP_WINDOWS, window)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid window. Expected one of: ${Object.keys(TOP_WINDOWS).join(', ')}`);
+  }
+
+  const query = publicRoasts();
+  if (TOP_WINDOWS[window]) {
+    query.greaterThanOrEqualTo('publishedAt', new Date(Date.now() - TOP_WINDOWS[window]));
+  }
+  query.greaterThan('engagement', 0);
+  query.descending('engagement');
+  query.addDescending('publishedAt');
+  query.limit(pageSizeOf(limit));
+
+  const roasts = await findFeedRoasts(query);
+  return roasts.filter(hasActiveOwner);
+};
+
+/**
+ * What anyone may see of a public roast; `mine` is the caller's own emoji and rating
+ */
+const serializeFeedRoast = (roast, mine) => ({
+  id: roast.id,
+  title: roast.get('title'),
+  name: roast.get('name'),
+  profession: roast.get('profession'),
+  text: roast.get('text'),
+  style: roast.get('style'),
+  language: roast.get('language'),
+  author: roast.get('owner')?.get('displayName') || null,
+  publishedAt: roast.get('publishedAt'),
+  viewCount: roast.get('viewCount') || 0,
+  ...summarizeReactions(roast),
+  mine: mine || { emoji: null, rating: null }
+});
+
+module.exports = {
+  TOP_WINDOWS,
+  listTrendingRoasts,
+  listTopRoasts,
+  serializeFeedRoast
+};
@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const { getProvider } = require('../providers/ai');
+const { ACTIONS, moderateRoastInput, moderateRoastOutput, blockedCategories } = require('./moderation');
+const { LANGUAGES, fillTemplate } = require('./roast_styles');
+const { createCounter, createHistogram } = require('../../utils/metrics');
+
+/**
+ * Roast Generator Service
+ * Validates roast input, builds the prompt from the chosen roast style (./roast_styles)
+ * and calls the configured AI provider.
+ */
+
+const ROAST_POINT_COUNT = 6;
+const MAX_NAME_LENGTH = 80;
+const MAX_PROFESSION_LENGTH = 80;
+const MAX_POINT_LENGTH = 150;
+const MIN_TEMPERATURE = 1;
+const MAX_TEMPERATURE = 11;
+const SOFTENED_TEMPERATURE = 3;
+// Output token budget per target word; leaves room for a longer answer
+const TOKENS_PER_WORD = 2.4;
+
+const roastGenerationDuration = createHistogram({
+  name: 'roast_generation_duration_seconds',
+  help: 'Roast generation duration in seconds, moderation included',
+  labelNames: ['provider', 'outcome']
+});
+
+const aiTokens = createCounter({
+  name: 'ai_tokens_total',
+  help: 'Tokens used by AI provider calls',
+  labelNames: ['provider', 'model', 'type']
+});
+
+/**
+ * Validate and normalize roast input
+ * Mirrors the client's roastData shape: { name, profession, roastPoints[6], temperature, style, language }
+ * `temperature`, `style` and `language` are null when not given; resolveRoastStyle fills them in.
+ */
+const validateRoastInput = (params = {}) => {
+  const { name, profession, roastPoints, temperature, style, language } = params;
+
+  // Validate required fields
+  if (!name || !Array.isArray(roastPoints)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required fields: name, roastPoints');
+  }
+
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Roastee name must be between 1 and ${MAX_NAME_LENGTH} characters`);
+  }
+
+  if (profession !== undefined && profession !== null &&
+      (typeof profession !== 'string' || profession.trim().length > MAX_PROFESSION_LENGTH)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Profession must be at most ${MAX_PROFESSION_LENGTH} characters`);
+  }
+
+  // Validate roast points
+  if (roastPoints.length !== ROAST_POINT_COUNT) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Exactly ${ROAST_POINT_COUNT} roast points are required`);
+  }
+
+  roastPoints.forEach((point, index) => {
+    if (typeof point !== 'string' || !point.trim()) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, `Roast point ${index + 1} is required`);
+    }
+    if (point.trim().length > MAX_POINT_LENGTH) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, `Roast point ${index + 1} must be at most ${MAX_POINT_LENGTH} characters`);
+    }
+  });
+
+  // Validate temperature (the "roast temperature" slider, 1-11); each style narrows the range
+  let heat = null;
+  if (temperature !== undefined && temperature !== null) {
+    heat = Number(temperature);
+    if (!Number.isInteger(heat) || heat < MIN_TEMPERATURE || heat > MAX_TEMPERATURE) {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, `Temperature must be an integer between ${MIN_TEMPERATURE} and ${MAX_TEMPERATURE}`);
+    }
+  }
+
+  if (style !== undefined && style !== null && (typeof style !== 'string' || !style.trim())) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Style must be a style key from listRoastStyles');
+  }
+
+  if (language !== undefined && language !== null && (typeof language !== 'string' || !LANGUAGES[language.trim().toLowerCase()])) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+
+  return {
+    name: name.trim(),
+    profession: profession ? profession.trim() : '',
+    roastPoints: roastPoints.map((point) => point.trim()),
+    temperature: heat,
+    style: style ? style.trim() : null,
+    language: language ? language.trim().toLowerCase() : null
+  };
+};
+
+/**
+ * Build the system and user prompts for a validated roast input in a style
+ * The content rules, language and length lines are added to every style's template.
+ * `soften` is set when moderation asked for a gentler take.
+ */
+const buildRoastPrompt = (input, style, { soften = false } = {}) => {
+  const rules = 'You are a stand-up comedian writing a good-natured roast. ' +
+    'Be witty and playful, never cruel. Do not mention race, religion, gender, sexuality, ' +
+    'disability or any other protected characteristic, and never include personal contact details.';
+
+  const values = {
+    name: input.name,
+    profession: input.profession,
+    subject: `${input.name}${input.profession ? `, who works as ${input.profession}` : ''}`,
+    points: input.roastPoints.map((point, index) => `${index + 1}. ${point}`).join('\n'),
+    temperature: input.temperature,
+    maxTemperature: MAX_TEMPERATURE,
+    targetWords: style.targetWords,
+    language: LANGUAGES[input.language]
+  };
+
+  const system = [rules, fillTemplate(style.system, values)].filter(Boolean).join(' ');
+
+  const prompt = [
+    fillTemplate(style.prompt, values),
+    soften ? 'Keep this one especially gentle: tease, don\'t wound, and skip anything that could read as a threat or insult about who they are.' : null,
+    input.language !== 'en' ? `Write it in ${LANGUAGES[input.language]}.` : null,
+    `Keep it under ${style.targetWords} words and end on a warm note.`
+  ].filter(Boolean).join('\n');
+
+  return { system, prompt };
+};
+
+/**
+ * Tidy up provider output: strip wrapping quotes and collapse runs of blank lines
+ */
+const polishRoastText = (text) =>
+  text
+    .trim()
+    .replace(/^["“]([\s\S]*)["”]$/, '$1')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const addUsage = (total, usage = {}) => ({
+  promptTokens: total.promptTokens + (usage.promptTokens || 0),
+  completionTokens: total.completionTokens + (usage.completionTokens || 0),
+  totalTokens: total.totalTokens + (usage.totalTokens || 0)
+});
+
+// USD amounts are kept to a millionth of a dollar
+const roundCost = (amount) => Math.round(amount * 1e6) / 1e6;
+
+const normalizeText = (text) => (text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+
+/**
+ * Key under which the provider router deduplicates and caches a provider request
+ * Two requests share a key when they come from the same user and the roastee, points,
+ * style template version and settings match once whitespace and Unicode forms are
+ * normalized. Nobody is handed a roast written for someone else.
+ */
+const requestKey = (user, input, style, { temperature, maxTokens, soften }) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([
+    user ? user.id : null,
+    normalizeText(input.name),
+    normalizeText(input.profession),
+    input.roastPoints.map(normalizeText),
+    style.key,
+    style.version,
+    input.language,
+    temperature,
+    maxTokens,
+    soften
+  ]))
+  .digest('hex');
+
+/**
+ * Add one provider answer to the per-provider tally stored on the roast
+ * `{ [provider]: { calls, failures, reused, promptTokens, completionTokens, totalTokens, cost } }`;
+ * `reused` counts answers shared with an identical request or served from the cache.
+ */
+const tallyProviderUsage = (tally, drafted, fallbackName) => {
+  const entryFor = (name) => {
+    tally[name] = tally[name] || {
+      calls: 0, failures: 0, reused: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0
+    };
+    return tally[name];
+  };
+
+  (drafted.attempts || []).forEach((attempt) => {
+    entryFor(attempt.provider).failures += 1;
+  });
+
+  const entry = entryFor(drafted.provider || fallbackName);
+  if (drafted.source && drafted.source !== 'provider') {
+    entry.reused += 1;
+    return tally;
+  }
+
+  const usage = addUsage(entry, drafted.usage);
+  Object.assign(entry, usage, {
+    calls: entry.calls + 1,
+    cost: roundCost(entry.cost + (drafted.cost || 0))
+  });
+  return tally;
+};
+
+// Moderate, draft and polish one roast (see generateRoastText)
+const writeRoast = async (provider, input, { style, signal, onStage, user }) => {
+  const inputDecision = await moderateRoastInput(input, { user });
+  const moderatedInput = inputDecision.input;
+
+  const maxTokens = Math.round(style.targetWords * TOKENS_PER_WORD);
+  const providerUsage = {};
+  let parameters;
+
+  const draft = async (soften) => {
+    const { system, prompt } = buildRoastPrompt(moderatedInput, style, { soften });
+    const heat = soften ? Math.min(moderatedInput.temperature, SOFTENED_TEMPERATURE) : moderatedInput.temperature;
+    // Map the 1-11 slider onto a 0.3-1.3 sampling temperature
+    const temperature = Math.round((0.2 + heat * 0.1) * 10) / 10;
+
+    parameters = {
+      temperature: moderatedInput.temperature,
+      samplingTemperature: temperature,
+      maxTokens,
+      targetWords: style.targetWords,
+      language: moderatedInput.language,
+      softened: soften
+    };
+
+    const drafted = await provider.generate({
+      system,
+      prompt,
+      input: moderatedInput,
+      temperature,
+      maxTokens,
+      signal,
+      key: requestKey(user, moderatedInput, style, { temperature, maxTokens, soften })
+    });
+    tallyProviderUsage(providerUsage, drafted, provider.name);
+
+    const labels = { provider: drafted.provider || provider.name, model: drafted.model };
+    aiTokens.inc({ ...labels, type: 'prompt' }, drafted.usage?.promptTokens || 0);
+    aiTokens.inc({ ...labels, type: 'completion' }, drafted.usage?.completionTokens || 0);
+
+    return drafted;
+  };
+
+  if (onStage) await onStage('drafting');
+
+  let result = await draft(inputDecision.soften);
+  let usage = addUsage({ promptTokens: 0, completionTokens: 0, totalTokens: 0 }, result.usage);
+
+  if (onStage) await onStage('polishing');
+
+  let outputDecision = await moderateRoastOutput(polishRoastText(result.text), { user });
+
+  if (outputDecision.action === ACTIONS.REWRITE) {
+    result = await draft(true);
+    usage = addUsage(usage, result.usage);
+    outputDecision = await moderateRoastOutput(polishRoastText(result.text), { user, attempt: 2 });
+  }
+
+  if (outputDecision.action === ACTIONS.BLOCK) {
+    throw new Parse.Error(
+      Parse.Error.VALIDATION_ERROR,
+      `We couldn't write a roast that meets our content policy (${blockedCategories(outputDecision.findings).join(', ')}). Try different roast points.`
+    );
+  }
+
+  return {
+    text: outputDecision.text,
+    input: moderatedInput,
+    provider: result.provider || provider.name,
+    model: result.model,
+    style: { key: style.key, version: style.version },
+    parameters,
+    usage,
+    providerUsage,
+    cost: roundCost(Object.values(providerUsage).reduce((sum, entry) => sum + entry.cost, 0)),
+    moderation: {
+      input: inputDecision.action,
+      output: outputDecision.action
+    }
+  };
+};
+
+/**
+ * Generate roast text for an input resolved by resolveRoastStyle, in `options.style`
+ * Inputs and output go through the moderation pipeline; an output that needs rewriting
+ * is regenerated once at a gentler setting before its flagged spans are masked.
+ * Resolves to `{ text, input, provider, model, style, parameters, usage, providerUsage, cost,
+ * moderation }` where `input` is the moderated input that was actually sent to the provider,
+ * `provider` the provider that wrote the final draft, `style` the style key and template
+ * version, `parameters` the settings of the final provider call and `providerUsage` the
+ * tokens and cost (USD) per provider over every call.
+ * `onStage(stage)` is awaited before the 'drafting' and 'polishing' stages;
+ * `signal` aborts the provider call.
+ */
+const generateRoastText = async (input, options = {}) => {
+  const provider = getProvider();
+  const endTimer = roastGenerationDuration.startTimer({ provider: provider.name });
+
+  try {
+    const result = await writeRoast(provider, input, options);
+    endTimer({ provider: result.provider, outcome: 'ok' });
+    return result;
+  } catch (error) {
+    // rejected: refused by moderation or validation; aborted: cancelled or timed out
+    let outcome = 'error';
+    if (options.signal?.aborted) outcome = 'aborted';
+    else if (error instanceof Parse.Error) outcome = 'rejected';
+
+    endTimer({ outcome });
+    throw error;
+  }
+};
+
+module.exports = {
+  ROAST_POINT_COUNT,
+  MAX_NAME_LENGTH,
+  MAX_PROFESSION_LENGTH,
+  MAX_POINT_LENGTH,
+  MIN_TEMPERATURE,
+  MAX_TEMPERATURE,
+  validateRoastInput,
+  buildRoastPrompt,
+  polishRoastText,
+  generateRoastText
+};
@@ -0,0 +1,339 @@
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { ownerOnlyACL } = require('./acl');
+const { generateRoastText } = require('./roast_generator');
+const { createRoast } = require('./roasts');
+const { chargeRoast, refundRoast } = require('./credits');
+const { sendTemplate, clientLink, recipientFor } = require('./mailer');
+
+/**
+ * Roast Job Service
+ * Runs roast generation in the background as a `RoastJob` object whose status and
+ * progress are pushed to the client over LiveQuery.
+ */
+
+const ROAST_JOB_CLASS = 'RoastJob';
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  ANALYZING: 'analyzing',
+  DRAFTING: 'drafting',
+  POLISHING: 'polishing',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINAL_STATUSES = [JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+const STAGE_PROGRESS = {
+  [JOB_STATUS.QUEUED]: 0,
+  [JOB_STATUS.ANALYZING]: 15,
+  [JOB_STATUS.DRAFTING]: 40,
+  [JOB_STATUS.POLISHING]: 85,
+  [JOB_STATUS.DONE]: 100
+};
+
+// A job that has not finished within this window is considered abandoned
+const JOB_TIMEOUT_MS = getConfig().roastJobTimeoutMs;
+
+// How often a running job checks whether it was cancelled from another dyno
+const CANCEL_POLL_MS = 2000;
+
+// AbortControllers for jobs running in this process, keyed by job id
+const runningJobs = new Map();
+
+class JobCancelledError extends Error {}
+
+const isFinal = (status) => FINAL_STATUSES.includes(status);
+
+const serializeJob = (job) => ({
+  id: job.id,
+  status: job.get('status'),
+  progress: job.get('progress'),
+  error: job.get('error'),
+  roastId: job.get('roast')?.id,
+  expiresAt: job.get('expiresAt'),
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+/**
+ * End a job with a final status unless another path ended it first
+ * Completion, failure, cancellation and the stale job reaper all move the atomic `settles`
+ * counter; only the path that moves it to 1 writes its status, so a job is never both done
+ * and cancelled. Returns whether this path ended the job.
+ */
+const settle = async (job, status, extra = {}) => {
+  if (isFinal(job.get('status'))) {
+    return false;
+  }
+
+  job.increment('settles');
+  await job.save(null, { useMasterKey: true });
+
+  if (job.get('settles') !== 1) {
+    return false;
+  }
+
+  job.set('status', status);
+  job.set('finalStatus', status);
+  if (STAGE_PROGRESS[status] !== undefined) {
+    job.set('progress', STAGE_PROGRESS[status]);
+  }
+  Object.entries(extra).forEach(([key, value]) => job.set(key, value));
+
+  await job.save(null, { useMasterKey: true });
+  return true;
+};
+
+/**
+ * Move a running job to its next stage
+ * Returns false when the job ended in the meantime. A stage write that landed after the
+ * final status puts that status back.
+ */
+const advanceStage = async (job, status) => {
+  job.set('status', status);
+  job.set('progress', STAGE_PROGRESS[status]);
+  // Reads the counter back from the same atomic write
+  job.increment('settles', 0);
+  await job.save(null, { useMasterKey: true });
+
+  if (!job.get('settles')) {
+    return true;
+  }
+
+  await job.fetch({ useMasterKey: true });
+  const finalStatus = job.get('finalStatus');
+  if (finalStatus && job.get('status') !== finalStatus) {
+    job.set('status', finalStatus);
+    await job.save(null, { useMasterKey: true });
+  }
+  return false;
+};
+
+/**
+ * Give back the credit a job was charged, at most once however many paths end the job
+ */
+const refundJob = async (job, user, reason) => {
+  if (!job.get('charge')) return;
+
+  job.increment('refunds');
+  await job.save(null, { useMasterKey: true });
+
+  if (job.get('refunds') === 1) {
+    await refundRoast(user, job.get('charge'), reason);
+  }
+};
+
+const sendRoastReadyEmail = async (user, roast) => {
+  const { to, locale, displayName } = recipientFor(user);
+  if (!to) return;
+
+  await sendTemplate('roast_ready', {
+    to,
+    locale,
+    data: {
+      displayName,
+      roasteeName: roast.get('name'),
+      link: clientLink(`/roasts/${roast.id}`)
+    }
+  });
+};
+
+/**
+ * Run a queued job to completion. Never throws; failures are recorded on the job.
+ */
+const runJob = async (job, user, input, style) => {
+  const controller = new AbortController();
+  runningJobs.set(job.id, controller);
+
+  // Enforce the timeout locally and watch for cancellations made on other dynos
+  const timeout = setTimeout(() => controller.abort(new Error('Roast generation timed out')), JOB_TIMEOUT_MS);
+  const watcher = setInterval(async () => {
+    try {
+      const current = await new Parse.Query(ROAST_JOB_CLASS).get(job.id, { useMasterKey: true });
+      // Cancelled, or reaped as stale while it was still running
+      if (isFinal(current.get('status'))) {
+        controller.abort(new JobCancelledError('Roast generation cancelled'));
+      }
+    } catch (error) {
+      logger.warn('Roast job cancel check failed', { jobId: job.id, error: error.message });
+    }
+  }, CANCEL_POLL_MS);
+
+  const advance = async (status) => {
+    if (controller.signal.aborted || !(await advanceStage(job, status))) {
+      throw controller.signal.reason || new JobCancelledError('Roast generation cancelled');
+    }
+  };
+
+  try {
+    await advance(JOB_STATUS.ANALYZING);
+
+    const result = await generateRoastText(input, {
+      style,
+      signal: controller.signal,
+      onStage: advance,
+      user
+    });
+
+    if (controller.signal.aborted) {
+      throw controller.signal.reason;
+    }
+
+    const roast = await createRoast(user, result.input, { ...result, charge: job.get('charge') });
+
+    if (!(await settle(job, JOB_STATUS.DONE, { roast }))) {
+      // Cancelled or reaped while the roast was being stored: discard it
+      await roast.destroy({ useMasterKey: true });
+      await refundJob(job, user, 'Roast generation cancelled');
+      return;
+    }
+
+    logger.info('Roast job completed', { jobId: job.id, userId: user.id, roastId: roast.id });
+
+    if (job.get('notifyByEmail')) {
+      sendRoastReadyEmail(user, roast).catch((mailError) => {
+        logger.error('Failed to send roast ready email', { jobId: job.id, error: mailError.message });
+      });
+    }
+
+  } catch (error) {
+    if (error instanceof JobCancelledError) {
+      logger.info('Roast job cancelled', { jobId: job.id, userId: user.id });
+      await refundJob(job, user, 'Roast generation cancelled').catch(() => {});
+      return;
+    }
+
+    logger.error('Roast job failed', { jobId: job.id, userId: user.id, error: error.message });
+
+    // Whichever path ended the job, it did not deliver a roast
+    try {
+      await settle(job, JOB_STATUS.FAILED, {
+        error: error instanceof Parse.Error ? error.message : 'Roast generation failed. Please try again.'
+      });
+      await refundJob(job, user, 'Roast generation failed');
+    } catch (saveError) {
+      logger.error('Failed to mark roast job as failed', { jobId: job.id, error: saveError.message });
+    }
+
+  } finally {
+    clearTimeout(timeout);
+    clearInterval(watcher);
+    runningJobs.delete(job.id);
+  }
+};
+
+/**
+ * Queue a roast job for an input resolved by resolveRoastStyle and start running it in the background
+ * The user is charged up front so an out-of-credits error reaches the caller directly.
+ * `style` is the snapshot the roast is written with, even if the style is edited meanwhile.
+ * With `notifyByEmail` the user is emailed once the roast is ready.
+ */
+const startRoastJob = async (user, input, { style, notifyByEmail = false }) => {
+  const charge = await chargeRoast(user, 'createRoastJob');
+
+  const job = new Parse.Object(ROAST_JOB_CLASS);
+  job.set('charge', charge);
+  job.set('owner', user);
+  job.set('status', JOB_STATUS.QUEUED);
+  job.set('progress', STAGE_PROGRESS[JOB_STATUS.QUEUED]);
+  job.set('input', input);
+  job.set('notifyByEmail', !!notifyByEmail);
+  job.set('expiresAt', new Date(Date.now() + JOB_TIMEOUT_MS));
+  job.setACL(ownerOnlyACL(user));
+
+  try {
+    await job.save(null, { useMasterKey: true });
+  } catch (error) {
+    await refundRoast(user, charge, 'Roast generation could not be queued');
+    throw error;
+  }
+
+  // Intentionally not awaited: progress is reported through the job object
+  runJob(job, user, input, style);
+
+  return job;
+};
+
+/**
+ * Fetch a roast job owned by the given user
+ */
+const getOwnedJob = async (user, jobId) => {
+  if (!jobId || typeof jobId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: jobId');
+  }
+
+  const query = new Parse.Query(ROAST_JOB_CLASS);
+  query.equalTo('owner', user);
+  const job = await query.get(jobId, { useMasterKey: true }).catch(() => null);
+
+  if (!job) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Roast job not found');
+  }
+
+  return job;
+};
+
+/**
+ * Cancel a job and abort its provider call if it is running in this process
+ * Returns false, and refunds nothing, when the job had already ended.
+ */
+const cancelJob = async (job) => {
+  if (!(await settle(job, JOB_STATUS.CANCELLED))) {
+    return false;
+  }
+
+  const controller = runningJobs.get(job.id);
+  if (controller) {
+    controller.abort(new JobCancelledError('Roast generation cancelled'));
+  } else {
+    // Not running here (queued, or running on another dyno): refund directly
+    await refundJob(job, job.get('owner'), 'Roast generation cancelled');
+  }
+
+  return true;
+};
+
+/**
+ * Mark every unfinished job past its deadline as failed
+ * Covers jobs orphaned by a crashed or restarted dyno.
+ */
+const reapStaleJobs = async () => {
+  const query = new Parse.Query(ROAST_JOB_CLASS);
+  query.containedIn('status', [JOB_STATUS.QUEUED, JOB_STATUS.ANALYZING, JOB_STATUS.DRAFTING, JOB_STATUS.POLISHING]);
+  query.lessThan('expiresAt', new Date());
+  query.limit(100);
+
+  let reaped = 0;
+
+  for (const job of await query.find({ useMasterKey: true })) {
+    try {
+      if (await settle(job, JOB_STATUS.FAILED, { error: 'Roast generation timed out. Please try again.' })) {
+        reaped += 1;
+        await refundJob(job, job.get('owner'), 'Roast generation timed out');
+      }
+    } catch (error) {
+      logger.error('Failed to reap stale roast job', { jobId: job.id, error: error.message });
+    }
+  }
+
+  if (reaped > 0) {
+    logger.warn('Reaped stale roast jobs', { count: reaped });
+  }
+
+  return reaped;
+};
+
+module.exports = {
+  ROAST_JOB_CLASS,
+  JOB_STATUS,
+  JOB_TIMEOUT_MS,
+  isFinal,
+  serializeJob,
+  startRoastJob,
+  getOwnedJob,
+  cancelJob,
+  reapStaleJobs
+};
@@ -0,0 +1,472 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Roast Style Service
+ * The catalog of roast voices offered by the generator. A `RoastStyle` holds the prompt
+ * template (a `system` voice and a `prompt`), the intensity range, the target length and
+ * the languages it may be written in. Admins edit styles at runtime (adminSaveRoastStyle
+ * or Parse Dashboard); every change to the template is saved as a new version and kept in
+ * `RoastStyleTemplate`, and each roast records the style version it was written with.
+ *
+ * Templates use `{placeholder}` values, see TEMPLATE_PLACEHOLDERS.
+ */
+
+const ROAST_STYLE_CLASS = 'RoastStyle';
+const ROAST_STYLE_TEMPLATE_CLASS = 'RoastStyleTemplate';
+
+const DEFAULT_STYLE_KEY = 'classic';
+
+// Languages a roast can be written in, by ISO 639-1 code
+const LANGUAGES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian',
+  pt: 'Portuguese',
+  nl: 'Dutch'
+};
+const DEFAULT_LANGUAGE = 'en';
+
+const TEMPLATE_PLACEHOLDERS = {
+  name: 'Roastee name',
+  profession: 'Profession, may be empty',
+  subject: 'Name with the profession, e.g. "Sam, who works as a dentist"',
+  points: 'The six roast points as a numbered list',
+  temperature: 'Requested intensity',
+  maxTemperature: 'Top of the intensity scale (11)',
+  targetWords: 'Target length in words',
+  language: 'Language name, e.g. Spanish'
+};
+const REQUIRED_PLACEHOLDERS = ['points'];
+
+const MIN_TEMPERATURE = 1;
+const MAX_TEMPERATURE = 11;
+const MIN_TARGET_WORDS = 50;
+const MAX_TARGET_WORDS = 600;
+const MAX_STYLE_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 280;
+const MAX_SYSTEM_LENGTH = 2000;
+const MAX_PROMPT_LENGTH = 4000;
+const STYLE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+
+const ALL_LANGUAGES = Object.keys(LANGUAGES);
+
+const CLASSIC_PROMPT = [
+  'Write a roast of {subject}.',
+  'Roast intensity: {temperature} out of {maxTemperature}.',
+  'Use every one of these roast points:',
+  '{points}'
+].join('\n');
+
+// Seeded by ensureRoastStyles; admins may edit or deactivate them afterwards
+const DEFAULT_STYLES = [
+  {
+    key: DEFAULT_STYLE_KEY,
+    name: 'Classic Roast',
+    description: 'A stand-up roast at whatever heat you pick.',
+    system: '',
+    prompt: CLASSIC_PROMPT,
+    minTemperature: 1,
+    maxTemperature: 11,
+    defaultTemperature: 5,
+    targetWords: 250,
+    languages: ALL_LANGUAGES,
+    sortOrder: 0
+  },
+  {
+    key: 'gentle',
+    name: 'Gentle Ribbing',
+    description: 'Affectionate teasing, safe for the whole family.',
+    system: 'Your tone is warm and affectionate; every joke should make the roastee laugh too.',
+    prompt: [
+      'Write some gentle, affectionate ribbing of {subject}.',
+      'Tease them lightly about each of these points:',
+      '{points}'
+    ].join('\n'),
+    minTemperature: 1,
+    maxTemperature: 5,
+    defaultTemperature: 3,
+    targetWords: 200,
+    languages: ALL_LANGUAGES,
+    sortOrder: 10
+  },
+  {
+    key: 'savage',
+    name: 'Savage',
+    description: 'No mercy (within our content policy).',
+    system: 'Your style is sharp, fast and merciless, like a headliner at a celebrity roast, ' +
+      'but the jokes stay about choices and habits, never about who someone is.',
+    prompt: [
+      'Write a savage roast of {subject}.',
+      'Roast intensity: {temperature} out of {maxTemperature}.',
+      'Land a hard-hitting joke on every one of these roast points:',
+      '{points}'
+    ].join('\n'),
+    minTemperature: 6,
+    maxTemperature: 11,
+    defaultTemperature: 9,
+    targetWords: 250,
+    languages: ALL_LANGUAGES,
+    sortOrder: 20
+  },
+  {
+    key: 'shakespearean',
+    name: 'Shakespearean',
+    description: 'Insults in the manner of the Bard.',
+    system: 'You write in Early Modern English in the manner of Shakespeare, with thee and thou, ' +
+      'inventive compound insults and the odd rhyming couplet.',
+    prompt: [
+      'Compose a Shakespearean roast of {subject}, as a speech delivered upon the stage.',
+      'Roast intensity: {temperature} out of {maxTemperature}.',
+      'Weave in every one of these roast points:',
+      '{points}'
+    ].join('\n'),
+    minTemperature: 1,
+    maxTemperature: 11,
+    defaultTemperature: 6,
+    targetWords: 250,
+    languages: ['en'],
+    sortOrder: 30
+  },
+  {
+    key: 'performance_review',
+    name: 'Corporate Performance Review',
+    description: 'A roast disguised as an annual review, buzzwords included.',
+    system: 'You write in deadpan corporate HR language: competencies, growth areas, synergy ' +
+      'and stakeholder alignment.',
+    prompt: [
+      'Write an annual performance review that is secretly a roast, for {subject}.',
+      'Roast intensity: {temperature} out of {maxTemperature}.',
+      'Turn each of these roast points into a "growth area" or a backhanded "strength":',
+      '{points}',
+      'Finish with an overall rating and a development plan.'
+    ].join('\n'),
+    minTemperature: 1,
+    maxTemperature: 8,
+    defaultTemperature: 5,
+    targetWords: 250,
+    languages: ALL_LANGUAGES,
+    sortOrder: 40
+  },
+  {
+    key: 'wedding_toast',
+    name: 'Wedding Toast',
+    description: 'A best-man or maid-of-honor speech: teasing, then heartfelt.',
+    system: 'You are giving a toast at a wedding in front of both families, grandparents included.',
+    prompt: [
+      'Write a wedding toast that lovingly roasts {subject}.',
+      'Work in every one of these stories:',
+      '{points}',
+      'End by raising a glass to the couple.'
+    ].join('\n'),
+    minTemperature: 1,
+    maxTemperature: 4,
+    defaultTemperature: 2,
+    targetWords: 300,
+    languages: ALL_LANGUAGES,
+    sortOrder: 50
+  }
+];
+
+const templatePlaceholders = (template) => [...template.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+
+/**
+ * Replace `{placeholder}` values in a template; unknown placeholders are left as written
+ */
+const fillTemplate = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+
+const assertText = (value, label, { required = true, max }) => {
+  if (typeof value !== 'string' || (required && !value.trim())) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `${label} is required`);
+  }
+  if (value.length > max) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `${label} must be at most ${max} characters`);
+  }
+};
+
+const assertTemplate = (template, label, { required }) => {
+  const unknown = templatePlaceholders(template).filter((name) => !TEMPLATE_PLACEHOLDERS[name]);
+  if (unknown.length > 0) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `${label} uses unknown placeholders: ${unknown.map((name) => `{${name}}`).join(', ')}. ` +
+      `Expected: ${Object.keys(TEMPLATE_PLACEHOLDERS).map((name) => `{${name}}`).join(', ')}`
+    );
+  }
+
+  const missing = required.filter((name) => !templatePlaceholders(template).includes(name));
+  if (missing.length > 0) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `${label} must include ${missing.map((name) => `{${name}}`).join(', ')}`);
+  }
+};
+
+const assertInteger = (value, label, min, max) => {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `${label} must be an integer between ${min} and ${max}`);
+  }
+};
+
+/**
+ * Check a RoastStyle before it is saved (beforeSave trigger)
+ * Throws INVALID_QUERY with a message naming the first invalid field.
+ */
+const validateRoastStyle = (style) => {
+  const key = style.get('key');
+  if (typeof key !== 'string' || !STYLE_KEY_PATTERN.test(key)) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      'Style key must be 2 to 40 lowercase letters, digits or underscores, starting with a letter'
+    );
+  }
+
+  assertText(style.get('name'), 'Style name', { max: MAX_STYLE_NAME_LENGTH });
+  assertText(style.get('description') ?? '', 'Description', { required: false, max: MAX_DESCRIPTION_LENGTH });
+  assertText(style.get('system') ?? '', 'System template', { required: false, max: MAX_SYSTEM_LENGTH });
+  assertText(style.get('prompt'), 'Prompt template', { max: MAX_PROMPT_LENGTH });
+  assertTemplate(style.get('system') ?? '', 'System template', { required: [] });
+  assertTemplate(style.get('prompt'), 'Prompt template', { required: REQUIRED_PLACEHOLDERS });
+
+  const min = style.get('minTemperature');
+  const max = style.get('maxTemperature');
+  assertInteger(min, 'Minimum temperature', MIN_TEMPERATURE, MAX_TEMPERATURE);
+  assertInteger(max, 'Maximum temperature', min, MAX_TEMPERATURE);
+  assertInteger(style.get('defaultTemperature'), 'Default temperature', min, max);
+  assertInteger(style.get('targetWords'), 'Target length', MIN_TARGET_WORDS, MAX_TARGET_WORDS);
+
+  const languages = style.get('languages');
+  if (!Array.isArray(languages) || languages.length === 0 || languages.some((code) => !LANGUAGES[code])) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `Languages must be a non-empty list of: ${ALL_LANGUAGES.join(', ')}`
+    );
+  }
+
+  if (key === DEFAULT_STYLE_KEY && style.get('active') === false) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `The default style "${DEFAULT_STYLE_KEY}" cannot be deactivated`);
+  }
+};
+
+const findStyle = (key) => {
+  const query = new Parse.Query(ROAST_STYLE_CLASS);
+  query.equalTo('key', key);
+  query.ascending('createdAt');
+  return query.first({ useMasterKey: true });
+};
+
+/**
+ * beforeSave for RoastStyle: cloud code and the dashboard only; validates the style,
+ * keeps keys immutable and bumps the version when the template changes. Keys are kept
+ * unique by the unique `key` index, which fails a duplicate insert with DUPLICATE_VALUE.
+ */
+const beforeSaveRoastStyle = async (request) => {
+  const { object: style, original } = request;
+
+  if (!request.master) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `${ROAST_STYLE_CLASS} objects can only be modified through cloud functions`);
+  }
+
+  if (original && style.get('key') !== original.get('key')) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'A style key cannot be changed');
+  }
+
+  if (style.get('active') === undefined) style.set('active', true);
+  if (style.get('sortOrder') === undefined) style.set('sortOrder', 0);
+
+  validateRoastStyle(style);
+
+  const templateChanged = !original ||
+    style.get('system') !== original.get('system') ||
+    style.get('prompt') !== original.get('prompt');
+
+  if (templateChanged) {
+    style.set('version', (original?.get('version') || 0) + 1);
+  } else if (original) {
+    style.set('version', original.get('version'));
+  }
+};
+
+/**
+ * afterSave for RoastStyle: keep a copy of each template version
+ * `context.editedBy` is the id of the admin who made the change, when known.
+ */
+const afterSaveRoastStyle = async (request) => {
+  const { object: style, original, context } = request;
+  if (original && original.get('version') === style.get('version')) return;
+
+  const template = new Parse.Object(ROAST_STYLE_TEMPLATE_CLASS);
+  template.set('style', style);
+  template.set('styleKey', style.get('key'));
+  template.set('version', style.get('version'));
+  template.set('system', style.get('system') || '');
+  template.set('prompt', style.get('prompt'));
+  if (context?.editedBy) {
+    template.set('editedBy', Parse.User.createWithoutData(context.editedBy));
+  }
+  template.setACL(new Parse.ACL());
+  await template.save(null, { useMasterKey: true });
+
+  logger.info('Roast style template saved', { key: style.get('key'), version: style.get('version') });
+};
+
+/**
+ * Create the default styles that do not exist yet; existing styles are never changed
+ * Run once at startup, after the indexes are in place: the unique `key` index turns a style
+ * another instance seeded first into a DUPLICATE_VALUE error, which counts as done.
+ */
+const ensureRoastStyles = async () => {
+  // Only saves the inserts that would fail anyway
+  const query = new Parse.Query(ROAST_STYLE_CLASS);
+  query.containedIn('key', DEFAULT_STYLES.map(({ key }) => key));
+  query.select('key');
+  const existing = new Set((await query.find({ useMasterKey: true })).map((style) => style.get('key')));
+
+  const created = [];
+  for (const fields of DEFAULT_STYLES.filter(({ key }) => !existing.has(key))) {
+    const style = new Parse.Object(ROAST_STYLE_CLASS);
+    style.set(fields);
+    style.set('active', true);
+    style.setACL(new Parse.ACL());
+    try {
+      await style.save(null, { useMasterKey: true });
+      created.push(fields.key);
+    } catch (error) {
+      if (error.code !== Parse.Error.DUPLICATE_VALUE) throw error;
+    }
+  }
+
+  if (created.length > 0) {
+    logger.info('Default roast styles created', { keys: created });
+  }
+};
+
+/**
+ * Active styles in display order
+ */
+const listRoastStyles = async ({ includeInactive = false } = {}) => {
+  const query = new Parse.Query(ROAST_STYLE_CLASS);
+  if (!includeInactive) {
+    query.equalTo('active', true);
+  }
+  query.ascending('sortOrder', 'name');
+  query.limit(1000);
+  return query.find({ useMasterKey: true });
+};
+
+/**
+ * Stored versions of a style's template, newest first
+ */
+const listStyleTemplates = async (key, { limit = 50 } = {}) => {
+  const query = new Parse.Query(ROAST_STYLE_TEMPLATE_CLASS);
+  query.equalTo('styleKey', key);
+  query.descending('version');
+  query.limit(limit);
+  return query.find({ useMasterKey: true });
+};
+
+/**
+ * Plain copy of a style, as used for one generation
+ */
+const styleSnapshot = (style) => ({
+  key: style.get('key'),
+  name: style.get('name'),
+  version: style.get('version'),
+  system: style.get('system') || '',
+  prompt: style.get('prompt'),
+  minTemperature: style.get('minTemperature'),
+  maxTemperature: style.get('maxTemperature'),
+  defaultTemperature: style.get('defaultTemperature'),
+  targetWords: style.get('targetWords'),
+  languages: style.get('languages')
+});
+
+/**
+ * Apply the requested style to a validated roast input
+ * Fills in the style's default temperature and language and checks both against its limits.
+ * Resolves to `{ input, style }` where `style` is a snapshot of the current version.
+ */
+const resolveRoastStyle = async (input) => {
+  const key = input.style || DEFAULT_STYLE_KEY;
+  const found = await findStyle(key);
+
+  if (!found || !found.get('active')) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, `Unknown roast style "${key}"`);
+  }
+
+  const style = styleSnapshot(found);
+
+  const temperature = input.temperature ?? style.defaultTemperature;
+  if (temperature < style.minTemperature || temperature > style.maxTemperature) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `The ${style.name} style takes a temperature between ${style.minTemperature} and ${style.maxTemperature}`
+    );
+  }
+
+  const fallbackLanguage = style.languages.includes(DEFAULT_LANGUAGE) ? DEFAULT_LANGUAGE : style.languages[0];
+  const language = input.language || fallbackLanguage;
+  if (!style.languages.includes(language)) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `The ${style.name} style is available in: ${style.languages.map((code) => LANGUAGES[code]).join(', ')}`
+    );
+  }
+
+  return {
+    input: { ...input, style: key, temperature, language },
+    style
+  };
+};
+
+const serializeRoastStyle = (style) => ({
+  key: style.get('key'),
+  name: style.get('name'),
+  description: style.get('description') || '',
+  minTemperature: style.get('minTemperature'),
+  maxTemperature: style.get('maxTemperature'),
+  defaultTemperature: style.get('defaultTemperature'),
+  targetWords: style.get('targetWords'),
+  languages: style.get('languages').map((code) => ({ code, name: LANGUAGES[code] })),
+  isDefault: style.get('key') === DEFAULT_STYLE_KEY
+});
+
+// Admin view: includes the template and catalog settings
+const serializeRoastStyleForAdmin = (style) => ({
+  ...serializeRoastStyle(style),
+  languages: style.get('languages'),
+  version: style.get('version'),
+  system: style.get('system') || '',
+  prompt: style.get('prompt'),
+  active: style.get('active'),
+  sortOrder: style.get('sortOrder'),
+  updatedAt: style.updatedAt
+});
+
+const serializeStyleTemplate = (template) => ({
+  version: template.get('version'),
+  system: template.get('system'),
+  prompt: template.get('prompt'),
+  editedBy: template.get('editedBy')?.id || null,
+  createdAt: template.createdAt
+});
+
+module.exports = {
+  ROAST_STYLE_CLASS,
+  ROAST_STYLE_TEMPLATE_CLASS,
+  DEFAULT_STYLE_KEY,
+  LANGUAGES,
+  TEMPLATE_PLACEHOLDERS,
+  fillTemplate,
+  validateRoastStyle,
+  beforeSaveRoastStyle,
+  afterSaveRoastStyle,
+  ensureRoastStyles,
+  findStyle,
+  listRoastStyles,
+  listStyleTemplates,
+  resolveRoastStyle,
+  serializeRoastStyle,
+  serializeRoastStyleForAdmin,
+  serializeStyleTemplate
+};
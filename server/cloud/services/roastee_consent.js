@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { formatRetryAfter } = require('../../utils/retry_after');
+const { getThrottleStore } = require('../providers/throttle_store');
+const { getSmsTransport } = require('../providers/sms');
+const { APP_NAME, isMailConfigured, sendTemplate, clientLink } = require('./mailer');
+const { MAX_NAME_LENGTH } = require('./roast_generator');
+const { ROAST_VISIBILITY, CONSENT_STATUS, setRoastVisibility } = require('./roasts');
+
+/**
+ * Roastee Consent Service
+ * Lets a requester ask the person they roasted for approval, and anyone ask not to be
+ * roasted.
+ *
+ * Consent: the owner of a roast sends the roastee an invitation by email or text message
+ * (`RoastConsent`). Its link is signed, so the client page can show the roast and record the
+ * answer without an account. From the first invitation until the roastee approves, the roast
+ * is private and cannot be shared or certified (`consentStatus` on the roast, ./roasts).
+ *
+ * Opt-out registry: `RoastOptOut` rows hold a name and an email or phone number as keyed
+ * hashes, never in clear text. A request is confirmed through a signed link sent to that
+ * address; declining an invitation can opt out directly, since the link already proved it.
+ * Roasts are refused before generation when the requester gives a registered address, or a
+ * registered name without an address. Since other people share the name, a roast of it
+ * that gives another address goes ahead but waits for that roastee's approval.
+ *
+ * Links are signed and identifiers hashed with keys derived from CONSENT_SECRET.
+ */
+
+const ROAST_CONSENT_CLASS = 'RoastConsent';
+const ROAST_OPT_OUT_CLASS = 'RoastOptOut';
+
+const CONTACT_CHANNELS = {
+  EMAIL: 'email',
+  PHONE: 'phone'
+};
+
+// cancelled: replaced by a newer invitation for the same roast
+const INVITE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled'
+};
+
+const CONSENT_INVITE_DAYS = getConfig().consentInviteDays;
+const OPT_OUT_LINK_DAYS = 2;
+
+const MAX_INVITES_PER_ROAST = 3;
+
+// Nobody gets flooded with invitations or confirmation links
+const INVITES_PER_CONTACT_PER_DAY = 3;
+const OPT_OUT_REQUESTS_PER_CONTACT_PER_DAY = 3;
+const OPT_OUT_REQUESTS_PER_IP_PER_HOUR = 10;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// E.164 once spaces, dashes, dots and brackets are removed
+const PHONE_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+const DECISIONS = {
+  approve: INVITE_STATUS.APPROVED,
+  decline: INVITE_STATUS.DECLINED
+};
+
+const derivedKey = (purpose) =>
+  crypto.createHmac('sha256', getConfig().consentSecret).update(`roastee-consent:${purpose}`).digest();
+
+// Keyed, so the registry cannot be reversed by hashing every phone number
+const identifierHash = (kind, value) =>
+  crypto.createHmac('sha256', derivedKey('identifiers')).update(`${kind}:${value}`).digest('hex');
+
+// "José  O'Brien" and "jose obrien" are the same name
+const normalizeName = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const nameHash = (name) => identifierHash('name', normalizeName(name));
+
+const contactHash = (contact) => identifierHash(contact.channel, contact.address);
+
+const signature = (body) => crypto.createHmac('sha256', derivedKey('links')).update(body).digest('base64url');
+
+const signToken = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${body}.${signature(body)}`;
+};
+
+/**
+ * The payload of a `type` token made by signToken, or null when it is forged, malformed or expired
+ */
+const readToken = (token, type) => {
+  if (typeof token !== 'string') return null;
+
+  const [body, given] = token.split('.');
+  if (!body || !given) return null;
+
+  const expected = Buffer.from(signature(body));
+  if (Buffer.byteLength(given) !== expected.length || !crypto.timingSafeEqual(Buffer.from(given), expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.type !== type || !(payload.expiresAt > Date.now())) return null;
+  return payload;
+};
+
+/**
+ * The roastee's contact from `{ email, phone }`, or null when neither is given
+ * Resolves to `{ channel, address }` with the email lowercased and the phone number in E.164.
+ */
+const parseContact = ({ email, phone } = {}) => {
+  const hasEmail = email !== undefined && email !== null && email !== '';
+  const hasPhone = phone !== undefined && phone !== null && phone !== '';
+
+  if (!hasEmail && !hasPhone) return null;
+
+  if (hasEmail && hasPhone) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Give an email address or a phone number, not both');
+  }
+
+  if (hasEmail) {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      throw new Parse.Error(Parse.Error.INVALID_EMAIL_ADDRESS, 'Invalid email format');
+    }
+    return { channel: CONTACT_CHANNELS.EMAIL, address: email.trim().toLowerCase() };
+  }
+
+  const number = typeof phone === 'string' ? phone.replace(/[\s().-]/g, '') : '';
+  if (!PHONE_PATTERN.test(number)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Phone numbers must be in international format, e.g. +1 415 555 0100');
+  }
+  return { channel: CONTACT_CHANNELS.PHONE, address: number };
+};
+
+/**
+ * Reject contacts this server cannot send to (no mail transport, or no SMS transport)
+ */
+const assertCanContact = (contact) => {
+  if (contact.channel === CONTACT_CHANNELS.EMAIL && !isMailConfigured()) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Email is not available right now. Try a phone number instead.');
+  }
+  if (contact.channel === CONTACT_CHANNELS.PHONE && !getSmsTransport()) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Text messages are not available right now. Try an email address instead.');
+  }
+};
+
+const deliver = async (contact, { template, locale, data, text }) => {
+  if (contact.channel === CONTACT_CHANNELS.EMAIL) {
+    await sendTemplate(template, { to: contact.address, locale, data });
+    return;
+  }
+  await getSmsTransport().send({ to: contact.address, text });
+};
+
+// Count one use of `key` and reject it past `limit` per window
+const takeAllowance = async (key, limit, windowMs, message) => {
+  const entry = await getThrottleStore().increment(key, windowMs);
+  if (entry.value > limit) {
+    throw new Parse.Error(Parse.Error.REQUEST_LIMIT_EXCEEDED, formatRetryAfter(message, entry.expiresAt.getTime() - Date.now()));
+  }
+};
+
+/**
+ * Reject a roast of someone on the opt-out registry, before it is generated
+ * A registered address (`contact`, from parseContact) always refuses the roast, whatever the
+ * name. A registered name refuses it too unless the requester gives an address that is not
+ * the registered one. Resolves to true when the roast may go ahead only with the consent
+ * of that address (holdForConsent).
+ */
+const assertRoasteeNotOptedOut = async (name, contact) => {
+  const refused = () => new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This person has asked not to be roasted. Try someone else.');
+
+  if (contact) {
+    const byContact = new Parse.Query(ROAST_OPT_OUT_CLASS);
+    byContact.equalTo('contactHash', contactHash(contact));
+    if (await byContact.first({ useMasterKey: true })) throw refused();
+  }
+
+  const byName = new Parse.Query(ROAST_OPT_OUT_CLASS);
+  byName.equalTo('nameHash', nameHash(name));
+  if (!(await byName.first({ useMasterKey: true }))) return false;
+
+  if (!contact) throw refused();
+  return true;
+};
+
+/**
+ * Keep a roast private, unshareable and uncertifiable until its roastee approves it
+ */
+const holdForConsent = async (roast) => {
+  roast.set('consentStatus', CONSENT_STATUS.PENDING);
+  await setRoastVisibility(roast, ROAST_VISIBILITY.PRIVATE);
+};
+
+const addOptOut = async ({ nameHash: name, contactHash: contact, channel, source }) => {
+  const query = new Parse.Query(ROAST_OPT_OUT_CLASS);
+  query.equalTo('nameHash', name);
+  query.equalTo('contactHash', contact);
+  const existing = await query.first({ useMasterKey: true });
+  if (existing) return existing;
+
+  const entry = new Parse.Object(ROAST_OPT_OUT_CLASS);
+  entry.set('nameHash', name);
+  entry.set('contactHash', contact);
+  entry.set('channel', channel);
+  entry.set('source', source);
+  entry.setACL(new Parse.ACL());
+  await entry.save(null, { useMasterKey: true });
+
+  logger.info('Roast opt-out registered', { optOutId: entry.id, channel, source });
+  return entry;
+};
+
+/**
+ * Email or text the roastee of `roast` an invitation to approve or decline it
+ * Replaces any earlier pending invitation, and makes the roast private until it is approved.
+ */
+const requestRoastConsent = async (user, roast, contact) => {
+  const status = roast.get('consentStatus');
+  if (status === CONSENT_STATUS.APPROVED) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'The roastee already approved this roast');
+  }
+  if (status === CONSENT_STATUS.DECLINED) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'The roastee declined this roast');
+  }
+
+  assertCanContact(contact);
+  await assertRoasteeNotOptedOut(roast.get('name'), contact);
+
+  const sent = await new Parse.Query(ROAST_CONSENT_CLASS).equalTo('roast', roast).count({ useMasterKey: true });
+  if (sent >= MAX_INVITES_PER_ROAST) {
+    throw new Parse.Error(
+      Parse.Error.OPERATION_FORBIDDEN,
+      `A roast can be sent for approval at most ${MAX_INVITES_PER_ROAST} times`
+    );
+  }
+
+  const hash = contactHash(contact);
+  await takeAllowance(`consent:invite:${hash}`, INVITES_PER_CONTACT_PER_DAY, DAY_MS, 'This person was sent too many invitations today.');
+
+  const expiresAt = new Date(Date.now() + CONSENT_INVITE_DAYS * DAY_MS);
+  const invite = new Parse.Object(ROAST_CONSENT_CLASS);
+  invite.set('roast', roast);
+  invite.set('owner', user);
+  invite.set('channel', contact.channel);
+  invite.set('contactHash', hash);
+  invite.set('status', INVITE_STATUS.PENDING);
+  invite.set('expiresAt', expiresAt);
+  invite.setACL(new Parse.ACL());
+  await invite.save(null, { useMasterKey: true });
+
+  const requesterName = user.get('displayName') || user.get('firstName') || 'Someone';
+  const link = clientLink('/roast-consent', {
+    token: signToken({ type: 'invite', id: invite.id, expiresAt: expiresAt.getTime() })
+  });
+
+  try {
+    await deliver(contact, {
+      template: 'roast_consent',
+      locale: roast.get('language'),
+      data: { requesterName, roasteeName: roast.get('name'), days: CONSENT_INVITE_DAYS, link },
+      text: `${requesterName} wrote a roast about you on ${APP_NAME} and would like your OK before sharing it. Approve or decline: ${link}`
+    });
+  } catch (error) {
+    await invite.destroy({ useMasterKey: true });
+    throw error;
+  }
+
+  const earlier = await new Parse.Query(ROAST_CONSENT_CLASS)
+    .equalTo('roast', roast)
+    .equalTo('status', INVITE_STATUS.PENDING)
+    .notEqualTo('objectId', invite.id)
+    .find({ useMasterKey: true });
+  earlier.forEach((row) => row.set('status', INVITE_STATUS.CANCELLED));
+  await Parse.Object.saveAll(earlier, { useMasterKey: true });
+
+  await holdForConsent(roast);
+
+  logger.info('Roast consent requested', { userId: user.id, roastId: roast.id, inviteId: invite.id, channel: contact.channel });
+
+  return invite;
+};
+
+/**
+ * The invitation behind a signed link, with its roast and owner
+ * Forged, expired and replaced links all throw OBJECT_NOT_FOUND.
+ */
+const getConsentInvite = async (token) => {
+  const payload = readToken(token, 'invite');
+
+  let invite = null;
+  if (payload && typeof payload.id === 'string') {
+    const query = new Parse.Query(ROAST_CONSENT_CLASS);
+    query.include(['roast', 'owner']);
+    invite = await query.get(payload.id, { useMasterKey: true }).catch(() => null);
+  }
+
+  if (!invite || !invite.get('roast') || invite.get('status') === INVITE_STATUS.CANCELLED) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'This invitation link is invalid or has expired');
+  }
+
+  return invite;
+};
+
+const isInviteExpired = (invite) =>
+  invite.get('status') === INVITE_STATUS.PENDING && invite.get('expiresAt') <= new Date();
+
+/**
+ * Record the roastee's answer to an invitation: `decision` is 'approve' or 'decline'
+ * With `optOut` the roastee's name and address are also added to the opt-out registry.
+ * Answering again with the same decision is a no-op; changing it is not allowed.
+ */
+const respondToConsentInvite = async (invite, { decision, optOut = false }) => {
+  const status = DECISIONS[decision];
+  if (!status) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Decision must be one of: ${Object.keys(DECISIONS).join(', ')}`);
+  }
+
+  const roast = invite.get('roast');
+
+  if (isInviteExpired(invite)) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'This invitation link is invalid or has expired');
+  }
+  if (invite.get('status') !== INVITE_STATUS.PENDING && invite.get('status') !== status) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This invitation has already been answered');
+  }
+
+  if (invite.get('status') === INVITE_STATUS.PENDING) {
+    invite.set('status', status);
+    invite.set('respondedAt', new Date());
+    await invite.save(null, { useMasterKey: true });
+
+    roast.set('consentStatus', status === INVITE_STATUS.APPROVED ? CONSENT_STATUS.APPROVED : CONSENT_STATUS.DECLINED);
+    await roast.save(null, { useMasterKey: true });
+
+    logger.info('Roast consent answered', { roastId: roast.id, inviteId: invite.id, decision });
+  }
+
+  if (optOut) {
+    await addOptOut({
+      nameHash: nameHash(roast.get('name')),
+      contactHash: invite.get('contactHash'),
+      channel: invite.get('channel'),
+      source: 'invite'
+    });
+  }
+
+  return invite;
+};
+
+/**
+ * Send a link that adds `name` and `contact` to the opt-out registry once opened
+ * Nothing is stored until the link is opened (confirmOptOut).
+ */
+const requestOptOut = async ({ name, contact, ip }) => {
+  if (typeof name !== 'string' || !normalizeName(name) || name.trim().length > MAX_NAME_LENGTH) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Name must be between 1 and ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!contact) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: email or phone');
+  }
+
+  assertCanContact(contact);
+
+  const hash = contactHash(contact);
+  if (ip) {
+    await takeAllowance(`consent:optout:ip:${ip}`, OPT_OUT_REQUESTS_PER_IP_PER_HOUR, HOUR_MS, 'Too many opt-out requests from this network.');
+  }
+  await takeAllowance(`consent:optout:${hash}`, OPT_OUT_REQUESTS_PER_CONTACT_PER_DAY, DAY_MS, 'Too many opt-out requests for this address today.');
+
+  const link = clientLink('/roast-opt-out', {
+    token: signToken({
+      type: 'opt_out',
+      nameHash: nameHash(name),
+      contactHash: hash,
+      channel: contact.channel,
+      expiresAt: Date.now() + OPT_OUT_LINK_DAYS * DAY_MS
+    })
+  });
+
+  await deliver(contact, {
+    template: 'roast_opt_out',
+    data: { days: OPT_OUT_LINK_DAYS, link },
+    text: `To confirm you never want to be roasted by name on ${APP_NAME}, open: ${link} (ignore this if you did not ask)`
+  });
+
+  logger.info('Roast opt-out requested', { channel: contact.channel });
+};
+
+/**
+ * Add the name and address from an opt-out link to the registry
+ */
+const confirmOptOut = async (token) => {
+  const payload = readToken(token, 'opt_out');
+  if (!payload || !payload.nameHash || !payload.contactHash) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'This confirmation link is invalid or has expired');
+  }
+
+  return addOptOut({
+    nameHash: payload.nameHash,
+    contactHash: payload.contactHash,
+    channel: payload.channel,
+    source: 'request'
+  });
+};
+
+/**
+ * Delete every invitation of a roast, when the roast itself is deleted
+ */
+const removeConsentInvitesFor = async (roast) => {
+  const query = new Parse.Query(ROAST_CONSENT_CLASS);
+  query.equalTo('roast', roast);
+  const invites = await query.findAll({ useMasterKey: true });
+  await Parse.Object.destroyAll(invites, { useMasterKey: true });
+  return invites.length;
+};
+
+/**
+ * An invitation as the roastee sees it: who asked, and the roast they are asked about
+ */
+const serializeConsentInvite = (invite) => {
+  const roast = invite.get('roast');
+  const owner = invite.get('owner');
+
+  return {
+    status: isInviteExpired(invite) ? 'expired' : invite.get('status'),
+    expiresAt: invite.get('expiresAt'),
+    respondedAt: invite.get('respondedAt'),
+    requesterName: owner?.get('displayName') || owner?.get('firstName') || 'Someone',
+    roasteeName: roast.get('name'),
+    roast: {
+      title: roast.get('title'),
+      text: roast.get('text'),
+      language: roast.get('language')
+    }
+  };
+};
+
+module.exports = {
+  ROAST_CONSENT_CLASS,
+  ROAST_OPT_OUT_CLASS,
+  CONTACT_CHANNELS,
+  INVITE_STATUS,
+  CONSENT_INVITE_DAYS,
+  MAX_INVITES_PER_ROAST,
+  parseContact,
+  assertCanContact,
+  assertRoasteeNotOptedOut,
+  holdForConsent,
+  requestRoastConsent,
+  getConsentInvite,
+  respondToConsentInvite,
+  requestOptOut,
+  confirmOptOut,
+  removeConsentInvitesFor,
+  isInviteExpired,
+  serializeConsentInvite
+};
@@ -0,0 +1,262 @@
+const { ownerOnlyACL } = require('./acl');
+
+/**
+ * Roast Service
+ * Persistence helpers for the `Roast` class. Roasts are owned by the generating user
+ * and are only readable by that user; all writes go through cloud code. Other people
+ * can only see a roast through a share link (./share_links), and only when its
+ * visibility is `unlisted` or `public`. Public roasts that are not hidden are also readable
+ * by everyone (for the trending feeds and LiveQuery reaction counts, ./reactions) while
+ * their owner's account is active; ./accounts reapplies the ACLs when that changes.
+ * Once the owner has asked the roastee for consent (./roastee_consent), the roast stays
+ * private until the roastee approves.
+ */
+
+const ROAST_CLASS = 'Roast';
+
+const ROAST_STATUS = {
+  DRAFT: 'draft',
+  SAVED: 'saved'
+};
+
+// private: owner only; unlisted: anyone with a share link; public: may also be listed in the app
+const ROAST_VISIBILITY = {
+  PRIVATE: 'private',
+  UNLISTED: 'unlisted',
+  PUBLIC: 'public'
+};
+
+// Roastee consent; roasts whose owner never asked have no consentStatus
+const CONSENT_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  DECLINED: 'declined'
+};
+
+const MAX_TITLE_LENGTH = 100;
+
+const ACL_BATCH_SIZE = 500;
+
+// Trending score: a roast needs ten times the engagement to rank level with one
+// published 12.5 hours later
+const TRENDING_DECAY_SECONDS = 45000;
+
+/**
+ * Create a draft roast from a generation result
+ */
+const createRoast = async (user, input, result) => {
+  const roast = new Parse.Object(ROAST_CLASS);
+  roast.set('owner', user);
+  roast.set('name', input.name);
+  roast.set('profession', input.profession);
+  roast.set('roastPoints', input.roastPoints);
+  roast.set('temperature', input.temperature);
+  roast.set('text', result.text);
+  roast.set('provider', result.provider);
+  roast.set('model', result.model);
+  // Exact template version and settings, so a roast can be traced back to its prompt
+  roast.set('style', result.style.key);
+  roast.set('styleVersion', result.style.version);
+  roast.set('language', input.language);
+  roast.set('parameters', result.parameters);
+  roast.set('usage', result.usage);
+  roast.set('providerUsage', result.providerUsage || {});
+  roast.set('cost', result.cost || 0);
+  roast.set('moderation', result.moderation);
+  if (result.charge) {
+    roast.set('charge', result.charge);
+  }
+  roast.set('status', ROAST_STATUS.DRAFT);
+  roast.set('visibility', ROAST_VISIBILITY.PRIVATE);
+  roast.setACL(ownerOnlyACL(user));
+  return roast.save(null, { useMasterKey: true });
+};
+
+/**
+ * Fetch a roast owned by the given user
+ * Throws OBJECT_NOT_FOUND for missing roasts and for roasts owned by someone else
+ */
+const getOwnedRoast = async (user, roastId) => {
+  if (!roastId || typeof roastId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: roastId');
+  }
+
+  const query = new Parse.Query(ROAST_CLASS);
+  query.equalTo('owner', user);
+  const roast = await query.get(roastId, { useMasterKey: true }).catch(() => null);
+
+  if (!roast) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Roast not found');
+  }
+
+  return roast;
+};
+
+const isRoastHidden = (roast) => !!roast.get('hiddenAt');
+
+// Whether the owner's roasts may be shown to others: not suspended or being deleted
+// (the account flags of ./accounts, read here because ./accounts depends on this module)
+const isOwnerActive = (owner) =>
+  !!owner && owner.get('isActive') !== false && !owner.get('suspendedAt') && !owner.get('deletionScheduledAt');
+
+// Asked for consent and not (yet) approved: may not be shown to anyone but the owner
+const isSharingBlocked = (roast) =>
+  [CONSENT_STATUS.PENDING, CONSENT_STATUS.DECLINED].includes(roast.get('consentStatus'));
+
+/**
+ * Reject sharing, publishing or certifying a roast the roastee has not approved
+ */
+const assertSharingAllowed = (roast) => {
+  if (!isSharingBlocked(roast)) return;
+
+  throw new Parse.Error(
+    Parse.Error.OPERATION_FORBIDDEN,
+    roast.get('consentStatus') === CONSENT_STATUS.DECLINED
+      ? 'The roastee declined this roast, so it cannot be shared'
+      : 'This roast can be shared once the roastee approves it'
+  );
+};
+
+// Roasts created before visibility existed are private
+const getRoastVisibility = (roast) => roast.get('visibility') || ROAST_VISIBILITY.PRIVATE;
+
+// Everyone may read a public roast unless a moderator hid it or its owner is inactive
+const applyRoastACL = (roast, owner) => {
+  const acl = ownerOnlyACL(roast.get('owner'));
+  if (getRoastVisibility(roast) === ROAST_VISIBILITY.PUBLIC && !isRoastHidden(roast) && isOwnerActive(owner)) {
+    acl.setPublicReadAccess(true);
+  }
+  roast.setACL(acl);
+};
+
+const fetchOwner = (roast) => roast.get('owner').fetch({ useMasterKey: true }).catch(() => null);
+
+/**
+ * Reapply the ACL of every public roast, or of those `scope` (a Roast query) matches
+ * Run when an owner is suspended, reinstated or deleted. Resolves to the number of roasts
+ * saved.
+ */
+const reapplyPublicRoastACLs = async (scope = () => new Parse.Query(ROAST_CLASS)) => {
+  let updated = 0;
+  let lastId;
+
+  for (;;) {
+    const query = scope();
+    query.equalTo('visibility', ROAST_VISIBILITY.PUBLIC);
+    if (lastId) query.greaterThan('objectId', lastId);
+    query.ascending('objectId');
+    query.include('owner');
+    query.limit(ACL_BATCH_SIZE);
+    const roasts = await query.find({ useMasterKey: true });
+    if (roasts.length === 0) return updated;
+
+    roasts.forEach((roast) => applyRoastACL(roast, roast.get('owner')));
+    await Parse.Object.saveAll(roasts, { useMasterKey: true });
+    updated += roasts.length;
+    lastId = roasts[roasts.length - 1].id;
+  }
+};
+
+const reapplyOwnerRoastACLs = (owner) => reapplyPublicRoastACLs(() => {
+  const query = new Parse.Query(ROAST_CLASS);
+  query.equalTo('owner', owner);
+  return query;
+});
+
+/**
+ * Time-decayed ranking score for the trending feed
+ * Grows with the log of engagement and steadily with publication time, so it never has to
+ * be recomputed as roasts age and newer roasts overtake older ones with the same engagement.
+ */
+const trendingScore = (engagement, publishedAt) =>
+  Math.log10(1 + Math.max(engagement, 0)) + publishedAt.getTime() / 1000 / TRENDING_DECAY_SECONDS;
+
+/**
+ * Change who can see a roast
+ * The first time a roast is made public it is published: `publishedAt` dates it in the feeds.
+ */
+const setRoastVisibility = async (roast, visibility) => {
+  if (!Object.values(ROAST_VISIBILITY).includes(visibility)) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `Invalid visibility. Expected one of: ${Object.values(ROAST_VISIBILITY).join(', ')}`
+    );
+  }
+  if (visibility !== ROAST_VISIBILITY.PRIVATE) {
+    assertSharingAllowed(roast);
+  }
+
+  roast.set('visibility', visibility);
+  if (visibility === ROAST_VISIBILITY.PUBLIC && !roast.get('publishedAt')) {
+    const publishedAt = new Date();
+    roast.set('publishedAt', publishedAt);
+    roast.set('trendingScore', trendingScore(roast.get('engagement') || 0, publishedAt));
+  }
+  applyRoastACL(roast, await fetchOwner(roast));
+  return roast.save(null, { useMasterKey: true });
+};
+
+/**
+ * Hide a roast from everywhere but its owner's history (moderator action)
+ */
+const hideRoast = async (roast, { actor, reason }) => {
+  roast.set('hiddenAt', new Date());
+  roast.set('hiddenBy', actor);
+  roast.set('hiddenReason', reason);
+  applyRoastACL(roast, await fetchOwner(roast));
+  return roast.save(null, { useMasterKey: true });
+};
+
+const restoreRoast = async (roast) => {
+  roast.unset('hiddenAt');
+  roast.unset('hiddenBy');
+  roast.unset('hiddenReason');
+  applyRoastACL(roast, await fetchOwner(roast));
+  return roast.save(null, { useMasterKey: true });
+};
+
+const serializeRoast = (roast) => ({
+  id: roast.id,
+  title: roast.get('title'),
+  name: roast.get('name'),
+  profession: roast.get('profession'),
+  roastPoints: roast.get('roastPoints'),
+  temperature: roast.get('temperature'),
+  style: roast.get('style'),
+  styleVersion: roast.get('styleVersion'),
+  language: roast.get('language'),
+  text: roast.get('text'),
+  status: roast.get('status'),
+  provider: roast.get('provider'),
+  model: roast.get('model'),
+  savedAt: roast.get('savedAt'),
+  visibility: getRoastVisibility(roast),
+  publishedAt: roast.get('publishedAt'),
+  viewCount: roast.get('viewCount') || 0,
+  hidden: isRoastHidden(roast),
+  consentStatus: roast.get('consentStatus') || null,
+  createdAt: roast.createdAt,
+  updatedAt: roast.updatedAt
+});
+
+module.exports = {
+  ROAST_CLASS,
+  ROAST_STATUS,
+  ROAST_VISIBILITY,
+  CONSENT_STATUS,
+  MAX_TITLE_LENGTH,
+  createRoast,
+  getOwnedRoast,
+  isRoastHidden,
+  isOwnerActive,
+  isSharingBlocked,
+  assertSharingAllowed,
+  getRoastVisibility,
+  setRoastVisibility,
+  trendingScore,
+  reapplyPublicRoastACLs,
+  reapplyOwnerRoastACLs,
+  hideRoast,
+  restoreRoast,
+  serializeRoast
+};
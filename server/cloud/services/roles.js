@@ -0,0 +1,146 @@
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+
+/**
+ * Role Service
+ * The `admin` and `moderator` Parse Roles that guard the admin cloud functions.
+ * Admins can do everything moderators can: the admin role is a child of the moderator
+ * role, so Parse ACLs and CLPs granted to `role:moderator` also cover admins.
+ */
+
+const ROLES = {
+  ADMIN: 'admin',
+  MODERATOR: 'moderator'
+};
+
+// Roles that satisfy a requirement for the given role
+const SATISFIED_BY = {
+  [ROLES.ADMIN]: [ROLES.ADMIN],
+  [ROLES.MODERATOR]: [ROLES.ADMIN, ROLES.MODERATOR]
+};
+
+const findRole = (name) => {
+  const query = new Parse.Query(Parse.Role);
+  query.equalTo('name', name);
+  return query.first({ useMasterKey: true });
+};
+
+const getRole = async (name) => {
+  const role = await findRole(name);
+  if (!role) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, `Role "${name}" does not exist`);
+  }
+  return role;
+};
+
+const createRole = async (name) => {
+  // Only the master key may read or change role membership
+  const role = new Parse.Role(name, new Parse.ACL());
+  try {
+    await role.save(null, { useMasterKey: true });
+    return role;
+  } catch (error) {
+    // Another instance created it first; role names are unique
+    const existing = await findRole(name);
+    if (existing) return existing;
+    throw error;
+  }
+};
+
+const addAdminsFromEnv = async (adminRole) => {
+  const emails = getConfig().adminEmails.map((email) => email.toLowerCase());
+  if (emails.length === 0) return;
+
+  // Anyone can sign up with an address they do not own; only verified ones are trusted
+  const query = new Parse.Query(Parse.User);
+  query.containedIn('email', emails);
+  query.equalTo('emailVerified', true);
+  const users = await query.find({ useMasterKey: true });
+
+  const found = new Set(users.map((user) => user.get('email')));
+  const missing = emails.filter((email) => !found.has(email));
+  if (missing.length > 0) {
+    logger.warn('ADMIN_EMAILS without a verified account were not granted admin', { emails: missing });
+  }
+  if (users.length === 0) return;
+
+  adminRole.getUsers().add(users);
+  await adminRole.save(null, { useMasterKey: true });
+  logger.info('Admins granted from ADMIN_EMAILS', { userIds: users.map((user) => user.id) });
+};
+
+/**
+ * Create the roles if needed and grant admin to the verified accounts listed in ADMIN_EMAILS
+ * Run once at startup.
+ */
+const ensureRoles = async () => {
+  const admin = (await findRole(ROLES.ADMIN)) || (await createRole(ROLES.ADMIN));
+  const moderator = (await findRole(ROLES.MODERATOR)) || (await createRole(ROLES.MODERATOR));
+
+  const inherits = await moderator.getRoles().query().equalTo('name', ROLES.ADMIN).first({ useMasterKey: true });
+  if (!inherits) {
+    moderator.getRoles().add(admin);
+    await moderator.save(null, { useMasterKey: true });
+  }
+
+  await addAdminsFromEnv(admin);
+};
+
+/**
+ * Names of the roles a user belongs to directly
+ */
+const getUserRoles = async (user) => {
+  if (!user) return [];
+
+  const query = new Parse.Query(Parse.Role);
+  query.containedIn('name', Object.values(ROLES));
+  query.equalTo('users', user);
+  const roles = await query.find({ useMasterKey: true });
+
+  return roles.map((role) => role.get('name'));
+};
+
+const hasRole = (roles, required) => SATISFIED_BY[required].some((name) => roles.includes(name));
+
+/**
+ * Throw unless the user holds the role (or one that includes it)
+ * Resolves to the user's role names.
+ */
+const requireRole = async (user, required) => {
+  if (!user) {
+    throw new Parse.Error(Parse.Error.INVALID_SESSION_TOKEN, 'No user session found');
+  }
+
+  const roles = await getUserRoles(user);
+  if (!hasRole(roles, required)) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, `This action requires the ${required} role`);
+  }
+
+  return roles;
+};
+
+/**
+ * Grant or revoke a role
+ */
+const setUserRole = async (user, name, granted) => {
+  if (!Object.values(ROLES).includes(name)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid role. Expected one of: ${Object.values(ROLES).join(', ')}`);
+  }
+
+  const role = await getRole(name);
+  if (granted) {
+    role.getUsers().add(user);
+  } else {
+    role.getUsers().remove(user);
+  }
+  await role.save(null, { useMasterKey: true });
+};
+
+module.exports = {
+  ROLES,
+  ensureRoles,
+  getUserRoles,
+  hasRole,
+  requireRole,
+  setUserRole
+};
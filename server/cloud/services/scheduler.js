@@ -0,0 +1,395 @@
+const os = require('os');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { parseCron, matchesCron, nextCronTime } = require('../../utils/cron');
+
+/**
+ * Job Scheduler
+ * Maintenance work is defined with `defineJob`, which registers a `Parse.Cloud.job` and, when
+ * the job has a cron schedule (utils/cron.js, UTC), runs it from the in-process scheduler
+ * started by server.js. Schedules can be changed or turned off per job with
+ * JOB_SCHEDULE_<JOB_NAME> (e.g. JOB_SCHEDULE_PURGE_EXPIRED_SHARE_LINKS="0 4 * * *" or "off").
+ *
+ * Every dyno runs the scheduler. A run holds a `JobLock` row for its job (every contender
+ * inserts a row and the oldest live row wins), so only one dyno runs each job at a time and
+ * each scheduled minute runs once. Runs are started through Parse.Cloud.startJob, so they
+ * show up in the Dashboard's job status view (`_JobStatus`) like manual runs, and each run
+ * is also recorded in `JobRun` with its trigger, duration, outcome and error.
+ */
+
+const JOB_RUN_CLASS = 'JobRun';
+const JOB_LOCK_CLASS = 'JobLock';
+
+const RUN_STATUS = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const RUN_TRIGGERS = {
+  SCHEDULE: 'schedule',
+  MANUAL: 'manual'
+};
+
+// A run that dies without releasing its lock blocks its job for this long
+const DEFAULT_LOCK_TTL_MS = 15 * 60 * 1000;
+
+const JOB_RUN_RETENTION_DAYS = getConfig().jobRunRetentionDays;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Names this process in lock rows and run records
+const HOLDER = `${process.env.DYNO || os.hostname()}:${process.pid}`;
+
+// Jobs defined with defineJob, by name
+const jobs = new Map();
+
+let timer = null;
+let lastSlot = 0;
+
+const scheduleVariable = (name) => `JOB_SCHEDULE_${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`;
+
+// The job's cron schedule after the environment override, or null when it only runs manually
+const resolveSchedule = (name, schedule) => {
+  const override = process.env[scheduleVariable(name)];
+  const expression = override !== undefined ? override.trim() : schedule;
+
+  if (!expression || expression === 'off') return null;
+  return parseCron(expression);
+};
+
+/**
+ * Define a cloud job, optionally run on a cron schedule
+ * `handler(request)` is a regular Parse job function; what it resolves to is stored as the
+ * run's result. `lockTtlMs` bounds how long a crashed run keeps others from starting.
+ * An invalid schedule throws when the cloud code loads.
+ */
+const defineJob = (name, handler, { schedule = null, lockTtlMs = DEFAULT_LOCK_TTL_MS } = {}) => {
+  const job = { name, handler, schedule: resolveSchedule(name, schedule), lockTtlMs };
+  jobs.set(name, job);
+
+  Parse.Cloud.job(name, (request) => runJob(job, request));
+  return job;
+};
+
+/**
+ * Take a job's lock: every contender inserts a row and the oldest live row wins
+ * Resolves to the lock, or null when another run holds it.
+ */
+const acquireJobLock = async (job) => {
+  const lock = new Parse.Object(JOB_LOCK_CLASS);
+  lock.set('job', job.name);
+  lock.set('holder', HOLDER);
+  lock.set('expiresAt', new Date(Date.now() + job.lockTtlMs));
+  lock.setACL(new Parse.ACL());
+  await lock.save(null, { useMasterKey: true });
+
+  const query = new Parse.Query(JOB_LOCK_CLASS);
+  query.equalTo('job', job.name);
+  query.greaterThan('expiresAt', new Date());
+  query.ascending('createdAt');
+  query.addAscending('objectId');
+  const oldest = await query.first({ useMasterKey: true });
+
+  if (oldest.id !== lock.id) {
+    await lock.destroy({ useMasterKey: true });
+    return null;
+  }
+
+  return lock;
+};
+
+const releaseJobLock = (lock) => lock.destroy({ useMasterKey: true }).catch((error) => {
+  logger.warn('Failed to release job lock', { job: lock.get('job'), error: error.message });
+});
+
+// The lock the scheduler took before starting a run, if it is still live
+const findHeldLock = async (job, lockId) => {
+  const query = new Parse.Query(JOB_LOCK_CLASS);
+  query.equalTo('objectId', lockId);
+  query.equalTo('job', job.name);
+  query.greaterThan('expiresAt', new Date());
+  return query.first({ useMasterKey: true });
+};
+
+const hasRunFor = async (job, scheduledFor) => {
+  const query = new Parse.Query(JOB_RUN_CLASS);
+  query.equalTo('job', job.name);
+  query.equalTo('scheduledFor', scheduledFor);
+  return (await query.count({ useMasterKey: true })) > 0;
+};
+
+const startRunRecord = async (job, request, { trigger, scheduledFor, lock }) => {
+  const run = new Parse.Object(JOB_RUN_CLASS);
+  run.set('job', job.name);
+  run.set('trigger', trigger);
+  if (scheduledFor) run.set('scheduledFor', scheduledFor);
+  run.set('status', RUN_STATUS.RUNNING);
+  run.set('startedAt', new Date());
+  run.set('holder', HOLDER);
+  run.set('lockExpiresAt', lock.get('expiresAt'));
+  if (request.jobId) run.set('jobStatusId', request.jobId);
+  run.setACL(new Parse.ACL());
+  return run.save(null, { useMasterKey: true });
+};
+
+const finishRunRecord = (run, changes) => {
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) run.set(key, value);
+  });
+  return run.save(null, { useMasterKey: true }).catch((error) => {
+    logger.error('Failed to record job run', { job: run.get('job'), runId: run.id, error: error.message });
+  });
+};
+
+// When the lock of a run ran out; runs recorded before lockExpiresAt existed use the job's TTL
+const lockExpiry = (run) => {
+  const ttl = jobs.get(run.get('job'))?.lockTtlMs || DEFAULT_LOCK_TTL_MS;
+  return run.get('lockExpiresAt') || new Date(run.get('startedAt').getTime() + ttl);
+};
+
+/**
+ * Mark runs still `running` after their lock expired as failed, for one job or for all
+ * Such a run belonged to a dyno that died or restarted mid-run. Resolves to the number marked.
+ */
+const failAbandonedRuns = async (job) => {
+  const query = new Parse.Query(JOB_RUN_CLASS);
+  query.equalTo('status', RUN_STATUS.RUNNING);
+  if (job) query.equalTo('job', job.name);
+  query.limit(1000);
+
+  const now = new Date();
+  const runs = (await query.find({ useMasterKey: true })).filter((run) => lockExpiry(run) <= now);
+  if (runs.length === 0) return 0;
+
+  runs.forEach((run) => {
+    run.set('status', RUN_STATUS.FAILED);
+    run.set('finishedAt', now);
+    run.set('error', 'The run stopped without finishing before its lock expired');
+  });
+  await Parse.Object.saveAll(runs, { useMasterKey: true });
+
+  logger.warn('Marked abandoned job runs as failed', { job: job?.name, count: runs.length });
+  return runs.length;
+};
+
+/**
+ * Run a job under its lock and record the run
+ * Scheduled runs arrive holding the lock the scheduler took (`params.lockId`); manual runs
+ * take it here and fail while another run holds it. Holding the lock, it first marks runs of
+ * the job whose lock expired as failed. The job status message ends with the duration, and
+ * a failure is rethrown so `_JobStatus` shows it as failed.
+ */
+const runJob = async (job, request) => {
+  const { lockId, scheduledFor: slot } = request.params || {};
+  const scheduledFor = slot ? new Date(slot) : null;
+  const trigger = scheduledFor ? RUN_TRIGGERS.SCHEDULE : RUN_TRIGGERS.MANUAL;
+
+  const lock = lockId ? await findHeldLock(job, lockId) : await acquireJobLock(job);
+  if (!lock) {
+    throw new Error(lockId ? `The lock for this run of ${job.name} expired` : `Another run of ${job.name} is in progress`);
+  }
+
+  const startedAt = Date.now();
+  let lastMessage = null;
+
+  try {
+    await failAbandonedRuns(job);
+    const run = await startRunRecord(job, request, { trigger, scheduledFor, lock });
+    const message = (text) => {
+      lastMessage = text;
+      return request.message(text);
+    };
+
+    try {
+      const result = await job.handler({ ...request, message });
+      const durationMs = Date.now() - startedAt;
+
+      await finishRunRecord(run, {
+        status: RUN_STATUS.SUCCEEDED,
+        finishedAt: new Date(),
+        durationMs,
+        message: lastMessage,
+        result: result && typeof result === 'object' ? result : undefined
+      });
+      logger.debug('Job finished', { job: job.name, trigger, durationMs, result });
+
+      return `${lastMessage || 'Finished'} (${durationMs} ms)`;
+    } catch (error) {
+      const durationMs = Date.now() - startedAt;
+
+      await finishRunRecord(run, {
+        status: RUN_STATUS.FAILED,
+        finishedAt: new Date(),
+        durationMs,
+        message: lastMessage,
+        error: error.message
+      });
+      logger.error('Job failed', { job: job.name, trigger, durationMs, error: error.message });
+
+      throw new Error(`${error.message} (failed after ${durationMs} ms)`);
+    }
+  } finally {
+    await releaseJobLock(lock);
+  }
+};
+
+/**
+ * Start a scheduled run of a job for one minute, unless another dyno already has it
+ */
+const dispatchJob = async (job, scheduledFor) => {
+  const lock = await acquireJobLock(job);
+  if (!lock) return false;
+
+  try {
+    // A dyno whose clock runs behind may reach this minute after the run finished
+    if (await hasRunFor(job, scheduledFor)) {
+      await releaseJobLock(lock);
+      return false;
+    }
+
+    await Parse.Cloud.startJob(job.name, { scheduledFor: scheduledFor.toISOString(), lockId: lock.id });
+    return true;
+  } catch (error) {
+    await releaseJobLock(lock);
+    throw error;
+  }
+};
+
+const tick = () => {
+  const now = Date.now();
+  const slot = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+  timer = setTimeout(tick, slot + MINUTE_MS - now).unref();
+
+  // Timers can fire late but never early; a minute is only handled once
+  if (slot <= lastSlot) return;
+  lastSlot = slot;
+
+  const scheduledFor = new Date(slot);
+  jobs.forEach((job) => {
+    if (!job.schedule || !matchesCron(job.schedule, scheduledFor)) return;
+
+    dispatchJob(job, scheduledFor).catch((error) => {
+      logger.error('Failed to start scheduled job', { job: job.name, error: error.message });
+    });
+  });
+};
+
+/**
+ * Start running scheduled jobs, from the next full minute
+ * Turned off with SCHEDULER_ENABLED=false, e.g. on dynos that should only serve requests.
+ */
+const startScheduler = () => {
+  if (timer || !getConfig().schedulerEnabled) return false;
+
+  lastSlot = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+  timer = setTimeout(tick, lastSlot + MINUTE_MS - Date.now()).unref();
+
+  const scheduled = [...jobs.values()].filter((job) => job.schedule);
+  logger.info('Job scheduler started', {
+    holder: HOLDER,
+    jobs: scheduled.map((job) => `${job.name} (${job.schedule.expression})`)
+  });
+  return true;
+};
+
+const stopScheduler = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+const serializeJobRun = (run) => ({
+  id: run.id,
+  job: run.get('job'),
+  trigger: run.get('trigger'),
+  status: run.get('status'),
+  scheduledFor: run.get('scheduledFor') || null,
+  startedAt: run.get('startedAt'),
+  finishedAt: run.get('finishedAt') || null,
+  durationMs: run.get('durationMs') ?? null,
+  message: run.get('message') || null,
+  result: run.get('result') || null,
+  error: run.get('error') || null,
+  holder: run.get('holder'),
+  jobStatusId: run.get('jobStatusId') || null
+});
+
+/**
+ * Every defined job with its schedule, next scheduled run and latest run
+ */
+const listScheduledJobs = async () => Promise.all([...jobs.values()].map(async (job) => {
+  const query = new Parse.Query(JOB_RUN_CLASS);
+  query.equalTo('job', job.name);
+  query.descending('startedAt');
+  const lastRun = await query.first({ useMasterKey: true });
+
+  return {
+    name: job.name,
+    schedule: job.schedule?.expression || null,
+    scheduleVariable: scheduleVariable(job.name),
+    nextRunAt: job.schedule ? nextCronTime(job.schedule) : null,
+    lastRun: lastRun ? serializeJobRun(lastRun) : null
+  };
+}));
+
+/**
+ * Runs of one job, or of every job, newest first
+ */
+const listJobRuns = async ({ job, status, limit = 50, skip = 0 } = {}) => {
+  const query = new Parse.Query(JOB_RUN_CLASS);
+  if (job) query.equalTo('job', job);
+  if (status) query.equalTo('status', status);
+  query.descending('startedAt');
+  query.limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+  query.skip(Math.max(parseInt(skip, 10) || 0, 0));
+
+  const runs = await query.find({ useMasterKey: true });
+  return runs.map(serializeJobRun);
+};
+
+/**
+ * Delete run records and Dashboard job statuses past JOB_RUN_RETENTION_DAYS, and lock rows
+ * left behind by dynos that died holding them; the runs of those dynos are marked failed
+ */
+const purgeJobRuns = async () => {
+  const cutoff = new Date(Date.now() - JOB_RUN_RETENTION_DAYS * DAY_MS);
+
+  const purge = async (query) => {
+    query.limit(1000);
+    const rows = await query.find({ useMasterKey: true });
+    if (rows.length > 0) {
+      await Parse.Object.destroyAll(rows, { useMasterKey: true });
+    }
+    return rows.length;
+  };
+
+  const runs = new Parse.Query(JOB_RUN_CLASS);
+  runs.lessThan('startedAt', cutoff);
+
+  const statuses = new Parse.Query('_JobStatus');
+  statuses.lessThan('createdAt', cutoff);
+
+  const locks = new Parse.Query(JOB_LOCK_CLASS);
+  locks.lessThan('expiresAt', new Date());
+
+  return {
+    abandoned: await failAbandonedRuns(),
+    runs: await purge(runs),
+    statuses: await purge(statuses),
+    locks: await purge(locks)
+  };
+};
+
+module.exports = {
+  JOB_RUN_CLASS,
+  JOB_LOCK_CLASS,
+  RUN_STATUS,
+  RUN_TRIGGERS,
+  defineJob,
+  startScheduler,
+  stopScheduler,
+  listScheduledJobs,
+  listJobRuns,
+  purgeJobRuns
+};
@@ -0,0 +1,255 @@
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+
+/**
+ * Session Service
+ * Server-side session lifetimes and the device list on top of Parse's `_Session` class.
+ * Sessions start with the short lifetime; "remember me" logins are extended to the long
+ * one. Each session also records the device, IP and when it was last seen.
+ * Parse Server allows no save triggers on `_Session`, so sessions created outside
+ * registerUser and loginUser (REST login, sign-up, third-party sign-in) are started by the
+ * afterLogin trigger or on their first request.
+ */
+
+const SESSION_CLASS = '_Session';
+
+// lastSeenAt is written at most this often per session
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_TRACKED_TOUCHES = 10000;
+
+// When each recently used token was last looked up, oldest first; tokens without a session
+// are remembered too, so they are not looked up again on every request
+const lastTouches = new Map();
+
+const recentlyTouched = (sessionToken, now) => {
+  const touchedAt = lastTouches.get(sessionToken);
+  if (touchedAt === undefined) return false;
+  if (now - touchedAt < TOUCH_INTERVAL_MS) return true;
+
+  lastTouches.delete(sessionToken);
+  return false;
+};
+
+const rememberTouch = (sessionToken, now) => {
+  lastTouches.delete(sessionToken);
+  lastTouches.set(sessionToken, now);
+  // Map keeps insertion order, so the first key is the oldest
+  if (lastTouches.size > MAX_TRACKED_TOUCHES) {
+    lastTouches.delete(lastTouches.keys().next().value);
+  }
+};
+
+/**
+ * Short human label for a user agent, e.g. "Chrome on macOS"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const platforms = [
+    [/iPhone|iPad|iPod/, 'iOS'],
+    [/Android/, 'Android'],
+    [/Windows/, 'Windows'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+  ];
+  const clients = [
+    [/Ionic|Capacitor|wv\)/, 'HaRaaS app'],
+    [/Edg\//, 'Edge'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/^node|Parse\/js/i, 'API client']
+  ];
+
+  const platform = platforms.find(([pattern]) => pattern.test(userAgent));
+  const client = clients.find(([pattern]) => pattern.test(userAgent));
+
+  if (client && platform) return `${client[1]} on ${platform[1]}`;
+  if (client) return client[1];
+  if (platform) return platform[1];
+  return 'Unknown device';
+};
+
+const findSessionByToken = (sessionToken) => {
+  const query = new Parse.Query(Parse.Session);
+  query.equalTo('sessionToken', sessionToken);
+  return query.first({ useMasterKey: true });
+};
+
+// Lifetime and device details of a session that was just created
+const applySessionStart = async (session, { rememberMe = false, ip, userAgent, deviceName } = {}) => {
+  const { sessionLengthSeconds, rememberMeSessionLengthSeconds } = getConfig();
+  const lengthSeconds = rememberMe ? rememberMeSessionLengthSeconds : sessionLengthSeconds;
+  const now = new Date();
+
+  // expiresAt is read-only on Parse.Session, so write through a plain object for the same row
+  const update = new Parse.Object(SESSION_CLASS);
+  update.id = session.id;
+  update.set('expiresAt', new Date(now.getTime() + lengthSeconds * 1000));
+  update.set('rememberMe', !!rememberMe);
+  update.set('device', deviceName ? String(deviceName).slice(0, 100) : describeDevice(userAgent));
+  if (ip) update.set('ip', ip);
+  if (userAgent) update.set('userAgent', String(userAgent).slice(0, 500));
+  update.set('lastSeenAt', now);
+  await update.save(null, { useMasterKey: true });
+
+  rememberTouch(session.get('sessionToken'), now.getTime());
+  return update;
+};
+
+/**
+ * Apply the remember-me lifetime and device details to a freshly created session
+ */
+const startSession = async (sessionToken, options = {}) => {
+  const session = await findSessionByToken(sessionToken);
+  if (!session) return null;
+
+  return applySessionStart(session, options);
+};
+
+/**
+ * Record activity on a session, at most once per TOUCH_INTERVAL_MS
+ * A session that was never started (no lastSeenAt) is started with the short lifetime.
+ */
+const touchSession = async (sessionToken, { ip, userAgent } = {}) => {
+  const now = Date.now();
+  if (recentlyTouched(sessionToken, now)) return;
+  rememberTouch(sessionToken, now);
+
+  const session = await findSessionByToken(sessionToken);
+  if (!session) return;
+
+  if (!session.get('lastSeenAt')) {
+    await applySessionStart(session, { ip, userAgent });
+    return;
+  }
+
+  session.set('lastSeenAt', new Date(now));
+  if (ip) session.set('ip', ip);
+  if (userAgent && userAgent !== session.get('userAgent')) {
+    session.set('userAgent', String(userAgent).slice(0, 500));
+    if (!session.get('device')) {
+      session.set('device', describeDevice(userAgent));
+    }
+  }
+  await session.save(null, { useMasterKey: true });
+};
+
+/**
+ * Express middleware that keeps lastSeenAt current for requests carrying a session token
+ * Runs once the response is sent, and only for successful responses: Parse Server refuses
+ * unknown and expired tokens, so those never reach the database here. It never delays or
+ * fails the request.
+ */
+const sessionActivity = (req, res, next) => {
+  res.on('finish', () => {
+    const sessionToken = req.get('X-Parse-Session-Token') || req.body?._SessionToken;
+    if (!sessionToken || typeof sessionToken !== 'string' || res.statusCode >= 400) return;
+
+    touchSession(sessionToken, { ip: req.ip, userAgent: req.get('User-Agent') }).catch((error) => {
+      logger.warn('Session activity update failed', { error: error.message });
+    });
+  });
+
+  next();
+};
+
+const serializeSession = (session, currentToken) => ({
+  id: session.id,
+  device: session.get('device') || describeDevice(session.get('userAgent')),
+  ip: session.get('ip') || null,
+  lastSeenAt: session.get('lastSeenAt') || session.updatedAt,
+  createdAt: session.createdAt,
+  expiresAt: session.get('expiresAt'),
+  rememberMe: !!session.get('rememberMe'),
+  authProvider: session.get('createdWith')?.authProvider || null,
+  current: session.get('sessionToken') === currentToken
+});
+
+const userSessionsQuery = (user) => {
+  const query = new Parse.Query(Parse.Session);
+  query.equalTo('user', user);
+  return query;
+};
+
+/**
+ * Active sessions for a user, most recently seen first
+ */
+const listSessions = async (user) => {
+  const query = userSessionsQuery(user);
+  query.greaterThan('expiresAt', new Date());
+  query.descending('updatedAt');
+  query.limit(100);
+  const sessions = await query.find({ useMasterKey: true });
+
+  return sessions.sort((a, b) =>
+    (b.get('lastSeenAt') || b.updatedAt) - (a.get('lastSeenAt') || a.updatedAt));
+};
+
+const destroySessions = async (sessions) => {
+  if (sessions.length === 0) return 0;
+
+  await Parse.Object.destroyAll(sessions, { useMasterKey: true });
+  sessions.forEach((session) => lastTouches.delete(session.get('sessionToken')));
+  return sessions.length;
+};
+
+/**
+ * Destroy the session behind a token (logout)
+ */
+const endSession = async (sessionToken) => {
+  const session = await findSessionByToken(sessionToken);
+  return destroySessions(session ? [session] : []);
+};
+
+/**
+ * Destroy one of the user's sessions by id
+ */
+const revokeSession = async (user, sessionId) => {
+  const query = userSessionsQuery(user);
+  query.equalTo('objectId', sessionId);
+  const session = await query.first({ useMasterKey: true });
+
+  if (!session) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Session not found');
+  }
+
+  return destroySessions([session]);
+};
+
+/**
+ * Destroy every session of a user, optionally keeping the one behind `exceptToken`
+ */
+const revokeAllSessions = async (user, { exceptToken } = {}) => {
+  const query = userSessionsQuery(user);
+  if (exceptToken) {
+    query.notEqualTo('sessionToken', exceptToken);
+  }
+  query.limit(1000);
+  return destroySessions(await query.find({ useMasterKey: true }));
+};
+
+/**
+ * Destroy sessions past their expiry
+ * Parse Server refuses expired sessions but never deletes them. Removes up to `limit` per
+ * call and resolves to the number removed.
+ */
+const purgeExpiredSessions = async ({ limit = 1000 } = {}) => {
+  const query = new Parse.Query(Parse.Session);
+  query.lessThan('expiresAt', new Date());
+  query.limit(limit);
+  return destroySessions(await query.find({ useMasterKey: true }));
+};
+
+module.exports = {
+  describeDevice,
+  startSession,
+  touchSession,
+  sessionActivity,
+  serializeSession,
+  listSessions,
+  endSession,
+  revokeSession,
+  revokeAllSessions,
+  purgeExpiredSessions
+};
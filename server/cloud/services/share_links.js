@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const {
+  ROAST_STATUS,
+  ROAST_VISIBILITY,
+  isRoastHidden,
+  isOwnerActive,
+  isSharingBlocked,
+  assertSharingAllowed,
+  getRoastVisibility,
+  setRoastVisibility
+} = require('./roasts');
+
+/**
+ * Share Link Service
+ * A `ShareLink` gives anyone with its slug a read-only view of one roast at /r/:slug
+ * (./share_preview). Links belong to the roast's owner, can expire and can be revoked;
+ * a revoked link stays on record so its counts survive. A link only resolves while the roast
+ * is saved, not hidden by a moderator, not private, not waiting on (or declined by) the
+ * roastee's consent, and its owner's account is active.
+ * Expired links are listed for SHARE_LINK_RETENTION_DAYS, then purged.
+ */
+
+const SHARE_LINK_CLASS = 'ShareLink';
+
+// No 0/O, 1/l/I: slugs get read aloud and retyped
+const SLUG_ALPHABET = '23456789abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ';
+const SLUG_LENGTH = 10;
+const SLUG_PATTERN = new RegExp(`^[${SLUG_ALPHABET}]{${SLUG_LENGTH}}$`);
+const SLUG_ATTEMPTS = 5;
+
+const MAX_EXPIRY_DAYS = 365;
+const MAX_ACTIVE_LINKS_PER_ROAST = 20;
+
+const SHARE_LINK_RETENTION_DAYS = getConfig().shareLinkRetentionDays;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Link unfurlers fetch the page to build a preview; they count as previews, not views
+const CRAWLER_PATTERN = /bot|crawler|spider|facebookexternalhit|slack|discord|whatsapp|telegram|embedly|preview/i;
+
+// A reader reloading the page is one view; remembered per process
+const VIEW_DEDUPE_WINDOW_MS = 30 * 60 * 1000;
+const MAX_RECENT_VIEWS = 10000;
+const recentViews = new Map();
+
+// Rejection sampling keeps every character equally likely
+const generateSlug = () => {
+  const limit = 256 - (256 % SLUG_ALPHABET.length);
+  let slug = '';
+  while (slug.length < SLUG_LENGTH) {
+    for (const byte of crypto.randomBytes(SLUG_LENGTH * 2)) {
+      if (byte < limit && slug.length < SLUG_LENGTH) {
+        slug += SLUG_ALPHABET[byte % SLUG_ALPHABET.length];
+      }
+    }
+  }
+  return slug;
+};
+
+const isValidSlug = (slug) => typeof slug === 'string' && SLUG_PATTERN.test(slug);
+
+const findBySlug = (slug) => {
+  const query = new Parse.Query(SHARE_LINK_CLASS);
+  query.equalTo('slug', slug);
+  return query.first({ useMasterKey: true });
+};
+
+const isShareLinkActive = (link, now = new Date()) => {
+  if (link.get('revokedAt')) return false;
+  const expiresAt = link.get('expiresAt');
+  return !expiresAt || expiresAt > now;
+};
+
+const shareUrl = (link) => `${getConfig().shareBaseURL.replace(/\/$/, '')}/r/${link.get('slug')}`;
+
+const parseExpiry = (expiresInDays) => {
+  if (expiresInDays === undefined || expiresInDays === null) return undefined;
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`
+    );
+  }
+  return new Date(Date.now() + expiresInDays * DAY_MS);
+};
+
+const countActiveLinks = (roast) => {
+  const query = new Parse.Query(SHARE_LINK_CLASS);
+  query.equalTo('roast', roast);
+  query.doesNotExist('revokedAt');
+  const unexpired = Parse.Query.or(
+    new Parse.Query(SHARE_LINK_CLASS).doesNotExist('expiresAt'),
+    new Parse.Query(SHARE_LINK_CLASS).greaterThan('expiresAt', new Date())
+  );
+  return Parse.Query.and(query, unexpired).count({ useMasterKey: true });
+};
+
+/**
+ * Create a share link for a roast owned by `user`
+ * Only saved roasts can be shared. Sharing a private roast makes it unlisted, so the link
+ * works; a public roast stays public.
+ */
+const createShareLink = async (user, roast, { expiresInDays } = {}) => {
+  if (roast.get('status') !== ROAST_STATUS.SAVED) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Save the roast before sharing it');
+  }
+  if (isRoastHidden(roast)) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This roast has been hidden by a moderator and cannot be shared');
+  }
+  assertSharingAllowed(roast);
+
+  const expiresAt = parseExpiry(expiresInDays);
+
+  if (await countActiveLinks(roast) >= MAX_ACTIVE_LINKS_PER_ROAST) {
+    throw new Parse.Error(
+      Parse.Error.OPERATION_FORBIDDEN,
+      `A roast can have at most ${MAX_ACTIVE_LINKS_PER_ROAST} active share links. Revoke one first.`
+    );
+  }
+
+  if (getRoastVisibility(roast) === ROAST_VISIBILITY.PRIVATE) {
+    await setRoastVisibility(roast, ROAST_VISIBILITY.UNLISTED);
+  }
+
+  let slug;
+  for (let attempt = 0; attempt < SLUG_ATTEMPTS && !slug; attempt++) {
+    const candidate = generateSlug();
+    if (!await findBySlug(candidate)) slug = candidate;
+  }
+  if (!slug) {
+    throw new Parse.Error(Parse.Error.INTERNAL_SERVER_ERROR, 'Could not allocate a share link');
+  }
+
+  const link = new Parse.Object(SHARE_LINK_CLASS);
+  link.set('slug', slug);
+  link.set('roast', roast);
+  link.set('owner', user);
+  if (expiresAt) link.set('expiresAt', expiresAt);
+  link.set('viewCount', 0);
+  link.set('previewCount', 0);
+  link.setACL(new Parse.ACL());
+  await link.save(null, { useMasterKey: true });
+
+  logger.info('Share link created', { userId: user.id, roastId: roast.id, linkId: link.id, expiresAt });
+
+  return link;
+};
+
+/**
+ * Share links of one roast, newest first, revoked and expired ones included
+ */
+const listShareLinks = (roast) => {
+  const query = new Parse.Query(SHARE_LINK_CLASS);
+  query.equalTo('roast', roast);
+  query.descending('createdAt');
+  query.limit(100);
+  return query.find({ useMasterKey: true });
+};
+
+/**
+ * Fetch a share link owned by the given user
+ * Throws OBJECT_NOT_FOUND for missing links and for links owned by someone else
+ */
+const getOwnedShareLink = async (user, linkId) => {
+  if (!linkId || typeof linkId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: linkId');
+  }
+
+  const query = new Parse.Query(SHARE_LINK_CLASS);
+  query.equalTo('owner', user);
+  const link = await query.get(linkId, { useMasterKey: true }).catch(() => null);
+
+  if (!link) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Share link not found');
+  }
+
+  return link;
+};
+
+const revokeShareLink = async (link) => {
+  if (!link.get('revokedAt')) {
+    link.set('revokedAt', new Date());
+    await link.save(null, { useMasterKey: true });
+  }
+  return link;
+};
+
+/**
+ * Delete every share link of a roast, when the roast itself is deleted
+ */
+const removeShareLinksFor = async (roast) => {
+  const query = new Parse.Query(SHARE_LINK_CLASS);
+  query.equalTo('roast', roast);
+  const links = await query.findAll({ useMasterKey: true });
+  await Parse.Object.destroyAll(links, { useMasterKey: true });
+  return links.length;
+};
+
+/**
+ * Delete links that expired more than SHARE_LINK_RETENTION_DAYS ago
+ * Resolves to the number removed, at most `limit` per call.
+ */
+const purgeExpiredShareLinks = async ({ limit = 1000 } = {}) => {
+  const query = new Parse.Query(SHARE_LINK_CLASS);
+  query.lessThan('expiresAt', new Date(Date.now() - SHARE_LINK_RETENTION_DAYS * DAY_MS));
+  query.limit(limit);
+  const links = await query.find({ useMasterKey: true });
+
+  if (links.length > 0) {
+    await Parse.Object.destroyAll(links, { useMasterKey: true });
+  }
+  return links.length;
+};
+
+/**
+ * The link and roast behind a slug, or null when there is nothing to show
+ * Missing, revoked and expired links, and roasts that may not be shown, all look the same
+ * to the visitor.
+ */
+const resolveSharedRoast = async (slug) => {
+  if (!isValidSlug(slug)) return null;
+
+  const query = new Parse.Query(SHARE_LINK_CLASS);
+  query.equalTo('slug', slug);
+  query.include(['roast', 'owner']);
+  const link = await query.first({ useMasterKey: true });
+  if (!link || !isShareLinkActive(link)) return null;
+
+  const roast = link.get('roast');
+  if (!roast || !roast.get('text')) return null;
+  if (roast.get('status') !== ROAST_STATUS.SAVED || isRoastHidden(roast) || isSharingBlocked(roast)) return null;
+  if (getRoastVisibility(roast) === ROAST_VISIBILITY.PRIVATE) return null;
+  if (!isOwnerActive(link.get('owner'))) return null;
+
+  return { link, roast };
+};
+
+const isFirstRecentView = (key, now) => {
+  const seenAt = recentViews.get(key);
+  if (seenAt && now - seenAt < VIEW_DEDUPE_WINDOW_MS) return false;
+
+  recentViews.delete(key);
+  recentViews.set(key, now);
+  // Map keeps insertion order, so the first key is the oldest
+  if (recentViews.size > MAX_RECENT_VIEWS) {
+    recentViews.delete(recentViews.keys().next().value);
+  }
+  return true;
+};
+
+/**
+ * Count a page load of a share link
+ * Crawlers add to `previewCount`; people add to the link's and the roast's `viewCount`,
+ * once per address every 30 minutes. Counting never fails the page.
+ */
+const recordShareView = async (link, roast, { ip, userAgent } = {}) => {
+  try {
+    if (CRAWLER_PATTERN.test(userAgent || '')) {
+      link.increment('previewCount');
+      await link.save(null, { useMasterKey: true });
+      return 'preview';
+    }
+
+    if (!isFirstRecentView(`${link.id}:${ip || 'unknown'}`, Date.now())) {
+      return 'repeat';
+    }
+
+    link.increment('viewCount');
+    link.set('lastViewedAt', new Date());
+    roast.increment('viewCount');
+    await Parse.Object.saveAll([link, roast], { useMasterKey: true });
+    return 'view';
+  } catch (error) {
+    logger.warn('Failed to record share view', { linkId: link.id, error: error.message });
+    return 'error';
+  }
+};
+
+const serializeShareLink = (link) => ({
+  id: link.id,
+  slug: link.get('slug'),
+  url: shareUrl(link),
+  roastId: link.get('roast')?.id,
+  active: isShareLinkActive(link),
+  expiresAt: link.get('expiresAt'),
+  revokedAt: link.get('revokedAt'),
+  viewCount: link.get('viewCount') || 0,
+  previewCount: link.get('previewCount') || 0,
+  lastViewedAt: link.get('lastViewedAt'),
+  createdAt: link.createdAt
+});
+
+module.exports = {
+  SHARE_LINK_CLASS,
+  MAX_EXPIRY_DAYS,
+  MAX_ACTIVE_LINKS_PER_ROAST,
+  createShareLink,
+  listShareLinks,
+  getOwnedShareLink,
+  revokeShareLink,
+  removeShareLinksFor,
+  purgeExpiredShareLinks,
+  isShareLinkActive,
+  resolveSharedRoast,
+  recordShareView,
+  shareUrl,
+  serializeShareLink
+};
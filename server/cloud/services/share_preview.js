@@ -0,0 +1,202 @@
+const logger = require('../../utils/logger');
+const { html } = require('../../utils/html');
+const { getConfig } = require('../../utils/config');
+const { createCanvas } = require('../../utils/png');
+const { excerpt, wrap, sha256Hex } = require('./certificate_renderer');
+const { ROAST_VISIBILITY, getRoastVisibility } = require('./roasts');
+const { resolveSharedRoast, recordShareView, shareUrl } = require('./share_links');
+
+/**
+ * Share Preview Pages
+ * GET /r/:slug serves the page behind a share link and GET /r/:slug/image.png the 1200x630
+ * PNG card that link unfurlers (Open Graph, Twitter) show for it. Cards are drawn with
+ * utils/png, so no image library is needed, and are kept in memory by content, so an
+ * edited title gets a new card.
+ */
+
+const APP_NAME = 'HaRaaS';
+
+const CARD_WIDTH = 1200;
+const CARD_HEIGHT = 630;
+const CARD_LINE_LENGTH = 44;
+const CARD_MAX_LINES = 6;
+const CARD_TITLE_LENGTH = 30;
+const CARD_CACHE_SIZE = 200;
+const DESCRIPTION_LENGTH = 200;
+
+const cardCache = new Map();
+
+const roastTitle = (roast) => roast.get('title') || `The Roast of ${roast.get('name')}`;
+
+/**
+ * Preview card for a shared roast, as a PNG Buffer with its content hash (for ETags)
+ */
+const renderShareCard = (roast) => {
+  const title = excerpt(roastTitle(roast), CARD_TITLE_LENGTH);
+  const text = roast.get('text');
+  const hash = sha256Hex(Buffer.from(JSON.stringify([title, text]), 'utf8'));
+
+  const cached = cardCache.get(hash);
+  if (cached) return { png: cached, hash };
+
+  const canvas = createCanvas(CARD_WIDTH, CARD_HEIGHT);
+  canvas.fillVerticalGradient('#2b0a00', '#7a1f00');
+  canvas.strokeRect(24, 24, CARD_WIDTH - 48, CARD_HEIGHT - 48, 6, '#ffb347');
+
+  canvas.drawText(APP_NAME, CARD_WIDTH / 2, 64, { scale: 4, color: '#ffb347', align: 'center' });
+  canvas.drawText(title, CARD_WIDTH / 2, 128, { scale: 6, color: '#ffd27f', align: 'center' });
+
+  const lines = wrap(excerpt(text), CARD_LINE_LENGTH, CARD_MAX_LINES);
+  const lineHeight = 44;
+  const firstLineY = 360 - ((lines.length - 1) * lineHeight) / 2 - 14;
+  lines.forEach((line, index) => {
+    canvas.drawText(line, CARD_WIDTH / 2, firstLineY + index * lineHeight, { scale: 4, color: '#fff3e0', align: 'center' });
+  });
+
+  canvas.drawText(`Roasted by ${APP_NAME}`, CARD_WIDTH / 2, CARD_HEIGHT - 84, { scale: 3, color: '#ffb347', align: 'center' });
+
+  const png = canvas.toPng();
+  cardCache.set(hash, png);
+  if (cardCache.size > CARD_CACHE_SIZE) {
+    cardCache.delete(cardCache.keys().next().value);
+  }
+
+  return { png, hash };
+};
+
+const page = ({ title, head, body }) => html`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title}</title>
+    ${head}
+    <style>
+      body { margin: 0; padding: 32px 16px; background: #2b0a00; color: #fff3e0; font-family: Georgia, serif; }
+      main { max-width: 640px; margin: 0 auto; padding: 32px; background: #4a1200; border: 3px solid #ffb347; border-radius: 16px; }
+      h1 { margin-top: 0; color: #ffd27f; }
+      p { line-height: 1.6; }
+      a { color: #ffb347; }
+      footer { max-width: 640px; margin: 16px auto 0; font-family: Helvetica, Arial, sans-serif; font-size: 14px; text-align: center; }
+    </style>
+  </head>
+  <body>
+    ${body}
+    <footer><a href="${getConfig().clientURL}">Get roasted by ${APP_NAME}</a></footer>
+  </body>
+</html>`;
+
+/**
+ * Page for a shared roast, with Open Graph and Twitter card tags
+ * Unlisted roasts ask search engines not to index them; only public ones may be indexed.
+ */
+const renderSharePage = ({ link, roast }) => {
+  const title = roastTitle(roast);
+  const description = excerpt(roast.get('text'), DESCRIPTION_LENGTH);
+  const url = shareUrl(link);
+  const image = `${url}/image.png`;
+  const indexable = getRoastVisibility(roast) === ROAST_VISIBILITY.PUBLIC;
+  const paragraphs = roast.get('text').split(/\n\s*\n/).map((paragraph) => paragraph.trim()).filter(Boolean);
+
+  return page({
+    title: `${title} | ${APP_NAME}`,
+    head: html`<meta name="description" content="${description}">
+    <meta name="robots" content="${indexable ? 'index, follow' : 'noindex, nofollow'}">
+    <link rel="canonical" href="${url}">
+    <meta property="og:type" content="article">
+    <meta property="og:site_name" content="${APP_NAME}">
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:url" content="${url}">
+    <meta property="og:image" content="${image}">
+    <meta property="og:image:type" content="image/png">
+    <meta property="og:image:width" content="${CARD_WIDTH}">
+    <meta property="og:image:height" content="${CARD_HEIGHT}">
+    <meta property="og:image:alt" content="${title}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${title}">
+    <meta name="twitter:description" content="${description}">
+    <meta name="twitter:image" content="${image}">`,
+    body: html`<main>
+      <h1>${title}</h1>
+      ${paragraphs.map((paragraph) => html`<p>${paragraph}</p>`)}
+    </main>`
+  }).toString();
+};
+
+/**
+ * Page for a link that is missing, revoked or expired, or a roast that is no longer shared
+ */
+const renderUnavailablePage = () => page({
+  title: `Roast not available | ${APP_NAME}`,
+  head: html`<meta name="robots" content="noindex, nofollow">`,
+  body: html`<main>
+      <h1>This roast is not available</h1>
+      <p>The link may have expired or been turned off by the person who shared it.</p>
+    </main>`
+}).toString();
+
+// The page has no scripts and loads nothing but its own card
+const PAGE_HEADERS = {
+  'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; img-src 'self'; base-uri 'none'; form-action 'none'; frame-ancestors 'none'",
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'no-referrer'
+};
+
+/**
+ * Express handler for GET /r/:slug
+ * Views are counted in the background; HEAD requests are not counted.
+ */
+const sharePage = async (req, res, next) => {
+  try {
+    const shared = await resolveSharedRoast(req.params.slug);
+    res.set({ ...PAGE_HEADERS, 'Cache-Control': 'no-store' });
+
+    if (!shared) {
+      return res.status(404).type('html').send(renderUnavailablePage());
+    }
+
+    if (req.method === 'GET') {
+      recordShareView(shared.link, shared.roast, { ip: req.ip, userAgent: req.get('User-Agent') });
+    }
+
+    res.type('html').send(renderSharePage(shared));
+  } catch (error) {
+    logger.error('Share page failed', { slug: req.params.slug, error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Express handler for GET /r/:slug/image.png
+ */
+const shareCard = async (req, res, next) => {
+  try {
+    const shared = await resolveSharedRoast(req.params.slug);
+    if (!shared) {
+      return res.status(404).set('Cache-Control', 'no-store').type('text/plain').send('Not found');
+    }
+
+    const { png, hash } = renderShareCard(shared.roast);
+    res.set({
+      'Cache-Control': 'public, max-age=3600',
+      'X-Content-Type-Options': 'nosniff',
+      ETag: `"${hash}"`
+    });
+    // send() answers a matching If-None-Match with 304
+    res.type('png').send(png);
+  } catch (error) {
+    logger.error('Share card failed', { slug: req.params.slug, error: error.message });
+    next(error);
+  }
+};
+
+module.exports = {
+  CARD_WIDTH,
+  CARD_HEIGHT,
+  renderShareCard,
+  renderSharePage,
+  renderUnavailablePage,
+  sharePage,
+  shareCard
+};
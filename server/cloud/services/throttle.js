@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { formatRetryAfter } = require('../../utils/retry_after');
+const { getThrottleStore } = require('../providers/throttle_store');
+const { sendTemplate, clientLink } = require('./mailer');
+
+/**
+ * Throttle Service
+ * Brute-force protection for password login and registration:
+ *   - failed logins are counted per account and per IP; past a threshold each further
+ *     failure doubles the wait before the next attempt is accepted
+ *   - after LOGIN_LOCKOUT_THRESHOLD failures the account is locked and the owner gets an
+ *     unlock link by email (the lock also lifts by itself after LOGIN_LOCKOUT_MS)
+ *   - registrations are limited per IP per hour
+ * Throttled calls fail with REQUEST_LIMIT_EXCEEDED and a retry-after in the message.
+ */
+
+const config = getConfig();
+
+const LIMITS = {
+  failureWindowMs: config.loginFailureWindowMs,
+  accountBackoffAfter: config.loginBackoffAfter,
+  ipBackoffAfter: config.loginIpBackoffAfter,
+  backoffBaseMs: config.loginBackoffBaseMs,
+  backoffMaxMs: config.loginBackoffMaxMs,
+  lockoutThreshold: config.loginLockoutThreshold,
+  lockoutMs: config.loginLockoutMs,
+  registrationsPerIp: config.registrationMaxPerIp,
+  registrationWindowMs: config.registrationWindowMs
+};
+
+const UNLOCK_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Keys hash emails so the store never holds addresses in clear text
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const keys = {
+  accountFailures: (email) => `login:fail:account:${hash(email)}`,
+  accountBackoff: (email) => `login:backoff:account:${hash(email)}`,
+  accountLock: (email) => `login:lock:${hash(email)}`,
+  ipFailures: (ip) => `login:fail:ip:${ip}`,
+  ipBackoff: (ip) => `login:backoff:ip:${ip}`,
+  registrations: (ip) => `register:ip:${ip}`,
+  unlockToken: (token) => `unlock:${hash(token)}`
+};
+
+const throttled = (message, retryAfterMs) => new Parse.Error(
+  Parse.Error.REQUEST_LIMIT_EXCEEDED,
+  formatRetryAfter(message, retryAfterMs)
+);
+
+const remainingMs = (entry) => (entry ? entry.value - Date.now() : 0);
+
+const backoffMs = (failures, threshold) => Math.min(
+  LIMITS.backoffBaseMs * 2 ** (failures - threshold),
+  LIMITS.backoffMaxMs
+);
+
+/**
+ * Reject a login attempt while the account is locked or the account/IP is backing off
+ */
+const assertLoginAllowed = async ({ email, ip }) => {
+  const store = getThrottleStore();
+
+  const lock = await store.get(keys.accountLock(email));
+  if (lock) {
+    throw throttled(
+      'This account is temporarily locked after too many failed logins. Check your email for an unlock link.',
+      lock.expiresAt.getTime() - Date.now()
+    );
+  }
+
+  const waits = await Promise.all([
+    store.get(keys.accountBackoff(email)),
+    ip ? store.get(keys.ipBackoff(ip)) : null
+  ]);
+  const wait = Math.max(...waits.map(remainingMs));
+
+  if (wait > 0) {
+    throw throttled('Too many failed login attempts.', wait);
+  }
+};
+
+const sendUnlockEmail = async (email) => {
+  const query = new Parse.Query(Parse.User);
+  query.equalTo('email', email);
+  const user = await query.first({ useMasterKey: true });
+
+  // Accounts that do not exist are locked all the same, but nobody is emailed
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await getThrottleStore().set(keys.unlockToken(token), email, UNLOCK_TOKEN_TTL_MS);
+
+  await sendTemplate('lockout_notice', {
+    to: email,
+    locale: user.get('locale'),
+    data: {
+      minutes: Math.round(LIMITS.lockoutMs / 60000),
+      link: clientLink('/unlock-account', { token })
+    }
+  });
+};
+
+/**
+ * Count a failed login against the account and the IP, applying backoff and lockout
+ */
+const recordLoginFailure = async ({ email, ip }) => {
+  const store = getThrottleStore();
+
+  const account = await store.increment(keys.accountFailures(email), LIMITS.failureWindowMs);
+
+  if (account.value >= LIMITS.lockoutThreshold) {
+    await store.set(keys.accountLock(email), Date.now() + LIMITS.lockoutMs, LIMITS.lockoutMs);
+    await store.delete(keys.accountFailures(email));
+    await store.delete(keys.accountBackoff(email));
+
+    logger.warn('Account locked after failed logins', { accountKey: hash(email), ip, failures: account.value });
+
+    sendUnlockEmail(email).catch((error) => {
+      logger.error('Failed to send unlock email', { accountKey: hash(email), error: error.message });
+    });
+  } else if (account.value >= LIMITS.accountBackoffAfter) {
+    const wait = backoffMs(account.value, LIMITS.accountBackoffAfter);
+    await store.set(keys.accountBackoff(email), Date.now() + wait, wait);
+  }
+
+  await recordIpFailure(ip);
+};
+
+/**
+ * Reject a credential check from an IP that is backing off after failed logins or API keys
+ */
+const assertIpAllowed = async (ip) => {
+  if (!ip) return;
+
+  const wait = remainingMs(await getThrottleStore().get(keys.ipBackoff(ip)));
+  if (wait > 0) {
+    throw throttled('Too many failed attempts from this network.', wait);
+  }
+};
+
+/**
+ * Count a failed credential check against the IP, backing it off past the limit
+ */
+const recordIpFailure = async (ip) => {
+  if (!ip) return;
+
+  const store = getThrottleStore();
+  const perIp = await store.increment(keys.ipFailures(ip), LIMITS.failureWindowMs);
+  if (perIp.value >= LIMITS.ipBackoffAfter) {
+    const wait = backoffMs(perIp.value, LIMITS.ipBackoffAfter);
+    await store.set(keys.ipBackoff(ip), Date.now() + wait, wait);
+  }
+};
+
+/**
+ * Forget an account's failures after a successful login
+ */
+const recordLoginSuccess = async ({ email }) => {
+  const store = getThrottleStore();
+  await store.delete(keys.accountFailures(email));
+  await store.delete(keys.accountBackoff(email));
+};
+
+/**
+ * Count a registration attempt from an IP and reject it past the hourly limit
+ */
+const assertRegistrationAllowed = async ({ ip }) => {
+  if (!ip) return;
+
+  const attempts = await getThrottleStore().increment(keys.registrations(ip), LIMITS.registrationWindowMs);
+
+  if (attempts.value > LIMITS.registrationsPerIp) {
+    logger.warn('Registration velocity limit hit', { ip, attempts: attempts.value });
+    throw throttled('Too many accounts created from this network.', attempts.expiresAt.getTime() - Date.now());
+  }
+};
+
+/**
+ * Lift a lockout with the token from the unlock email
+ * Returns the unlocked email, or null when the token is unknown or expired.
+ */
+const redeemUnlockToken = async (token) => {
+  const store = getThrottleStore();
+  const entry = await store.get(keys.unlockToken(token));
+  if (!entry) return null;
+
+  const email = entry.value;
+  await store.delete(keys.unlockToken(token));
+  await store.delete(keys.accountLock(email));
+  await store.delete(keys.accountFailures(email));
+  await store.delete(keys.accountBackoff(email));
+
+  return email;
+};
+
+const purgeExpiredThrottles = () => getThrottleStore().purgeExpired();
+
+module.exports = {
+  LIMITS,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  assertIpAllowed,
+  recordIpFailure,
+  assertRegistrationAllowed,
+  redeemUnlockToken,
+  purgeExpiredThrottles
+};
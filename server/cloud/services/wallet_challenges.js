@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { NETWORK_PREFIXES, decodeAddress, verifySignedMessage } = require('../../utils/chia');
+const { getConfig } = require('../../utils/config');
+
+/**
+ * Wallet Challenge Service
+ * One-time sign-in messages for Sign-In With Chia. A challenge is bound to an address,
+ * expires after a few minutes and can be redeemed exactly once.
+ */
+
+const WALLET_CHALLENGE_CLASS = 'WalletChallenge';
+
+const CHALLENGE_TTL_MS = getConfig().walletChallengeTtlMs;
+
+const networkName = () => getConfig().chiaNetwork;
+
+const addressPrefix = () => NETWORK_PREFIXES[networkName()] || NETWORK_PREFIXES.mainnet;
+
+/**
+ * Validate a Chia address for the configured network and return it in canonical (lowercase) form
+ */
+const normalizeAddress = (address) => {
+  try {
+    const { prefix } = decodeAddress(address);
+    if (prefix !== addressPrefix()) {
+      throw new Error('Wrong network');
+    }
+    return address.toLowerCase();
+  } catch (error) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid Chia address for ${networkName()}`);
+  }
+};
+
+const buildMessage = ({ address, nonce, issuedAt, expiresAt }) => [
+  'HaRaaS wants you to sign in with your Chia account:',
+  address,
+  '',
+  'Sign in to HaRaaS. This request will not trigger a blockchain transaction or cost any fees.',
+  '',
+  `URI: ${getConfig().serverURL}`,
+  `Network: ${networkName()}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt.toISOString()}`,
+  `Expiration Time: ${expiresAt.toISOString()}`
+].join('\n');
+
+/**
+ * Issue a new challenge for an address
+ * Resolves to `{ address, nonce, message, expiresAt }`; the client signs `message`
+ * with `chia_signMessageByAddress`.
+ */
+const issueChallenge = async (address) => {
+  const canonical = normalizeAddress(address);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+  const message = buildMessage({ address: canonical, nonce, issuedAt, expiresAt });
+
+  const challenge = new Parse.Object(WALLET_CHALLENGE_CLASS);
+  challenge.set('address', canonical);
+  challenge.set('nonce', nonce);
+  challenge.set('message', message);
+  challenge.set('expiresAt', expiresAt);
+  challenge.set('uses', 0);
+  challenge.setACL(new Parse.ACL());
+  await challenge.save(null, { useMasterKey: true });
+
+  return { address: canonical, nonce, message, expiresAt };
+};
+
+/**
+ * Verify a signed challenge and redeem it
+ * `proof` is `{ id: address, publicKey, signature, nonce }` (the `chia` authData shape).
+ * The signature is checked before the nonce is burned, and the nonce is burned with an
+ * atomic increment so two concurrent requests cannot both redeem it.
+ */
+const redeemChallenge = async (proof = {}) => {
+  const { id, publicKey, signature, nonce } = proof;
+
+  if (!id || !publicKey || !signature || !nonce) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Chia auth data must include id, publicKey, signature and nonce');
+  }
+
+  const address = normalizeAddress(id);
+
+  const query = new Parse.Query(WALLET_CHALLENGE_CLASS);
+  query.equalTo('nonce', String(nonce));
+  const challenge = await query.first({ useMasterKey: true });
+
+  if (!challenge || challenge.get('address') !== address) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Unknown wallet challenge');
+  }
+
+  if (challenge.get('uses') > 0) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Wallet challenge has already been used');
+  }
+
+  if (challenge.get('expiresAt') < new Date()) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Wallet challenge has expired');
+  }
+
+  const valid = verifySignedMessage({
+    address,
+    publicKey,
+    signature,
+    message: challenge.get('message'),
+    prefix: addressPrefix()
+  });
+
+  if (!valid) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Invalid wallet signature');
+  }
+
+  challenge.increment('uses');
+  challenge.set('usedAt', new Date());
+  await challenge.save(null, { useMasterKey: true });
+
+  if (challenge.get('uses') !== 1) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Wallet challenge has already been used');
+  }
+
+  return { address, publicKey: publicKey.replace(/^0x/i, '').toLowerCase() };
+};
+
+module.exports = {
+  WALLET_CHALLENGE_CLASS,
+  normalizeAddress,
+  issueChallenge,
+  redeemChallenge
+};
@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { createCounter } = require('../../utils/metrics');
+const {
+  WEBHOOK_DELIVERY_CLASS,
+  DELIVERY_STATUS,
+  allowPrivateNetworks
+} = require('./webhooks');
+
+/**
+ * Webhook Delivery Service
+ * `WebhookDelivery` rows are the queue: a pending row is due at `nextAttemptAt`, and a
+ * failed attempt pushes that back exponentially until MAX_ATTEMPTS, when the row becomes
+ * `dead`. Every attempt is kept in the row's `log`. Any dyno may run the queue; a row is
+ * claimed with an atomic increment of `claims` before it is sent, and the claim also pushes
+ * `nextAttemptAt` out by a lease so a dyno that dies mid-send does not lose the delivery.
+ * An endpoint is disabled after DISABLE_AFTER_FAILURES failed attempts in a row.
+ *
+ * Each request is a JSON POST signed with the endpoint secret:
+ *   X-HaRaaS-Timestamp: <unix seconds>
+ *   X-HaRaaS-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ */
+
+const MAX_ATTEMPTS = getConfig().webhookMaxAttempts;
+const RETRY_BASE_MS = getConfig().webhookRetryBaseMs;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const TIMEOUT_MS = getConfig().webhookTimeoutMs;
+const DISABLE_AFTER_FAILURES = getConfig().webhookDisableAfterFailures;
+const DELIVERY_RETENTION_DAYS = getConfig().webhookDeliveryRetentionDays;
+
+const LEASE_MS = TIMEOUT_MS + 30 * 1000;
+const BATCH_SIZE = 20;
+const MAX_ERROR_LENGTH = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USER_AGENT = 'HaRaaS-Webhooks/1.0';
+
+const deliveriesTotal = createCounter({
+  name: 'webhook_deliveries_total',
+  help: 'Webhook delivery attempts',
+  labelNames: ['event', 'result']
+});
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return PRIVATE_RANGES.check(address, family);
+};
+
+/**
+ * dns.lookup replacement that refuses private addresses
+ * Checked at connect time, so a hostname cannot pass registration and then resolve to an
+ * internal service.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked && !allowPrivateNetworks()) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+
+    callback(null, address, family);
+  });
+};
+
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * POST a body to an endpoint; resolves to `{ statusCode }`, rejects on network errors
+ */
+const postJson = (url, body, headers) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+
+  // Literal IP hosts never reach the lookup, so they are checked here
+  const host = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host) && !allowPrivateNetworks()) {
+    return reject(new Error('The endpoint address is private'));
+  }
+
+  const transport = target.protocol === 'https:' ? https : http;
+  const request = transport.request(target, {
+    method: 'POST',
+    lookup: publicLookup,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': USER_AGENT
+    },
+    timeout: TIMEOUT_MS
+  }, (response) => {
+    // The body is not used; drain it so the socket is released
+    response.resume();
+    response.on('end', () => resolve({ statusCode: response.statusCode }));
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`No response within ${TIMEOUT_MS} ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// 30 s, 1 min, 2 min, ... capped at 6 h, with 20% jitter so retries do not arrive in step
+const retryDelay = (attempts) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Claim a due delivery for this process
+ * Every claimer increments `claims`; only the one that sees its own increment land first
+ * sends the delivery.
+ */
+const claimDelivery = async (delivery) => {
+  const observed = delivery.get('claims') || 0;
+  delivery.increment('claims');
+  delivery.set('nextAttemptAt', new Date(Date.now() + LEASE_MS));
+  await delivery.save(null, { useMasterKey: true });
+  return delivery.get('claims') === observed + 1;
+};
+
+const recordEndpointResult = async (endpoint, ok) => {
+  if (ok) {
+    if (endpoint.get('consecutiveFailures') > 0 || !endpoint.get('lastSuccessAt')) {
+      endpoint.set('consecutiveFailures', 0);
+    }
+    endpoint.set('lastSuccessAt', new Date());
+    return endpoint.save(null, { useMasterKey: true });
+  }
+
+  endpoint.increment('consecutiveFailures');
+  endpoint.set('lastFailureAt', new Date());
+  await endpoint.save(null, { useMasterKey: true });
+
+  if (endpoint.get('active') && endpoint.get('consecutiveFailures') >= DISABLE_AFTER_FAILURES) {
+    endpoint.set('active', false);
+    endpoint.set('disabledAt', new Date());
+    endpoint.set('disabledReason', `${DISABLE_AFTER_FAILURES} failed deliveries in a row`);
+    await endpoint.save(null, { useMasterKey: true });
+    logger.warn('Webhook endpoint disabled after repeated failures', { endpointId: endpoint.id, ownerId: endpoint.get('owner')?.id });
+  }
+};
+
+const markDead = (delivery, error) => {
+  delivery.set('status', DELIVERY_STATUS.DEAD);
+  delivery.set('deadAt', new Date());
+  delivery.set('lastError', error);
+  delivery.unset('nextAttemptAt');
+  return delivery.save(null, { useMasterKey: true });
+};
+
+/**
+ * Make one attempt at a claimed delivery and record the outcome
+ * Resolves to `delivered`, `retrying` or `dead`.
+ */
+const attemptDelivery = async (delivery) => {
+  const endpoint = delivery.get('endpoint');
+  const eventType = delivery.get('eventType');
+
+  if (!endpoint || !endpoint.get('active')) {
+    await markDead(delivery, 'Endpoint disabled');
+    return DELIVERY_STATUS.DEAD;
+  }
+
+  const body = JSON.stringify(delivery.get('payload'));
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    ({ statusCode } = await postJson(endpoint.get('url'), body, {
+      'X-HaRaaS-Event': eventType,
+      'X-HaRaaS-Delivery': delivery.id,
+      'X-HaRaaS-Timestamp': String(timestamp),
+      'X-HaRaaS-Signature': `sha256=${signPayload(endpoint.get('secret'), timestamp, body)}`
+    }));
+    if (statusCode < 200 || statusCode >= 300) {
+      error = `HTTP ${statusCode}`;
+    }
+  } catch (requestError) {
+    error = requestError.message.slice(0, MAX_ERROR_LENGTH);
+  }
+
+  const attempts = (delivery.get('attempts') || 0) + 1;
+  delivery.set('attempts', attempts);
+  delivery.set('lastStatusCode', statusCode);
+  delivery.add('log', {
+    at: new Date(started).toISOString(),
+    statusCode,
+    durationMs: Date.now() - started,
+    error
+  });
+
+  let outcome;
+  if (!error) {
+    delivery.set('status', DELIVERY_STATUS.DELIVERED);
+    delivery.set('deliveredAt', new Date());
+    delivery.unset('lastError');
+    delivery.unset('nextAttemptAt');
+    outcome = DELIVERY_STATUS.DELIVERED;
+  } else if (attempts >= MAX_ATTEMPTS) {
+    delivery.set('status', DELIVERY_STATUS.DEAD);
+    delivery.set('deadAt', new Date());
+    delivery.set('lastError', error);
+    delivery.unset('nextAttemptAt');
+    outcome = DELIVERY_STATUS.DEAD;
+  } else {
+    delivery.set('lastError', error);
+    delivery.set('nextAttemptAt', new Date(Date.now() + retryDelay(attempts)));
+    outcome = 'retrying';
+  }
+  await delivery.save(null, { useMasterKey: true });
+
+  await recordEndpointResult(endpoint, !error);
+  deliveriesTotal.inc({ event: eventType, result: outcome });
+
+  if (error) {
+    logger.warn('Webhook delivery failed', { deliveryId: delivery.id, endpointId: endpoint.id, attempts, outcome, error });
+  }
+
+  return outcome;
+};
+
+let running = false;
+
+/**
+ * Send every delivery that is due, a batch at a time
+ * Resolves to `{ due, delivered, retrying, dead }`. Calls made while a run is in progress
+ * in this process return at once.
+ */
+const processDueDeliveries = async ({ limit = 100 } = {}) => {
+  const stats = { due: 0, delivered: 0, retrying: 0, dead: 0 };
+  if (running) return stats;
+  running = true;
+
+  // Retries and claims move nextAttemptAt past this, so no row is picked up twice in a run
+  const startedAt = new Date();
+
+  try {
+    while (stats.due < limit) {
+      const query = new Parse.Query(WEBHOOK_DELIVERY_CLASS);
+      query.equalTo('status', DELIVERY_STATUS.PENDING);
+      query.lessThanOrEqualTo('nextAttemptAt', startedAt);
+      query.ascending('nextAttemptAt');
+      query.include('endpoint');
+      query.limit(Math.min(BATCH_SIZE, limit - stats.due));
+      const due = await query.find({ useMasterKey: true });
+      if (due.length === 0) break;
+
+      stats.due += due.length;
+      await Promise.all(due.map(async (delivery) => {
+        try {
+          if (!await claimDelivery(delivery)) return;
+          const outcome = await attemptDelivery(delivery);
+          stats[outcome] += 1;
+        } catch (error) {
+          logger.error('Webhook delivery crashed', { deliveryId: delivery.id, error: error.message });
+        }
+      }));
+    }
+  } finally {
+    running = false;
+  }
+
+  return stats;
+};
+
+/**
+ * Queue a delivered or dead delivery again with a fresh set of attempts
+ */
+const redeliver = async (delivery) => {
+  const endpoint = delivery.get('endpoint');
+  await endpoint.fetch({ useMasterKey: true });
+  if (!endpoint.get('active')) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'Re-enable the webhook endpoint first');
+  }
+  if (delivery.get('status') === DELIVERY_STATUS.PENDING) {
+    throw new Parse.Error(Parse.Error.OPERATION_FORBIDDEN, 'This delivery is already queued');
+  }
+
+  delivery.set('status', DELIVERY_STATUS.PENDING);
+  delivery.set('attempts', 0);
+  delivery.set('nextAttemptAt', new Date());
+  delivery.unset('deadAt');
+  return delivery.save(null, { useMasterKey: true });
+};
+
+/**
+ * Fetch a delivery of an endpoint owned by the given user
+ */
+const getOwnedDelivery = async (user, deliveryId) => {
+  if (!deliveryId || typeof deliveryId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: deliveryId');
+  }
+
+  const query = new Parse.Query(WEBHOOK_DELIVERY_CLASS);
+  query.equalTo('owner', user);
+  const delivery = await query.get(deliveryId, { useMasterKey: true }).catch(() => null);
+
+  if (!delivery) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Webhook delivery not found');
+  }
+
+  return delivery;
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Recent deliveries of an endpoint, newest first, optionally only those with `status`
+ */
+const listDeliveries = async (endpoint, { status, limit, skip } = {}) => {
+  if (status !== undefined && !Object.values(DELIVERY_STATUS).includes(status)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `Invalid status. Expected one of: ${Object.values(DELIVERY_STATUS).join(', ')}`);
+  }
+
+  const query = new Parse.Query(WEBHOOK_DELIVERY_CLASS);
+  query.equalTo('endpoint', endpoint);
+  if (status) query.equalTo('status', status);
+  query.descending('createdAt');
+  query.limit(Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE));
+  query.skip(Math.max(parseInt(skip, 10) || 0, 0));
+  return query.find({ useMasterKey: true });
+};
+
+/**
+ * Remove delivered and dead deliveries older than DELIVERY_RETENTION_DAYS
+ */
+const purgeOldDeliveries = async () => {
+  const query = new Parse.Query(WEBHOOK_DELIVERY_CLASS);
+  query.containedIn('status', [DELIVERY_STATUS.DELIVERED, DELIVERY_STATUS.DEAD]);
+  query.lessThan('createdAt', new Date(Date.now() - DELIVERY_RETENTION_DAYS * DAY_MS));
+  query.limit(1000);
+  const old = await query.find({ useMasterKey: true });
+  if (old.length > 0) {
+    await Parse.Object.destroyAll(old, { useMasterKey: true });
+  }
+  return old.length;
+};
+
+const serializeDelivery = (delivery) => ({
+  id: delivery.id,
+  endpointId: delivery.get('endpoint')?.id,
+  eventId: delivery.get('eventId'),
+  eventType: delivery.get('eventType'),
+  status: delivery.get('status'),
+  attempts: delivery.get('attempts') || 0,
+  nextAttemptAt: delivery.get('status') === DELIVERY_STATUS.PENDING ? delivery.get('nextAttemptAt') : null,
+  lastStatusCode: delivery.get('lastStatusCode') ?? null,
+  lastError: delivery.get('lastError') || null,
+  deliveredAt: delivery.get('deliveredAt'),
+  deadAt: delivery.get('deadAt'),
+  log: delivery.get('log') || [],
+  payload: delivery.get('payload'),
+  createdAt: delivery.createdAt
+});
+
+module.exports = {
+  MAX_ATTEMPTS,
+  signPayload,
+  isPrivateAddress,
+  processDueDeliveries,
+  redeliver,
+  getOwnedDelivery,
+  listDeliveries,
+  purgeOldDeliveries,
+  serializeDelivery
+};
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { getConfig } = require('../../utils/config');
+const { ROLES, getUserRoles, hasRole } = require('./roles');
+
+/**
+ * Webhook Service
+ * Users register `WebhookEndpoint`s to hear about their own roasts, share links,
+ * certificates and credit purchases; admins can register endpoints that hear about every
+ * user (`allUsers`), the only ones that receive `user.registered`; they stop receiving events
+ * once their owner is no longer an admin. `emitEvent` is called
+ * from the cloud triggers of each class and queues one `WebhookDelivery` per subscribed
+ * endpoint; ./webhook_deliveries sends them.
+ */
+
+const WEBHOOK_ENDPOINT_CLASS = 'WebhookEndpoint';
+const WEBHOOK_DELIVERY_CLASS = 'WebhookDelivery';
+
+const WEBHOOK_EVENTS = {
+  ROAST_CREATED: 'roast.created',
+  ROAST_SHARED: 'roast.shared',
+  CERTIFICATE_CREATED: 'certificate.created',
+  CREDITS_PURCHASED: 'credits.purchased',
+  USER_REGISTERED: 'user.registered'
+};
+
+// Events about no particular owner's data, delivered to allUsers endpoints only
+const ADMIN_ONLY_EVENTS = [WEBHOOK_EVENTS.USER_REGISTERED];
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD: 'dead'
+};
+
+const MAX_ENDPOINTS_PER_USER = getConfig().webhookMaxEndpointsPerUser;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_URL_LENGTH = 2048;
+
+// Private and local addresses are refused in production unless explicitly allowed
+const allowPrivateNetworks = () => getConfig().webhookAllowPrivateUrls;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * Check an endpoint URL and return it normalized
+ * HTTPS is required in production. Addresses are checked again when delivering, since DNS
+ * can change after registration.
+ */
+const validateEndpointUrl = (value) => {
+  if (!value || typeof value !== 'string' || value.length > MAX_URL_LENGTH) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: url');
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'url must be a valid URL');
+  }
+
+  const protocols = getConfig().isProduction && !allowPrivateNetworks() ? ['https:'] : ['https:', 'http:'];
+  if (!protocols.includes(url.protocol)) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `url must use ${protocols.map((p) => p.replace(':', '')).join(' or ')}`);
+  }
+  if (url.username || url.password) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'url must not contain credentials');
+  }
+
+  return url.toString();
+};
+
+const validateEvents = (events, { allUsers }) => {
+  const allowed = Object.values(WEBHOOK_EVENTS).filter((event) => allUsers || !ADMIN_ONLY_EVENTS.includes(event));
+
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `events must list one or more of: ${allowed.join(', ')}`);
+  }
+
+  const invalid = events.filter((event) => !allowed.includes(event));
+  if (invalid.length > 0) {
+    throw new Parse.Error(
+      Parse.Error.INVALID_QUERY,
+      `Unknown or unavailable events: ${invalid.join(', ')}. Expected any of: ${allowed.join(', ')}`
+    );
+  }
+
+  return [...new Set(events)];
+};
+
+const validateDescription = (description) => {
+  if (description === undefined || description === null) return undefined;
+  if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, `description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  return description.trim();
+};
+
+/**
+ * Register an endpoint for `user`
+ * Resolves to `{ endpoint, secret }`; the signing secret is only ever returned here and
+ * by `rotateEndpointSecret`.
+ */
+const createEndpoint = async (user, { url, events, description, allUsers = false }) => {
+  const endpointUrl = validateEndpointUrl(url);
+  const eventTypes = validateEvents(events, { allUsers });
+
+  const existing = new Parse.Query(WEBHOOK_ENDPOINT_CLASS);
+  existing.equalTo('owner', user);
+  if (await existing.count({ useMasterKey: true }) >= MAX_ENDPOINTS_PER_USER) {
+    throw new Parse.Error(
+      Parse.Error.OPERATION_FORBIDDEN,
+      `You can register at most ${MAX_ENDPOINTS_PER_USER} webhook endpoints. Delete one first.`
+    );
+  }
+
+  const secret = generateSecret();
+  const endpoint = new Parse.Object(WEBHOOK_ENDPOINT_CLASS);
+  endpoint.set('owner', user);
+  endpoint.set('url', endpointUrl);
+  endpoint.set('events', eventTypes);
+  endpoint.set('description', validateDescription(description));
+  endpoint.set('allUsers', !!allUsers);
+  endpoint.set('secret', secret);
+  endpoint.set('active', true);
+  endpoint.set('consecutiveFailures', 0);
+  endpoint.setACL(new Parse.ACL());
+  await endpoint.save(null, { useMasterKey: true });
+
+  logger.info('Webhook endpoint created', { userId: user.id, endpointId: endpoint.id, events: eventTypes, allUsers: !!allUsers });
+
+  return { endpoint, secret };
+};
+
+/**
+ * Fetch an endpoint owned by the given user
+ * Throws OBJECT_NOT_FOUND for missing endpoints and for endpoints owned by someone else
+ */
+const getOwnedEndpoint = async (user, endpointId) => {
+  if (!endpointId || typeof endpointId !== 'string') {
+    throw new Parse.Error(Parse.Error.INVALID_QUERY, 'Missing required field: endpointId');
+  }
+
+  const query = new Parse.Query(WEBHOOK_ENDPOINT_CLASS);
+  query.equalTo('owner', user);
+  const endpoint = await query.get(endpointId, { useMasterKey: true }).catch(() => null);
+
+  if (!endpoint) {
+    throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Webhook endpoint not found');
+  }
+
+  return endpoint;
+};
+
+const listEndpoints = (user) => {
+  const query = new Parse.Query(WEBHOOK_ENDPOINT_CLASS);
+  query.equalTo('owner', user);
+  query.ascending('createdAt');
+  return query.find({ useMasterKey: true });
+};
+
+/**
+ * Change an endpoint's url, events, description or active flag
+ * Re-enabling an endpoint clears its failure count.
+ */
+const updateEndpoint = async (endpoint, { url, events, description, active }) => {
+  if (url !== undefined) endpoint.set('url', validateEndpointUrl(url));
+  if (events !== undefined) endpoint.set('events', validateEvents(events, { allUsers: endpoint.get('allUsers') }));
+  if (description !== undefined) endpoint.set('description', validateDescription(description));
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw new Parse.Error(Parse.Error.INVALID_QUERY, 'active must be true or false');
+    }
+    endpoint.set('active', active);
+    if (active) {
+      endpoint.set('consecutiveFailures', 0);
+      endpoint.unset('disabledAt');
+      endpoint.unset('disabledReason');
+    }
+  }
+
+  return endpoint.save(null, { useMasterKey: true });
+};
+
+const rotateEndpointSecret = async (endpoint) => {
+  const secret = generateSecret();
+  endpoint.set('secret', secret);
+  await endpoint.save(null, { useMasterKey: true });
+  return secret;
+};
+
+/**
+ * Delete an endpoint with its delivery log
+ */
+const deleteEndpoint = async (endpoint) => {
+  const deliveries = new Parse.Query(WEBHOOK_DELIVERY_CLASS);
+  deliveries.equalTo('endpoint', endpoint);
+  const rows = await deliveries.findAll({ useMasterKey: true });
+  await Parse.Object.destroyAll(rows, { useMasterKey: true });
+  await endpoint.destroy({ useMasterKey: true });
+};
+
+/**
+ * Drop, and deactivate, allUsers endpoints whose owner is no longer an admin
+ * Checked when events go out, since the role can be revoked at any time (also from the
+ * Dashboard) after the endpoint was registered.
+ */
+const withoutRevokedAdmins = async (endpoints) => {
+  const ownerIsAdmin = new Map();
+  const allowed = [];
+
+  for (const endpoint of endpoints) {
+    const owner = endpoint.get('owner');
+    if (!endpoint.get('allUsers')) {
+      allowed.push(endpoint);
+      continue;
+    }
+
+    if (!ownerIsAdmin.has(owner.id)) {
+      ownerIsAdmin.set(owner.id, hasRole(await getUserRoles(owner), ROLES.ADMIN));
+    }
+    if (ownerIsAdmin.get(owner.id)) {
+      allowed.push(endpoint);
+      continue;
+    }
+
+    endpoint.set('active', false);
+    endpoint.set('disabledAt', new Date());
+    endpoint.set('disabledReason', 'The owner is no longer an admin');
+    await endpoint.save(null, { useMasterKey: true });
+    logger.warn('Webhook endpoint disabled: owner is no longer an admin', { endpointId: endpoint.id, userId: owner.id });
+  }
+
+  return allowed;
+};
+
+/**
+ * Queue an event for every active endpoint that subscribed to it
+ * `owner` is the user the event is about: their own endpoints and every allUsers endpoint
+ * receive it. Emitting never fails the caller; a failure is logged. Resolves to the number
+ * of deliveries queued.
+ */
+const emitEvent = async (type, { owner, data }) => {
+  try {
+    const subscribed = () => {
+      const query = new Parse.Query(WEBHOOK_ENDPOINT_CLASS);
+      query.equalTo('active', true);
+      query.equalTo('events', type);
+      return query;
+    };
+
+    const everyone = subscribed();
+    everyone.equalTo('allUsers', true);
+    let query = everyone;
+    if (owner && !ADMIN_ONLY_EVENTS.includes(type)) {
+      const own = subscribed();
+      own.equalTo('owner', owner);
+      query = Parse.Query.or(everyone, own);
+    }
+
+    const endpoints = await withoutRevokedAdmins(await query.find({ useMasterKey: true }));
+    if (endpoints.length === 0) return 0;
+
+    const event = {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    const deliveries = endpoints.map((endpoint) => {
+      const delivery = new Parse.Object(WEBHOOK_DELIVERY_CLASS);
+      delivery.set('endpoint', endpoint);
+      delivery.set('owner', endpoint.get('owner'));
+      delivery.set('eventId', event.id);
+      delivery.set('eventType', type);
+      delivery.set('payload', event);
+      delivery.set('status', DELIVERY_STATUS.PENDING);
+      delivery.set('attempts', 0);
+      delivery.set('claims', 0);
+      delivery.set('nextAttemptAt', new Date());
+      delivery.set('log', []);
+      delivery.setACL(new Parse.ACL());
+      return delivery;
+    });
+    await Parse.Object.saveAll(deliveries, { useMasterKey: true });
+
+    logger.info('Webhook event queued', { eventId: event.id, type, deliveries: deliveries.length });
+    return deliveries.length;
+  } catch (error) {
+    logger.error('Failed to queue webhook event', { type, ownerId: owner?.id, error: error.message });
+    return 0;
+  }
+};
+
+const serializeEndpoint = (endpoint) => ({
+  id: endpoint.id,
+  url: endpoint.get('url'),
+  events: endpoint.get('events'),
+  description: endpoint.get('description') || null,
+  allUsers: !!endpoint.get('allUsers'),
+  active: !!endpoint.get('active'),
+  consecutiveFailures: endpoint.get('consecutiveFailures') || 0,
+  lastSuccessAt: endpoint.get('lastSuccessAt'),
+  lastFailureAt: endpoint.get('lastFailureAt'),
+  disabledAt: endpoint.get('disabledAt'),
+  disabledReason: endpoint.get('disabledReason'),
+  createdAt: endpoint.createdAt,
+  updatedAt: endpoint.updatedAt
+});
+
+module.exports = {
+  WEBHOOK_ENDPOINT_CLASS,
+  WEBHOOK_DELIVERY_CLASS,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  MAX_ENDPOINTS_PER_USER,
+  allowPrivateNetworks,
+  createEndpoint,
+  getOwnedEndpoint,
+  listEndpoints,
+  updateEndpoint,
+  rotateEndpointSecret,
+  deleteEndpoint,
+  emitEvent,
+  serializeEndpoint
+};
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+// Prints the effective server configuration (utils/config.js) with secrets masked and
+// exits non-zero if the server would refuse to start with it.
+// Usage: npm run config:check
+//        NODE_ENV=production npm run config:check   (apply the production checks)
+
+require('dotenv').config();
+const { loadConfig, describeConfig } = require('../utils/config');
+
+const { config, problems, warnings } = loadConfig();
+
+describeConfig(config).forEach((line) => console.log(line));
+
+if (warnings.length > 0) {
+  console.log('\nWarnings:');
+  warnings.forEach((warning) => console.log(`  - ${warning}`));
+}
+
+if (problems.length > 0) {
+  console.error('\nProblems:');
+  problems.forEach((problem) => console.error(`  - ${problem}`));
+  process.exitCode = 1;
+} else {
+  console.log('\nConfiguration OK.');
+}
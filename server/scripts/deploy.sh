@@ -42,8 +42,10 @@ heroku config:set APP_ID=$(openssl rand -hex 16) -a $APP_NAME
 heroku config:set MASTER_KEY=$(openssl rand -hex 32) -a $APP_NAME
 heroku config:set ENCRYPTION_KEY=$(openssl rand -hex 32) -a $APP_NAME
 heroku config:set SERVER_URL_PROD=https://$APP_NAME.herokuapp.com/parse -a $APP_NAME
+# Only the bcrypt hash of the dashboard password is stored in the app config
+DASHBOARD_PASSWORD=$(openssl rand -hex 16)
 heroku config:set DASHBOARD_USERNAME=admin -a $APP_NAME
-heroku config:set DASHBOARD_PASSWORD=$(openssl rand -hex 16) -a $APP_NAME
+heroku config:set DASHBOARD_PASSWORD_HASH="$(printf '%s' "$DASHBOARD_PASSWORD" | node "$(dirname "$0")/hash-dashboard-password.js")" -a $APP_NAME
 
 echo "⚠️  IMPORTANT: You need to set your DATABASE_URI manually:"
 echo "   heroku config:set DATABASE_URI='your-mongodb-connection-string' -a $APP_NAME"
@@ -69,7 +71,7 @@ echo "   Dashboard: https://$APP_NAME.herokuapp.com/dashboard"
 echo ""
 echo "🔑 Dashboard credentials:"
 echo "   Username: admin"
-echo "   Password: $(heroku config:get DASHBOARD_PASSWORD -a $APP_NAME)"
+echo "   Password: $DASHBOARD_PASSWORD (shown once; it is not stored in plain text)"
 echo ""
 echo "⚠️  Don't forget to set your DATABASE_URI!"
 echo "   heroku config:set DATABASE_URI='your-mongodb-connection-string' -a $APP_NAME"
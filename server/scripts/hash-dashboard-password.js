@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+// Prints a bcrypt hash for a Parse Dashboard password (DASHBOARD_USERS / DASHBOARD_PASSWORD_HASH).
+// Usage: npm run dashboard:hash            (prompts for the password)
+//        echo -n 'secret' | npm run dashboard:hash --silent
+
+const bcrypt = require('bcryptjs');
+const readline = require('readline');
+
+const COST = 12;
+
+const readPassword = () => new Promise((resolve) => {
+  if (!process.stdin.isTTY) {
+    let input = '';
+    process.stdin.on('data', (chunk) => { input += chunk; });
+    process.stdin.on('end', () => resolve(input.replace(/\r?\n$/, '')));
+    return;
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+  // Keep the typed password off the screen
+  rl._writeToOutput = () => {};
+  process.stderr.write('Dashboard password: ');
+  rl.question('', (answer) => {
+    rl.close();
+    process.stderr.write('\n');
+    resolve(answer);
+  });
+});
+
+(async () => {
+  const password = await readPassword();
+  if (password.length < 12) {
+    console.error('Use a password of at least 12 characters.');
+    process.exit(1);
+  }
+
+  console.log(bcrypt.hashSync(password, COST));
+})();
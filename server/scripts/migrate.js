@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+// Applies pending data migrations (cloud/migrations) through the Parse API with the master key.
+// Usage: npm run migrate              (apply pending migrations)
+//        npm run migrate -- --status  (list migrations without running them)
+// Connects with the server's own configuration (utils/config.js).
+
+require('dotenv').config();
+const Parse = require('parse/node');
+const { getConfig } = require('../utils/config');
+
+const { migrationStatus, runMigrations } = require('../cloud/services/migrations');
+
+const printStatus = async () => {
+  const migrations = await migrationStatus();
+  if (migrations.length === 0) {
+    console.log('No migrations found.');
+    return;
+  }
+
+  migrations.forEach(({ version, name, appliedAt }) => {
+    const state = appliedAt ? `applied ${appliedAt.toISOString()}` : 'pending';
+    console.log(`${String(version).padStart(3, '0')} ${name}: ${state}`);
+  });
+};
+
+(async () => {
+  try {
+    const config = getConfig();
+    global.Parse = Parse;
+    Parse.initialize(config.appId, undefined, config.masterKey);
+    Parse.serverURL = config.serverURL;
+
+    if (process.argv.includes('--status')) {
+      await printStatus();
+      return;
+    }
+
+    const ran = await runMigrations();
+    console.log(ran.length > 0 ? `Applied ${ran.length} migration(s).` : 'Nothing to migrate.');
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+})();
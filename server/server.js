@@ -1,8 +1,25 @@
 // Import regenerator-runtime polyfill
 require('regenerator-runtime');
 
+// Load .env before anything reads the environment
+require('dotenv').config();
+
 // Import centralized logger first
 const logger = require('./utils/logger');
+const { ConfigError, loadConfig } = require('./utils/config');
+
+// Validated settings (utils/config.js); production refuses missing or default secrets.
+// Checked before the services below load, since they read their settings when required.
+const { config, problems, warnings } = loadConfig();
+if (problems.length > 0) {
+  logger.error('❌ Server startup failed:', new ConfigError(problems));
+  process.exit(1);
+}
+
+// Structured, redacted output for libraries that write to the console
+if (config.isProduction) {
+  logger.captureConsole();
+}
 
 // Global error handler for uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -11,45 +28,52 @@ process.on('uncaughtException', (err) => {
 });
 
 // Global handler for unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+process.on('unhandledRejection', (reason) => {
+  logger.error('Unhandled Rejection', { reason });
   process.exit(1);
 });
 
-// Memory monitoring for debugging
-const logMemoryUsage = () => {
-  const memUsage = process.memoryUsage();
-  logger.debug('Memory Usage:', {
-    rss: `${Math.round(memUsage.rss / 1024 / 1024)} MB`,
-    heapTotal: `${Math.round(memUsage.heapTotal / 1024 / 1024)} MB`,
-    heapUsed: `${Math.round(memUsage.heapUsed / 1024 / 1024)} MB`,
-    external: `${Math.round(memUsage.external / 1024 / 1024)} MB`
-  });
-};
-
-// Log memory usage every 5 minutes in production
-if (process.env.NODE_ENV === 'production') {
-  setInterval(logMemoryUsage, 5 * 60 * 1000);
-}
-
 // Required modules
+const crypto = require('crypto');
 const http = require('http');
 const express = require('express');
 const path = require('path');
-require('dotenv').config();
 const { ParseServer } = require('parse-server');
 const ParseDashboard = require('parse-dashboard');
 const cors = require('cors');
+const { retryAfterHeaders } = require('./utils/retry_after');
+const { REQUEST_ID_HEADER, requestContext } = require('./utils/request_context');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createGauge, httpMetrics, renderMetrics } = require('./utils/metrics');
+const { checkReadiness } = require('./cloud/services/health');
+const { isMailConfigured } = require('./cloud/services/mailer');
+const { sessionActivity } = require('./cloud/services/sessions');
+const { ensureRoles } = require('./cloud/services/roles');
+const { ensureRoastStyles } = require('./cloud/services/roast_styles');
+const { startScheduler, stopScheduler } = require('./cloud/services/scheduler');
+const { sharePage, shareCard } = require('./cloud/services/share_preview');
+const { createRestApi, handleRestApiError } = require('./cloud/services/rest_api');
+const { schemaOptions, ensureIndexes } = require('./cloud/schema');
+const { pendingMigrations } = require('./cloud/services/migrations');
+const { loadDashboardUsers } = require('./utils/dashboard_users');
 
 // Main server initialization
 (async () => {
   try {
+    warnings.forEach((warning) => logger.warn(`⚙️  ${warning}`));
+
     const app = express();
     const httpServer = http.createServer(app);
 
     // Basic middleware
-    app.use(express.json({ limit: '50mb' }));
-    app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+    app.use(express.json({ limit: config.requestBodyLimit }));
+    app.use(express.urlencoded({ extended: true, limit: config.requestBodyLimit }));
+
+    // Request id for every response and every log line written while handling it. Mounted
+    // after the body parsers: stream callbacks would otherwise run outside the request context.
+    app.use(requestContext);
+
+    // Request latency and Parse error codes for /metrics
+    app.use(httpMetrics);
     
     // CORS configuration
     const corsOptions = {
@@ -58,17 +82,12 @@ const cors = require('cors');
         if (!origin) return callback(null, true);
         
         // In development, allow all origins
-        if (process.env.NODE_ENV !== 'production') {
+        if (!config.isProduction) {
           return callback(null, true);
         }
         
-        // In production, you can specify allowed origins
-        const allowedOrigins = [
-          process.env.CLIENT_URL,
-          'https://your-frontend-domain.com'
-        ].filter(Boolean);
-        
-        if (allowedOrigins.indexOf(origin) !== -1) {
+        // In production, only CORS_ORIGINS (or the CLIENT_URL origin)
+        if (config.corsOrigins.includes(origin)) {
           callback(null, true);
         } else {
           callback(new Error('Not allowed by CORS'));
@@ -84,10 +103,11 @@ const cors = require('cors');
         'X-Parse-Installation-Id',
         'X-Parse-Client-Version',
         'X-Parse-Revocable-Session',
+        REQUEST_ID_HEADER,
         'Content-Type',
         'Authorization'
       ],
-      exposedHeaders: ['X-Parse-Session-Token'],
+      exposedHeaders: ['X-Parse-Session-Token', 'Retry-After', REQUEST_ID_HEADER],
       credentials: true,
       optionsSuccessStatus: 200
     };
@@ -95,31 +115,40 @@ const cors = require('cors');
     // Apply CORS middleware
     app.use(cors(corsOptions));
 
-    // Health check endpoint
-    app.get('/health', (req, res) => {
+    // Liveness: the process is up and serving requests (/health is kept for older probes)
+    const live = (req, res) => {
       res.status(200).json({ 
         status: 'OK', 
         timestamp: new Date().toISOString(),
         uptime: process.uptime()
       });
-    });
+    };
+    app.get('/health/live', live);
+    app.get('/health', live);
+
+    // Prometheus metrics (utils/metrics.js), behind METRICS_TOKEN; open without it in development
+    if (config.metricsToken || !config.isProduction) {
+      const expected = config.metricsToken && crypto.createHash('sha256').update(`Bearer ${config.metricsToken}`).digest();
+
+      app.get('/metrics', (req, res) => {
+        if (expected) {
+          const given = crypto.createHash('sha256').update(req.get('Authorization') || '').digest();
+          if (!crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Unauthorized' });
+          }
+        }
+        res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+      });
+    }
 
     // Heroku proxy trust (MUST be before Parse Server initialization)
     app.set('trust proxy', 1);
 
-    // Detect if running on Heroku or in production
-    const isProd = process.env.NODE_ENV === 'production' || !!process.env.DYNO;
+    // Running on Heroku or in production
+    const isProd = config.isProduction;
 
-    // SERVER_URL configuration
-    const SERVER_URL = isProd 
-      ? (process.env.SERVER_URL_PROD || `https://${process.env.HEROKU_APP_NAME}.herokuapp.com/v1`)
-      : (process.env.SERVER_URL || 'http://localhost:1337/v1');
-    
-    if (isProd && (!SERVER_URL || !/^https:\/\//i.test(SERVER_URL))) {
-      throw new Error(
-        'SERVER_URL_PROD must be set to your public HTTPS URL in production, e.g. https://<app>.herokuapp.com/parse'
-      );
-    }
+    // SERVER_URL_PROD in production (checked to be HTTPS), SERVER_URL otherwise
+    const SERVER_URL = config.serverURL;
 
     logger.info(`🔗 SERVER_URL: ${SERVER_URL}`);
     logger.info(`🔐 Is Production: ${isProd}`);
@@ -127,16 +156,17 @@ const cors = require('cors');
 
     // Parse Server configuration
     const parseConfig = {
-      databaseURI: process.env.DATABASE_URI || 'mongodb://localhost:27017/haraas',
+      databaseURI: config.databaseURI,
       databaseOptions: {
         retryWrites: true,
         maxPoolSize: isProd ? 50 : 10,
         minPoolSize: isProd ? 5 : 2
       },
       cloud: path.join(__dirname, 'cloud/main.js'),
-      appId: process.env.APP_ID || 'haraas-app-id',
+      appId: config.appId,
       appName: 'HaRaaS',
-      masterKey: process.env.MASTER_KEY || 'haraas-master-key',
+      masterKey: config.masterKey,
+      readOnlyMasterKey: config.readOnlyMasterKey,
       
       // IP whitelist for master key operations
       masterKeyIps: isProd ? [
@@ -149,7 +179,7 @@ const cors = require('cors');
         '::1'
       ] : ['127.0.0.1', '::1'],
       
-      encryptionKey: process.env.ENCRYPTION_KEY || 'haraas-encryption-key',
+      encryptionKey: config.encryptionKey,
       serverURL: SERVER_URL,
       publicServerURL: SERVER_URL,
       
@@ -159,95 +189,53 @@ const cors = require('cors');
       
       // Security settings
       enableAnonymousUsers: false,
-      allowClientClassCreation: !isProd,
-      sessionLength: 24 * 60 * 60, // 24 hours
+      allowClientClassCreation: false,
+      sessionLength: config.sessionLengthSeconds, // 24 hours by default; loginUser extends "remember me" sessions
+      revokeSessionOnPasswordReset: true,
+
+      // Declared fields, class-level permissions and locked schemas (cloud/schema.js)
+      schema: schemaOptions(),
       
       // Logging
       logLevel: isProd ? 'warn' : 'info',
       
+      // Third-party authentication (authData adapters)
+      auth: {
+        chia: {
+          enabled: true,
+          module: require('./adapters/auth/chia')
+        },
+        google: {
+          enabled: config.googleClientIds.length > 0,
+          module: require('./adapters/auth/google')
+        },
+        apple: {
+          enabled: config.appleClientIds.length > 0,
+          module: require('./adapters/auth/apple')
+        }
+      },
+
       // File upload settings
-      maxUploadSize: '20mb',
+      maxUploadSize: config.maxUploadSize,
       allowExpiredAuthDataToken: false,
       
       // Live Query settings
       liveQuery: {
-        classNames: ['TestObject'] // Add your classes here
+        classNames: config.liveQueryClasses
       },
       
       verbose: !isProd
     };
 
-    // Add email configuration if available
-    if (process.env.GMAIL_ADDRESS && process.env.GMAIL_PASSWORD) {
+    // Add email configuration if available (see cloud/services/mailer.js)
+    if (isMailConfigured()) {
       logger.info('📧 Email configuration detected, setting up mail adapter...');
-      
-      // Create a simple custom email adapter
-      const nodemailer = require('nodemailer');
-      
-      const transporter = nodemailer.createTransport({
-        host: 'smtp.gmail.com',
-        port: 587,
-        secure: false,
-        auth: {
-          user: process.env.GMAIL_ADDRESS,
-          pass: process.env.GMAIL_PASSWORD
-        }
-      });
 
-      // Custom email adapter implementation
-      parseConfig.emailAdapter = {
-        sendMail: async (options) => {
-          try {
-            logger.info(`📧 Sending email to: ${options.to}`);
-            
-            // Create email content based on the type
-            let subject, text, html;
-            
-            if (options.subject && options.text) {
-              // Direct email with subject and text
-              subject = options.subject;
-              text = options.text;
-              html = options.html || `<p>${options.text}</p>`;
-            } else {
-              // Template-based email (password reset, verification, etc.)
-              const appName = 'HaRaaS';
-              const link = options.link || '#';
-              
-              if (options.templateName === 'passwordResetEmail' || options.subject?.includes('password')) {
-                subject = 'Reset your password';
-                text = `Hi,\n\nYou requested to reset your password for ${appName}.\n\nPlease click here to reset it:\n${link}\n\nIf you did not request a password reset, please ignore this email.\n\nThanks,\nThe ${appName} Team`;
-                html = `<p>Hi,</p><p>You requested to reset your password for <strong>${appName}</strong>.</p><p><a href="${link}">Click here to reset your password</a></p><p>If you did not request a password reset, please ignore this email.</p><p>Thanks,<br>The ${appName} Team</p>`;
-              } else if (options.templateName === 'verificationEmail' || options.subject?.includes('verify')) {
-                subject = 'Please verify your email';
-                text = `Hi,\n\nWelcome to ${appName}!\n\nPlease click here to verify your email:\n${link}\n\nThanks,\nThe ${appName} Team`;
-                html = `<p>Hi,</p><p>Welcome to <strong>${appName}</strong>!</p><p><a href="${link}">Click here to verify your email</a></p><p>Thanks,<br>The ${appName} Team</p>`;
-              } else {
-                // Fallback
-                subject = options.subject || `${appName} Notification`;
-                text = options.text || options.body || `You have a notification from ${appName}.`;
-                html = options.html || `<p>${text}</p>`;
-              }
-            }
-
-            const result = await transporter.sendMail({
-              from: process.env.GMAIL_ADDRESS,
-              to: options.to,
-              subject: subject,
-              text: text,
-              html: html
-            });
-            
-            logger.info(`📧 Email sent successfully to: ${options.to}`);
-            return result;
-          } catch (error) {
-            logger.error('📧 Email sending failed:', error);
-            throw error;
-          }
-        }
-      };
-      
-      // Enable email verification
-      parseConfig.verifyUserEmails = true;
+      parseConfig.emailAdapter = require('./adapters/email/mailer');
+
+      // Verify new addresses; lowercasing an address (migration 001) keeps it verified
+      parseConfig.verifyUserEmails = ({ original, object }) =>
+        original?.get('email')?.toLowerCase() !== object.get('email')?.toLowerCase();
       parseConfig.preventLoginWithUnverifiedEmail = false;
     } else {
       logger.info('📧 No email configuration found, email features disabled');
@@ -259,39 +247,70 @@ const cors = require('cors');
     // Start Parse Server
     await api.start();
 
-    // Parse Dashboard configuration
-    const dashboardConfig = {
-      apps: [
-        {
-          serverURL: SERVER_URL,
-          appId: parseConfig.appId,
-          masterKey: parseConfig.masterKey,
-          appName: 'HaRaaS Dashboard',
-          production: isProd
-        }
-      ],
-      users: [
-        {
-          user: process.env.DASHBOARD_USERNAME || 'admin',
-          pass: process.env.DASHBOARD_PASSWORD || 'password',
-          apps: [{ appId: parseConfig.appId }]
-        }
-      ],
-      useEncryptedPasswords: false,
-      trustProxy: isProd
-    };
+    // Indexes declared in cloud/schema.js
+    await ensureIndexes(api.config.database.adapter);
 
-    // Initialize Parse Dashboard
-    const dashboard = new ParseDashboard(dashboardConfig, {
-      allowInsecureHTTP: !isProd,
-      trustProxy: isProd
+    // Readiness: 503 until MongoDB answers a ping; optional dependencies are reported
+    app.get('/health/ready', async (req, res) => {
+      const { ready, checks } = await checkReadiness(api.config.database.adapter);
+      res.status(ready ? 200 : 503).json({
+        status: ready ? 'OK' : 'UNAVAILABLE',
+        timestamp: new Date().toISOString(),
+        checks
+      });
     });
 
-    // Mount Parse API
-    app.use('/v1', api.app);
+    const pending = await pendingMigrations();
+    if (pending.length > 0) {
+      logger.warn(`🧱 ${pending.length} pending migration(s): run npm run migrate`, {
+        migrations: pending.map(({ version, name }) => `${version}_${name}`)
+      });
+    }
+
+    // admin and moderator roles guard the admin cloud functions (cloud/api/admin.js)
+    await ensureRoles();
 
-    // Mount Parse Dashboard
-    app.use('/dashboard', dashboard);
+    // Default roast styles (cloud/services/roast_styles.js); existing styles are left as edited
+    await ensureRoastStyles();
+
+    // Background jobs on their cron schedules, one dyno per run (cloud/services/scheduler.js)
+    startScheduler();
+
+    // Dashboard users come from bcrypt-hashed credentials (utils/dashboard_users.js)
+    const dashboardUsers = loadDashboardUsers(parseConfig.appId);
+
+    // Mount Parse API (throttled responses get a 429 with Retry-After; session last-seen is tracked)
+    app.use('/v1', retryAfterHeaders, sessionActivity, api.app);
+
+    if (dashboardUsers.length > 0) {
+      // Parse Dashboard configuration
+      const dashboardConfig = {
+        apps: [
+          {
+            serverURL: SERVER_URL,
+            appId: parseConfig.appId,
+            masterKey: parseConfig.masterKey,
+            readOnlyMasterKey: parseConfig.readOnlyMasterKey,
+            appName: 'HaRaaS Dashboard',
+            production: isProd
+          }
+        ],
+        users: dashboardUsers,
+        useEncryptedPasswords: true,
+        trustProxy: isProd
+      };
+
+      // Initialize Parse Dashboard
+      const dashboard = new ParseDashboard(dashboardConfig, {
+        allowInsecureHTTP: !isProd,
+        trustProxy: isProd
+      });
+
+      // Mount Parse Dashboard
+      app.use('/dashboard', dashboard);
+    } else {
+      logger.warn('📊 Parse Dashboard disabled: no DASHBOARD_USERS configured');
+    }
 
     // Root endpoint
     app.get('/', (req, res) => {
@@ -301,7 +320,9 @@ const cors = require('cors');
         endpoints: {
           api: '/parse',
           dashboard: '/dashboard',
-          health: '/health'
+          restApi: '/api/v2/openapi.json',
+          health: '/health/live',
+          ready: '/health/ready'
         }
       });
     });
@@ -322,6 +343,13 @@ const cors = require('cors');
       });
     });
 
+    // Public share links (cloud/services/share_preview.js)
+    app.get('/r/:slug', sharePage);
+    app.get('/r/:slug/image.png', shareCard);
+
+    // REST API for third-party integrations, authenticated with API keys (cloud/services/rest_api.js)
+    app.use('/api/v2', createRestApi(), handleRestApiError);
+
     // 404 handler
     app.use('*', (req, res) => {
       res.status(404).json({
@@ -335,13 +363,15 @@ const cors = require('cors');
       logger.error('Express error:', err);
       res.status(500).json({
         error: 'Internal server error',
-        message: isProd ? 'Something went wrong' : err.message
+        message: isProd ? 'Something went wrong' : err.message,
+        requestId: req.requestId
       });
     });
 
     // Graceful shutdown handler
     const gracefulShutdown = () => {
       logger.info('Received shutdown signal, closing server gracefully...');
+      stopScheduler();
       httpServer.close(() => {
         logger.info('HTTP server closed');
         process.exit(0);
@@ -352,25 +382,31 @@ const cors = require('cors');
     process.on('SIGINT', gracefulShutdown);
 
     // Start server
-    const port = process.env.PORT || 1337;
+    const port = config.port;
     httpServer.listen(port, () => {
       logger.info('=== HaRaaS Server Started ===');
       logger.info(`🚀 Parse Server: ${SERVER_URL}`);
       logger.info(`📊 Dashboard: ${SERVER_URL.replace('/parse', '/dashboard')}`);
-      logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+      logger.info(`🌍 Environment: ${config.nodeEnv}`);
       logger.info(`🔌 Port: ${port}`);
       logger.info(`📱 Production: ${isProd ? 'Yes' : 'No'}`);
       logger.info(`🔒 Proxy Trust: ${isProd ? 'Enabled' : 'Disabled'}`);
-      logger.info(`👤 Dashboard User: ${process.env.DASHBOARD_USERNAME || 'admin'}`);
+      logger.info(`👤 Dashboard Users: ${dashboardUsers.map((user) => user.user).join(', ') || 'none'}`);
       logger.info('================================');
     });
 
     // Initialize Live Query Server if enabled
     if (parseConfig.liveQuery && parseConfig.liveQuery.classNames.length > 0) {
-      ParseServer.createLiveQueryServer(httpServer, {
+      const liveQueryServer = await ParseServer.createLiveQueryServer(httpServer, {
         websocketTimeout: 60 * 1000,
         cacheTimeout: 60 * 1000
       });
+
+      createGauge({
+        name: 'livequery_clients',
+        help: 'Open LiveQuery WebSocket connections',
+        collect: (gauge) => gauge.set({}, liveQueryServer.clients.size)
+      });
       logger.info('🔴 Live Query Server initialized');
     }
 
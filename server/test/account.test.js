@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUser, requireServer, runFunction } = require('./helpers/parse');
+const { createWallet, signChallenge } = require('./helpers/chia');
+
+const { issueChallenge } = requireServer('cloud/services/wallet_challenges');
+const { LIMITS } = requireServer('cloud/services/throttle');
+requireServer('cloud/api/account');
+requireServer('cloud/api/sessions');
+
+test('deleting an account needs its password', async () => {
+  const user = await createUser('delete-me@example.com');
+
+  await assert.rejects(
+    runFunction('deleteMyAccount', { confirm: true }, { user }),
+    /Missing required field: password/
+  );
+  await assert.rejects(
+    runFunction('deleteMyAccount', { confirm: true, password: 'wrong horse' }, { user }),
+    /Current password is incorrect/
+  );
+  await user.fetch({ useMasterKey: true });
+  assert.notStrictEqual(user.get('isActive'), false);
+
+  const result = await runFunction('deleteMyAccount', { confirm: true, password: 'correct horse' }, { user });
+  assert.strictEqual(result.success, true);
+
+  await user.fetch({ useMasterKey: true });
+  assert.strictEqual(user.get('isActive'), false);
+  assert.ok(user.get('deletionScheduledAt'));
+});
+
+test('accounts without a password confirm deletion by signing in with their wallet', async () => {
+  const wallet = createWallet();
+  const user = await createUser('delete-wallet@example.com', {
+    hasPassword: false,
+    authData: { chia: { id: wallet.address, publicKey: wallet.publicKey } }
+  });
+
+  await assert.rejects(
+    runFunction('deleteMyAccount', { confirm: true, password: 'correct horse' }, { user }),
+    /Sign in again with one of: chia/
+  );
+
+  // Never sent to verifyPassword, so repeated attempts do not back the login off
+  for (let n = 0; n < LIMITS.accountBackoffAfter + 1; n += 1) {
+    await assert.rejects(
+      runFunction('changePassword', { currentPassword: 'guess', newPassword: 'new horse' }, { user }),
+      /has no password/
+    );
+  }
+
+  const otherWallet = createWallet();
+  const otherChallenge = await issueChallenge(otherWallet.address);
+  await assert.rejects(
+    runFunction('deleteMyAccount', {
+      confirm: true,
+      provider: 'chia',
+      authData: signChallenge(otherWallet, otherChallenge)
+    }, { user }),
+    /belongs to a different account/
+  );
+
+  const challenge = await issueChallenge(wallet.address);
+  const result = await runFunction('deleteMyAccount', {
+    confirm: true,
+    provider: 'chia',
+    authData: signChallenge(wallet, challenge)
+  }, { user });
+  assert.strictEqual(result.success, true);
+
+  await user.fetch({ useMasterKey: true });
+  assert.strictEqual(user.get('isActive'), false);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createUser, requireServer } = require('./helpers/parse');
+
+const { createProviderRouter } = requireServer('cloud/providers/ai/router');
+const { setProvider } = requireServer('cloud/providers/ai');
+const { validateRoastInput, generateRoastText } = requireServer('cloud/services/roast_generator');
+const { ensureRoastStyles, resolveRoastStyle } = requireServer('cloud/services/roast_styles');
+
+const USAGE = { promptTokens: 100, completionTokens: 50, totalTokens: 150 };
+
+// A provider answering with `text`, or failing with `status` when one is given
+const fakeProvider = (name, { text = `from ${name}`, status, delayMs = 0 } = {}) => {
+  const provider = {
+    name,
+    calls: 0,
+    async generate({ signal }) {
+      provider.calls += 1;
+      if (delayMs) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, delayMs);
+          signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+          }, { once: true });
+        });
+      }
+      if (status) {
+        const error = new Error(`${name} responded with ${status}`);
+        error.status = status;
+        throw error;
+      }
+      return { text, model: 'test', usage: USAGE };
+    }
+  };
+  return provider;
+};
+
+const entry = (provider, settings = {}) => ({ provider, timeoutMs: 1000, retries: 0, ...settings });
+
+test('fails over to the next provider when one errors', async () => {
+  const primary = fakeProvider('primary', { status: 503 });
+  const secondary = fakeProvider('secondary');
+  const router = createProviderRouter({
+    providers: [entry(primary), entry(secondary, { promptCostPer1k: 1, completionCostPer1k: 2 })]
+  });
+
+  const result = await router.generate({ prompt: 'roast me' });
+
+  assert.strictEqual(result.text, 'from secondary');
+  assert.strictEqual(result.provider, 'secondary');
+  assert.strictEqual(result.source, 'provider');
+  assert.strictEqual(result.cost, 0.2);
+  assert.deepStrictEqual(result.attempts.map((attempt) => attempt.provider), ['primary']);
+});
+
+test('fails over when a provider times out', async () => {
+  const slow = fakeProvider('slow', { delayMs: 500 });
+  const fast = fakeProvider('fast');
+  const router = createProviderRouter({ providers: [entry(slow, { timeoutMs: 20 }), entry(fast)] });
+
+  const result = await router.generate({ prompt: 'roast me' });
+
+  assert.strictEqual(result.provider, 'fast');
+  assert.match(result.attempts[0].error, /timed out after 20ms/);
+});
+
+test('does not retry client errors', async () => {
+  const primary = fakeProvider('primary', { status: 400 });
+  const secondary = fakeProvider('secondary');
+  const router = createProviderRouter({ providers: [entry(primary, { retries: 3 }), entry(secondary)] });
+
+  await router.generate({ prompt: 'roast me' });
+
+  assert.strictEqual(primary.calls, 1);
+});
+
+test('rejects with every attempt when all providers fail', async () => {
+  const router = createProviderRouter({
+    providers: [entry(fakeProvider('a', { status: 500 })), entry(fakeProvider('b', { status: 502 }))]
+  });
+
+  await assert.rejects(router.generate({ prompt: 'roast me' }), (error) => {
+    assert.match(error.message, /All AI providers failed: a: .*; b: /);
+    assert.strictEqual(error.attempts.length, 2);
+    return true;
+  });
+});
+
+test('skips a provider while its circuit is open', async () => {
+  const primary = fakeProvider('primary', { status: 500 });
+  const secondary = fakeProvider('secondary');
+  const router = createProviderRouter({
+    providers: [entry(primary), entry(secondary)],
+    failureThreshold: 2,
+    cooldownMs: 60 * 1000
+  });
+
+  await router.generate({ prompt: 'one' });
+  await router.generate({ prompt: 'two' });
+  const result = await router.generate({ prompt: 'three' });
+
+  assert.strictEqual(primary.calls, 2);
+  assert.strictEqual(result.provider, 'secondary');
+  assert.deepStrictEqual(result.attempts, [{ provider: 'primary', error: 'circuit open' }]);
+});
+
+test('shares an in-flight call by key and never serves a delivered answer again', async () => {
+  const provider = fakeProvider('primary', { delayMs: 20 });
+  const router = createProviderRouter({ providers: [entry(provider)], cacheTtlMs: 60 * 1000 });
+
+  const [first, second] = await Promise.all([
+    router.generate({ key: 'same', prompt: 'roast me' }),
+    router.generate({ key: 'same', prompt: 'roast me' })
+  ]);
+  const regenerated = await router.generate({ key: 'same', prompt: 'roast me' });
+
+  assert.strictEqual(provider.calls, 2);
+  assert.deepStrictEqual([first.source, second.source, regenerated.source], ['provider', 'shared', 'provider']);
+  assert.strictEqual(second.cost, 0);
+});
+
+test('keeps the answer of an abandoned call for one retry', async () => {
+  const provider = fakeProvider('primary', { delayMs: 30 });
+  const router = createProviderRouter({ providers: [entry(provider)], cacheTtlMs: 60 * 1000 });
+
+  await assert.rejects(router.generate({ key: 'late', prompt: 'roast me', signal: AbortSignal.timeout(5) }));
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const retry = await router.generate({ key: 'late', prompt: 'roast me' });
+  const again = await router.generate({ key: 'late', prompt: 'roast me' });
+
+  assert.strictEqual(retry.source, 'cache');
+  assert.strictEqual(again.source, 'provider');
+  assert.strictEqual(provider.calls, 2);
+});
+
+test('identical roasts of different users do not share a provider call', async () => {
+  const provider = fakeProvider('primary', { delayMs: 20, text: 'You call it a career; your boss calls it a rumor.' });
+  setProvider(createProviderRouter({ providers: [entry(provider)], cacheTtlMs: 60 * 1000 }));
+  await ensureRoastStyles();
+
+  const [ana, ben] = await Promise.all(['ana', 'ben'].map((name) => createUser(`${name}-router@example.com`)));
+  const { input, style } = await resolveRoastStyle(validateRoastInput({
+    name: 'Sam',
+    roastPoints: ['always late', 'talks about crypto', 'owns six cats', 'sings in meetings', 'never tips', 'quotes movies']
+  }));
+
+  const results = await Promise.all([ana, ben].map((user) => generateRoastText(input, { style, user })));
+
+  assert.strictEqual(provider.calls, 2);
+  assert.deepStrictEqual(results.map((result) => result.providerUsage.primary.reused), [0, 0]);
+});
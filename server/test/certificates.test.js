@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUser, requireServer, rowsOf, uniqueIndex } = require('./helpers/parse');
+const { encodeAddress } = require('../utils/chia');
+
+const { setChain } = requireServer('cloud/providers/chain');
+const { createMockChain } = requireServer('cloud/providers/chain/mock');
+const { createCertificate, mintCertificate, CERTIFICATE_STATUS } = requireServer('cloud/services/certificates');
+
+uniqueIndex('RoastCertificate', ['roast']);
+uniqueIndex('Counter', ['name']);
+
+const chain = createMockChain({ confirmAfterMs: 60 * 1000 });
+let mints = 0;
+setChain({
+  ...chain,
+  mintNft: async (request) => {
+    mints += 1;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return chain.mintNft(request);
+  }
+});
+
+const walletAddress = encodeAddress(Buffer.alloc(32, 7));
+
+const savedRoast = async (user) => {
+  const roast = new Parse.Object('Roast');
+  roast.set('owner', user);
+  roast.set('name', 'Sam');
+  roast.set('text', 'You are so late, even your alarm clock gave up on you.');
+  roast.set('status', 'saved');
+  await roast.save(null, { useMasterKey: true });
+  return roast;
+};
+
+test('concurrent requests create one certificate per roast', async () => {
+  const user = await createUser('certify@example.com');
+  const roast = await savedRoast(user);
+
+  const results = await Promise.all([createCertificate(user, roast), createCertificate(user, roast)]);
+
+  assert.strictEqual(rowsOf('RoastCertificate').filter((row) => row.roast.objectId === roast.id).length, 1);
+  assert.strictEqual(results[0].certificate.id, results[1].certificate.id);
+  assert.deepStrictEqual(results.map((result) => result.created).sort(), [false, true]);
+});
+
+test('concurrent mint requests call the wallet once', async () => {
+  const user = await createUser('mint@example.com');
+  const { certificate } = await createCertificate(user, await savedRoast(user));
+  const copy = await new Parse.Query('RoastCertificate').get(certificate.id, { useMasterKey: true });
+  mints = 0;
+
+  await Promise.all([
+    mintCertificate(user, certificate, walletAddress),
+    mintCertificate(user, copy, walletAddress)
+  ]);
+  await mintCertificate(user, certificate, walletAddress);
+
+  assert.strictEqual(mints, 1);
+  await certificate.fetch({ useMasterKey: true });
+  assert.strictEqual(certificate.get('status'), CERTIFICATE_STATUS.MINTING);
+  assert.ok(certificate.get('transactionId'));
+});
+
+test('a failed wallet call can be retried', async () => {
+  const user = await createUser('retry@example.com');
+  const { certificate } = await createCertificate(user, await savedRoast(user));
+
+  setChain({ mintNft: async () => { throw new Error('Wallet unreachable'); } });
+  await assert.rejects(mintCertificate(user, certificate, walletAddress), /Wallet unreachable/);
+  assert.strictEqual(certificate.get('status'), CERTIFICATE_STATUS.FAILED);
+
+  setChain(chain);
+  await mintCertificate(user, certificate, walletAddress);
+  assert.strictEqual(certificate.get('status'), CERTIFICATE_STATUS.MINTING);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireServer } = require('./helpers/parse');
+
+const { loadConfig } = requireServer('utils/config');
+
+test('Heroku dynos count as production', () => {
+  const { config, problems } = loadConfig({ DYNO: 'web.1' });
+
+  assert.strictEqual(config.isProduction, true);
+  assert.ok(problems.includes('MASTER_KEY is required in production'));
+});
+
+test('service settings are parsed and checked', () => {
+  const { config, problems } = loadConfig({
+    SCHEDULER_ENABLED: 'false',
+    GOOGLE_CLIENT_IDS: 'web.apps.googleusercontent.com, ios.apps.googleusercontent.com',
+    FREE_ROASTS_PER_DAY: '0',
+    SMTP_USER: 'mailer@example.com'
+  });
+
+  assert.deepStrictEqual(problems, []);
+  assert.strictEqual(config.schedulerEnabled, false);
+  assert.deepStrictEqual(config.googleClientIds, ['web.apps.googleusercontent.com', 'ios.apps.googleusercontent.com']);
+  assert.deepStrictEqual(config.appleClientIds, []);
+  assert.strictEqual(config.freeRoastsPerDay, 0);
+  assert.strictEqual(config.mailFrom, 'mailer@example.com');
+});
+
+test('invalid service settings are problems outside production too', () => {
+  const { config, problems } = loadConfig({
+    WEBHOOK_ALLOW_PRIVATE_URLS: 'yes',
+    CHIA_NETWORK: 'devnet',
+    ROAST_JOB_TIMEOUT_MS: 'soon'
+  });
+
+  assert.deepStrictEqual(problems, [
+    'CHIA_NETWORK must be one of mainnet, testnet',
+    'ROAST_JOB_TIMEOUT_MS must be a whole number',
+    'WEBHOOK_ALLOW_PRIVATE_URLS must be true or false'
+  ]);
+  assert.strictEqual(config.webhookAllowPrivateUrls, false);
+  assert.strictEqual(config.chiaNetwork, 'mainnet');
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createUser, requireServer, rowsOf, uniqueIndex } = require('./helpers/parse');
+const { encodeAddress } = require('../utils/chia');
+
+const puzzleHash = crypto.randomBytes(32).toString('hex');
+process.env.CREDITS_PAYMENT_ADDRESS = encodeAddress(Buffer.from(puzzleHash, 'hex'));
+process.env.CREDIT_PAYMENT_CONFIRMATIONS = '3';
+
+const { setChiaRpc } = requireServer('cloud/providers/chia_rpc');
+const { createFakeRpc } = requireServer('cloud/providers/chia_rpc/fake');
+const { createPurchase, confirmPurchase, PURCHASE_STATUS } = requireServer('cloud/services/credit_purchases');
+
+uniqueIndex('PaymentCoin', ['coinId']);
+
+const rpc = createFakeRpc();
+setChiaRpc(rpc);
+
+const newCoinId = () => crypto.randomBytes(32).toString('hex');
+
+const pay = (purchase, overrides = {}) => rpc.addCoin({
+  coinId: newCoinId(),
+  puzzleHash,
+  amount: purchase.get('amountMojos'),
+  memos: [Buffer.from(purchase.get('memo')).toString('hex')],
+  ...overrides
+});
+
+const purchaseCredits = (user) => rowsOf('CreditTransaction')
+  .filter((row) => row.user.objectId === user.id && row.type === 'purchase');
+
+test('credits a payment once it has enough confirmations', async () => {
+  const user = await createUser('buyer@example.com');
+  const purchase = await createPurchase(user, 'starter');
+  const coin = pay(purchase);
+
+  await confirmPurchase(purchase, coin.coinId);
+  assert.strictEqual(purchase.get('status'), PURCHASE_STATUS.CONFIRMING);
+  assert.strictEqual(purchaseCredits(user).length, 0);
+
+  rpc.advance(2);
+  await confirmPurchase(purchase, coin.coinId);
+  await confirmPurchase(purchase, coin.coinId);
+
+  assert.strictEqual(purchase.get('status'), PURCHASE_STATUS.CREDITED);
+  assert.deepStrictEqual(purchaseCredits(user).map((row) => row.amount), [10]);
+});
+
+test('rejects a payment without the purchase memo', async () => {
+  const user = await createUser('no-memo@example.com');
+  const purchase = await createPurchase(user, 'starter');
+  const coin = pay(purchase, { memos: undefined });
+
+  await assert.rejects(confirmPurchase(purchase, coin.coinId), /memo does not match/);
+  assert.strictEqual(purchase.get('coinId'), undefined);
+});
+
+test('rejects a payment with another purchase\'s memo', async () => {
+  const user = await createUser('wrong-memo@example.com');
+  const purchase = await createPurchase(user, 'starter');
+  const other = await createPurchase(user, 'starter');
+  const coin = pay(purchase, { memos: [other.get('memo')] });
+
+  await assert.rejects(confirmPurchase(purchase, coin.coinId), /memo does not match/);
+});
+
+test('rejects the wrong amount', async () => {
+  const user = await createUser('short@example.com');
+  const purchase = await createPurchase(user, 'starter');
+  const coin = pay(purchase, { amount: purchase.get('amountMojos') - 1 });
+
+  await assert.rejects(confirmPurchase(purchase, coin.coinId), /Payment must be exactly/);
+});
+
+test('does not let two purchases claim the same coin', async () => {
+  const user = await createUser('reuse@example.com');
+  const purchase = await createPurchase(user, 'starter');
+  const coin = pay(purchase);
+  await confirmPurchase(purchase, coin.coinId);
+
+  const second = await createPurchase(user, 'starter');
+  second.set('amountMojos', purchase.get('amountMojos'));
+  second.set('memo', purchase.get('memo'));
+
+  await assert.rejects(confirmPurchase(second, coin.coinId), /already been used for another purchase/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireServer } = require('./helpers/parse');
+
+const { checkReadiness } = requireServer('cloud/services/health');
+const { setThrottleStore } = requireServer('cloud/providers/throttle_store');
+
+// A storage adapter whose ping answers with `ping`
+const fakeAdapter = (ping) => ({
+  connect: async () => {},
+  database: { command: ping }
+});
+
+test('ready when the database answers its ping', async () => {
+  const report = await checkReadiness(fakeAdapter(async () => ({ ok: 1 })));
+
+  assert.strictEqual(report.ready, true);
+  assert.strictEqual(report.checks.database.status, 'ok');
+  assert.strictEqual(typeof report.checks.database.latencyMs, 'number');
+  assert.deepStrictEqual(report.checks.throttleStore, { status: 'configured', adapter: 'memory' });
+});
+
+test('not ready when the ping fails', async () => {
+  const report = await checkReadiness(fakeAdapter(async () => { throw new Error('connection refused'); }));
+
+  assert.strictEqual(report.ready, false);
+  assert.deepStrictEqual(report.checks.database, { status: 'error' });
+});
+
+test('not ready when the ping never returns', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const pending = checkReadiness(fakeAdapter(() => new Promise(() => {})));
+
+  await new Promise(setImmediate);
+  t.mock.timers.tick(2000);
+  const report = await pending;
+
+  assert.strictEqual(report.ready, false);
+  assert.deepStrictEqual(report.checks.database, { status: 'error' });
+});
+
+test('a misconfigured optional dependency does not fail readiness', async (t) => {
+  t.after(() => {
+    delete process.env.THROTTLE_STORE;
+    setThrottleStore(null);
+  });
+  setThrottleStore(null);
+  process.env.THROTTLE_STORE = 'carrier-pigeon';
+
+  const report = await checkReadiness(fakeAdapter(async () => ({ ok: 1 })));
+
+  assert.strictEqual(report.ready, true);
+  assert.deepStrictEqual(report.checks.throttleStore, { status: 'error' });
+});
@@ -0,0 +1,39 @@
+const { bls12_381: bls } = require('@noble/curves/bls12-381');
+const {
+  AUG_SCHEME_DST,
+  NETWORK_PREFIXES,
+  encodeAddress,
+  puzzleHashForSyntheticKey,
+  signedMessageHash
+} = require('../../utils/chia');
+
+/**
+ * Chia wallets for tests
+ * A wallet signs like `chia_signMessageByAddress`: its address is the standard puzzle of
+ * its public key and signatures use the AugSchemeMPL scheme over the CHIP-0002 hash.
+ */
+
+const createWallet = (prefix = NETWORK_PREFIXES.mainnet) => {
+  const secretKey = bls.utils.randomPrivateKey();
+  const publicKey = Buffer.from(bls.getPublicKey(secretKey));
+  const address = encodeAddress(puzzleHashForSyntheticKey(publicKey), prefix);
+
+  const sign = (message) => {
+    const augmented = Buffer.concat([publicKey, signedMessageHash(message)]);
+    return Buffer.from(bls.sign(augmented, secretKey, { DST: AUG_SCHEME_DST })).toString('hex');
+  };
+
+  return { address, publicKey: publicKey.toString('hex'), sign };
+};
+
+/**
+ * The `chia` authData proving `wallet` owns a challenge from issueChallenge
+ */
+const signChallenge = (wallet, { nonce, message }) => ({
+  id: wallet.address,
+  publicKey: wallet.publicKey,
+  signature: wallet.sign(message),
+  nonce
+});
+
+module.exports = { createWallet, signChallenge };
@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * In-memory Parse for tests
+ * Installs the Parse JS SDK as the `Parse` global with a REST controller that keeps every
+ * class in memory, so cloud code runs against it with no Parse Server or MongoDB. Cloud
+ * functions, jobs and triggers registered through `Parse.Cloud` are collected in `cloud`
+ * instead of being served. Supports what the cloud code uses: the query operators below,
+ * `include`, `order`, `count`, batches, relations and increments. `uniqueIndex` makes
+ * inserts and updates fail with DUPLICATE_VALUE like a unique MongoDB index.
+ *
+ * Require it before any cloud module; every test file runs in its own process.
+ */
+
+const SERVER_ROOT = path.join(__dirname, '..', '..');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+global.Parse = require('parse/node');
+
+const tables = {};
+const uniqueIndexes = {};
+
+const newId = () => crypto.randomBytes(5).toString('hex');
+
+const table = (className) => {
+  tables[className] = tables[className] || {};
+  return tables[className];
+};
+
+// Comparable form of a stored value: dates by ISO string, pointers by class and id
+const comparable = (value) => {
+  if (value && typeof value === 'object') {
+    if (value.__type === 'Date') return value.iso;
+    if (value.__type === 'Pointer' || value.__type === 'Object') return `${value.className}$${value.objectId}`;
+  }
+  return value;
+};
+
+const compare = (a, b) => {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+const relationKey = (field) => `__relation_${field}`;
+
+const contains = (value, item) => (Array.isArray(value) ? value.map(comparable).includes(item) : comparable(value) === item);
+
+let matches;
+
+const matchOperator = (value, operator, operand, className) => {
+  const current = comparable(value);
+  const expected = comparable(operand);
+
+  switch (operator) {
+    case '$lt': return current !== undefined && compare(current, expected) < 0;
+    case '$lte': return current !== undefined && compare(current, expected) <= 0;
+    case '$gt': return current !== undefined && compare(current, expected) > 0;
+    case '$gte': return current !== undefined && compare(current, expected) >= 0;
+    case '$ne': return !contains(value, expected);
+    case '$in': return operand.some((item) => contains(value, comparable(item)));
+    case '$nin': return !operand.some((item) => contains(value, comparable(item)));
+    case '$all': return Array.isArray(value) && operand.every((item) => contains(value, comparable(item)));
+    case '$exists': return operand ? value !== undefined && value !== null : value === undefined || value === null;
+    case '$regex': return typeof value === 'string' && new RegExp(operand).test(value);
+    case '$options': return true;
+    case '$inQuery': {
+      const ids = Object.values(table(operand.className))
+        .filter((row) => matches(row, operand.where, operand.className))
+        .map((row) => `${operand.className}$${row.objectId}`);
+      return ids.includes(current);
+    }
+    default:
+      throw new Error(`In-memory Parse does not support ${operator} (${className})`);
+  }
+};
+
+const matchField = (value, condition, className) => {
+  if (condition && typeof condition === 'object' && !condition.__type && !Array.isArray(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => matchOperator(value, operator, operand, className));
+  }
+  if (Array.isArray(value) && !Array.isArray(condition)) return contains(value, comparable(condition));
+  return JSON.stringify(comparable(value)) === JSON.stringify(comparable(condition));
+};
+
+matches = (row, where = {}, className) => Object.entries(where).every(([key, condition]) => {
+  if (key === '$or') return condition.some((branch) => matches(row, branch, className));
+  if (key === '$and') return condition.every((branch) => matches(row, branch, className));
+  if (key === '$relatedTo') {
+    const owner = table(condition.object.className)[condition.object.objectId];
+    return (owner?.[relationKey(condition.key)] || [])
+      .some((pointer) => pointer.className === className && pointer.objectId === row.objectId);
+  }
+  return matchField(row[relationKey(key)] || row[key], condition, className);
+});
+
+const applyOperation = (row, key, operation) => {
+  switch (operation.__op) {
+    case 'Increment': {
+      if (key.includes('.')) {
+        const [field, subField] = key.split('.');
+        row[field] = { ...(row[field] || {}), [subField]: ((row[field] || {})[subField] || 0) + operation.amount };
+      } else {
+        row[key] = (row[key] || 0) + operation.amount;
+      }
+      break;
+    }
+    case 'Delete':
+      delete row[key];
+      break;
+    case 'Add':
+      row[key] = (row[key] || []).concat(operation.objects);
+      break;
+    case 'AddUnique': {
+      const seen = new Set((row[key] || []).map((item) => JSON.stringify(item)));
+      row[key] = (row[key] || []).concat(operation.objects.filter((item) => !seen.has(JSON.stringify(item))));
+      break;
+    }
+    case 'Remove': {
+      const removed = operation.objects.map((item) => JSON.stringify(item));
+      row[key] = (row[key] || []).filter((item) => !removed.includes(JSON.stringify(item)));
+      break;
+    }
+    case 'AddRelation':
+      row[relationKey(key)] = (row[relationKey(key)] || []).concat(
+        operation.objects.map(({ className, objectId }) => ({ __type: 'Pointer', className, objectId }))
+      );
+      row[key] = { __type: 'Relation', className: operation.objects[0].className };
+      break;
+    case 'RemoveRelation':
+      row[relationKey(key)] = (row[relationKey(key)] || [])
+        .filter((pointer) => !operation.objects.some((object) => object.objectId === pointer.objectId));
+      break;
+    default:
+      throw new Error(`In-memory Parse does not support the ${operation.__op} operation`);
+  }
+};
+
+const applyChanges = (row, data) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value && value.__op) applyOperation(row, key, value);
+    else row[key] = value;
+  });
+};
+
+// Lowercased like the case-insensitive indexes on `_User`
+const indexValue = (row, fields, caseInsensitive) => JSON.stringify(fields.map((field) => {
+  const value = comparable(row[field]);
+  return caseInsensitive && typeof value === 'string' ? value.toLowerCase() : value;
+}));
+
+const assertUnique = (className, row) => {
+  (uniqueIndexes[className] || []).forEach(({ fields, caseInsensitive }) => {
+    if (fields.some((field) => row[field] === undefined || row[field] === null)) return;
+
+    const value = indexValue(row, fields, caseInsensitive);
+    const clash = Object.values(table(className))
+      .some((other) => other.objectId !== row.objectId && indexValue(other, fields, caseInsensitive) === value);
+    if (clash) {
+      throw new Parse.Error(Parse.Error.DUPLICATE_VALUE, 'A duplicate value for a field with unique values was provided');
+    }
+  });
+};
+
+const stripRelations = (row) => Object.fromEntries(
+  Object.entries(row).filter(([key]) => !key.startsWith('__relation_'))
+);
+
+const classFor = (route) => {
+  if (route === 'users' || route.startsWith('users/')) return '_User';
+  if (route === 'sessions' || route.startsWith('sessions/')) return '_Session';
+  return route.split('/')[1];
+};
+
+const findRows = (className, data) => {
+  const where = typeof data.where === 'string' ? JSON.parse(data.where) : data.where;
+  let rows = Object.values(table(className)).filter((row) => matches(row, where, className));
+
+  if (data.order) {
+    const keys = data.order.split(',');
+    rows.sort((a, b) => {
+      for (const key of keys) {
+        const descending = key.startsWith('-');
+        const field = descending ? key.slice(1) : key;
+        const order = compare(comparable(a[field]), comparable(b[field]));
+        if (order) return descending ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  const count = rows.length;
+  if (data.skip) rows = rows.slice(data.skip);
+  if (data.limit !== undefined && data.limit >= 0) rows = rows.slice(0, data.limit);
+
+  const results = rows.map((row) => {
+    const copy = JSON.parse(JSON.stringify(stripRelations(row)));
+    String(data.include || '').split(',').filter(Boolean).forEach((field) => {
+      const pointer = copy[field];
+      const target = pointer?.__type === 'Pointer' && table(pointer.className)[pointer.objectId];
+      if (target) copy[field] = { ...stripRelations(target), __type: 'Object', className: pointer.className };
+    });
+    return copy;
+  });
+
+  return data.count ? { results, count } : { results };
+};
+
+const handle = (method, route, data = {}) => {
+  route = route.replace(/^\//, '');
+
+  if (route === 'batch') {
+    return Promise.all(data.requests.map((request) => Promise.resolve()
+      .then(() => handle(request.method, request.path.replace(/^\/?(v1|1)\//, ''), request.body))
+      .then((success) => ({ success }), (error) => ({ error: { code: error.code, error: error.message } }))));
+  }
+  if (route.startsWith('schemas') || route.startsWith('config')) return {};
+  if (route === 'verifyPassword') {
+    const user = Object.values(table('_User'))
+      .find((row) => row.username === data.username && row.password === data.password);
+    if (!user) throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Invalid username/password.');
+    return stripRelations(user);
+  }
+
+  const parts = route.split('/');
+  const className = classFor(route);
+  const objectId = parts[0] === 'classes' ? parts[2] : parts[1];
+  const rows = table(className);
+  const now = new Date().toISOString();
+
+  if (method === 'POST' && !objectId && data._method !== 'GET') {
+    const row = { objectId: newId(), createdAt: now, updatedAt: now };
+    applyChanges(row, data);
+    if (className === '_User') row.sessionToken = `r:${newId()}`;
+    assertUnique(className, row);
+    rows[row.objectId] = row;
+    return { objectId: row.objectId, createdAt: now, ...(row.sessionToken ? { sessionToken: row.sessionToken } : {}) };
+  }
+
+  if (method === 'PUT') {
+    const row = rows[objectId];
+    if (!row) throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
+
+    const updated = JSON.parse(JSON.stringify(row));
+    applyChanges(updated, data);
+    updated.updatedAt = now;
+    assertUnique(className, updated);
+    rows[objectId] = updated;
+
+    const increments = Object.fromEntries(Object.entries(data)
+      .filter(([, value]) => value && value.__op === 'Increment')
+      .map(([key]) => [key, updated[key]]));
+    return { updatedAt: now, ...increments };
+  }
+
+  if (method === 'DELETE') {
+    delete rows[objectId];
+    return {};
+  }
+
+  if (method === 'GET' && objectId) {
+    if (!rows[objectId]) throw new Parse.Error(Parse.Error.OBJECT_NOT_FOUND, 'Object not found.');
+    return stripRelations(rows[objectId]);
+  }
+
+  if (method === 'GET' || data._method === 'GET') return findRows(className, data);
+
+  throw new Error(`In-memory Parse does not support ${method} ${route}`);
+};
+
+Parse.CoreManager.setRESTController({
+  request: (method, route, data) => {
+    try {
+      return Promise.resolve(handle(method, route, data)).then((result) => JSON.parse(JSON.stringify(result)));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  },
+  ajax: () => Promise.reject(new Error('In-memory Parse makes no HTTP requests'))
+});
+
+const files = {};
+Parse.CoreManager.setFileController({
+  saveFile: () => Promise.reject(new Error('In-memory Parse only saves base64 files')),
+  saveBase64: async (name, source) => {
+    const stored = `${newId()}_${name}`;
+    files[stored] = source.base64;
+    return { name: stored, url: `http://files.test/${stored}` };
+  },
+  download: async (url) => ({ base64: files[url.split('/').pop()] }),
+  deleteFile: async (name) => {
+    delete files[name];
+  }
+});
+
+Parse.initialize('test-app', 'test-js-key', 'test-master-key');
+Parse.serverURL = 'http://localhost:1337/v1';
+
+// Cloud code registrations, by name (functions, jobs) or by trigger and class name
+const cloud = { functions: {}, jobs: {}, triggers: {} };
+
+Parse.Cloud.define = (name, handler) => {
+  cloud.functions[name] = handler;
+};
+Parse.Cloud.job = (name, handler) => {
+  cloud.jobs[name] = handler;
+};
+['beforeSave', 'afterSave', 'beforeDelete', 'afterDelete', 'beforeFind', 'afterFind', 'beforeLogin', 'afterLogin', 'afterLogout', 'beforeSubscribe']
+  .forEach((trigger) => {
+    Parse.Cloud[trigger] = (target, handler) => {
+      const name = typeof target === 'string' ? target : target?.className || '_User';
+      cloud.triggers[trigger] = cloud.triggers[trigger] || {};
+      cloud.triggers[trigger][name] = handler || target;
+    };
+  });
+
+/**
+ * Require a module by its path from the server directory, e.g. requireServer('cloud/api/roasts')
+ */
+const requireServer = (modulePath) => require(path.join(SERVER_ROOT, modulePath));
+
+/**
+ * Call a cloud function the way Parse Server would
+ */
+const runFunction = (name, params = {}, { user, ip = '127.0.0.1', master = false } = {}) => {
+  const handler = cloud.functions[name];
+  if (!handler) throw new Error(`No cloud function named ${name}`);
+  return handler({ params, user, ip, master, headers: {} });
+};
+
+const createUser = async (email, fields = {}) => {
+  const user = new Parse.User();
+  user.set('username', email);
+  user.set('email', email);
+  user.set('password', 'correct horse');
+  Object.entries(fields).forEach(([key, value]) => user.set(key, value));
+  await user.save(null, { useMasterKey: true });
+  return user;
+};
+
+/**
+ * Make inserts and updates of `className` fail like a unique index on `fields`
+ */
+const uniqueIndex = (className, fields, { caseInsensitive = false } = {}) => {
+  uniqueIndexes[className] = uniqueIndexes[className] || [];
+  uniqueIndexes[className].push({ fields, caseInsensitive });
+};
+
+// Stored rows of a class, without relation bookkeeping
+const rowsOf = (className) => Object.values(table(className)).map(stripRelations);
+
+const reset = () => {
+  Object.keys(tables).forEach((className) => delete tables[className]);
+};
+
+module.exports = {
+  cloud,
+  requireServer,
+  runFunction,
+  createUser,
+  uniqueIndex,
+  rowsOf,
+  reset
+};
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { cloud, createUser, requireServer } = require('./helpers/parse');
+
+process.env.GOOGLE_CLIENT_IDS = 'haraas-web.apps.googleusercontent.com';
+
+const { verifyJwt } = requireServer('utils/jwt');
+const { setJwks } = requireServer('cloud/providers/jwks');
+const { createStaticJwks } = requireServer('cloud/providers/jwks/static');
+const { issueSignInNonce, verifyIdentityToken } = requireServer('cloud/services/identity_providers');
+requireServer('cloud/main');
+
+const ISSUER = 'https://accounts.google.com';
+const AUDIENCE = 'haraas-web.apps.googleusercontent.com';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' };
+const keys = createStaticJwks({ keys: [jwk] });
+setJwks('google', keys);
+
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// A token signed with the test key unless `sign` says otherwise
+const makeToken = (claims = {}, { header = {}, sign } = {}) => {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const signingInput = `${segment({ alg: 'RS256', kid: 'test-key', typ: 'JWT', ...header })}.${segment({
+    iss: ISSUER,
+    aud: AUDIENCE,
+    sub: 'google-user-1',
+    iat: nowSec,
+    exp: nowSec + 600,
+    ...claims
+  })}`;
+  const signature = sign ? sign(signingInput) : crypto.sign('sha256', Buffer.from(signingInput), privateKey);
+  return `${signingInput}.${Buffer.from(signature).toString('base64url')}`;
+};
+
+const verify = (token) => verifyJwt(token, {
+  getKey: keys.getKey,
+  issuers: [ISSUER],
+  audiences: [AUDIENCE]
+});
+
+test('a token signed with the provider key is accepted', async () => {
+  const payload = await verify(makeToken({ email: 'kim@example.com' }));
+  assert.strictEqual(payload.email, 'kim@example.com');
+});
+
+test('unsigned and HMAC-signed tokens are refused', async () => {
+  await assert.rejects(verify(makeToken({}, { header: { alg: 'none' }, sign: () => '' })), /Unsupported token algorithm none/);
+
+  // The public key used as an HMAC secret must not verify
+  const secret = publicKey.export({ type: 'spki', format: 'pem' });
+  const hmac = (input) => crypto.createHmac('sha256', secret).update(input).digest();
+  await assert.rejects(verify(makeToken({}, { header: { alg: 'HS256' }, sign: hmac })), /Unsupported token algorithm HS256/);
+});
+
+test('tokens for another audience or from another issuer are refused', async () => {
+  await assert.rejects(verify(makeToken({ aud: 'someone-else.apps.googleusercontent.com' })), /Unexpected token audience/);
+  await assert.rejects(verify(makeToken({ iss: 'https://evil.example.com' })), /Unexpected token issuer/);
+});
+
+test('expired tokens are refused', async () => {
+  const nowSec = Math.floor(Date.now() / 1000);
+  await assert.rejects(verify(makeToken({ iat: nowSec - 7200, exp: nowSec - 3600 })), /Token has expired/);
+});
+
+test('tokens signed with an unknown key are refused', async () => {
+  await assert.rejects(verify(makeToken({}, { header: { kid: 'rotated-away' } })), /Unknown signing key/);
+
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const forged = makeToken({}, { sign: (input) => crypto.sign('sha256', Buffer.from(input), otherKey) });
+  await assert.rejects(verify(forged), /Invalid token signature/);
+});
+
+test('an identity token is accepted once, for its user and nonce', async () => {
+  const { nonce } = await issueSignInNonce();
+  const authData = { id: 'google-user-1', id_token: makeToken({ nonce, email: 'Kim@Example.com', email_verified: true }), nonce };
+
+  await assert.rejects(verifyIdentityToken('google', { ...authData, id: 'google-user-2' }), /does not match the user id/);
+  await assert.rejects(
+    verifyIdentityToken('google', { ...authData, id_token: makeToken({ nonce, aud: 'other' }) }),
+    /Invalid Google token/
+  );
+
+  const identity = await verifyIdentityToken('google', authData);
+  assert.deepStrictEqual([identity.id, identity.email, identity.emailVerified], ['google-user-1', 'kim@example.com', true]);
+
+  await assert.rejects(verifyIdentityToken('google', authData), /already used/);
+});
+
+const beforeSaveUser = cloud.triggers.beforeSave._User;
+
+const providerSignUp = (identity) => {
+  const user = new Parse.User();
+  user.set('username', `google-${identity.id}`);
+  user.set('authData', { google: identity });
+  return user;
+};
+
+test('a verified provider email that is taken blocks the sign-up', async () => {
+  await createUser('taken-verified@example.com');
+  const user = providerSignUp({ id: 'g-1', email: 'Taken-Verified@example.com', emailVerified: true });
+
+  await assert.rejects(beforeSaveUser({ object: user }), (error) => error.code === Parse.Error.EMAIL_TAKEN);
+});
+
+test('an unverified provider email is neither checked nor kept', async () => {
+  await createUser('taken-unverified@example.com');
+  const user = providerSignUp({ id: 'g-2', email: 'taken-unverified@example.com', emailVerified: false, firstName: 'Kim' });
+
+  await beforeSaveUser({ object: user });
+  assert.strictEqual(user.get('email'), undefined);
+  assert.strictEqual(user.get('emailVerified'), false);
+  assert.strictEqual(user.get('displayName'), 'Kim');
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireServer } = require('./helpers/parse');
+
+const {
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  instrumentCloudFunctions
+} = requireServer('utils/metrics');
+
+// The lines of one metric in the rendered output
+const linesOf = (name) => renderMetrics().split('\n').filter((line) => line.startsWith(name) || line.includes(` ${name} `));
+
+test('counters render with help, type and escaped labels', () => {
+  const counter = createCounter({ name: 'test_events_total', help: 'Events seen', labelNames: ['kind'] });
+  counter.inc({ kind: 'a' });
+  counter.inc({ kind: 'a' }, 2);
+  counter.inc({ kind: 'say "hi"\n' });
+
+  assert.deepStrictEqual(linesOf('test_events_total'), [
+    '# HELP test_events_total Events seen',
+    '# TYPE test_events_total counter',
+    'test_events_total{kind="a"} 3',
+    'test_events_total{kind="say \\"hi\\"\\n"} 1'
+  ]);
+  assert.throws(() => counter.inc({ kind: 'a' }, -1), /cannot be decreased/);
+  assert.throws(() => createCounter({ name: 'test_events_total', help: 'Again' }), /already registered/);
+});
+
+test('gauges collect their values at scrape time', () => {
+  let open = 2;
+  createGauge({ name: 'test_open_connections', help: 'Open connections', collect: (gauge) => gauge.set({}, open) });
+
+  assert.ok(linesOf('test_open_connections').includes('test_open_connections 2'));
+  open = 5;
+  assert.ok(linesOf('test_open_connections').includes('test_open_connections 5'));
+});
+
+test('histograms count into cumulative buckets', () => {
+  const histogram = createHistogram({ name: 'test_duration_seconds', help: 'Durations', labelNames: ['route'], buckets: [1, 0.1] });
+  [0.05, 0.5, 2].forEach((value) => histogram.observe({ route: '/x' }, value));
+
+  assert.deepStrictEqual(linesOf('test_duration_seconds').slice(2), [
+    'test_duration_seconds_bucket{route="/x",le="0.1"} 1',
+    'test_duration_seconds_bucket{route="/x",le="1"} 2',
+    'test_duration_seconds_bucket{route="/x",le="+Inf"} 3',
+    'test_duration_seconds_sum{route="/x"} 2.55',
+    'test_duration_seconds_count{route="/x"} 3'
+  ]);
+});
+
+test('instrumented cloud functions are timed by outcome', async () => {
+  const handlers = {};
+  const Cloud = { define: (name, handler) => { handlers[name] = handler; } };
+  instrumentCloudFunctions(Cloud);
+
+  Cloud.define('testOk', async () => 'done');
+  Cloud.define('testFails', async () => { throw new Error('nope'); });
+
+  assert.strictEqual(await handlers.testOk({}), 'done');
+  await assert.rejects(handlers.testFails({}), /nope/);
+
+  const counts = linesOf('cloud_function_duration_seconds_count');
+  assert.ok(counts.includes('cloud_function_duration_seconds_count{function="testOk",outcome="ok"} 1'));
+  assert.ok(counts.includes('cloud_function_duration_seconds_count{function="testFails",outcome="error"} 1'));
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { requireServer } = require('./helpers/parse');
+
+// Read when the moderation service loads; a bad value falls back to the default policy
+process.env.MODERATION_POLICY = '{"threat": ';
+
+const { setEngines } = requireServer('cloud/providers/moderation');
+const { createOpenAIClassifier } = requireServer('cloud/providers/moderation/openai');
+const { ACTIONS, moderateRoastInput } = requireServer('cloud/services/moderation');
+
+// Flags the word "slur" wherever it appears
+setEngines([{
+  name: 'test',
+  classify: async (text) => {
+    const start = text.indexOf('slur');
+    return start === -1 ? [] : [{ category: 'slur', severity: 'high', rule: 'test', start, end: start + 4 }];
+  }
+}]);
+
+const input = (fields) => ({ name: 'Sam', profession: 'Chef', roastPoints: ['Burns toast'], temperature: 0.7, ...fields });
+
+test('the roastee name is moderated with the rest of the input', async () => {
+  const decision = await moderateRoastInput(input());
+  assert.strictEqual(decision.action, ACTIONS.ALLOW);
+
+  await assert.rejects(moderateRoastInput(input({ name: 'Sam the slur' })), /content policy \(slur\)/);
+});
+
+test('the classifier timeout covers a body that stalls after the headers', async () => {
+  const sockets = new Set();
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"results": [');
+  });
+  server.on('connection', (socket) => sockets.add(socket));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const classifier = createOpenAIClassifier({
+      apiKey: 'key',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeoutMs: 100
+    });
+    await assert.rejects(classifier.classify('text'), /timed out after 100ms/);
+  } finally {
+    sockets.forEach((socket) => socket.destroy());
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { createOpenAIProvider } = require('../cloud/providers/ai/openai');
+
+// Serves `handler` on a free port for the duration of `run`
+const withServer = async (handler, run) => {
+  const sockets = new Set();
+  const server = http.createServer(handler);
+  server.on('connection', (socket) => sockets.add(socket));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    sockets.forEach((socket) => socket.destroy());
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+const completion = {
+  model: 'test-model',
+  choices: [{ message: { content: ' A roast. ' } }],
+  usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+};
+
+test('returns the completion and its usage', async () => {
+  await withServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(completion));
+  }, async (baseUrl) => {
+    const provider = createOpenAIProvider({ apiKey: 'key', baseUrl });
+    const result = await provider.generate({ system: 's', prompt: 'p' });
+
+    assert.deepStrictEqual(result, {
+      text: 'A roast.',
+      model: 'test-model',
+      usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 }
+    });
+  });
+});
+
+test('times out when the body stalls after the headers', async () => {
+  await withServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.write('{"choices": [');
+  }, async (baseUrl) => {
+    const provider = createOpenAIProvider({ apiKey: 'key', baseUrl, timeoutMs: 100 });
+
+    await assert.rejects(provider.generate({ system: 's', prompt: 'p' }), /timed out after 100ms/);
+  });
+});
+
+test('reports the status of failed responses', async () => {
+  await withServer((req, res) => {
+    res.statusCode = 429;
+    res.end('slow down');
+  }, async (baseUrl) => {
+    const provider = createOpenAIProvider({ apiKey: 'key', baseUrl });
+
+    await assert.rejects(provider.generate({ system: 's', prompt: 'p' }), (error) => {
+      assert.strictEqual(error.status, 429);
+      assert.match(error.message, /429: slow down/);
+      return true;
+    });
+  });
+});
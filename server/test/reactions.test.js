@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUser, requireServer, rowsOf, runFunction, uniqueIndex } = require('./helpers/parse');
+
+const { ROAST_VISIBILITY, setRoastVisibility, trendingScore } = requireServer('cloud/services/roasts');
+const { REACTION_TYPES, setReaction, afterSaveReaction, recomputeTrendingScores } = requireServer('cloud/services/reactions');
+const { suspendAccount, reinstateAccount } = requireServer('cloud/services/accounts');
+requireServer('cloud/api/reactions');
+
+uniqueIndex('RoastReaction', ['roast', 'user', 'type']);
+
+const publicRoast = async (owner) => {
+  const roast = new Parse.Object('Roast');
+  roast.set('owner', owner);
+  roast.set('name', 'Sam');
+  roast.set('text', 'You are so late, even your alarm clock gave up on you.');
+  roast.set('status', 'saved');
+  await roast.save(null, { useMasterKey: true });
+  await setRoastVisibility(roast, ROAST_VISIBILITY.PUBLIC);
+  return roast;
+};
+
+test('concurrent first reactions of one user leave one row', async () => {
+  const owner = await createUser('reactions-owner@example.com');
+  const fan = await createUser('reactions-fan@example.com');
+  const roast = await publicRoast(owner);
+
+  await Promise.all([
+    setReaction(fan, roast, REACTION_TYPES.EMOJI, 'fire'),
+    setReaction(fan, roast, REACTION_TYPES.EMOJI, 'skull')
+  ]);
+
+  const rows = rowsOf('RoastReaction').filter((row) => row.roast.objectId === roast.id);
+  assert.strictEqual(rows.length, 1);
+});
+
+test('the trending score follows the final engagement under concurrent reactions', async () => {
+  const owner = await createUser('trending-owner@example.com');
+  const roast = await publicRoast(owner);
+
+  const reactions = await Promise.all([1, 2, 3, 4, 5].map(async (n) => {
+    const fan = await createUser(`trending-fan-${n}@example.com`);
+    const reaction = new Parse.Object('RoastReaction');
+    reaction.set({ roast, user: fan, type: REACTION_TYPES.EMOJI, emoji: 'fire' });
+    await reaction.save(null, { useMasterKey: true });
+    return reaction;
+  }));
+  await Promise.all(reactions.map((reaction) => afterSaveReaction({ object: reaction })));
+
+  await roast.fetch({ useMasterKey: true });
+  assert.strictEqual(roast.get('engagement'), 5);
+  assert.strictEqual(roast.get('trendingScore'), trendingScore(5, roast.get('publishedAt')));
+});
+
+test('reactions can be taken back after the roast is made private', async () => {
+  const owner = await createUser('private-owner@example.com');
+  const fan = await createUser('private-fan@example.com');
+  const roast = await publicRoast(owner);
+
+  await runFunction('reactToRoast', { roastId: roast.id, emoji: 'fire' }, { user: fan });
+  await setRoastVisibility(roast, ROAST_VISIBILITY.PRIVATE);
+
+  const result = await runFunction('removeRoastReaction', { roastId: roast.id, type: 'emoji' }, { user: fan });
+  assert.deepStrictEqual(result.mine, { emoji: null, rating: null });
+
+  await assert.rejects(
+    runFunction('removeRoastReaction', { roastId: roast.id, type: 'emoji' }, { user: owner }),
+    /Roast not found/
+  );
+});
+
+test('public roasts of a suspended owner are not publicly readable', async () => {
+  const owner = await createUser('suspended-owner@example.com');
+  const moderator = await createUser('suspending-moderator@example.com');
+  const roast = await publicRoast(owner);
+  assert.strictEqual(roast.getACL().getPublicReadAccess(), true);
+
+  await suspendAccount(owner, { actor: moderator, reason: 'Spam' });
+  await roast.fetch({ useMasterKey: true });
+  assert.strictEqual(roast.getACL().getPublicReadAccess(), false);
+
+  await reinstateAccount(owner);
+  await roast.fetch({ useMasterKey: true });
+  assert.strictEqual(roast.getACL().getPublicReadAccess(), true);
+});
+
+test('recomputeTrendingScores repairs counters without overwriting them', async () => {
+  const owner = await createUser('recount-owner@example.com');
+  const fan = await createUser('recount-fan@example.com');
+  const roast = await publicRoast(owner);
+
+  // A reaction whose trigger never ran
+  const reaction = new Parse.Object('RoastReaction');
+  reaction.set({ roast, user: fan, type: REACTION_TYPES.RATING, rating: 5 });
+  await reaction.save(null, { useMasterKey: true });
+
+  const stats = await recomputeTrendingScores();
+  assert.ok(stats.corrected >= 1);
+
+  await roast.fetch({ useMasterKey: true });
+  assert.strictEqual(roast.get('ratingCount'), 1);
+  assert.strictEqual(roast.get('ratingSum'), 5);
+  assert.strictEqual(roast.get('engagement'), 2);
+  assert.strictEqual(roast.get('trendingScore'), trendingScore(2, roast.get('publishedAt')));
+
+  assert.strictEqual((await recomputeTrendingScores()).corrected, 0);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireServer } = require('./helpers/parse');
+
+const { createRedactor } = requireServer('utils/redact');
+
+const WALLET = 'xch1qyz7f0hs3cxdyluw6kdakxx9ef0u0sqv5lgw4ym3dmz3zw7hq6qsrrk9c';
+
+test('emails, phones, session tokens and wallets are masked in strings', () => {
+  const redact = createRedactor();
+
+  assert.strictEqual(redact('Invite sent to alice@example.com'), 'Invite sent to a***@example.com');
+  assert.strictEqual(redact('Texted +1 415 555 0100 today'), 'Texted ***00 today');
+  assert.strictEqual(redact('Call (415) 555-0123'), 'Call ***23');
+  assert.strictEqual(redact('session r:0123456789abcdef0123456789abcdef'), 'session r:***');
+  assert.strictEqual(redact(`paid by ${WALLET}`), 'paid by xch1qyz7…rk9c');
+});
+
+test('dates and ids are left alone', () => {
+  const redact = createRedactor();
+  const message = 'Roast 8f3k2j9d0a saved 2026-10-19 at 18:01:29';
+  assert.strictEqual(redact(message), message);
+});
+
+test('metadata is redacted deeply, with secrets masked by key', () => {
+  const redact = createRedactor();
+  const error = new Error('No user with email bob@example.com');
+
+  const result = redact({
+    user: { email: 'bob@example.com', password: 'correct horse', sessionToken: 'abc' },
+    headers: { Authorization: 'Bearer hrk_secret' },
+    recipients: ['carol@example.com'],
+    at: new Date(0),
+    count: 3,
+    error
+  });
+
+  assert.deepStrictEqual(result.user, { email: 'b***@example.com', password: '[redacted]', sessionToken: '[redacted]' });
+  assert.strictEqual(result.headers.Authorization, '[redacted]');
+  assert.deepStrictEqual(result.recipients, ['c***@example.com']);
+  assert.deepStrictEqual(result.at, new Date(0));
+  assert.strictEqual(result.count, 3);
+  assert.strictEqual(result.error.message, 'No user with email b***@example.com');
+  assert.strictEqual(result.error.name, 'Error');
+});
+
+test('Parse objects are redacted through toJSON, and deep values are cut off', () => {
+  const redact = createRedactor();
+  const user = new Parse.User();
+  user.set('email', 'dana@example.com');
+  assert.strictEqual(redact({ user }).user.email, 'd***@example.com');
+
+  let nested = { email: 'deep@example.com' };
+  for (let n = 0; n < 10; n += 1) nested = { nested };
+  assert.match(JSON.stringify(redact(nested)), /\[truncated\]/);
+});
+
+test('each kind can be turned off', () => {
+  const redact = createRedactor(['tokens']);
+
+  assert.strictEqual(redact('alice@example.com +1 415 555 0100'), 'alice@example.com +1 415 555 0100');
+  assert.strictEqual(redact({ token: 'abc' }).token, '[redacted]');
+  assert.strictEqual(createRedactor([])({ token: 'abc' }).token, 'abc');
+});
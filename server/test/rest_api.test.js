@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createUser, requireServer, rowsOf } = require('./helpers/parse');
+
+process.env.CONSENT_SECRET = 'test-consent-secret';
+
+const { createRestApi } = requireServer('cloud/services/rest_api');
+const { API_KEY_SCOPES, createApiKey, takeRoastQuota } = requireServer('cloud/services/api_keys');
+const { LIMITS } = requireServer('cloud/services/throttle');
+const { ensureRoastStyles } = requireServer('cloud/services/roast_styles');
+const { parseContact, requestOptOut, confirmOptOut } = requireServer('cloud/services/roastee_consent');
+const { setSmsTransport } = requireServer('cloud/providers/sms');
+const { createCaptureSmsTransport } = requireServer('cloud/providers/sms/capture');
+
+const sms = createCaptureSmsTransport();
+setSmsTransport(sms);
+
+test.before(() => ensureRoastStyles());
+
+// Serve the router on a free port; `X-Forwarded-For` picks the caller's IP
+const withApi = async (run) => {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use('/api/v2', createRestApi());
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}/api/v2`;
+
+  try {
+    await run((path, { key, ip, body }) => fetch(`${base}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: { Authorization: `Bearer ${key}`, 'X-Forwarded-For': ip, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    }));
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+};
+
+test('keys without the route scope are refused', async () => {
+  const user = await createUser('api-scope@example.com');
+  const { key } = await createApiKey(user, { name: 'Styles only', scopes: [API_KEY_SCOPES.STYLES_READ] });
+
+  await withApi(async (get) => {
+    const response = await get('/me/usage', { key, ip: '198.51.100.20' });
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).error.code, 'forbidden');
+  });
+});
+
+test('invalid keys back the IP off before any key is checked', async () => {
+  const user = await createUser('api-guess@example.com');
+  const { key } = await createApiKey(user, { name: 'Usage', scopes: [API_KEY_SCOPES.USAGE_READ] });
+  const ip = '198.51.100.21';
+
+  await withApi(async (get) => {
+    for (let n = 0; n < LIMITS.ipBackoffAfter; n += 1) {
+      const response = await get('/me/usage', { key: `hrk_guess${n}`, ip });
+      assert.strictEqual(response.status, 401);
+    }
+
+    const blocked = await get('/me/usage', { key, ip });
+    assert.strictEqual(blocked.status, 429);
+    assert.ok(blocked.headers.get('retry-after'));
+
+    const elsewhere = await get('/me/usage', { key, ip: '198.51.100.22' });
+    assert.strictEqual(elsewhere.status, 200);
+  });
+});
+
+test('the daily roast quota of a key runs out', async () => {
+  const user = await createUser('api-quota@example.com');
+  const { apiKey } = await createApiKey(user, { name: 'Quota', scopes: [API_KEY_SCOPES.ROASTS_WRITE], roastsPerDay: 1 });
+
+  const usage = await takeRoastQuota(apiKey);
+  assert.strictEqual(usage.get('roasts'), 1);
+
+  await assert.rejects(takeRoastQuota(apiKey), (error) => error.code === Parse.Error.REQUEST_LIMIT_EXCEEDED);
+  await usage.fetch({ useMasterKey: true });
+  assert.strictEqual(usage.get('roasts'), 1);
+});
+
+test('roasts of a name on the opt-out registry are refused', async () => {
+  const user = await createUser('api-opt-out@example.com');
+  const { key } = await createApiKey(user, { name: 'Roasts', scopes: [API_KEY_SCOPES.ROASTS_WRITE] });
+  await requestOptOut({ name: 'Casey Jones', contact: parseContact({ phone: '+1 415 555 0110' }), ip: '198.51.100.24' });
+  await confirmOptOut(new URL(sms.messages[0].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token'));
+
+  await withApi(async (request) => {
+    const response = await request('/roasts', {
+      key,
+      ip: '198.51.100.23',
+      body: {
+        name: 'Casey Jones',
+        roastPoints: ['always late', 'talks about crypto', 'owns six cats', 'sings in meetings', 'never tips', 'quotes movies']
+      }
+    });
+    assert.strictEqual(response.status, 403);
+    assert.match((await response.json()).error.message, /asked not to be roasted/);
+  });
+  assert.ok(!rowsOf('Roast').some((row) => row.name === 'Casey Jones'));
+});
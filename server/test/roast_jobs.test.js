@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUser, requireServer, rowsOf } = require('./helpers/parse');
+
+process.env.FREE_ROASTS_PER_DAY = '0';
+
+const { setProvider } = requireServer('cloud/providers/ai');
+const { validateRoastInput } = requireServer('cloud/services/roast_generator');
+const { ensureRoastStyles, resolveRoastStyle } = requireServer('cloud/services/roast_styles');
+const { appendTransaction, getBalance, TRANSACTION_TYPES } = requireServer('cloud/services/credits');
+const { startRoastJob, cancelJob, reapStaleJobs, getOwnedJob, JOB_STATUS } = requireServer('cloud/services/roast_jobs');
+
+// Answers once `release` is called, or fails when the call is aborted
+const pendingCalls = [];
+setProvider({
+  name: 'test',
+  generate: ({ signal }) => new Promise((resolve, reject) => {
+    signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+    pendingCalls.push(() => resolve({
+      text: 'You are so late, even your alarm clock gave up on you.',
+      model: 'test',
+      usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 }
+    }));
+  })
+});
+
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (await check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting');
+};
+
+const refunds = (user) => rowsOf('CreditTransaction')
+  .filter((row) => row.user.objectId === user.id && row.type === TRANSACTION_TYPES.REFUND);
+
+const startJob = async (email) => {
+  const user = await createUser(email);
+  await appendTransaction(user, { amount: 5, type: TRANSACTION_TYPES.GRANT, reason: 'test' });
+  const { input, style } = await resolveRoastStyle(validateRoastInput({
+    name: 'Sam',
+    roastPoints: ['always late', 'talks about crypto', 'owns six cats', 'sings in meetings', 'never tips', 'quotes movies']
+  }));
+  const job = await startRoastJob(user, input, { style });
+  await waitFor(() => pendingCalls.length > 0);
+  return { user, job };
+};
+
+test.before(() => ensureRoastStyles());
+
+test('cancelling a running job refunds it once', async () => {
+  const { user, job } = await startJob('cancel@example.com');
+
+  assert.strictEqual(await cancelJob(await getOwnedJob(user, job.id)), true);
+  assert.strictEqual(await cancelJob(await getOwnedJob(user, job.id)), false);
+  await waitFor(async () => refunds(user).length > 0);
+  pendingCalls.shift()();
+
+  assert.strictEqual((await getOwnedJob(user, job.id)).get('status'), JOB_STATUS.CANCELLED);
+  assert.strictEqual(refunds(user).length, 1);
+  assert.strictEqual(await getBalance(user), 5);
+});
+
+test('cancelling a finished job changes nothing', async () => {
+  const { user, job } = await startJob('done@example.com');
+  pendingCalls.shift()();
+  await waitFor(async () => (await getOwnedJob(user, job.id)).get('status') === JOB_STATUS.DONE);
+
+  assert.strictEqual(await cancelJob(await getOwnedJob(user, job.id)), false);
+  assert.strictEqual((await getOwnedJob(user, job.id)).get('status'), JOB_STATUS.DONE);
+  assert.strictEqual(refunds(user).length, 0);
+  assert.strictEqual(await getBalance(user), 4);
+});
+
+test('a job cancelled while stale is not reaped and refunded again', async () => {
+  const { user, job } = await startJob('stale@example.com');
+  const stale = await getOwnedJob(user, job.id);
+  stale.set('expiresAt', new Date(Date.now() - 1000));
+  await stale.save(null, { useMasterKey: true });
+
+  // Both look at the job before either ends it
+  const [cancelled, reaped] = await Promise.all([cancelJob(await getOwnedJob(user, job.id)), reapStaleJobs()]);
+  await waitFor(async () => refunds(user).length > 0);
+
+  assert.strictEqual(Number(cancelled) + reaped, 1);
+  assert.ok([JOB_STATUS.CANCELLED, JOB_STATUS.FAILED].includes((await getOwnedJob(user, job.id)).get('status')));
+  assert.strictEqual(refunds(user).length, 1);
+});
+
+test.after(() => pendingCalls.forEach((release) => release()));
@@ -0,0 +1,15 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireServer, rowsOf, uniqueIndex } = require('./helpers/parse');
+
+const { ensureRoastStyles } = requireServer('cloud/services/roast_styles');
+
+uniqueIndex('RoastStyle', ['key']);
+
+test('instances seeding the default styles at once create each style once', async () => {
+  await Promise.all([ensureRoastStyles(), ensureRoastStyles(), ensureRoastStyles()]);
+
+  const keys = rowsOf('RoastStyle').map((row) => row.key);
+  assert.ok(keys.length > 0);
+  assert.strictEqual(new Set(keys).size, keys.length);
+});
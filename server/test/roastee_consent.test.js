@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUser, requireServer, rowsOf, runFunction } = require('./helpers/parse');
+
+process.env.CONSENT_SECRET = 'test-consent-secret';
+
+const { setSmsTransport } = requireServer('cloud/providers/sms');
+const { createCaptureSmsTransport } = requireServer('cloud/providers/sms/capture');
+const {
+  parseContact,
+  assertRoasteeNotOptedOut,
+  requestOptOut,
+  confirmOptOut,
+  getConsentInvite
+} = requireServer('cloud/services/roastee_consent');
+
+const { setProvider } = requireServer('cloud/providers/ai');
+const { ensureRoastStyles } = requireServer('cloud/services/roast_styles');
+requireServer('cloud/api/ai_generators');
+requireServer('cloud/api/roast_jobs');
+
+const sms = createCaptureSmsTransport();
+setSmsTransport(sms);
+
+setProvider({
+  name: 'test',
+  generate: async () => ({
+    text: 'You plan heists like you plan weekends: never.',
+    model: 'test',
+    usage: { promptTokens: 1, completionTokens: 1, totalTokens: 2 }
+  })
+});
+
+const roastParams = (name) => ({
+  name,
+  roastPoints: ['always late', 'talks about crypto', 'owns six cats', 'sings in meetings', 'never tips', 'quotes movies']
+});
+
+// The token of the last link texted to anyone
+const lastToken = () => new URL(sms.messages[sms.messages.length - 1].text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+test.before(() => ensureRoastStyles());
+
+const optOut = async (name, phone) => {
+  await requestOptOut({ name, contact: parseContact({ phone }), ip: '198.51.100.9' });
+  return lastToken();
+};
+
+test('a confirmed opt-out refuses roasts of its address, or of its name without another address', async () => {
+  const contact = parseContact({ phone: '+1 415 555 0100' });
+  await confirmOptOut(await optOut('Sam Smith', '+1 415 555 0100'));
+
+  await assert.rejects(assertRoasteeNotOptedOut('Someone Else', contact), /asked not to be roasted/);
+  await assert.rejects(assertRoasteeNotOptedOut('sam  SMITH', null), /asked not to be roasted/);
+  assert.strictEqual(await assertRoasteeNotOptedOut('Sam Smith', parseContact({ phone: '+1 415 555 0199' })), true);
+  assert.strictEqual(await assertRoasteeNotOptedOut('Someone Else', null), false);
+});
+
+test('nothing is registered until the link is opened', async () => {
+  await optOut('Alex Doe', '+1 415 555 0101');
+  assert.strictEqual(await assertRoasteeNotOptedOut('Alex Doe', parseContact({ phone: '+1 415 555 0101' })), false);
+});
+
+test('roasts of a registered name are refused by generateRoast and createRoastJob', async () => {
+  const user = await createUser('by-name@example.com');
+  await confirmOptOut(await optOut('Robin Banks', '+1 415 555 0103'));
+
+  await assert.rejects(runFunction('generateRoast', roastParams('Robin Banks'), { user }), /asked not to be roasted/);
+  await assert.rejects(runFunction('createRoastJob', roastParams('Robin Banks'), { user }), /asked not to be roasted/);
+  assert.ok(!rowsOf('Roast').some((row) => row.name === 'Robin Banks'));
+});
+
+test('a registered name given with another address waits for that roastee', async () => {
+  const user = await createUser('other-robin@example.com');
+  await confirmOptOut(await optOut('Robin Hood', '+1 415 555 0104'));
+
+  const result = await runFunction('generateRoast', { ...roastParams('Robin Hood'), roasteePhone: '+1 415 555 0105' }, { user });
+  assert.strictEqual(result.consentError, null);
+
+  const roast = rowsOf('Roast').find((row) => row.objectId === result.roast.id);
+  assert.strictEqual(roast.consentStatus, 'pending');
+});
+
+test('tampered, expired and mistyped tokens are refused', async (t) => {
+  const token = await optOut('Jo Lee', '+1 415 555 0102');
+  const [body, signature] = token.split('.');
+  const before = rowsOf('RoastOptOut').length;
+
+  const flipped = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+  await assert.rejects(confirmOptOut(`${body}.${flipped}`), /invalid or has expired/);
+  await assert.rejects(confirmOptOut(body), /invalid or has expired/);
+
+  // A valid opt-out token is not an invitation token
+  await assert.rejects(getConsentInvite(token), /invalid or has expired/);
+
+  t.mock.method(Date, 'now', () => new Date().getTime() + 3 * 24 * 60 * 60 * 1000);
+  await assert.rejects(confirmOptOut(token), /invalid or has expired/);
+  t.mock.restoreAll();
+
+  assert.strictEqual(rowsOf('RoastOptOut').length, before);
+  await confirmOptOut(token);
+  assert.strictEqual(rowsOf('RoastOptOut').length, before + 1);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { cloud, requireServer, rowsOf } = require('./helpers/parse');
+
+const { RUN_STATUS, defineJob, purgeJobRuns } = requireServer('cloud/services/scheduler');
+
+defineJob('cleanUpTestData', async () => ({ cleaned: 1 }));
+
+const abandonedRun = async (job, lockExpiresAt) => {
+  const run = new Parse.Object('JobRun');
+  run.set({ job, trigger: 'schedule', status: RUN_STATUS.RUNNING, startedAt: new Date(Date.now() - 60 * 1000), lockExpiresAt });
+  await run.save(null, { useMasterKey: true });
+  return run;
+};
+
+test('a run marks earlier runs of its job whose lock expired as failed', async () => {
+  const dead = await abandonedRun('cleanUpTestData', new Date(Date.now() - 1000));
+
+  await cloud.jobs.cleanUpTestData({ params: {}, message: () => {} });
+
+  await dead.fetch({ useMasterKey: true });
+  assert.strictEqual(dead.get('status'), RUN_STATUS.FAILED);
+  assert.match(dead.get('error'), /lock expired/);
+
+  const runs = rowsOf('JobRun').filter((row) => row.job === 'cleanUpTestData');
+  assert.strictEqual(runs.filter((row) => row.status === RUN_STATUS.SUCCEEDED).length, 1);
+});
+
+test('purgeJobRuns fails abandoned runs and leaves live ones running', async () => {
+  const dead = await abandonedRun('someOtherJob', new Date(Date.now() - 1000));
+  const live = await abandonedRun('someOtherJob', new Date(Date.now() + 60 * 1000));
+
+  const removed = await purgeJobRuns();
+  assert.strictEqual(removed.abandoned, 1);
+
+  await Promise.all([dead.fetch({ useMasterKey: true }), live.fetch({ useMasterKey: true })]);
+  assert.strictEqual(dead.get('status'), RUN_STATUS.FAILED);
+  assert.strictEqual(live.get('status'), RUN_STATUS.RUNNING);
+});
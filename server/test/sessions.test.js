@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { createUser, requireServer, rowsOf } = require('./helpers/parse');
+
+const { sessionActivity } = requireServer('cloud/services/sessions');
+
+const createSession = async (user, sessionToken) => {
+  const session = new Parse.Object('_Session');
+  session.set({ user, sessionToken, expiresAt: new Date(Date.now() + 60 * 1000) });
+  await session.save(null, { useMasterKey: true });
+  return session;
+};
+
+// Run a request through the middleware and let its background update finish
+const request = async (sessionToken, statusCode) => {
+  const headers = { 'x-parse-session-token': sessionToken, 'user-agent': 'Mozilla/5.0 (Macintosh) Firefox/130.0' };
+  const req = { ip: '198.51.100.7', body: {}, get: (name) => headers[name.toLowerCase()] };
+  const res = new EventEmitter();
+  res.statusCode = statusCode;
+
+  sessionActivity(req, res, () => {});
+  res.emit('finish');
+  await new Promise((resolve) => setTimeout(resolve, 20));
+};
+
+const sessionRow = (sessionToken) => rowsOf('_Session').find((row) => row.sessionToken === sessionToken);
+
+test('a session created outside loginUser is started on its first request', async () => {
+  const user = await createUser('session-rest@example.com');
+  await createSession(user, 'r:rest-login');
+
+  await request('r:rest-login', 200);
+
+  const row = sessionRow('r:rest-login');
+  assert.strictEqual(row.device, 'Firefox on macOS');
+  assert.strictEqual(row.ip, '198.51.100.7');
+  assert.strictEqual(row.rememberMe, false);
+  assert.ok(row.lastSeenAt);
+});
+
+test('failed requests do not touch the session', async () => {
+  const user = await createUser('session-refused@example.com');
+  await createSession(user, 'r:refused');
+
+  await request('r:refused', 400);
+
+  assert.strictEqual(sessionRow('r:refused').lastSeenAt, undefined);
+});
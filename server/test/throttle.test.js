@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireServer } = require('./helpers/parse');
+
+const { setThrottleStore, getThrottleStore } = requireServer('cloud/providers/throttle_store');
+const { createMemoryStore } = requireServer('cloud/providers/throttle_store/memory');
+const {
+  LIMITS,
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = requireServer('cloud/services/throttle');
+const { THROTTLED_CODE, formatRetryAfter, retryAfterHeaders } = requireServer('utils/retry_after');
+
+test.beforeEach(() => setThrottleStore(createMemoryStore()));
+
+// Move the clock `ms` ahead for the rest of the test
+const advance = (t, ms) => {
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + ms);
+};
+
+const fail = async (attempt, times) => {
+  for (let n = 0; n < times; n += 1) await recordLoginFailure(attempt);
+};
+
+test('an account backs off after repeated failures, doubling each time', async (t) => {
+  const attempt = { email: 'backoff@example.com', ip: '203.0.113.1' };
+
+  await fail(attempt, LIMITS.accountBackoffAfter - 1);
+  await assertLoginAllowed(attempt);
+
+  await fail(attempt, 1);
+  await assert.rejects(assertLoginAllowed(attempt), (error) => {
+    assert.strictEqual(error.code, Parse.Error.REQUEST_LIMIT_EXCEEDED);
+    assert.match(error.message, /Too many failed login attempts\. Retry after 1 second\.$/);
+    return true;
+  });
+
+  await fail(attempt, 1);
+  await assert.rejects(assertLoginAllowed(attempt), /Retry after 2 seconds\.$/);
+
+  advance(t, 2 * LIMITS.backoffBaseMs);
+  await assertLoginAllowed(attempt);
+});
+
+test('a successful login forgets the failures', async () => {
+  const attempt = { email: 'success@example.com', ip: '203.0.113.2' };
+
+  await fail(attempt, LIMITS.accountBackoffAfter);
+  await assert.rejects(assertLoginAllowed(attempt));
+
+  await recordLoginSuccess(attempt);
+  await assertLoginAllowed(attempt);
+});
+
+test('an account locks at the threshold until the lockout ends', async (t) => {
+  const attempt = { email: 'lockout@example.com', ip: '203.0.113.3' };
+
+  await fail(attempt, LIMITS.lockoutThreshold);
+  await assert.rejects(assertLoginAllowed(attempt), /temporarily locked/);
+
+  // Logging in from elsewhere does not get around it, and a success does not lift it
+  await assert.rejects(assertLoginAllowed({ ...attempt, ip: '203.0.113.4' }), /temporarily locked/);
+  await recordLoginSuccess(attempt);
+  await assert.rejects(assertLoginAllowed(attempt), /temporarily locked/);
+
+  advance(t, LIMITS.lockoutMs);
+  await assertLoginAllowed(attempt);
+});
+
+test('an IP backs off after failures across many accounts', async () => {
+  const ip = '203.0.113.5';
+  for (let n = 0; n < LIMITS.ipBackoffAfter; n += 1) {
+    await recordLoginFailure({ email: `spray-${n}@example.com`, ip });
+  }
+
+  await assert.rejects(assertLoginAllowed({ email: 'untouched@example.com', ip }), /Too many failed login attempts/);
+  await assertLoginAllowed({ email: 'untouched@example.com', ip: '203.0.113.6' });
+});
+
+test('the memory store expires and purges entries', async (t) => {
+  const store = getThrottleStore();
+  await store.increment('a', 1000);
+  assert.strictEqual((await store.increment('a', 1000)).value, 2);
+  await store.set('b', 'x', 5000);
+
+  advance(t, 1000);
+  assert.strictEqual(await store.get('a'), null);
+  assert.strictEqual((await store.increment('a', 1000)).value, 1);
+  assert.strictEqual(await store.purgeExpired(), 0);
+
+  advance(t, 10 * 1000);
+  assert.strictEqual(await store.purgeExpired(), 2);
+});
+
+// Run a Parse error body through the middleware
+const respond = (body) => {
+  const res = {
+    statusCode: 400,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(payload) { this.body = payload; return this; }
+  };
+  retryAfterHeaders({}, res, () => {});
+  res.json(body);
+  return res;
+};
+
+test('throttled responses become 429s with Retry-After', () => {
+  const res = respond({ code: THROTTLED_CODE, error: formatRetryAfter('Too many failed login attempts.', 1500) });
+
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.headers['Retry-After'], '2');
+  assert.strictEqual(res.body.retryAfter, 2);
+  assert.strictEqual(res.body.error, 'Too many failed login attempts. Retry after 2 seconds.');
+
+  assert.match(formatRetryAfter('Wait.', 10), /Retry after 1 second\.$/);
+
+  const other = respond({ code: Parse.Error.OBJECT_NOT_FOUND, error: 'Invalid username/password.' });
+  assert.strictEqual(other.statusCode, 400);
+  assert.strictEqual(other.headers['Retry-After'], undefined);
+});
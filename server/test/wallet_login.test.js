@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { requireServer } = require('./helpers/parse');
+const { createWallet, signChallenge } = require('./helpers/chia');
+
+const chiaAdapter = requireServer('adapters/auth/chia');
+const { WALLET_CHALLENGE_CLASS, issueChallenge } = requireServer('cloud/services/wallet_challenges');
+const { NETWORK_PREFIXES, decodeAddress, encodeAddress } = requireServer('utils/chia');
+
+test('a valid signature logs in with the wallet address and key', async () => {
+  const wallet = createWallet();
+  const authData = signChallenge(wallet, await issueChallenge(wallet.address));
+
+  const { save } = await chiaAdapter.validateAuthData(authData);
+  assert.deepStrictEqual(save, { id: wallet.address, publicKey: wallet.publicKey });
+});
+
+test('a signature from another key, or for another address, is refused', async () => {
+  const wallet = createWallet();
+  const impostor = createWallet();
+  const challenge = await issueChallenge(wallet.address);
+
+  // The impostor's key does not control the address
+  await assert.rejects(
+    chiaAdapter.validateAuthData({ ...signChallenge(impostor, challenge), id: wallet.address }),
+    /Invalid wallet signature/
+  );
+
+  // The challenge was issued for another address
+  await assert.rejects(
+    chiaAdapter.validateAuthData(signChallenge(impostor, challenge)),
+    /Unknown wallet challenge/
+  );
+
+  // Refusals do not burn the challenge
+  await chiaAdapter.validateAuthData(signChallenge(wallet, challenge));
+});
+
+test('an expired challenge is refused', async () => {
+  const wallet = createWallet();
+  const challenge = await issueChallenge(wallet.address);
+
+  const stored = await new Parse.Query(WALLET_CHALLENGE_CLASS).equalTo('nonce', challenge.nonce).first({ useMasterKey: true });
+  stored.set('expiresAt', new Date(Date.now() - 1000));
+  await stored.save(null, { useMasterKey: true });
+
+  await assert.rejects(chiaAdapter.validateAuthData(signChallenge(wallet, challenge)), /has expired/);
+});
+
+test('a challenge can be used once, even by concurrent logins', async () => {
+  const wallet = createWallet();
+  const authData = signChallenge(wallet, await issueChallenge(wallet.address));
+
+  const results = await Promise.allSettled([
+    chiaAdapter.validateAuthData(authData),
+    chiaAdapter.validateAuthData(authData)
+  ]);
+  assert.deepStrictEqual(results.map((result) => result.status).sort(), ['fulfilled', 'rejected']);
+
+  await assert.rejects(chiaAdapter.validateAuthData(authData), /already been used/);
+});
+
+test('malformed and foreign bech32m addresses are refused', async () => {
+  const wallet = createWallet();
+  const flipped = `${wallet.address.slice(0, -1)}${wallet.address.endsWith('q') ? 'p' : 'q'}`;
+
+  assert.throws(() => decodeAddress(flipped), /checksum/);
+  assert.throws(() => decodeAddress(wallet.address.toUpperCase().slice(0, 10) + wallet.address.slice(10)), /Invalid address/);
+  assert.throws(() => decodeAddress('xch1qqqq'), /Invalid address/);
+  assert.strictEqual(decodeAddress(wallet.address).prefix, NETWORK_PREFIXES.mainnet);
+
+  await assert.rejects(issueChallenge(flipped), /Invalid Chia address for mainnet/);
+  await assert.rejects(
+    issueChallenge(encodeAddress(decodeAddress(wallet.address).puzzleHash, NETWORK_PREFIXES.testnet)),
+    /Invalid Chia address for mainnet/
+  );
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createUser, requireServer, rowsOf, runFunction } = require('./helpers/parse');
+
+const { ROLES, ensureRoles, setUserRole } = requireServer('cloud/services/roles');
+const { createEndpoint, emitEvent, WEBHOOK_EVENTS } = requireServer('cloud/services/webhooks');
+requireServer('cloud/api/webhooks');
+
+const adminWithEndpoint = async (email) => {
+  await ensureRoles();
+  const admin = await createUser(email);
+  await setUserRole(admin, ROLES.ADMIN, true);
+  const { endpoint } = await createEndpoint(admin, {
+    url: 'https://203.0.113.10/hooks',
+    events: [WEBHOOK_EVENTS.USER_REGISTERED],
+    allUsers: true
+  });
+  return { admin, endpoint };
+};
+
+test('allUsers endpoints stop receiving events once the owner loses admin', async () => {
+  const { admin, endpoint } = await adminWithEndpoint('hooks-admin@example.com');
+
+  assert.strictEqual(await emitEvent(WEBHOOK_EVENTS.USER_REGISTERED, { data: { n: 1 } }), 1);
+
+  await setUserRole(admin, ROLES.ADMIN, false);
+  assert.strictEqual(await emitEvent(WEBHOOK_EVENTS.USER_REGISTERED, { data: { n: 2 } }), 0);
+
+  await endpoint.fetch({ useMasterKey: true });
+  assert.strictEqual(endpoint.get('active'), false);
+  assert.ok(endpoint.get('disabledAt'));
+});
+
+test('changing an allUsers endpoint needs admin and a reason, and is audited', async () => {
+  const { admin, endpoint } = await adminWithEndpoint('hooks-audit@example.com');
+
+  await assert.rejects(
+    runFunction('updateWebhookEndpoint', { endpointId: endpoint.id, description: 'x' }, { user: admin })
+  );
+  await runFunction('updateWebhookEndpoint', { endpointId: endpoint.id, description: 'x', reason: 'Rename' }, { user: admin });
+  assert.ok(rowsOf('AuditLog').some((row) => row.action === 'webhook.update'));
+
+  await setUserRole(admin, ROLES.ADMIN, false);
+  await assert.rejects(
+    runFunction('deleteWebhookEndpoint', { endpointId: endpoint.id, reason: 'Cleanup' }, { user: admin })
+  );
+  assert.ok(rowsOf('WebhookEndpoint').some((row) => row.objectId === endpoint.id));
+});
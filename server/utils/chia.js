@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const { bls12_381: bls } = require('@noble/curves/bls12-381');
+
+/**
+ * Chia Crypto Helpers
+ * Offline address and message-signature checks for wallets connected over WalletConnect.
+ * Everything here works from the public key, signature and address alone: no node required.
+ */
+
+// AugSchemeMPL domain separation tag used by Chia wallets
+const AUG_SCHEME_DST = 'BLS_SIG_BLS12381G2_XMD:SHA-256_SSWU_RO_AUG_';
+
+// CHIP-0002 prefix for `chia_signMessageByAddress`
+const SIGNED_MESSAGE_PREFIX = 'Chia Signed Message';
+
+// Tree hash of p2_delegated_puzzle_or_hidden_puzzle (the standard transaction puzzle)
+const STANDARD_PUZZLE_MOD_HASH = 'e9aaa49f45bad5c889b86ee3341550c155cfdd10c3a6757de618d20612fffd52';
+
+const NETWORK_PREFIXES = {
+  mainnet: 'xch',
+  testnet: 'txch'
+};
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32M_CONST = 0x2bc830a3;
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+// CLVM tree hashing: atoms are prefixed with 0x01, pairs with 0x02
+const atomHash = (bytes) => sha256(Buffer.from([1]), Buffer.from(bytes));
+const pairHash = (left, right) => sha256(Buffer.from([2]), left, right);
+const listHash = (items) => items.reduceRight((rest, item) => pairHash(item, rest), atomHash([]));
+
+const polymod = (values) => {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  values.forEach((value) => {
+    const top = chk >> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    generators.forEach((generator, index) => {
+      if ((top >> index) & 1) chk ^= generator;
+    });
+  });
+  return chk;
+};
+
+const hrpExpand = (hrp) => [
+  ...hrp.split('').map((char) => char.charCodeAt(0) >> 5),
+  0,
+  ...hrp.split('').map((char) => char.charCodeAt(0) & 31)
+];
+
+const convertBits = (data, fromBits, toBits, pad) => {
+  let acc = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+
+  for (const value of data) {
+    acc = (acc << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((acc >> bits) & maxValue);
+    }
+  }
+
+  if (pad) {
+    if (bits > 0) result.push((acc << (toBits - bits)) & maxValue);
+  } else if (bits >= fromBits || ((acc << (toBits - bits)) & maxValue)) {
+    throw new Error('Invalid padding');
+  }
+
+  return result;
+};
+
+/**
+ * Decode a bech32m Chia address into `{ prefix, puzzleHash }`
+ * Throws on malformed addresses or bad checksums.
+ */
+const decodeAddress = (address) => {
+  if (typeof address !== 'string' || address !== address.toLowerCase() && address !== address.toUpperCase()) {
+    throw new Error('Invalid address');
+  }
+
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length || lower.length > 90) {
+    throw new Error('Invalid address');
+  }
+
+  const prefix = lower.slice(0, separator);
+  const data = lower.slice(separator + 1).split('').map((char) => BECH32_CHARSET.indexOf(char));
+  if (data.includes(-1) || polymod([...hrpExpand(prefix), ...data]) !== BECH32M_CONST) {
+    throw new Error('Invalid address checksum');
+  }
+
+  const puzzleHash = Buffer.from(convertBits(data.slice(0, -6), 5, 8, false));
+  if (puzzleHash.length !== 32) {
+    throw new Error('Invalid address length');
+  }
+
+  return { prefix, puzzleHash };
+};
+
+/**
+ * Encode a 32-byte puzzle hash as a bech32m address
+ */
+const encodeAddress = (puzzleHash, prefix = NETWORK_PREFIXES.mainnet) => {
+  const data = convertBits(Buffer.from(puzzleHash), 8, 5, true);
+  const checksum = polymod([...hrpExpand(prefix), ...data, 0, 0, 0, 0, 0, 0]) ^ BECH32M_CONST;
+  const checksumWords = [0, 1, 2, 3, 4, 5].map((index) => (checksum >> (5 * (5 - index))) & 31);
+  return `${prefix}1${[...data, ...checksumWords].map((word) => BECH32_CHARSET[word]).join('')}`;
+};
+
+/**
+ * Puzzle hash of the standard transaction puzzle curried with a synthetic public key
+ * Equivalent to `puzzle_for_synthetic_public_key(pk).get_tree_hash()`:
+ * (a (q . MOD) (c (q . PK) 1))
+ */
+const puzzleHashForSyntheticKey = (publicKey) => {
+  const quoteHash = atomHash([1]);
+  const quotedMod = pairHash(quoteHash, Buffer.from(STANDARD_PUZZLE_MOD_HASH, 'hex'));
+  const quotedKey = pairHash(quoteHash, atomHash(publicKey));
+  const curriedArgs = listHash([atomHash([4]), quotedKey, atomHash([1])]);
+  return listHash([atomHash([2]), quotedMod, curriedArgs]);
+};
+
+/**
+ * Hash signed by `chia_signMessageByAddress`: tree hash of ("Chia Signed Message" . message)
+ */
+const signedMessageHash = (message) =>
+  pairHash(atomHash(Buffer.from(SIGNED_MESSAGE_PREFIX, 'utf8')), atomHash(Buffer.from(message, 'utf8')));
+
+/**
+ * Deserialize a CLVM program from its serialized bytes
+ * Atoms become Buffers and pairs `[first, rest]` arrays. Throws on malformed input.
+ */
+const deserializeProgram = (bytes) => {
+  const buffer = Buffer.from(bytes);
+  let offset = 0;
+
+  const readAtom = (first) => {
+    if (first <= 0x7f) return buffer.subarray(offset - 1, offset);
+
+    // The leading one bits give how many bytes hold the length
+    let prefixBits = 0;
+    while (prefixBits < 7 && first & (0x80 >> prefixBits)) prefixBits += 1;
+    if (prefixBits > 5) throw new Error('Invalid CLVM atom length');
+
+    let length = first & (0xff >> (prefixBits + 1));
+    for (let i = 1; i < prefixBits; i++) {
+      if (offset >= buffer.length) throw new Error('Truncated CLVM program');
+      length = length * 256 + buffer[offset++];
+    }
+    if (offset + length > buffer.length) throw new Error('Truncated CLVM program');
+
+    offset += length;
+    return buffer.subarray(offset - length, offset);
+  };
+
+  const read = () => {
+    if (offset >= buffer.length) throw new Error('Truncated CLVM program');
+    const first = buffer[offset++];
+    if (first === 0xff) {
+      const left = read();
+      return [left, read()];
+    }
+    return readAtom(first);
+  };
+
+  const program = read();
+  if (offset !== buffer.length) throw new Error('Trailing bytes after CLVM program');
+  return program;
+};
+
+const treeHash = (node) => (Array.isArray(node) ? pairHash(treeHash(node[0]), treeHash(node[1])) : atomHash(node));
+
+// Items of a proper list, or null
+const listItems = (node) => {
+  const items = [];
+  while (Array.isArray(node)) {
+    items.push(node[0]);
+    node = node[1];
+  }
+  return Buffer.isBuffer(node) && node.length === 0 ? items : null;
+};
+
+const hexBytes = (hex) => Buffer.from(String(hex).replace(/^0x/i, ''), 'hex');
+
+// CLVM integers are big-endian two's complement
+const atomToNumber = (atom) => {
+  if (atom.length === 0) return 0;
+  let value = BigInt(`0x${atom.toString('hex')}`);
+  if (atom[0] & 0x80) value -= 1n << BigInt(atom.length * 8);
+  return Number(value);
+};
+
+const CREATE_COIN = 51;
+
+/**
+ * Memos of the coin a standard-transaction spend created for `puzzleHash` and `amount`
+ * Takes the parent coin's serialized puzzle reveal and solution (from the full node's
+ * `get_puzzle_and_solution`). Wallets spend the standard puzzle with the conditions quoted
+ * in the solution, so no CLVM has to run. Returns the memos as hex strings, or null when
+ * the spend is not of that shape or created no such coin.
+ */
+const standardSpendMemos = ({ puzzleReveal, solution, puzzleHash, amount }) => {
+  try {
+    // (a (q . MOD) (c (q . PK) 1))
+    const puzzle = deserializeProgram(hexBytes(puzzleReveal));
+    const curried = listItems(listItems(puzzle)?.[2]);
+    const publicKey = curried?.[1]?.[1];
+    if (!Buffer.isBuffer(publicKey) || !treeHash(puzzle).equals(puzzleHashForSyntheticKey(publicKey))) {
+      return null;
+    }
+
+    // (() (q . conditions) ())
+    const [hidden, delegated] = listItems(deserializeProgram(hexBytes(solution))) || [];
+    const quoted = Array.isArray(delegated) && Buffer.isBuffer(delegated[0]) && atomToNumber(delegated[0]) === 1;
+    if (!Buffer.isBuffer(hidden) || hidden.length !== 0 || !quoted) {
+      return null;
+    }
+
+    const created = (listItems(delegated[1]) || [])
+      .map((condition) => listItems(condition) || [])
+      .find(([opcode, conditionPuzzleHash, conditionAmount]) => Buffer.isBuffer(opcode)
+        && atomToNumber(opcode) === CREATE_COIN
+        && Buffer.isBuffer(conditionPuzzleHash)
+        && conditionPuzzleHash.toString('hex') === puzzleHash.replace(/^0x/i, '').toLowerCase()
+        && Buffer.isBuffer(conditionAmount)
+        && atomToNumber(conditionAmount) === amount);
+    if (!created) return null;
+
+    return (listItems(created[3]) || [])
+      .filter((memo) => Buffer.isBuffer(memo))
+      .map((memo) => memo.toString('hex'));
+  } catch (error) {
+    return null;
+  }
+};
+
+const toBytes = (hex, length, label) => {
+  const clean = typeof hex === 'string' ? hex.replace(/^0x/i, '') : '';
+  if (!/^[0-9a-f]*$/i.test(clean) || clean.length !== length * 2) {
+    throw new Error(`Invalid ${label}`);
+  }
+  return Buffer.from(clean, 'hex');
+};
+
+/**
+ * Verify a `chia_signMessageByAddress` signature
+ * Checks both that the public key controls the address and that the AugSchemeMPL
+ * signature over the CHIP-0002 message hash is valid. Never throws; returns a boolean.
+ */
+const verifySignedMessage = ({ address, publicKey, signature, message, prefix }) => {
+  try {
+    const decoded = decodeAddress(address);
+    if (prefix && decoded.prefix !== prefix) {
+      return false;
+    }
+
+    const publicKeyBytes = toBytes(publicKey, 48, 'public key');
+    const signatureBytes = toBytes(signature, 96, 'signature');
+
+    if (!puzzleHashForSyntheticKey(publicKeyBytes).equals(decoded.puzzleHash)) {
+      return false;
+    }
+
+    // Augmented scheme: the public key is prepended to the message before hashing to G2
+    const augmentedMessage = Buffer.concat([publicKeyBytes, signedMessageHash(message)]);
+    return bls.verify(signatureBytes, augmentedMessage, publicKeyBytes, { DST: AUG_SCHEME_DST });
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  NETWORK_PREFIXES,
+  AUG_SCHEME_DST,
+  decodeAddress,
+  encodeAddress,
+  puzzleHashForSyntheticKey,
+  signedMessageHash,
+  deserializeProgram,
+  standardSpendMemos,
+  verifySignedMessage
+};
@@ -0,0 +1,345 @@
+/**
+ * Server configuration
+ * Reads the server and service settings from the environment into typed values. Every setting is
+ * declared in SETTINGS with its variable, type, limits and default. In production a missing,
+ * default or weak secret, a missing database or an insecure URL stops the server at startup
+ * with the full list of problems; in development the defaults apply and are reported as
+ * warnings. `npm run config:check` prints the effective configuration with secrets masked.
+ */
+
+const { REDACTION_KINDS } = require('./redact');
+
+const SECRET_MIN_LENGTH = 32;
+const SIZE_PATTERN = /^\d+(\.\d+)?(b|kb|mb|gb)$/i;
+const CLASS_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const SETTINGS = [
+  { key: 'nodeEnv', env: 'NODE_ENV', type: 'string', default: 'development', description: 'production enables the checks below' },
+  { key: 'port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 1337, description: 'HTTP port' },
+  { key: 'appId', env: 'APP_ID', type: 'string', default: 'haraas-app-id', production: true, description: 'Parse application id' },
+  { key: 'masterKey', env: 'MASTER_KEY', type: 'string', secret: true, default: 'haraas-master-key', production: true, description: 'Parse master key' },
+  { key: 'readOnlyMasterKey', env: 'READ_ONLY_MASTER_KEY', type: 'string', secret: true, description: 'Master key for read-only dashboard users' },
+  { key: 'encryptionKey', env: 'ENCRYPTION_KEY', type: 'string', secret: true, default: 'haraas-encryption-key', production: true, description: 'Parse Server encryption key' },
+  {
+    key: 'databaseURI',
+    env: 'DATABASE_URI',
+    type: 'url',
+    protocols: ['mongodb', 'mongodb+srv'],
+    credentials: true,
+    default: 'mongodb://localhost:27017/haraas',
+    production: true,
+    description: 'MongoDB connection string'
+  },
+  { key: 'localServerURL', env: 'SERVER_URL', type: 'url', protocols: ['http', 'https'], default: 'http://localhost:1337/v1', description: 'Parse API URL outside production' },
+  { key: 'productionServerURL', env: 'SERVER_URL_PROD', type: 'url', protocols: ['https'], description: 'Public Parse API URL in production' },
+  { key: 'herokuAppName', env: 'HEROKU_APP_NAME', type: 'string', description: 'Derives the production URL when SERVER_URL_PROD is unset' },
+  { key: 'clientURL', env: 'CLIENT_URL', type: 'url', protocols: ['http', 'https'], default: 'http://localhost:8100', description: 'Client app, for links in emails' },
+  { key: 'shareBaseURL', env: 'SHARE_BASE_URL', type: 'url', protocols: ['http', 'https'], description: 'Origin of public /r/:slug share links (defaults to the server URL origin)' },
+  { key: 'corsOrigins', env: 'CORS_ORIGINS', type: 'list', items: 'origin', description: 'Browser origins allowed in production (defaults to CLIENT_URL)' },
+  { key: 'requestBodyLimit', env: 'REQUEST_BODY_LIMIT', type: 'size', default: '50mb', description: 'Largest JSON or form request body' },
+  { key: 'maxUploadSize', env: 'MAX_UPLOAD_SIZE', type: 'size', default: '20mb', description: 'Largest Parse file upload' },
+  {
+    key: 'sessionLengthSeconds',
+    env: 'SESSION_LENGTH_SECONDS',
+    type: 'integer',
+    min: 5 * 60,
+    max: 90 * DAY_SECONDS,
+    default: DAY_SECONDS,
+    description: 'Default session lifetime'
+  },
+  {
+    key: 'rememberMeSessionLengthSeconds',
+    env: 'REMEMBER_ME_SESSION_LENGTH_SECONDS',
+    type: 'integer',
+    min: 60 * 60,
+    max: 365 * DAY_SECONDS,
+    default: 30 * DAY_SECONDS,
+    description: 'Session lifetime for rememberMe logins'
+  },
+  { key: 'liveQueryClasses', env: 'LIVE_QUERY_CLASSES', type: 'list', items: 'className', default: ['RoastJob', 'Roast'], description: 'Classes clients may subscribe to' },
+  {
+    key: 'logLevel',
+    env: 'LOG_LEVEL',
+    type: 'enum',
+    values: ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'],
+    default: 'info',
+    productionDefault: 'warn',
+    description: 'Lowest level written to the log'
+  },
+  {
+    key: 'logFormat',
+    env: 'LOG_FORMAT',
+    type: 'enum',
+    values: ['json', 'pretty'],
+    default: 'pretty',
+    productionDefault: 'json',
+    description: 'json writes one object per line to stdout'
+  },
+  {
+    key: 'logRedact',
+    env: 'LOG_REDACT',
+    type: 'list',
+    items: 'enum',
+    values: [...REDACTION_KINDS, 'none'],
+    default: REDACTION_KINDS,
+    description: 'Personal data masked in logs (none to disable)'
+  },
+  { key: 'metricsToken', env: 'METRICS_TOKEN', type: 'string', secret: true, description: 'Bearer token for /metrics; without it /metrics is off in production' },
+  { key: 'consentSecret', env: 'CONSENT_SECRET', type: 'string', secret: true, description: 'Signs roastee consent links and keys the opt-out registry (defaults to ENCRYPTION_KEY)' },
+  { key: 'mailFrom', env: 'MAIL_FROM', type: 'string', description: 'Sender of outgoing mail (defaults to GMAIL_ADDRESS or SMTP_USER)' },
+  { key: 'adminEmails', env: 'ADMIN_EMAILS', type: 'list', default: [], description: 'Verified addresses added to the admin role at startup' },
+  { key: 'schedulerEnabled', env: 'SCHEDULER_ENABLED', type: 'boolean', default: true, description: 'false on dynos that should only serve requests' },
+  { key: 'jobRunRetentionDays', env: 'JOB_RUN_RETENTION_DAYS', type: 'integer', min: 1, max: 365, default: 14, description: 'Days job run records are kept' },
+
+  // Sign-in and accounts
+  { key: 'googleClientIds', env: 'GOOGLE_CLIENT_IDS', type: 'list', default: [], description: 'OAuth client ids accepted in Google ID tokens (none turns Google sign-in off)' },
+  { key: 'appleClientIds', env: 'APPLE_CLIENT_IDS', type: 'list', default: [], description: 'Service or bundle ids accepted in Apple ID tokens (none turns Apple sign-in off)' },
+  { key: 'signInNonceTtlMs', env: 'SIGN_IN_NONCE_TTL_MS', type: 'integer', min: 60 * 1000, max: 60 * 60 * 1000, default: 10 * 60 * 1000, description: 'Lifetime of Google and Apple sign-in nonces' },
+  { key: 'chiaNetwork', env: 'CHIA_NETWORK', type: 'enum', values: ['mainnet', 'testnet'], default: 'mainnet', description: 'Chia network of wallet logins and payments' },
+  { key: 'walletChallengeTtlMs', env: 'WALLET_CHALLENGE_TTL_MS', type: 'integer', min: 30 * 1000, max: 60 * 60 * 1000, default: 5 * 60 * 1000, description: 'Lifetime of wallet login challenges' },
+  { key: 'loginFailureWindowMs', env: 'LOGIN_FAILURE_WINDOW_MS', type: 'integer', min: 60 * 1000, max: DAY_SECONDS * 1000, default: 60 * 60 * 1000, description: 'How long failed logins are counted' },
+  { key: 'loginBackoffAfter', env: 'LOGIN_BACKOFF_AFTER', type: 'integer', min: 0, max: 100, default: 3, description: 'Failed logins per account before backoff starts' },
+  { key: 'loginIpBackoffAfter', env: 'LOGIN_IP_BACKOFF_AFTER', type: 'integer', min: 0, max: 10000, default: 20, description: 'Failed logins per IP before backoff starts' },
+  { key: 'loginBackoffBaseMs', env: 'LOGIN_BACKOFF_BASE_MS', type: 'integer', min: 0, max: 60 * 1000, default: 1000, description: 'First backoff, doubled on every further failure' },
+  { key: 'loginBackoffMaxMs', env: 'LOGIN_BACKOFF_MAX_MS', type: 'integer', min: 0, max: DAY_SECONDS * 1000, default: 15 * 60 * 1000, description: 'Longest backoff' },
+  { key: 'loginLockoutThreshold', env: 'LOGIN_LOCKOUT_THRESHOLD', type: 'integer', min: 1, max: 1000, default: 10, description: 'Failed logins that lock an account' },
+  { key: 'loginLockoutMs', env: 'LOGIN_LOCKOUT_MS', type: 'integer', min: 60 * 1000, max: 7 * DAY_SECONDS * 1000, default: 30 * 60 * 1000, description: 'How long a lock lasts without the unlock link' },
+  { key: 'registrationMaxPerIp', env: 'REGISTRATION_MAX_PER_IP', type: 'integer', min: 1, max: 10000, default: 5, description: 'Sign-ups per IP per window' },
+  { key: 'registrationWindowMs', env: 'REGISTRATION_WINDOW_MS', type: 'integer', min: 60 * 1000, max: DAY_SECONDS * 1000, default: 60 * 60 * 1000, description: 'Window of REGISTRATION_MAX_PER_IP' },
+  { key: 'accountDeletionGraceDays', env: 'ACCOUNT_DELETION_GRACE_DAYS', type: 'integer', min: 1, max: 365, default: 30, description: 'Days a deleted account can still be restored' },
+  { key: 'dataExportTtlHours', env: 'DATA_EXPORT_TTL_HOURS', type: 'integer', min: 1, max: 30 * 24, default: 24, description: 'Hours a data export can be downloaded' },
+
+  // Roasts
+  { key: 'roastJobTimeoutMs', env: 'ROAST_JOB_TIMEOUT_MS', type: 'integer', min: 10 * 1000, max: 60 * 60 * 1000, default: 2 * 60 * 1000, description: 'Longest a roast job may run' },
+  { key: 'roastCreditCost', env: 'ROAST_CREDIT_COST', type: 'integer', min: 1, max: 1000, default: 1, description: 'Credits per roast once the free ones are used' },
+  { key: 'freeRoastsPerDay', env: 'FREE_ROASTS_PER_DAY', type: 'integer', min: 0, max: 1000, default: 3, description: 'Free roasts per user per day' },
+  { key: 'consentInviteDays', env: 'CONSENT_INVITE_DAYS', type: 'integer', min: 1, max: 90, default: 7, description: 'Days a roastee has to answer a consent invitation' },
+  { key: 'trendingRecountDays', env: 'TRENDING_RECOUNT_DAYS', type: 'integer', min: 1, max: 365, default: 7, description: 'Days of roasts whose trending scores are recomputed nightly' },
+  { key: 'shareLinkRetentionDays', env: 'SHARE_LINK_RETENTION_DAYS', type: 'integer', min: 1, max: 365, default: 30, description: 'Days expired share links are kept' },
+  { key: 'moderationPolicy', env: 'MODERATION_POLICY', type: 'string', description: 'JSON category overrides of the moderation policy' },
+  { key: 'moderationFailClosed', env: 'MODERATION_FAIL_CLOSED', type: 'boolean', default: false, description: 'Block roasts while a moderation engine is down' },
+
+  // Credits and certificates
+  { key: 'creditPackages', env: 'CREDIT_PACKAGES', type: 'string', description: 'JSON array of credit packages for sale' },
+  { key: 'creditsPaymentAddress', env: 'CREDITS_PAYMENT_ADDRESS', type: 'string', description: 'Chia address credit payments go to (unset turns purchases off)' },
+  { key: 'creditPaymentConfirmations', env: 'CREDIT_PAYMENT_CONFIRMATIONS', type: 'integer', min: 1, max: 1000, default: 6, description: 'Blocks on top of a payment before credits are granted' },
+  { key: 'certificateCollectionId', env: 'CERTIFICATE_COLLECTION_ID', type: 'string', default: '6f2a7d0e-3c1b-4a8e-9d5f-2b7c4e1a9f03', description: 'CHIP-0007 collection id of roast certificates' },
+  { key: 'certificateRoyaltyAddress', env: 'CERTIFICATE_ROYALTY_ADDRESS', type: 'string', description: 'Chia address receiving certificate royalties' },
+  { key: 'certificateRoyaltyBasisPoints', env: 'CERTIFICATE_ROYALTY_BASIS_POINTS', type: 'integer', min: 0, max: 10000, default: 0, description: 'Certificate royalty in hundredths of a percent' },
+
+  // API keys and webhooks
+  { key: 'apiKeyMaxPerUser', env: 'API_KEY_MAX_PER_USER', type: 'integer', min: 1, max: 1000, default: 10, description: 'Active API keys per user' },
+  { key: 'apiKeyRequestsPerMinute', env: 'API_KEY_REQUESTS_PER_MINUTE', type: 'integer', min: 1, max: 100000, default: 60, description: 'Highest request rate of an API key' },
+  { key: 'apiKeyRoastsPerDay', env: 'API_KEY_ROASTS_PER_DAY', type: 'integer', min: 1, max: 100000, default: 100, description: 'Highest daily roast quota of an API key' },
+  { key: 'webhookMaxEndpointsPerUser', env: 'WEBHOOK_MAX_ENDPOINTS_PER_USER', type: 'integer', min: 1, max: 100, default: 5, description: 'Webhook endpoints per user' },
+  { key: 'webhookAllowPrivateUrls', env: 'WEBHOOK_ALLOW_PRIVATE_URLS', type: 'boolean', default: false, description: 'Allow webhooks to private networks and plain HTTP in production' },
+  { key: 'webhookMaxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', min: 1, max: 50, default: 8, description: 'Attempts before a delivery is given up' },
+  { key: 'webhookRetryBaseMs', env: 'WEBHOOK_RETRY_BASE_MS', type: 'integer', min: 1000, max: DAY_SECONDS * 1000, default: 30 * 1000, description: 'First retry delay, doubled on every further failure' },
+  { key: 'webhookTimeoutMs', env: 'WEBHOOK_TIMEOUT_MS', type: 'integer', min: 1000, max: 60 * 1000, default: 10 * 1000, description: 'Longest wait for a webhook response' },
+  { key: 'webhookDisableAfterFailures', env: 'WEBHOOK_DISABLE_AFTER_FAILURES', type: 'integer', min: 1, max: 1000, default: 20, description: 'Failed deliveries in a row that disable an endpoint' },
+  { key: 'webhookDeliveryRetentionDays', env: 'WEBHOOK_DELIVERY_RETENTION_DAYS', type: 'integer', min: 1, max: 365, default: 30, description: 'Days finished deliveries are kept' }
+];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.problems = problems;
+  }
+}
+
+const isProductionEnv = (env) => env.NODE_ENV === 'production' || !!env.DYNO;
+
+const parseUrl = (raw, protocols) => {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch (error) {
+    throw new Error('must be a URL');
+  }
+  if (protocols && !protocols.includes(url.protocol.replace(/:$/, ''))) {
+    throw new Error(`must be a ${protocols.join(' or ')} URL`);
+  }
+  return raw;
+};
+
+const parseEnum = (raw, values) => {
+  if (!values.includes(raw)) throw new Error(`must be one of ${values.join(', ')}`);
+  return raw;
+};
+
+const parseItem = (raw, { items: type, values }) => {
+  if (type === 'origin') {
+    try {
+      return new URL(parseUrl(raw, ['http', 'https'])).origin;
+    } catch (error) {
+      throw new Error(`has an invalid origin "${raw}"`);
+    }
+  }
+  if (type === 'className' && !CLASS_NAME_PATTERN.test(raw)) throw new Error(`has an invalid class name "${raw}"`);
+  if (type === 'enum') return parseEnum(raw, values);
+  return raw;
+};
+
+const parseValue = (raw, setting) => {
+  switch (setting.type) {
+    case 'integer': {
+      if (!/^-?\d+$/.test(raw)) throw new Error('must be a whole number');
+      const value = parseInt(raw, 10);
+      if (value < setting.min || value > setting.max) {
+        throw new Error(`must be between ${setting.min} and ${setting.max}`);
+      }
+      return value;
+    }
+    case 'url':
+      return parseUrl(raw, setting.protocols);
+    case 'enum':
+      return parseEnum(raw, setting.values);
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') throw new Error('must be true or false');
+      return raw === 'true';
+    case 'size':
+      if (!SIZE_PATTERN.test(raw)) throw new Error('must be a size such as 20mb');
+      return raw.toLowerCase();
+    case 'list':
+      return raw.split(',').map((item) => item.trim()).filter(Boolean).map((item) => parseItem(item, setting));
+    default:
+      return raw;
+  }
+};
+
+// Rules that involve more than one setting, or only apply to production
+const crossCheck = (config, problems, warnings) => {
+  if (config.rememberMeSessionLengthSeconds < config.sessionLengthSeconds) {
+    problems.push('REMEMBER_ME_SESSION_LENGTH_SECONDS must not be shorter than SESSION_LENGTH_SECONDS');
+  }
+  if (config.readOnlyMasterKey && config.readOnlyMasterKey === config.masterKey) {
+    problems.push('READ_ONLY_MASTER_KEY must differ from MASTER_KEY');
+  }
+  if (!config.isProduction) return;
+
+  if (config.masterKey === config.encryptionKey) {
+    problems.push('ENCRYPTION_KEY must differ from MASTER_KEY');
+  }
+  if (!config.serverURL && !problems.some((problem) => problem.startsWith('SERVER_URL_PROD'))) {
+    problems.push('SERVER_URL_PROD is required in production (or HEROKU_APP_NAME to derive it)');
+  }
+  if (config.corsOrigins.length === 0) {
+    warnings.push('CORS_ORIGINS and CLIENT_URL are unset: browsers cannot call the API, only apps without an Origin');
+  }
+  if (!config.metricsToken) {
+    warnings.push('METRICS_TOKEN is not set: /metrics is disabled');
+  }
+};
+
+/**
+ * Read the configuration from an environment
+ * Never throws: invalid values are reported in `problems` and replaced by their default.
+ */
+const loadConfig = (env = process.env) => {
+  const isProduction = isProductionEnv(env);
+  const config = { isProduction };
+  const problems = [];
+  const warnings = [];
+
+  for (const setting of SETTINGS) {
+    const raw = typeof env[setting.env] === 'string' ? env[setting.env].trim() : '';
+    config[setting.key] = isProduction && 'productionDefault' in setting ? setting.productionDefault : setting.default;
+
+    if (!raw) {
+      if (isProduction && setting.production) {
+        problems.push(`${setting.env} is required in production`);
+      } else if (setting.secret && setting.default !== undefined) {
+        warnings.push(`${setting.env} is not set; using the development default`);
+      }
+      continue;
+    }
+
+    try {
+      config[setting.key] = parseValue(raw, setting);
+    } catch (error) {
+      problems.push(`${setting.env} ${error.message}`);
+      continue;
+    }
+
+    if (isProduction && setting.production && raw === String(setting.default)) {
+      problems.push(`${setting.env} is still set to its development default`);
+    } else if (isProduction && setting.secret && raw.length < SECRET_MIN_LENGTH) {
+      problems.push(`${setting.env} must be at least ${SECRET_MIN_LENGTH} characters`);
+    }
+  }
+
+  if (config.corsOrigins === undefined) {
+    config.corsOrigins = env.CLIENT_URL ? [new URL(config.clientURL).origin] : [];
+  }
+
+  if (isProduction) {
+    config.serverURL = config.productionServerURL
+      || (config.herokuAppName ? `https://${config.herokuAppName}.herokuapp.com/v1` : undefined);
+  } else {
+    config.serverURL = config.localServerURL;
+  }
+
+  // Changing it orphans the opt-out registry, so it stays on the key it was first set up with
+  if (config.consentSecret === undefined) {
+    config.consentSecret = config.encryptionKey;
+  }
+
+  if (config.mailFrom === undefined) {
+    config.mailFrom = env.GMAIL_ADDRESS || env.SMTP_USER || undefined;
+  }
+
+  if (config.shareBaseURL === undefined && config.serverURL) {
+    config.shareBaseURL = new URL(config.serverURL).origin;
+  }
+
+  crossCheck(config, problems, warnings);
+
+  return { config, problems, warnings };
+};
+
+let cached;
+
+/**
+ * The process configuration, read once
+ * Throws a ConfigError listing every problem found.
+ */
+const getConfig = () => {
+  if (!cached) {
+    const { config, problems } = loadConfig();
+    if (problems.length > 0) {
+      throw new ConfigError(problems);
+    }
+    cached = config;
+  }
+  return cached;
+};
+
+const maskValue = (setting, value) => {
+  if (value === undefined || value === null) return '(unset)';
+  if (setting.secret) return `******** (${String(value).length} characters)`;
+  if (setting.credentials) return String(value).replace(/\/\/([^:/@]+):([^@]+)@/, '//$1:********@');
+  return Array.isArray(value) ? value.join(', ') || '(none)' : String(value);
+};
+
+/**
+ * Lines describing the effective configuration, secrets masked
+ */
+const describeConfig = (config, env = process.env) => [
+  `production: ${config.isProduction}`,
+  `serverURL: ${config.serverURL || '(unset)'}`,
+  ...SETTINGS.map((setting) => {
+    const source = env[setting.env] && env[setting.env].trim() ? setting.env : 'default';
+    return `${setting.key} = ${maskValue(setting, config[setting.key])}  [${source}] ${setting.description}`;
+  })
+];
+
+module.exports = {
+  SETTINGS,
+  SECRET_MIN_LENGTH,
+  ConfigError,
+  loadConfig,
+  getConfig,
+  describeConfig
+};
@@ -0,0 +1,135 @@
+/**
+ * Cron expressions for the job scheduler (cloud/services/scheduler.js)
+ * Five fields, `minute hour day-of-month month day-of-week`, read in UTC. Each field takes
+ * `*`, numbers, ranges (`1-5`), lists (`0,30`) and steps (`8-18/2`, or `/15` after a `*`);
+ * Sunday is 0 or 7.
+ * As in classic cron, a restricted day-of-month and day-of-week match when either does.
+ * `@hourly`, `@daily`, `@weekly` and `@monthly` are accepted as shorthands.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// nextCronTime gives up after this many years (an expression like `0 0 31 2 *` never fires)
+const SEARCH_YEARS = 5;
+
+const parseNumber = (value, field) => {
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`"${value}" is not a number`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} must be between ${field.min} and ${field.max}`);
+  }
+  return number;
+};
+
+const parseField = (text, field) => {
+  const values = new Set();
+
+  text.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseNumber(stepText, { ...field, min: 1 });
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseNumber(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseNumber(end, field);
+      if (from > to) {
+        throw new Error(`${field.name} range ${range} runs backwards`);
+      }
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(field.name === 'dayOfWeek' ? value % 7 : value);
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Parse a cron expression; throws an Error naming the problem when it is invalid
+ */
+const parseCron = (expression) => {
+  const source = typeof expression === 'string' ? expression.trim() : '';
+  const parts = (ALIASES[source] || source).split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${source}": expected ${FIELDS.length} fields`);
+  }
+
+  const schedule = { expression: source };
+  try {
+    FIELDS.forEach((field, index) => {
+      schedule[field.name] = parseField(parts[index], field);
+    });
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${source}": ${error.message}`);
+  }
+
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+  return schedule;
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) return dayOfMonth && dayOfWeek;
+  return dayOfMonth || dayOfWeek;
+};
+
+/**
+ * Whether a parsed schedule fires in the minute of `date`
+ */
+const matchesCron = (schedule, date) =>
+  schedule.minute.has(date.getUTCMinutes())
+  && schedule.hour.has(date.getUTCHours())
+  && schedule.month.has(date.getUTCMonth() + 1)
+  && matchesDay(schedule, date);
+
+/**
+ * The first minute after `after` at which a parsed schedule fires, or null when it never does
+ */
+const nextCronTime = (schedule, after = new Date()) => {
+  const time = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = Date.UTC(time.getUTCFullYear() + SEARCH_YEARS, 0, 1);
+
+  while (time.getTime() < limit) {
+    if (!schedule.month.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(schedule, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hour.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minute.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+
+  return null;
+};
+
+module.exports = { parseCron, matchesCron, nextCronTime };
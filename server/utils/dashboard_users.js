@@ -0,0 +1,71 @@
+/**
+ * Parse Dashboard users
+ * Builds the dashboard's user list from bcrypt-hashed credentials. Plain-text passwords
+ * are rejected; generate hashes with `npm run dashboard:hash`.
+ *
+ *   DASHBOARD_USERS=[{"user":"alice","pass":"$2a$12$...","readOnly":false}]
+ *
+ * DASHBOARD_USERNAME with DASHBOARD_PASSWORD_HASH is accepted as a one-user shortcut.
+ */
+
+const BCRYPT_HASH_PATTERN = /^\$2[abxy]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+const isBcryptHash = (value) => typeof value === 'string' && BCRYPT_HASH_PATTERN.test(value);
+
+const parseUserList = (raw) => {
+  let users;
+  try {
+    users = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`DASHBOARD_USERS must be a JSON array: ${error.message}`);
+  }
+
+  if (!Array.isArray(users)) {
+    throw new Error('DASHBOARD_USERS must be a JSON array');
+  }
+
+  return users;
+};
+
+/**
+ * Dashboard users for an app id, or an empty list when none are configured
+ * Throws on malformed entries so a bad config fails at startup instead of locking admins out.
+ */
+const loadDashboardUsers = (appId, env = process.env) => {
+  let entries = [];
+
+  if (env.DASHBOARD_USERS) {
+    entries = parseUserList(env.DASHBOARD_USERS);
+  } else if (env.DASHBOARD_USERNAME && env.DASHBOARD_PASSWORD_HASH) {
+    entries = [{ user: env.DASHBOARD_USERNAME, pass: env.DASHBOARD_PASSWORD_HASH }];
+  } else if (env.DASHBOARD_PASSWORD) {
+    throw new Error('DASHBOARD_PASSWORD is no longer supported; set DASHBOARD_PASSWORD_HASH to a bcrypt hash (npm run dashboard:hash)');
+  }
+
+  const names = new Set();
+
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry.user !== 'string' || !entry.user.trim()) {
+      throw new Error(`Dashboard user #${index + 1} has no "user" name`);
+    }
+    if (names.has(entry.user)) {
+      throw new Error(`Dashboard user "${entry.user}" is listed twice`);
+    }
+    if (!isBcryptHash(entry.pass)) {
+      throw new Error(`Dashboard user "${entry.user}" must have a bcrypt-hashed "pass" (npm run dashboard:hash)`);
+    }
+    if (entry.readOnly && !env.READ_ONLY_MASTER_KEY) {
+      throw new Error(`Dashboard user "${entry.user}" is read-only, which requires READ_ONLY_MASTER_KEY`);
+    }
+    names.add(entry.user);
+
+    return {
+      user: entry.user,
+      pass: entry.pass,
+      readOnly: !!entry.readOnly,
+      apps: [{ appId, readOnly: !!entry.readOnly }]
+    };
+  });
+};
+
+module.exports = { isBcryptHash, loadDashboardUsers };
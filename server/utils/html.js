@@ -0,0 +1,41 @@
+/**
+ * HTML escaping helpers
+ * `html` is a tagged template that escapes every interpolated value unless it was built
+ * with `html` itself (or marked with `raw`), so templates cannot forget to escape a link.
+ */
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/[&<>"']/g, (char) => ESCAPES[char]);
+
+const render = (value) => {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(render).join('');
+  return escapeHtml(value);
+};
+
+const html = (strings, ...values) => new SafeHtml(
+  strings.reduce((out, string, index) => out + string + (index < values.length ? render(values[index]) : ''), '')
+);
+
+// Trust a string that is already valid markup
+const raw = (value) => new SafeHtml(String(value));
+
+module.exports = { escapeHtml, html, raw, SafeHtml };
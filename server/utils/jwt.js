@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+/**
+ * JSON Web Token verification
+ * Verifies compact JWS tokens (RS256 or ES256) against a JWK looked up by `kid`, then checks
+ * the registered claims. Key lookup is passed in so callers decide where keys come from.
+ */
+
+const ALGORITHMS = {
+  RS256: { hash: 'sha256', keyType: 'RSA' },
+  ES256: { hash: 'sha256', keyType: 'EC', dsaEncoding: 'ieee-p1363' }
+};
+
+class JwtError extends Error {}
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new JwtError('Malformed token');
+  }
+};
+
+/**
+ * Split a token into its header and payload without verifying it
+ */
+const decodeJwt = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new JwtError('Malformed token');
+  }
+
+  return {
+    header: decodeSegment(parts[0]),
+    payload: decodeSegment(parts[1]),
+    signingInput: `${parts[0]}.${parts[1]}`,
+    signature: Buffer.from(parts[2], 'base64url')
+  };
+};
+
+/**
+ * Verify a token and resolve to its payload
+ * Options:
+ *   getKey(kid) -> JWK (async), issuers: string[], audiences: string[],
+ *   clockToleranceSec (default 60), now (ms, for tests)
+ * Throws JwtError describing the first check that failed.
+ */
+const verifyJwt = async (token, { getKey, issuers, audiences, clockToleranceSec = 60, now = Date.now() }) => {
+  const { header, payload, signingInput, signature } = decodeJwt(token);
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new JwtError(`Unsupported token algorithm ${header.alg}`);
+  }
+
+  const jwk = await getKey(header.kid);
+  if (!jwk || jwk.kty !== algorithm.keyType || (jwk.alg && jwk.alg !== header.alg)) {
+    throw new JwtError('Unknown signing key');
+  }
+
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(signingInput),
+    algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+    signature
+  );
+  if (!valid) {
+    throw new JwtError('Invalid token signature');
+  }
+
+  const nowSec = Math.floor(now / 1000);
+
+  if (!issuers.includes(payload.iss)) {
+    throw new JwtError('Unexpected token issuer');
+  }
+
+  const tokenAudiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!tokenAudiences.some((audience) => audiences.includes(audience))) {
+    throw new JwtError('Unexpected token audience');
+  }
+
+  if (typeof payload.exp !== 'number' || payload.exp + clockToleranceSec < nowSec) {
+    throw new JwtError('Token has expired');
+  }
+
+  if (typeof payload.iat === 'number' && payload.iat - clockToleranceSec > nowSec) {
+    throw new JwtError('Token issued in the future');
+  }
+
+  return payload;
+};
+
+module.exports = { JwtError, decodeJwt, verifyJwt };
@@ -1,46 +1,74 @@
+const util = require('util');
 const winston = require('winston');
+const { loadConfig } = require('./config');
+const { createRedactor } = require('./redact');
+const { getRequestId } = require('./request_context');
 
-// Create logger configuration
-const logConfiguration = {
-  level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'warn' : 'info'),
-  format: winston.format.combine(
+// Log settings are read without the production checks so the logger works before they run
+const { logLevel, logFormat, logRedact } = loadConfig().config;
+
+const redact = createRedactor(logRedact.includes('none') ? [] : logRedact);
+
+// Tag entries with the id of the HTTP request being handled (utils/request_context.js)
+const requestId = winston.format((info) => {
+  const id = getRequestId();
+  if (id && !info.requestId) {
+    info.requestId = id;
+  }
+  return info;
+});
+
+// Mask personal data and turn Errors into plain objects in the message and metadata
+const redaction = winston.format((info) => {
+  Object.keys(info).forEach((key) => {
+    if (key !== 'level' && key !== 'timestamp') {
+      info[key] = redact(info[key], 0, key);
+    }
+  });
+  return info;
+});
+
+const formats = {
+  json: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    requestId(),
+    redaction(),
+    winston.format.json()
+  ),
+  pretty: winston.format.combine(
     winston.format.timestamp({
       format: 'YYYY-MM-DD HH:mm:ss'
     }),
     winston.format.errors({ stack: true }),
-    winston.format.json()
-  ),
-  defaultMeta: { service: 'haraas-server' },
-  transports: [
-    // Console transport for all environments
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      )
-    })
-  ]
+    requestId(),
+    redaction(),
+    winston.format.colorize(),
+    winston.format.simple()
+  )
 };
 
-// Add file transport in production
-if (process.env.NODE_ENV === 'production') {
-  logConfiguration.transports.push(
-    new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'logs/combined.log' })
-  );
-}
-
-// Create the logger
-const logger = winston.createLogger(logConfiguration);
-
-// Override console methods in production to use winston
-if (process.env.NODE_ENV === 'production') {
-  console.log = (...args) => logger.info(args.join(' '));
-  console.error = (...args) => logger.error(args.join(' '));
-  console.warn = (...args) => logger.warn(args.join(' '));
-  console.info = (...args) => logger.info(args.join(' '));
-  console.debug = (...args) => logger.debug(args.join(' '));
-}
+// Create the logger; everything goes to stdout, where the platform collects it
+const logger = winston.createLogger({
+  level: logLevel,
+  format: formats[logFormat],
+  defaultMeta: { service: 'haraas-server' },
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Route console.* through the logger so stray output is redacted and structured too
+ * Called by server.js; command-line scripts keep the plain console.
+ */
+logger.captureConsole = () => {
+  const write = (level) => (...args) => logger.log(level, util.format(...args));
+
+  console.log = write('info');
+  console.info = write('info');
+  console.warn = write('warn');
+  console.error = write('error');
+  console.debug = write('debug');
+};
 
 // Add custom methods
 logger.success = (message, meta) => {
@@ -0,0 +1,251 @@
+/**
+ * Prometheus metrics
+ * A small registry rendered in the Prometheus text format by GET /metrics (server.js).
+ * Counters and histograms are updated where the work happens; a gauge can instead take a
+ * `collect(gauge)` function that sets its values when the metrics are scraped.
+ *
+ * Label values must come from small, fixed sets (route patterns, function names, error
+ * codes, provider names), never from ids or user input.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; covers fast reads up to slow AI calls
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = new Map();
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (pairs) => {
+  const labels = pairs.filter(([, value]) => value !== undefined);
+  return labels.length > 0
+    ? `{${labels.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`
+    : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+const register = (metric) => {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+};
+
+/**
+ * Shared bookkeeping: one series per combination of label values
+ */
+const createSeries = (labelNames) => {
+  const series = new Map();
+
+  const keyFor = (labels = {}) => {
+    const values = labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name])));
+    return { key: JSON.stringify(values), values };
+  };
+
+  return {
+    get: (labels, create) => {
+      const { key, values } = keyFor(labels);
+      if (!series.has(key)) {
+        series.set(key, { pairs: labelNames.map((name, index) => [name, values[index]]), ...create() });
+      }
+      return series.get(key);
+    },
+    entries: () => [...series.values()]
+  };
+};
+
+/**
+ * A value that only goes up, e.g. emails sent
+ */
+const createCounter = ({ name, help, labelNames = [] }) => {
+  const series = createSeries(labelNames);
+
+  return register({
+    name,
+    inc: (labels, amount = 1) => {
+      if (amount < 0) throw new Error(`Counter ${name} cannot be decreased`);
+      series.get(labels, () => ({ value: 0 })).value += amount;
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...series.entries().map(({ pairs, value }) => `${name}${formatLabels(pairs)} ${formatValue(value)}`)
+    ]
+  });
+};
+
+/**
+ * A value that goes up and down, e.g. open LiveQuery connections
+ */
+const createGauge = ({ name, help, labelNames = [], collect }) => {
+  const series = createSeries(labelNames);
+
+  const gauge = register({
+    name,
+    set: (labels, value) => {
+      series.get(labels, () => ({ value: 0 })).value = value;
+    },
+    render: () => {
+      if (collect) collect(gauge);
+      return [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} gauge`,
+        ...series.entries().map(({ pairs, value }) => `${name}${formatLabels(pairs)} ${formatValue(value)}`)
+      ];
+    }
+  });
+
+  return gauge;
+};
+
+/**
+ * Observations counted into cumulative buckets, e.g. request durations in seconds
+ * `startTimer(labels)` returns a function that records the elapsed time when called,
+ * optionally with more labels known only at the end (such as the outcome).
+ */
+const createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = createSeries(labelNames);
+
+  const observe = (labels, value) => {
+    const entry = series.get(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+    bounds.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index] += 1;
+    });
+    entry.sum += value;
+    entry.count += 1;
+  };
+
+  return register({
+    name,
+    observe,
+    startTimer: (labels = {}) => {
+      const started = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        observe({ ...labels, ...moreLabels }, seconds);
+        return seconds;
+      };
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...series.entries().flatMap(({ pairs, counts, sum, count }) => [
+        ...bounds.map((bound, index) =>
+          `${name}_bucket${formatLabels([...pairs, ['le', formatValue(bound)]])} ${counts[index]}`),
+        `${name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${count}`,
+        `${name}_sum${formatLabels(pairs)} ${formatValue(sum)}`,
+        `${name}_count${formatLabels(pairs)} ${count}`
+      ])
+    ]
+  });
+};
+
+/**
+ * Every registered metric in the Prometheus text format
+ */
+const renderMetrics = () => `${[...registry.values()].flatMap((metric) => metric.render()).join('\n')}\n`;
+
+// Process metrics, read at scrape time (these replace the old memory usage debug log)
+createGauge({
+  name: 'process_memory_bytes',
+  help: 'Memory used by the Node.js process in bytes',
+  labelNames: ['type'],
+  collect: (gauge) => {
+    const usage = process.memoryUsage();
+    ['rss', 'heapTotal', 'heapUsed', 'external', 'arrayBuffers'].forEach((type) => gauge.set({ type }, usage[type]));
+  }
+});
+
+createGauge({
+  name: 'process_uptime_seconds',
+  help: 'Seconds since the process started',
+  collect: (gauge) => gauge.set({}, Math.round(process.uptime()))
+});
+
+const httpRequestDuration = createHistogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds',
+  labelNames: ['method', 'route', 'status']
+});
+
+const parseErrors = createCounter({
+  name: 'parse_errors_total',
+  help: 'Parse API error responses by Parse error code',
+  labelNames: ['code']
+});
+
+const cloudFunctionDuration = createHistogram({
+  name: 'cloud_function_duration_seconds',
+  help: 'Cloud function duration in seconds',
+  labelNames: ['function', 'outcome']
+});
+
+// Matched route pattern, so /v1/classes/Roast/abc is counted as /v1/classes/:className/:objectId
+const routeLabel = (req) => {
+  if (req.route) return `${req.baseUrl || ''}${req.route.path}`;
+  return req.baseUrl ? `${req.baseUrl}/*` : 'unmatched';
+};
+
+/**
+ * Express middleware timing every request and counting Parse error responses
+ * Parse errors are answered as `{ code, error }` JSON, so the code is read from the body.
+ */
+const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer({ method: req.method });
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && Number.isInteger(body?.code)) {
+      parseErrors.inc({ code: body.code });
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    endTimer({ route: routeLabel(req), status: res.statusCode });
+  });
+
+  next();
+};
+
+/**
+ * Time every cloud function defined after this call
+ * Wraps `Cloud.define` so each handler is observed with an `ok` or `error` outcome.
+ */
+const instrumentCloudFunctions = (Cloud) => {
+  const define = Cloud.define.bind(Cloud);
+
+  Cloud.define = (name, handler, ...rest) => define(name, async (request) => {
+    const endTimer = cloudFunctionDuration.startTimer({ function: name });
+    try {
+      const result = await handler(request);
+      endTimer({ outcome: 'ok' });
+      return result;
+    } catch (error) {
+      endTimer({ outcome: 'error' });
+      throw error;
+    }
+  }, ...rest);
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  httpMetrics,
+  instrumentCloudFunctions
+};
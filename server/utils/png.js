@@ -0,0 +1,131 @@
+const zlib = require('zlib');
+const { crc32 } = require('./zip');
+const { GLYPH_WIDTH, GLYPH_HEIGHT, toFontText, glyphPixel } = require('./font_5x7');
+
+/**
+ * Minimal raster canvas and PNG writer
+ * Enough to draw generated preview cards: filled rectangles, vertical gradients and text
+ * in the 5x7 bitmap font scaled up by whole pixels. Colors are '#rrggbb'.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const BYTES_PER_PIXEL = 3;
+
+const parseColor = (color) => {
+  const match = /^#([0-9a-f]{6})$/i.exec(color);
+  if (!match) throw new Error(`Invalid color "${color}"`);
+  const value = parseInt(match[1], 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Create a blank RGB canvas
+ */
+const createCanvas = (width, height, background = '#000000') => {
+  const pixels = Buffer.alloc(width * height * BYTES_PER_PIXEL);
+
+  const fillRect = (x, y, w, h, color) => {
+    const [r, g, b] = parseColor(color);
+    const left = Math.max(0, Math.floor(x));
+    const top = Math.max(0, Math.floor(y));
+    const right = Math.min(width, Math.floor(x + w));
+    const bottom = Math.min(height, Math.floor(y + h));
+
+    for (let row = top; row < bottom; row++) {
+      for (let col = left; col < right; col++) {
+        const offset = (row * width + col) * BYTES_PER_PIXEL;
+        pixels[offset] = r;
+        pixels[offset + 1] = g;
+        pixels[offset + 2] = b;
+      }
+    }
+  };
+
+  const canvas = {
+    width,
+    height,
+    fillRect,
+
+    // Top-to-bottom gradient over the whole canvas
+    fillVerticalGradient: (from, to) => {
+      const start = parseColor(from);
+      const end = parseColor(to);
+      for (let row = 0; row < height; row++) {
+        const t = height > 1 ? row / (height - 1) : 0;
+        const color = start.map((channel, index) => Math.round(channel + (end[index] - channel) * t));
+        fillRect(0, row, width, 1, `#${color.map((channel) => channel.toString(16).padStart(2, '0')).join('')}`);
+      }
+    },
+
+    strokeRect: (x, y, w, h, thickness, color) => {
+      fillRect(x, y, w, thickness, color);
+      fillRect(x, y + h - thickness, w, thickness, color);
+      fillRect(x, y, thickness, h, color);
+      fillRect(x + w - thickness, y, thickness, h, color);
+    },
+
+    // Width in pixels of text drawn at `scale`
+    measureText: (text, scale) => toFontText(text).length * (GLYPH_WIDTH + 1) * scale - scale,
+
+    /**
+     * Draw text with its top-left corner at (x, y); `align: 'center'` centers it on x
+     */
+    drawText: (text, x, y, { scale = 1, color = '#ffffff', align = 'left' } = {}) => {
+      const chars = toFontText(text);
+      const advance = (GLYPH_WIDTH + 1) * scale;
+      const left = align === 'center' ? x - (chars.length * advance - scale) / 2 : x;
+
+      [...chars].forEach((char, index) => {
+        for (let col = 0; col < GLYPH_WIDTH; col++) {
+          for (let row = 0; row < GLYPH_HEIGHT; row++) {
+            if (glyphPixel(char, col, row)) {
+              fillRect(left + index * advance + col * scale, y + row * scale, scale, scale, color);
+            }
+          }
+        }
+      });
+    },
+
+    /**
+     * Encode the canvas as a PNG (8-bit RGB, no filtering)
+     */
+    toPng: () => {
+      const rowLength = width * BYTES_PER_PIXEL;
+      const raw = Buffer.alloc((rowLength + 1) * height);
+      for (let row = 0; row < height; row++) {
+        // Each scanline starts with its filter type, 0 (none)
+        pixels.copy(raw, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength);
+      }
+
+      const header = Buffer.alloc(13);
+      header.writeUInt32BE(width, 0);
+      header.writeUInt32BE(height, 4);
+      header[8] = 8; // bit depth
+      header[9] = 2; // color type: RGB
+      header[10] = 0; // compression
+      header[11] = 0; // filter method
+      header[12] = 0; // no interlace
+
+      return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+      ]);
+    }
+  };
+
+  fillRect(0, 0, width, height, background);
+  return canvas;
+};
+
+module.exports = { createCanvas };
@@ -0,0 +1,69 @@
+/**
+ * Log redaction
+ * Masks personal data and credentials in log messages and metadata before they are written.
+ * Each kind can be turned off with LOG_REDACT (utils/config.js):
+ *
+ *   emails   alice@example.com          -> a***@example.com
+ *   phones   +1 415 555 0100            -> ***00
+ *   tokens   r:0123… session tokens and any string under a password/token/secret key -> [redacted]
+ *   wallets  xch1qyz…k9c                -> xch1qyz…k9c with the middle removed
+ */
+
+const REDACTION_KINDS = ['emails', 'phones', 'tokens', 'wallets'];
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g;
+// International (+…) numbers and 555-123-4567 style numbers; dates and ids do not match
+const PHONE_PATTERN = /\+\d[\d\s().-]{6,}\d|\(\d{3}\)\s?\d{3}[-.\s]\d{4}|\b\d{3}[-.\s]\d{3}[-.\s]\d{4}\b/g;
+const SESSION_TOKEN_PATTERN = /\br:[0-9a-f]{32}\b/gi;
+const WALLET_PATTERN = /\b(t?xch1[02-9ac-hj-np-z]{4})[02-9ac-hj-np-z]{40,}([02-9ac-hj-np-z]{4})\b/g;
+const SECRET_KEY_PATTERN = /password|secret|token|authorization|cookie|masterkey|apikey/i;
+
+const REDACTED = '[redacted]';
+const MAX_DEPTH = 8;
+
+const maskPhone = (match) => `***${match.replace(/\D/g, '').slice(-2)}`;
+
+const createStringRedactor = (kinds) => {
+  const rules = [];
+  if (kinds.includes('emails')) rules.push([EMAIL_PATTERN, '$1***@$2']);
+  if (kinds.includes('phones')) rules.push([PHONE_PATTERN, maskPhone]);
+  if (kinds.includes('tokens')) rules.push([SESSION_TOKEN_PATTERN, 'r:***']);
+  if (kinds.includes('wallets')) rules.push([WALLET_PATTERN, '$1…$2']);
+
+  return (text) => rules.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+};
+
+/**
+ * Build a function that returns a redacted copy of any loggable value
+ * Errors become plain `{ name, message, stack }` objects so they serialize.
+ */
+const createRedactor = (kinds = REDACTION_KINDS) => {
+  const redactString = createStringRedactor(kinds);
+  const maskSecrets = kinds.includes('tokens');
+
+  const redact = (value, depth = 0, key = '') => {
+    if (typeof value === 'string') {
+      return maskSecrets && SECRET_KEY_PATTERN.test(key) ? REDACTED : redactString(value);
+    }
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    if (value instanceof Date) return value;
+
+    if (value instanceof Error) {
+      return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, depth + 1);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => redact(item, depth + 1, key));
+    }
+    // Parse objects and other classes with a toJSON
+    if (typeof value.toJSON === 'function') {
+      return redact(value.toJSON(), depth + 1, key);
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, depth + 1, name)]));
+  };
+
+  return redact;
+};
+
+module.exports = { REDACTION_KINDS, createRedactor };
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Request context
+ * Every HTTP request gets an id, kept in AsyncLocalStorage for the lifetime of the request so
+ * the logger can attach it to anything logged while handling it, including cloud functions
+ * and triggers. The id is returned in the `X-Request-Id` header; a well-formed id sent by a
+ * proxy or client is reused so logs can be correlated across services.
+ */
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+const getRequestContext = () => storage.getStore();
+
+const getRequestId = () => storage.getStore()?.requestId;
+
+/**
+ * Run a function with its own context, e.g. a background job: runWithContext({ requestId }, fn)
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+const requestContext = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.requestId = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  storage.run({ requestId }, next);
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  getRequestContext,
+  getRequestId,
+  runWithContext,
+  requestContext
+};
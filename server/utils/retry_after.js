@@ -0,0 +1,39 @@
+/**
+ * Retry-After support for throttled Parse responses
+ * Cloud code can only return `{ code, error }`, so throttled errors carry the wait in a
+ * fixed message suffix. The middleware turns that into a 429 with a `Retry-After` header
+ * and a numeric `retryAfter` field the client can show.
+ */
+
+const THROTTLED_CODE = 155; // Parse.Error.REQUEST_LIMIT_EXCEEDED
+const RETRY_AFTER_PATTERN = /Retry after (\d+) seconds?\.$/;
+
+const formatRetryAfter = (message, retryAfterMs) => {
+  const seconds = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  return `${message} Retry after ${seconds} second${seconds === 1 ? '' : 's'}.`;
+};
+
+const parseRetryAfter = (message) => {
+  const match = RETRY_AFTER_PATTERN.exec(message || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const retryAfterHeaders = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => {
+    if (body && body.code === THROTTLED_CODE) {
+      const retryAfter = parseRetryAfter(body.error);
+      if (retryAfter !== null) {
+        res.status(429);
+        res.set('Retry-After', String(retryAfter));
+        return json({ ...body, retryAfter });
+      }
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+module.exports = { THROTTLED_CODE, formatRetryAfter, parseRetryAfter, retryAfterHeaders };